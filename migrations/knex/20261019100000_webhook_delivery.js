@@ -0,0 +1,13 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.string('secret')
+    table.jsonb('stats')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.dropColumn('secret')
+    table.dropColumn('stats')
+  })
+}
@@ -0,0 +1,17 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.jsonb('events')
+    table.text('filter')
+  })
+
+  await knex('webhook')
+    .whereNotNull('event')
+    .update({ events: knex.raw('jsonb_build_array(event)') })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('webhook', table => {
+    table.dropColumn('events')
+    table.dropColumn('filter')
+  })
+}
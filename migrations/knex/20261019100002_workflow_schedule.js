@@ -0,0 +1,13 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('workflow', table => {
+    table.string('recurringPattern')
+    table.string('recurringTimezone')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('workflow', table => {
+    table.dropColumn('recurringPattern')
+    table.dropColumn('recurringTimezone')
+  })
+}
@@ -0,0 +1,11 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('asset', table => {
+    table.jsonb('pricingRules')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('asset', table => {
+    table.dropColumn('pricingRules')
+  })
+}
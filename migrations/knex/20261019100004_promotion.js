@@ -0,0 +1,45 @@
+exports.up = async (knex) => {
+  await knex.schema.createTable('promotion', table => {
+    table.string('id').primary()
+    table.string('createdDate', 24)
+    table.string('updatedDate', 24)
+    table.string('name')
+    table.string('code')
+    table.boolean('active')
+    table.float('discountPercent')
+    table.float('discountValue')
+    table.string('currency')
+    table.string('startDate', 24)
+    table.string('endDate', 24)
+    table.integer('maxUses')
+    table.integer('maxUsesPerUser')
+    table.jsonb('assetTypesIds')
+    table.jsonb('categoriesIds')
+    table.jsonb('metadata')
+    table.jsonb('platformData')
+
+    table.index(['createdDate', 'id'], 'promotion_createdDate_id_index')
+    table.index(['updatedDate', 'id'], 'promotion_updatedDate_id_index')
+    table.unique('code', 'promotion_code_unique')
+  })
+
+  await knex.schema.alterTable('transaction', table => {
+    table.string('promotionId')
+    table.jsonb('promotionSnapshot')
+    table.float('discountAmount')
+
+    table.index('promotionId', 'transaction_promotionId_index')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('transaction', table => {
+    table.dropIndex('promotionId', 'transaction_promotionId_index')
+
+    table.dropColumn('promotionId')
+    table.dropColumn('promotionSnapshot')
+    table.dropColumn('discountAmount')
+  })
+
+  await knex.schema.dropTableIfExists('promotion')
+}
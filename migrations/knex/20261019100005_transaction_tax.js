@@ -0,0 +1,19 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('transaction', table => {
+    table.string('taxMode')
+    table.float('takerTaxRate')
+    table.float('takerTaxAmount')
+    table.float('ownerTaxRate')
+    table.float('ownerTaxAmount')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('transaction', table => {
+    table.dropColumn('taxMode')
+    table.dropColumn('takerTaxRate')
+    table.dropColumn('takerTaxAmount')
+    table.dropColumn('ownerTaxRate')
+    table.dropColumn('ownerTaxAmount')
+  })
+}
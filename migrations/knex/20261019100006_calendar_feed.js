@@ -0,0 +1,34 @@
+exports.up = async (knex) => {
+  await knex.schema.createTable('calendarFeed', table => {
+    table.string('id').primary()
+    table.string('createdDate', 24)
+    table.string('updatedDate', 24)
+    table.string('assetId')
+    table.text('url')
+    table.string('lastSyncDate', 24)
+    table.jsonb('metadata')
+    table.jsonb('platformData')
+
+    table.index(['createdDate', 'id'], 'calendarFeed_createdDate_id_index')
+    table.index(['updatedDate', 'id'], 'calendarFeed_updatedDate_id_index')
+    table.index('assetId', 'calendarFeed_assetId_index')
+  })
+
+  await knex.schema.alterTable('availability', table => {
+    table.string('externalId')
+    table.string('externalSource')
+
+    table.index(['assetId', 'externalSource'], 'availability_assetId_externalSource_index')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('availability', table => {
+    table.dropIndex(['assetId', 'externalSource'], 'availability_assetId_externalSource_index')
+
+    table.dropColumn('externalId')
+    table.dropColumn('externalSource')
+  })
+
+  await knex.schema.dropTableIfExists('calendarFeed')
+}
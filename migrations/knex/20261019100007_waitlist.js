@@ -0,0 +1,27 @@
+exports.up = async (knex) => {
+  await knex.schema.createTable('waitlist', table => {
+    table.string('id').primary()
+    table.string('createdDate', 24)
+    table.string('updatedDate', 24)
+    table.string('assetId')
+    table.string('userId')
+    table.string('startDate', 24)
+    table.string('endDate', 24)
+    table.integer('quantity')
+    table.string('status')
+    table.string('offeredDate', 24)
+    table.string('holdEndDate', 24)
+    table.string('transactionId')
+    table.jsonb('metadata')
+    table.jsonb('platformData')
+
+    table.index(['createdDate', 'id'], 'waitlist_createdDate_id_index')
+    table.index(['updatedDate', 'id'], 'waitlist_updatedDate_id_index')
+    table.index(['assetId', 'status'], 'waitlist_assetId_status_index')
+    table.index('userId', 'waitlist_userId_index')
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.dropTableIfExists('waitlist')
+}
@@ -0,0 +1,11 @@
+exports.up = async (knex) => {
+  await knex.schema.alterTable('transaction', table => {
+    table.string('holdEndDate', 24)
+  })
+}
+
+exports.down = async (knex) => {
+  await knex.schema.alterTable('transaction', table => {
+    table.dropColumn('holdEndDate')
+  })
+}
@@ -220,12 +220,18 @@ function start (startParams) {
     key: 'transaction'
   })
 
+  const searchRequester = getRequester({
+    name: 'Rating service > Search Requester',
+    key: 'search'
+  })
+
   const Rating = createRating(BaseModel)
 
   Object.assign(deps, {
     documentRequester,
     assetRequester,
     transactionRequester,
+    searchRequester,
 
     Rating
   })
@@ -237,12 +243,14 @@ function stop () {
   const {
     documentRequester,
     assetRequester,
-    transactionRequester
+    transactionRequester,
+    searchRequester
   } = deps
 
   documentRequester.close()
   assetRequester.close()
   transactionRequester.close()
+  searchRequester.close()
 
   deps = null
 }
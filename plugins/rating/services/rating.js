@@ -5,13 +5,15 @@ module.exports = function createService (deps) {
   const {
     assetRequester,
     documentRequester,
+    searchRequester,
     transactionRequester,
 
     Rating,
 
     getCurrentUserId,
     createError,
-    handleRemoteNotFoundError
+    handleRemoteNotFoundError,
+    logError
   } = deps
 
   return {
@@ -330,6 +332,8 @@ module.exports = function createService (deps) {
     const document = await documentRequester.communicate(req)(docCreateParams)
     const rating = Rating.convertDocToRating(document)
 
+    await syncAssetRatingsStats({ req, assetId: rating.assetId })
+
     return Rating.expose(rating, { req })
   }
 
@@ -374,6 +378,10 @@ module.exports = function createService (deps) {
     const document = await documentRequester.communicate(req)(docUpdateParams)
     const newRating = Rating.convertDocToRating(document)
 
+    if (!_.isUndefined(payload.score)) {
+      await syncAssetRatingsStats({ req, assetId: newRating.assetId })
+    }
+
     return Rating.expose(newRating, { req })
   }
 
@@ -403,6 +411,32 @@ module.exports = function createService (deps) {
       documentId: ratingId
     })
 
+    await syncAssetRatingsStats({ req, assetId: rating.assetId })
+
     return { id: ratingId }
   }
+
+  // assets ratings stats are indexed so search can rank assets with high ratings
+  async function syncAssetRatingsStats ({ req, assetId }) {
+    if (!assetId) return
+
+    const platformId = req.platformId
+    const env = req.env
+
+    try {
+      await searchRequester.send({
+        type: '_syncAssetRatingsStats',
+        assetId,
+        platformId,
+        env
+      })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { assetId },
+        message: 'Fail to synchronize asset ratings stats'
+      })
+    }
+  }
 }
@@ -8,7 +8,7 @@ const {
 } = require('../../serverTooling')
 
 const { before, beforeEach, after } = lifecycle
-const { getAccessTokenHeaders } = auth
+const { getAccessTokenHeaders, getSystemKey } = auth
 const {
   checkOffsetPaginationScenario,
   checkOffsetPaginatedListObject,
@@ -503,6 +503,88 @@ test('removes a rating', async (t) => {
   t.pass()
 })
 
+// Must run serially as Elasticsearch index is rebuilt
+test.serial('ranks search results by assets average rating', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'rating:create:all',
+      'search:list:all'
+    ]
+  })
+
+  const createAsset = async () => {
+    const { body: asset } = await request(t.context.serverUrl)
+      .post('/assets')
+      .set(authorizationHeaders)
+      .send({
+        name: 'Asset ranked by ratings',
+        assetTypeId: 'typ_RFpfQps1I3a1gJYz2I3a'
+      })
+      .expect(200)
+
+    return asset
+  }
+
+  // the most recent asset would come first without ranking rules
+  const highlyRatedAsset = await createAsset()
+  const poorlyRatedAsset = await createAsset()
+
+  const ratings = [
+    { assetId: highlyRatedAsset.id, score: 100 },
+    { assetId: highlyRatedAsset.id, score: 80 },
+    { assetId: poorlyRatedAsset.id, score: 10 }
+  ]
+  for (const rating of ratings) {
+    await request(t.context.serverUrl)
+      .post('/ratings')
+      .set(authorizationHeaders)
+      .send(Object.assign({ targetId: 'usr_Y0tfQps1I3a1gJYz2I3a' }, rating))
+      .expect(200)
+  }
+
+  // wait for Elasticsearch synchronization
+  await new Promise(resolve => setTimeout(resolve, 1000))
+
+  const checkRanking = async () => {
+    const { body: searchResult } = await request(t.context.serverUrl)
+      .post('/search')
+      .set(authorizationHeaders)
+      .send({
+        query: 'Asset ranked by ratings',
+        rankingRules: [
+          { name: 'rating', field: '_averageRating', weight: 10 }
+        ]
+      })
+      .expect(200)
+
+    const resultsIds = searchResult.results.map(asset => asset.id)
+    t.true(resultsIds.includes(poorlyRatedAsset.id))
+    t.true(resultsIds.indexOf(highlyRatedAsset.id) < resultsIds.indexOf(poorlyRatedAsset.id))
+  }
+
+  await checkRanking()
+
+  // ratings stats are computed again when the index is rebuilt from database
+  const systemHeaders = {
+    'x-stelace-system-key': getSystemKey(),
+    'x-stelace-env': t.context.env
+  }
+
+  for (const action of ['drop', 'init', 'sync']) {
+    await request(t.context.serverUrl)
+      .post(`/store/platforms/${t.context.platformId}/elasticsearch/${action}`)
+      .set(systemHeaders)
+      .expect(200)
+  }
+
+  // wait for Elasticsearch synchronization
+  await new Promise(resolve => setTimeout(resolve, 2000))
+
+  await checkRanking()
+})
+
 // ////////// //
 // VALIDATION //
 // ////////// //
@@ -105,8 +105,13 @@ function createMiddleware () {
       'query',
       'categoryId',
       'assetTypeId',
+      'ownerId',
+      'currency',
+      'price',
       'location',
       'maxDistance',
+      'bounds',
+      'polygon',
       'startDate',
       'endDate',
       'quantity',
@@ -121,7 +126,8 @@ function createMiddleware () {
       'sort',
       'availabilityFilter',
       'createdBefore',
-      'createdAfter'
+      'createdAfter',
+      'rankingRules'
     ]
 
     const savedSearchPayload = _.pick(searchQuery, fields)
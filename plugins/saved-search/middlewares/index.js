@@ -1,3 +1,4 @@
 module.exports = {
-  createOrTriggerSavedSearch: require('./create-or-trigger-saved-search')
+  createOrTriggerSavedSearch: require('./create-or-trigger-saved-search'),
+  savedSearchAlerts: require('./saved-search-alerts')
 }
@@ -0,0 +1,347 @@
+const _ = require('lodash')
+const bluebird = require('bluebird')
+const ms = require('ms')
+const CronJob = require('cron').CronJob
+const Redlock = require('redlock')
+
+let deps
+let assetSubscriber
+let documentRequester
+let redlock
+
+const lockResource = 'locks:stelace_saved_search_alerts'
+
+// create a lock time of 10 seconds so another server can claim the lock after that duration
+// even if the server that has the lock crashes
+// the lock is extended while saved searches are evaluated
+const lockTtl = 10000
+
+// leave some time for asset changes to be synchronized with Elasticsearch before evaluating them
+const indexingDelay = '5s'
+
+// changed assets IDs are passed in search query string, so they are split into batches
+// that fit into a single page of search results
+const nbAssetsPerSearch = 100
+
+// maximum number of asset changes evaluated each time the job runs
+const nbChangesPerRun = 1000
+
+// changes of platforms whose saved searches fail to be evaluated are retried later,
+// until they are too old to be relevant
+const retryDelay = '1m'
+const maxRetryDuration = '1h'
+
+const job = new CronJob(
+  '*/10 * * * * *', // check every 10 seconds
+  alertSavedSearches,
+  null,
+  null,
+  'UTC'
+)
+
+// No middleware function is exposed, hooks are used to evaluate saved searches
+// in the background when assets are created or updated
+module.exports = {
+  start,
+  stop
+}
+
+// asset fields used to skip saved searches that cannot match changed assets
+const prefilteringFields = [
+  'assetTypeId',
+  'categoryId',
+  'ownerId',
+  'active',
+  'validated'
+]
+
+async function recordChangedAsset ({ platformId, env, assetId, asset, date }) {
+  const {
+    logError,
+    redis: { addSavedSearchChangedAsset }
+  } = deps
+
+  // partial assets (e.g. when a custom attribute is removed) cannot be used for prefiltering
+  const isFullAsset = asset && prefilteringFields.every(field => _.has(asset, field))
+
+  try {
+    await addSavedSearchChangedAsset({
+      platformId,
+      env,
+      assetId,
+      asset: isFullAsset ? _.pick(asset, prefilteringFields) : undefined,
+      date
+    })
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: { assetId },
+      message: 'Fail to record changed asset for saved search alerts'
+    })
+  }
+}
+
+async function alertSavedSearches () {
+  const {
+    logError,
+    redis: {
+      getSavedSearchChangedAssets,
+      removeSavedSearchChangedAssets,
+      postponeSavedSearchChangedAssets
+    }
+  } = deps
+
+  let lock
+
+  try {
+    // use redlock to ensure the cron process is handled only by one server at a time
+    // even within a distributed system
+    lock = await redlock.lock(lockResource, lockTtl)
+  } catch (err) {
+    if (err.name !== 'LockError') {
+      logError(err, { message: 'Fail to lock saved search alerts' })
+    }
+    return
+  }
+
+  // throws if the lock has expired, so that processing stops before another server
+  // that has claimed the lock sends the same alerts
+  const extendLock = async () => {
+    lock = await lock.extend(lockTtl)
+  }
+
+  try {
+    const alertDate = new Date(Date.now() - ms(indexingDelay)).toISOString()
+    const retryDate = new Date(Date.now() + ms(retryDelay)).toISOString()
+    const minRetriedChangeDate = new Date(Date.now() - ms(maxRetryDuration)).toISOString()
+
+    const changedAssets = await getSavedSearchChangedAssets({ date: alertDate, limit: nbChangesPerRun })
+    const changesByPlatformEnv = _.groupBy(changedAssets, change => `${change.platformId}|${change.env}`)
+
+    for (const changes of Object.values(changesByPlatformEnv)) {
+      const { platformId, env } = changes[0]
+
+      await extendLock()
+
+      let success
+      try {
+        success = await alertPlatformSavedSearches({
+          platformId,
+          env,
+          changedAssets: changes,
+          alertDate,
+          extendLock
+        })
+      } catch (err) {
+        success = false
+        logError(err, {
+          platformId,
+          env,
+          message: 'Fail to alert saved searches'
+        })
+      }
+
+      const [expiredChanges, retriedChanges] = _.partition(changes, change => {
+        return success || change.date < minRetriedChangeDate
+      })
+
+      await removeSavedSearchChangedAssets({ ids: expiredChanges.map(change => change.id) })
+      await postponeSavedSearchChangedAssets({ ids: retriedChanges.map(change => change.id), date: retryDate })
+
+      if (!success && expiredChanges.length) {
+        logError(new Error('Saved search alerts dropped'), {
+          platformId,
+          env,
+          custom: { nbChanges: expiredChanges.length },
+          message: `Drop asset changes for saved search alerts after ${maxRetryDuration} of failures`
+        })
+      }
+    }
+  } catch (err) {
+    logError(err, { message: 'Fail to process changed assets for saved search alerts' })
+  } finally {
+    await lock.unlock().catch(() => {})
+  }
+}
+
+/**
+ * Alerts saved searches of the platform environment matching changed assets.
+ * @param {Object} params
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {Object[]} params.changedAssets
+ * @param {String} params.alertDate
+ * @param {Function} params.extendLock - called before each saved search evaluation
+ * @return {Boolean} false if any saved search failed to be evaluated
+ */
+async function alertPlatformSavedSearches ({ platformId, env, changedAssets, alertDate, extendLock }) {
+  const {
+    logError,
+    communication: { stelaceApiRequest },
+    models: { getModels, SavedSearch }
+  } = deps
+
+  const { results: savedSearches } = await stelaceApiRequest('/search', {
+    platformId,
+    env,
+    method: 'GET',
+    leafThroughResults: 10000
+  })
+
+  const activeSavedSearches = savedSearches.filter(savedSearch => savedSearch.active)
+  if (!activeSavedSearches.length) return true
+
+  let success = true
+
+  const { Event } = await getModels({ platformId, env })
+
+  await bluebird.map(activeSavedSearches, async (savedSearch) => {
+    // only assets changed since the last alert (or saved search creation) can trigger a new alert
+    // so the same asset isn't reported twice for the same state
+    const lastAlertedDate = savedSearch.lastAlertedDate || savedSearch.createdDate
+    const assetsIds = _.uniq(changedAssets
+      .filter(change => change.date > lastAlertedDate)
+      .filter(change => canMatchSearch({ search: savedSearch.search || {}, asset: change.asset }))
+      .map(change => change.assetId)
+    )
+
+    if (!assetsIds.length) return
+
+    try {
+      const matchedAssetsIds = []
+
+      for (const assetsIdsBatch of _.chunk(assetsIds, nbAssetsPerSearch)) {
+        await extendLock()
+
+        const { results } = await stelaceApiRequest(`/search?_assetsIds=${assetsIdsBatch.join(',')}`, {
+          platformId,
+          env,
+          method: 'POST',
+          payload: Object.assign({}, savedSearch.search, {
+            page: 1,
+            nbResultsPerPage: nbAssetsPerSearch
+          })
+        })
+
+        matchedAssetsIds.push(...results.map(asset => asset.id))
+      }
+
+      if (!matchedAssetsIds.length) return
+
+      await extendLock()
+
+      await Event.createEvent({
+        type: 'saved_search__results_matched',
+        objectType: 'savedSearch',
+        objectId: savedSearch.id,
+        object: SavedSearch.expose(savedSearch, { namespaces: ['*'] }),
+        metadata: {
+          userId: savedSearch.userId,
+          savedSearchId: savedSearch.id,
+          assetsIds: matchedAssetsIds
+        }
+      }, { platformId, env })
+
+      await documentRequester.send({
+        type: 'update',
+        platformId,
+        env,
+        documentId: savedSearch.id,
+        data: { lastAlertedDate: alertDate }
+      })
+    } catch (err) {
+      // changes are evaluated again later, saved searches already alerted
+      // ignore them thanks to `lastAlertedDate`
+      success = false
+
+      logError(err, {
+        platformId,
+        env,
+        custom: { savedSearchId: savedSearch.id, assetsIds },
+        message: 'Fail to alert saved search'
+      })
+    }
+  }, { concurrency: 4 })
+
+  return success
+}
+
+/**
+ * Checks search filters that don't need Elasticsearch, so saved searches
+ * unaffected by changed assets are not evaluated.
+ * @param {Object} params
+ * @param {Object} params.search - saved search query
+ * @param {Object} [params.asset] - asset fields after change
+ * @return {Boolean} false if the asset cannot match the search
+ */
+function canMatchSearch ({ search, asset }) {
+  if (!asset) return true
+
+  const { active = true, validated, ownerId, assetTypeId, categoryId, filter } = search
+
+  const isExcluded = (ids, value) => !_.isEmpty(ids) && !_.castArray(ids).includes(value)
+
+  if (!_.isNil(active) && asset.active !== active) return false
+  if (_.isBoolean(validated) && asset.validated !== validated) return false
+  if (isExcluded(ownerId, asset.ownerId)) return false
+
+  // asset type and category can be specified in filter DSL instead
+  if (!filter && (isExcluded(assetTypeId, asset.assetTypeId) || isExcluded(categoryId, asset.categoryId))) {
+    return false
+  }
+
+  return true
+}
+
+function start (startParams) {
+  deps = Object.assign({}, startParams)
+
+  const {
+    communication: {
+      getRequester,
+      getSubscriber,
+      COMMUNICATION_ID
+    },
+    redis: { getRedisClient }
+  } = deps
+
+  documentRequester = getRequester({
+    name: 'Saved search alerts > Document Requester',
+    key: 'document'
+  })
+
+  assetSubscriber = getSubscriber({
+    name: 'Saved search alerts > Asset subscriber',
+    key: 'asset',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'assetCreated',
+      'assetUpdated'
+    ]
+  })
+
+  assetSubscriber.on('assetCreated', async ({ asset, eventDate, platformId, env } = {}) => {
+    await recordChangedAsset({ platformId, env, assetId: asset.id, asset, date: eventDate })
+  })
+
+  assetSubscriber.on('assetUpdated', async ({ assetId, newAsset, eventDate, platformId, env } = {}) => {
+    await recordChangedAsset({ platformId, env, assetId, asset: newAsset, date: eventDate })
+  })
+
+  if (!redlock) {
+    redlock = new Redlock([getRedisClient()], { retryCount: 0 })
+  }
+
+  job.start()
+}
+
+function stop () {
+  documentRequester.close()
+  documentRequester = null
+
+  assetSubscriber.close()
+  assetSubscriber = null
+
+  job.stop()
+}
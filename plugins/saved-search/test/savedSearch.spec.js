@@ -4,6 +4,7 @@ const test = require('ava')
 const request = require('supertest')
 
 const {
+  redis: { getSavedSearchChangedAssets },
   testTools: {
     lifecycle,
     auth,
@@ -516,6 +517,91 @@ test('fails to update a saved search if missing or invalid parameters', async (t
   t.true(error.message.includes('"platformData" must be of type object'))
 })
 
+test('emits an event when created or updated assets match an active saved search', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'savedSearch:create:all',
+      'savedSearch:read:all',
+      'asset:create:all',
+      'asset:edit:all',
+      'event:list:all'
+    ]
+  })
+
+  const { body: savedSearch } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Submarines',
+      userId: 'usr_WHlfQps1I3a1gJYz2I3a',
+      query: 'submarine',
+      assetTypeId: ['typ_MnkfQps1I3a1gJYz2I3a'],
+      save: true
+    })
+    .expect(200)
+
+  t.is(savedSearch.lastAlertedDate, null)
+
+  const createAsset = async (name, assetTypeId = 'typ_MnkfQps1I3a1gJYz2I3a') => {
+    const { body: asset } = await request(t.context.serverUrl)
+      .post('/assets')
+      .set(authorizationHeaders)
+      .send({
+        name,
+        assetTypeId
+      })
+      .expect(200)
+
+    return asset
+  }
+
+  const createdAsset = await createAsset('Yellow submarine')
+  const updatedAsset = await createAsset('Green boat')
+  const nonMatchingAsset = await createAsset('Red boat')
+  const otherAssetTypeAsset = await createAsset('Blue submarine', 'typ_RFpfQps1I3a1gJYz2I3a')
+
+  await request(t.context.serverUrl)
+    .patch(`/assets/${updatedAsset.id}`)
+    .set(authorizationHeaders)
+    .send({ name: 'Green submarine' })
+    .expect(200)
+
+  // wait for asset changes to be indexed and evaluated by the alerting cron
+  await new Promise(resolve => setTimeout(resolve, 20000))
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get(`/events?type=saved_search__results_matched&objectId=${savedSearch.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(events.length > 0)
+  events.forEach(event => {
+    t.is(event.objectType, 'savedSearch')
+    t.is(event.metadata.userId, savedSearch.userId)
+    t.is(event.metadata.savedSearchId, savedSearch.id)
+  })
+
+  const matchedAssetsIds = events.reduce((ids, event) => ids.concat(event.metadata.assetsIds), [])
+  t.is(matchedAssetsIds.length, 2) // no duplicate
+  t.true(matchedAssetsIds.includes(createdAsset.id))
+  t.true(matchedAssetsIds.includes(updatedAsset.id))
+  t.false(matchedAssetsIds.includes(nonMatchingAsset.id))
+  t.false(matchedAssetsIds.includes(otherAssetTypeAsset.id))
+
+  // processed changes are removed
+  const testAssetsIds = [createdAsset.id, updatedAsset.id, nonMatchingAsset.id, otherAssetTypeAsset.id]
+  const remainingChanges = await getSavedSearchChangedAssets({ date: new Date().toISOString() })
+  t.false(remainingChanges.some(change => testAssetsIds.includes(change.assetId)))
+
+  const { body: alertedSavedSearch } = await request(t.context.serverUrl)
+    .get(`/search/${savedSearch.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.truthy(alertedSavedSearch.lastAlertedDate)
+})
+
 // //////// //
 // VERSIONS //
 // //////// //
@@ -180,7 +180,18 @@ const stelaceTooling = {
 }
 
 function loadServer () {
-  const server = restify.createServer({ name, version })
+  const server = restify.createServer({
+    name,
+    version,
+    formatters: {
+      // used by availability calendar feeds
+      'text/calendar': (req, res, body) => {
+        const data = body ? body.toString() : ''
+        res.setHeader('Content-Length', Buffer.byteLength(data))
+        return data
+      }
+    }
+  })
 
   server.on('after', restify.plugins.metrics({ server }, (err, metrics, req/*, res, route */) => {
     if (err) {
@@ -481,6 +492,10 @@ function loadServer () {
       if (rawWorkflowHeader && workflowKey === rawWorkflowHeader && isLocal) {
         // could be turned into an object with additional metadata in the future
         req._workflow = true
+
+        // IDs of workflows that led to this request, oldest first, to prevent infinite loops
+        const rawWorkflowsHeader = req.headers['x-stelace-workflows']
+        req._workflowChain = rawWorkflowsHeader ? rawWorkflowsHeader.split(',').filter(Boolean) : []
       }
 
       // If the header 'x-platform-id' or 'x-stelace-env' are present and allowed to be used
@@ -700,6 +715,7 @@ function getAuthorizationParams (req) {
     _plan: req._plan, // can be set by some plugin
     _selectedVersion: req._selectedVersion,
     _workflow: req._workflow,
+    _workflowChain: req._workflowChain,
     _useOffsetPagination: req._useOffsetPagination,
   }
 }
@@ -0,0 +1,18 @@
+const { dueJobsKeys } = require('../redis')
+const { createDueJobsCron } = require('./dueJobsCron')
+
+module.exports = createDueJobsCron({
+  key: dueJobsKeys.transactionTimers,
+  action: 'Apply timed transition',
+  requester: {
+    name: 'Apply timed transitions cron > Transaction Requester',
+    key: 'transaction'
+  },
+  getJobContext: timer => ({ transactionId: timer.transactionId, transitionName: timer.transitionName }),
+  processJob: ({ requester, platformId, env, job: timer }) => requester.send({
+    type: '_applyTimedTransition',
+    platformId,
+    env,
+    timer
+  })
+})
@@ -0,0 +1,180 @@
+const CronJob = require('cron').CronJob
+const Redlock = require('redlock')
+const apm = require('elastic-apm-node')
+const _ = require('lodash')
+
+const { logError } = require('../../server/logger')
+
+const {
+  getRedisClient,
+  getDueJobs,
+  removeDueJob,
+  retryDueJob
+} = require('../redis')
+
+const { computeDate } = require('../util/time')
+
+// create a lock time of 10 seconds so another server can claim the lock after that duration
+// even if the server that has the lock crashes
+const lockTtl = 10000
+
+// jobs failing to process (e.g. requester timeout or service restart) are retried after
+// 1, 2, 4 and 8 minutes before being dropped
+const maxNbFailures = 5
+
+/**
+ * Creates a cron processing every 10 seconds the jobs scheduled with `setDueJob`
+ * whose execution date is passed.
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} action - describes job processing in logs, like 'Apply timed transition'
+ * @param {Object} requester - `name` and `key` of the requester passed to `processJob`
+ * @param {Function} processJob - async ({ requester, platformId, env, job })
+ * @param {Function} [getJobContext] - returns job properties to add to logs
+ * @return {Object} cron with `start` and `stop` functions
+ */
+function createDueJobsCron ({
+  key,
+  action,
+  requester: requesterConfig,
+  processJob,
+  getJobContext
+}) {
+  let requester
+  let redlock
+
+  const lockResource = `locks:${key}`
+
+  const job = new CronJob(
+    '*/10 * * * * *', // check every 10 seconds
+    onTick,
+    null,
+    null,
+    'UTC'
+  )
+
+  async function onTick () {
+    // computed before any asynchronous call so due jobs match the time the cron was triggered
+    const now = new Date().toISOString()
+
+    let lock
+
+    try {
+      // use redlock to ensure the cron process is handled only by one server at a time
+      // even within a distributed system
+      lock = await redlock.lock(lockResource, lockTtl)
+    } catch (err) {
+      if (err.name !== 'LockError') {
+        logError(err, { message: `Fail to lock ${key} jobs` })
+      }
+      return
+    }
+
+    try {
+      await processDueJobs({
+        key,
+        date: now,
+        action,
+        processJob: (params) => processJob(Object.assign({ requester }, params)),
+        getJobContext
+      })
+    } finally {
+      await lock.unlock().catch(() => {})
+    }
+  }
+
+  function start ({ communication }) {
+    const { getRequester } = communication
+
+    requester = getRequester(requesterConfig)
+
+    if (!redlock) {
+      redlock = new Redlock([getRedisClient()], { retryCount: 0 })
+    }
+
+    job.start()
+  }
+
+  function stop () {
+    requester.close()
+    requester = null
+
+    job.stop()
+  }
+
+  return {
+    start,
+    stop
+  }
+}
+
+/**
+ * Processes the jobs scheduled with `setDueJob` whose execution date is passed.
+ * Jobs are scheduled again with a delay if `processJob` throws.
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} date - jobs due at this date are processed
+ * @param {String} action - describes job processing in logs, like 'Apply timed transition'
+ * @param {Function} processJob - async ({ platformId, env, job })
+ * @param {Function} [getJobContext] - returns job properties to add to logs
+ */
+async function processDueJobs ({
+  key,
+  date,
+  action,
+  processJob,
+  getJobContext = () => ({})
+}) {
+  try {
+    const dueJobs = await getDueJobs({ key, date })
+
+    for (const { platformId, env, jobId, job, nbFailures = 0 } of dueJobs) {
+      // removal succeeds only once, so a job cannot be processed twice
+      const claimed = await removeDueJob({ key, jobId })
+      if (!claimed) continue
+
+      const jobTransaction = apm.startTransaction(`${action} via cron`)
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId })
+      apm.setCustomContext(getJobContext(job))
+
+      try {
+        await processJob({ platformId, env, job })
+      } catch (err) {
+        const newNbFailures = nbFailures + 1
+        const willRetry = newNbFailures < maxNbFailures
+
+        logError(err, {
+          platformId,
+          env,
+          custom: Object.assign({ nbFailures: newNbFailures }, getJobContext(job)),
+          message: `Fail to ${_.lowerFirst(action)}${willRetry ? ', will retry' : ''}`
+        })
+
+        if (willRetry) {
+          await retryDueJob({
+            platformId,
+            env,
+            key,
+            jobId,
+            job,
+            nbFailures: newNbFailures,
+            executionDate: computeDate(date, { m: Math.pow(2, nbFailures) })
+          }).catch(err => logError(err, {
+            platformId,
+            env,
+            custom: getJobContext(job),
+            message: `Fail to schedule ${key} job retry`
+          }))
+        }
+      } finally {
+        jobTransaction.end()
+      }
+    }
+  } catch (err) {
+    logError(err, { message: `Fail to load ${key} jobs` })
+  }
+}
+
+module.exports = {
+  createDueJobsCron,
+  processDueJobs
+}
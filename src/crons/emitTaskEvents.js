@@ -10,9 +10,17 @@ const {
   getAllStelaceTasks,
 
   didStelaceTaskExecute,
-  addStelaceTaskExecutionDate
+  addStelaceTaskExecutionDate,
+
+  dueJobsKeys,
+
+  getAllScheduledWorkflows,
+  didScheduledWorkflowRun,
+  addScheduledWorkflowRunDate
 } = require('../redis')
 
+const { processDueJobs } = require('./dueJobsCron')
+
 const {
   getRoundedDate,
   computeRecurringDates,
@@ -20,6 +28,7 @@ const {
 } = require('../util/time')
 
 let eventRequester
+let workflowRequester
 
 let client
 let redlock
@@ -42,10 +51,10 @@ const lockTtl = nbMinutes * 60 * 1000 // milliseconds
 async function emitTaskEvents () {
   let fetchEventsTransaction = apm.startTransaction('Fetch task events to emit via cron')
 
-  try {
-    // use ref date because cron job cannot trigger at the specified time (with 0 millisecond)
-    const refDate = getRoundedDate(new Date(), { nbMinutes })
+  // use ref date because cron job cannot trigger at the specified time (with 0 millisecond)
+  const refDate = getRoundedDate(new Date(), { nbMinutes })
 
+  try {
     const taskConfigs = await getAllStelaceTasks()
 
     const filteredTaskConfigs = filterTasks(taskConfigs, refDate, nbMinutes)
@@ -89,6 +98,88 @@ async function emitTaskEvents () {
   } finally {
     fetchEventsTransaction && fetchEventsTransaction.end()
   }
+
+  await runScheduledWorkflows(refDate)
+  await resumeDelayedWorkflowRuns()
+}
+
+/**
+ * Workflows with a recurring pattern are run like recurring tasks,
+ * without emitting any event.
+ * @param {String} refDate
+ */
+async function runScheduledWorkflows (refDate) {
+  try {
+    const workflowConfigs = await getAllScheduledWorkflows()
+
+    const filteredWorkflowConfigs = workflowConfigs.filter(workflowConfig => {
+      const { platformId, env, workflow } = workflowConfig
+      if (!platformId || !env || !workflow) return false
+
+      return isRecurringDate(refDate, workflow)
+    })
+
+    for (const workflowConfig of filteredWorkflowConfigs) {
+      const { platformId, env, workflow } = workflowConfig
+
+      const runScheduledTransaction = apm.startTransaction('Run scheduled workflow via cron')
+      apm.setUserContext({ id: platformId })
+      apm.addLabels({ env, platformId })
+      apm.setCustomContext({ workflowId: workflow.id })
+
+      try {
+        const lockResource = `locks:stelace_scheduled_workflows:${workflow.id}_${refDate}`
+        const lock = await redlock.lock(lockResource, lockTtl)
+
+        const alreadyRun = await didScheduledWorkflowRun({ workflowId: workflow.id, scheduleDate: refDate })
+
+        if (!alreadyRun) {
+          await addScheduledWorkflowRunDate({ workflowId: workflow.id, scheduleDate: refDate })
+          await workflowRequester.send({
+            type: '_runScheduled',
+            platformId,
+            env,
+            workflowId: workflow.id,
+            scheduleDate: refDate
+          })
+        }
+
+        await lock.unlock()
+      } catch (err) {
+        if (err.name !== 'LockError') {
+          logError(err, {
+            platformId,
+            env,
+            custom: { workflowId: workflow.id },
+            message: 'Fail to run scheduled workflow'
+          })
+        }
+      } finally {
+        runScheduledTransaction.end()
+      }
+    }
+  } catch (err) {
+    logError(err, { message: 'Fail to load scheduled workflows' })
+  }
+}
+
+/**
+ * Workflow runs paused before a delayed step are resumed like tasks,
+ * at the minute following their execution date.
+ */
+async function resumeDelayedWorkflowRuns () {
+  await processDueJobs({
+    key: dueJobsKeys.delayedWorkflowRuns,
+    date: new Date().toISOString(),
+    action: 'Resume delayed workflow run',
+    getJobContext: delayedRun => ({ workflowId: delayedRun.workflowId, runId: delayedRun.runId }),
+    processJob: ({ platformId, env, job: delayedRun }) => workflowRequester.send({
+      type: '_resumeDelayedRun',
+      platformId,
+      env,
+      delayedRun
+    })
+  })
 }
 
 function filterTasks (taskConfigs, refDate, nbMinutes) {
@@ -105,21 +196,25 @@ function filterTasks (taskConfigs, refDate, nbMinutes) {
     // if task date matches exactly the ref date, then it's time to trigger the task event
     const isRecurringTask = !!task.recurringPattern
     if (isRecurringTask) {
-      const intervalSeconds = nbMinutes * 30
-
-      const computedRecurringDates = computeRecurringDates(task.recurringPattern, {
-        startDate: computeDate(refDate, { s: -intervalSeconds }),
-        endDate: computeDate(refDate, { s: intervalSeconds }),
-        timezone: task.recurringTimezone
-      })
-
-      return computedRecurringDates.includes(refDate)
+      return isRecurringDate(refDate, task)
     } else {
       return task.executionDate === refDate
     }
   })
 }
 
+function isRecurringDate (refDate, { recurringPattern, recurringTimezone }) {
+  const intervalSeconds = nbMinutes * 30
+
+  const computedRecurringDates = computeRecurringDates(recurringPattern, {
+    startDate: computeDate(refDate, { s: -intervalSeconds }),
+    endDate: computeDate(refDate, { s: intervalSeconds }),
+    timezone: recurringTimezone
+  })
+
+  return computedRecurringDates.includes(refDate)
+}
+
 async function emitTaskEvent ({ platformId, env, task }) {
   await eventRequester.send({
     type: 'create',
@@ -140,6 +235,10 @@ function start ({ communication }) {
     name: 'Emit task event cron > Event Requester',
     key: 'event'
   })
+  workflowRequester = getRequester({
+    name: 'Emit task event cron > Workflow Requester',
+    key: 'workflow'
+  })
 
   if (!client) {
     client = getRedisClient()
@@ -155,6 +254,9 @@ function stop () {
   eventRequester.close()
   eventRequester = null
 
+  workflowRequester.close()
+  workflowRequester = null
+
   job.stop()
 }
 
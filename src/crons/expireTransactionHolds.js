@@ -0,0 +1,18 @@
+const { dueJobsKeys } = require('../redis')
+const { createDueJobsCron } = require('./dueJobsCron')
+
+module.exports = createDueJobsCron({
+  key: dueJobsKeys.transactionHolds,
+  action: 'Expire transaction hold',
+  requester: {
+    name: 'Expire transaction holds cron > Transaction Requester',
+    key: 'transaction'
+  },
+  getJobContext: hold => ({ transactionId: hold.transactionId }),
+  processJob: ({ requester, platformId, env, job: hold }) => requester.send({
+    type: '_expireHold',
+    platformId,
+    env,
+    hold
+  })
+})
@@ -0,0 +1,18 @@
+const { dueJobsKeys } = require('../redis')
+const { createDueJobsCron } = require('./dueJobsCron')
+
+module.exports = createDueJobsCron({
+  key: dueJobsKeys.waitlistHolds,
+  action: 'Expire waitlist hold',
+  requester: {
+    name: 'Expire waitlist holds cron > Waitlist Requester',
+    key: 'waitlist'
+  },
+  getJobContext: hold => ({ waitlistId: hold.waitlistId, assetId: hold.assetId }),
+  processJob: ({ requester, platformId, env, job: hold }) => requester.send({
+    type: '_expireHold',
+    platformId,
+    env,
+    hold
+  })
+})
@@ -1,6 +1,10 @@
 const crons = {
+  applyTimedTransitions: require('./applyTimedTransitions'),
   checkEsReindex: require('./checkESReindex'),
-  emitTaskEvents: require('./emitTaskEvents')
+  emitTaskEvents: require('./emitTaskEvents'),
+  expireTransactionHolds: require('./expireTransactionHolds'),
+  expireWaitlistHolds: require('./expireWaitlistHolds'),
+  retryWebhookDeliveries: require('./retryWebhookDeliveries')
 }
 
 function start (...args) {
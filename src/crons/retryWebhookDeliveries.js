@@ -0,0 +1,20 @@
+const { dueJobsKeys } = require('../redis')
+const { createDueJobsCron } = require('./dueJobsCron')
+
+module.exports = createDueJobsCron({
+  key: dueJobsKeys.webhookDeliveries,
+  action: 'Retry webhook delivery',
+  requester: {
+    name: 'Retry webhook deliveries cron > Webhook Requester',
+    key: 'webhook'
+  },
+  getJobContext: delivery => ({ webhookId: delivery.webhookId, eventId: delivery.eventId }),
+  processJob: ({ requester, platformId, env, job: delivery }) => requester.send({
+    type: '_retryDelivery',
+    platformId,
+    env,
+    webhookId: delivery.webhookId,
+    eventId: delivery.eventId,
+    attempt: delivery.attempt
+  })
+})
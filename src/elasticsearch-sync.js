@@ -1,5 +1,6 @@
 const bluebird = require('bluebird')
 const _ = require('lodash')
+const { raw } = require('objection')
 
 const { logError } = require('../server/logger')
 
@@ -18,8 +19,18 @@ let assetsSync = false
 const syncQueueDurationMs = 300
 const maxItemsInBulk = 500 // do not use 1000 items as during reindexing, items can be duplicated
 
-function syncAssetsWithElasticsearch ({ assetId, asset, action, platformId, env }) {
-  assetActionsQueue.push({ assetId, asset, action, platformId, env })
+/**
+ * @param {Object} params
+ * @param {String} params.assetId
+ * @param {Object} [params.asset] - entire asset object for 'create' and 'update' actions
+ * @param {Object} [params.doc] - fields not stored in database, like `ratingsStats`,
+ *   partial document for 'patch' action or merged into the asset document for other actions
+ * @param {String} params.action - 'create', 'update', 'patch' or 'delete'
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+function syncAssetsWithElasticsearch ({ assetId, asset, doc, action, platformId, env }) {
+  assetActionsQueue.push({ assetId, asset, doc, action, platformId, env })
 
   setTimeout(() => _syncAssets(), syncQueueDurationMs)
 }
@@ -101,10 +112,21 @@ function getUpdateBulkBody (platformId, env, chunks, reindexingTask) {
       if (reindexingTask) {
         body.push({ delete: { _index: newIndex, _id: assetId } })
       }
+    } else if (action === 'patch') {
+      if (!chunk.doc) return
+
+      // no upsert so removed assets aren't indexed again
+      body.push({ update: { _index: index, _id: assetId } })
+      body.push({ doc: chunk.doc })
+
+      if (reindexingTask) {
+        body.push({ update: { _index: newIndex, _id: assetId } })
+        body.push({ doc: chunk.doc })
+      }
     } else {
       if (!asset) return
 
-      const { doc, reindexingDoc } = transformAssetIntoDoc(asset, reindexingTask)
+      const { doc, reindexingDoc } = transformAssetIntoDoc(asset, reindexingTask, chunk.doc)
 
       body.push({ update: { _index: index, _id: assetId } })
       body.push({ doc, doc_as_upsert: true })
@@ -120,7 +142,7 @@ function getUpdateBulkBody (platformId, env, chunks, reindexingTask) {
   return body
 }
 
-function transformAssetIntoDoc (asset, reindexingTask) {
+function transformAssetIntoDoc (asset, reindexingTask, extraDoc) {
   const fields = [
     'createdDate',
     'name',
@@ -148,6 +170,8 @@ function transformAssetIntoDoc (asset, reindexingTask) {
     }
   })
 
+  if (extraDoc) Object.assign(doc, extraDoc)
+
   if (!reindexingTask) {
     return {
       doc,
@@ -169,6 +193,44 @@ function transformAssetIntoDoc (asset, reindexingTask) {
   }
 }
 
+/**
+ * Ratings stats aren't stored with assets in database, only indexed for ranking.
+ * They must be computed from rating documents whenever assets are indexed from scratch
+ * (e.g. store synchronization after index initialization), or `_averageRating` ranking is reset.
+ * @param {Object} params
+ * @param {Object} params.Document - Document model of the platform environment
+ * @param {String[]} params.assetsIds
+ * @return {Object} ratings stats by asset ID
+ * @return {Number|null} ratingsStats[assetId].avg - null without ratings
+ * @return {Number} ratingsStats[assetId].count
+ */
+async function getAssetsRatingsStats ({ Document, assetsIds }) {
+  if (!assetsIds.length) return {}
+
+  const assetIdField = raw('data->>\'assetId\'')
+
+  const results = await Document.query()
+    .select(raw('data->>\'assetId\' AS "assetId"'))
+    .where({ type: 'rating' })
+    .whereIn(assetIdField, assetsIds)
+    .groupBy(assetIdField)
+    .avg({ avg: raw('(data->>\'score\')::REAL') })
+    .count({ count: '*' })
+
+  const indexedResults = _.keyBy(results, 'assetId')
+
+  return assetsIds.reduce((memo, assetId) => {
+    const result = indexedResults[assetId]
+
+    memo[assetId] = {
+      avg: result && !_.isNil(result.avg) ? Number(result.avg) : null,
+      count: result ? Number(result.count) : 0
+    }
+    return memo
+  }, {})
+}
+
 module.exports = {
-  syncAssetsWithElasticsearch
+  syncAssetsWithElasticsearch,
+  getAssetsRatingsStats
 }
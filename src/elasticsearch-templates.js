@@ -185,6 +185,17 @@ function getAssetMappingTemplate (customAttributes = []) {
       platformData: {
         type: 'object'
       },
+      // not stored with assets in database, synchronized when ratings change
+      ratingsStats: {
+        properties: {
+          avg: {
+            type: 'float'
+          },
+          count: {
+            type: 'integer'
+          }
+        }
+      },
 
       // All text fields are copied into `allContent` field to enable term-centric instead of field-centric search
       // https://www.elastic.co/guide/en/elasticsearch/guide/current/field-centric.html
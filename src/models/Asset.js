@@ -71,6 +71,11 @@ class Asset extends Base {
           type: 'number',
           default: 0
         },
+        pricingRules: {
+          type: ['array', 'null'],
+          items: { type: 'object' },
+          default: null
+        },
         customAttributes: {
           type: 'object',
           default: {}
@@ -104,11 +109,13 @@ class Asset extends Base {
         'quantity',
         'currency',
         'price',
+        'pricingRules',
         'customAttributes',
         'metadata',
         'platformData',
 
         'available', // attribute that is added in search when availability filters are disabled
+        'totalPrice', // attribute that is added in search when start and end dates are provided
         'livemode' // added in the expose function
       ]
     }
@@ -54,6 +54,10 @@ class AssetType extends Base {
               minimum: 0,
               maximum: 100,
               default: 0
+            },
+            rules: {
+              type: ['array', 'null'],
+              items: { type: 'object' }
             }
           },
           default: {}
@@ -73,6 +77,24 @@ class AssetType extends Base {
             maxDuration: {
               type: ['object', 'null'],
               default: null
+            },
+            // preparation or cleaning time blocking availability around transactions
+            bufferBefore: {
+              type: ['object', 'null'],
+              default: null
+            },
+            bufferAfter: {
+              type: ['object', 'null'],
+              default: null
+            },
+            // lead-time rules on transaction start date
+            minNotice: {
+              type: ['object', 'null'],
+              default: null
+            },
+            maxHorizon: {
+              type: ['object', 'null'],
+              default: null
             }
           },
           default: {}
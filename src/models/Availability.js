@@ -51,6 +51,15 @@ class Availability extends Base {
           type: ['object', 'null'],
           default: null
         },
+        externalId: {
+          type: ['string', 'null'],
+          maxLength: 255,
+          default: null
+        },
+        externalSource: {
+          type: ['string', 'null'],
+          default: null
+        },
         metadata: {
           type: 'object',
           default: {}
@@ -76,6 +85,8 @@ class Availability extends Base {
         'recurringPattern',
         'recurringTimezone',
         'recurringDuration',
+        'externalId', // imported calendar event UID
+        'externalSource', // 'upload' or calendar feed ID
         'metadata',
         'platformData',
 
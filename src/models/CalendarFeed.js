@@ -0,0 +1,70 @@
+const Base = require('./Base')
+
+class CalendarFeed extends Base {
+  static get tableName () {
+    return 'calendarFeed'
+  }
+
+  static get idPrefix () {
+    return 'calf'
+  }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string'
+        },
+        createdDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        updatedDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        assetId: {
+          type: 'string'
+        },
+        url: {
+          type: 'string'
+        },
+        lastSyncDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        metadata: {
+          type: 'object',
+          default: {}
+        },
+        platformData: {
+          type: 'object',
+          default: {}
+        }
+      }
+    }
+  }
+
+  static getAccessFields (access) {
+    const accessFields = {
+      api: [
+        'id',
+        'createdDate',
+        'updatedDate',
+        'assetId',
+        'url',
+        'lastSyncDate',
+        'metadata',
+        'platformData',
+
+        'livemode' // added in the expose function
+      ]
+    }
+
+    return accessFields[access]
+  }
+}
+
+module.exports = CalendarFeed
@@ -170,7 +170,8 @@ class Event extends Base {
 
   $beforeUpdate () {}
 
-  static async createEvent (params, { platformId, env, queryContext } = {}) {
+  // `req` is optional, it is used to propagate the chain of workflows that led to the event
+  static async createEvent (params, { platformId, env, queryContext, req } = {}) {
     const { getModels } = require('./index')
 
     const { Event } = await getModels({ platformId, env })
@@ -188,6 +189,17 @@ class Event extends Base {
       emitter: 'core'
     }, params)
 
+    // chain of workflows that led to the event, to prevent workflows from triggering each other endlessly
+    const workflowChain = (req && req._workflowChain) || []
+
+    // Event table is a compressed hypertable so the chain is saved in system namespace
+    // rather than in a new column, so it can be read when the event is processed again later
+    if (workflowChain.length) {
+      newParams.metadata = _.merge({}, newParams.metadata, {
+        [Event.getNamespaceKey('system')]: { workflowChain }
+      })
+    }
+
     // remove the attribute "livemode" added in the expose function
     if (newParams.changesRequested && typeof newParams.changesRequested.livemode !== 'undefined') {
       delete newParams.changesRequested.livemode
@@ -200,6 +212,14 @@ class Event extends Base {
     return event
   }
 
+  /**
+   * @param {Object} event
+   * @return {String[]} IDs of workflows whose API calls led to the event, oldest first
+   */
+  static getWorkflowChain (event) {
+    return _.get(event, ['metadata', this.getNamespaceKey('system'), 'workflowChain']) || []
+  }
+
   static getAccessFields (access) {
     const accessFields = {
       api: [
@@ -259,6 +279,8 @@ class Event extends Base {
 
       'assets__searched',
 
+      'saved_search__results_matched',
+
       'custom_attribute__created',
       'custom_attribute__updated',
       'custom_attribute__deleted',
@@ -278,12 +300,18 @@ class Event extends Base {
       'order__created',
       'order__updated',
 
+      'promotion__created',
+      'promotion__updated',
+      'promotion__deleted',
+      'promotion__redeemed',
+
       'token__check_requested',
       'token__check_confirmed',
 
       'transaction__created',
       'transaction__updated',
       'transaction__status_changed',
+      'transaction__hold_expired',
 
       'user__created',
       'user__updated',
@@ -292,6 +320,10 @@ class Event extends Base {
       'user__organization_left',
       'user__organization_rights_changed',
 
+      'waitlist__created',
+      'waitlist__deleted',
+      'waitlist__slot_offered',
+
       'password__changed',
       'password__reset_requested',
       'password__reset_confirmed'
@@ -341,6 +373,7 @@ class Event extends Base {
         asset__quantity_changed: 'quantity',
         asset__pricing_changed: [
           'price',
+          'pricingRules',
           'currency'
         ],
         asset__activated: (updateAttrs, asset) => {
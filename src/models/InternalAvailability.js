@@ -7,12 +7,15 @@ const createError = require('http-errors')
 
 const {
   getAvailabilityPeriodGraph,
-  getInternalAvailabilityPeriods
+  getInternalAvailabilityPeriods,
+  getBufferedPeriod
 } = require('../util/availability')
 const {
   shouldAffectAvailability,
-  isStatusBlockingAvailability
+  isStatusBlockingAvailability,
+  isActiveTransactionHold
 } = require('../util/transaction')
+const { isActiveWaitlistHold } = require('../util/waitlist')
 
 class InternalAvailability extends Base {
   static get tableName () {
@@ -69,24 +72,30 @@ class InternalAvailability extends Base {
       InternalAvailability,
       Asset,
       Availability,
-      AssetType
+      AssetType,
+      Waitlist
     } = await getModels({ platformId, env })
 
+    const now = new Date().toISOString()
+
     const [
       assets,
       assetTypes,
       allAssetAvailabilities,
-      allTransactions
+      allTransactions,
+      allWaitlists
     ] = await Promise.all([
       Asset.query().whereIn('id', assetsIds),
       AssetType.query(),
       Availability.query().whereIn('assetId', assetsIds),
-      Transaction.query().whereIn('assetId', assetsIds)
+      Transaction.query().whereIn('assetId', assetsIds),
+      Waitlist.query().whereIn('assetId', assetsIds).where({ status: 'offered' })
     ])
 
     const indexedAssetTypes = _.keyBy(assetTypes, 'id')
     const indexedAssetAvailabilities = _.groupBy(allAssetAvailabilities, 'assetId')
     const indexedTransactions = _.groupBy(allTransactions, 'assetId')
+    const indexedWaitlists = _.groupBy(allWaitlists, 'assetId')
 
     await bluebird.map(assets, async (asset) => {
       const assetType = indexedAssetTypes[asset.assetTypeId]
@@ -102,14 +111,26 @@ class InternalAvailability extends Base {
       })
 
       let transactions = indexedTransactions[asset.id] || []
-      transactions = transactions.filter(transaction => shouldAffectAvailability(transaction, { checkStatus: false }))
+      transactions = transactions
+        .filter(transaction => shouldAffectAvailability(transaction, { checkStatus: false }))
+        .map(transaction => getBufferedPeriod(transaction, assetType.timing))
 
       const transactionsById = _.keyBy(transactions, 'id')
 
+      // waitlist holds block availability like transactions, whatever the unavailability statuses
+      const holds = (indexedWaitlists[asset.id] || [])
+        .filter(waitlist => isActiveWaitlistHold(waitlist, now))
+        .map(waitlist => getBufferedPeriod({
+          waitlistId: waitlist.id,
+          startDate: waitlist.startDate,
+          endDate: waitlist.endDate,
+          quantity: waitlist.quantity
+        }, assetType.timing))
+
       const {
         chunkAvailabilities,
         chunkTransactions
-      } = getInternalAvailabilityPeriods(availabilityGraph, transactions)
+      } = getInternalAvailabilityPeriods(availabilityGraph, transactions.concat(holds))
 
       const knex = InternalAvailability.knex()
 
@@ -135,11 +156,23 @@ class InternalAvailability extends Base {
 
         // add computed chunk transactions to speed up availability query
         await bluebird.map(chunkTransactions, async (chunkTransaction) => {
-          const { id, status, startDate, endDate, quantity, assetTypeId } = chunkTransaction
+          const { id, status, startDate, endDate, quantity, assetTypeId, waitlistId } = chunkTransaction
 
           const dbStartDate = startDate || '-infinity'
           const dbEndDate = endDate || 'infinity'
 
+          // without transaction ID, held quantity is always removed from available quantity
+          if (waitlistId) {
+            await InternalAvailability.query(trx).insert({
+              assetId: asset.id,
+              datesRange: raw('tstzrange(?, ?)', [dbStartDate, dbEndDate]),
+              startDate: dbStartDate,
+              endDate: dbEndDate,
+              quantity: -quantity
+            })
+            return
+          }
+
           const transaction = transactionsById[id]
 
           await InternalAvailability.query(trx).insert({
@@ -147,7 +180,7 @@ class InternalAvailability extends Base {
             transactionId: id,
             transactionStatus: status,
             assetTypeId,
-            unavailable: isStatusBlockingAvailability(transaction, status),
+            unavailable: isStatusBlockingAvailability(transaction, status) || isActiveTransactionHold(transaction, now),
             datesRange: raw('tstzrange(?, ?)', [dbStartDate, dbEndDate]),
             startDate: dbStartDate,
             endDate: dbEndDate,
@@ -165,6 +198,8 @@ class InternalAvailability extends Base {
 
     const transactions = await Transaction.query().whereIn('id', transactionIds)
 
+    const now = new Date().toISOString()
+
     await bluebird.each(transactions, async (transaction) => {
       const shouldAffect = shouldAffectAvailability(transaction, { checkStatus: false })
       if (!shouldAffect) return
@@ -172,7 +207,8 @@ class InternalAvailability extends Base {
       await InternalAvailability.query()
         .patch({
           transactionStatus: transaction.status,
-          unavailable: isStatusBlockingAvailability(transaction, transaction.status)
+          unavailable: isStatusBlockingAvailability(transaction, transaction.status) ||
+            isActiveTransactionHold(transaction, now)
         })
         .where({ transactionId: transaction.id })
     })
@@ -0,0 +1,121 @@
+const Base = require('./Base')
+
+class Promotion extends Base {
+  static get tableName () {
+    return 'promotion'
+  }
+
+  static get idPrefix () {
+    return 'prmo'
+  }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string'
+        },
+        createdDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        updatedDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        name: {
+          type: ['string', 'null'],
+          maxLength: 255,
+          default: null
+        },
+        code: {
+          type: 'string',
+          maxLength: 255
+        },
+        active: {
+          type: 'boolean',
+          default: true
+        },
+        discountPercent: {
+          type: ['number', 'null'],
+          default: null
+        },
+        discountValue: {
+          type: ['number', 'null'],
+          default: null
+        },
+        currency: {
+          type: ['string', 'null'],
+          default: null
+        },
+        startDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        endDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        maxUses: {
+          type: ['integer', 'null'],
+          default: null
+        },
+        maxUsesPerUser: {
+          type: ['integer', 'null'],
+          default: null
+        },
+        assetTypesIds: {
+          type: ['array', 'null'],
+          items: { type: 'string' },
+          default: null
+        },
+        categoriesIds: {
+          type: ['array', 'null'],
+          items: { type: 'string' },
+          default: null
+        },
+        metadata: {
+          type: 'object',
+          default: {}
+        },
+        platformData: {
+          type: 'object',
+          default: {}
+        }
+      }
+    }
+  }
+
+  static getAccessFields (access) {
+    const accessFields = {
+      api: [
+        'id',
+        'createdDate',
+        'updatedDate',
+        'name',
+        'code',
+        'active',
+        'discountPercent',
+        'discountValue',
+        'currency',
+        'startDate',
+        'endDate',
+        'maxUses',
+        'maxUsesPerUser',
+        'assetTypesIds',
+        'categoriesIds',
+        'metadata',
+        'platformData',
+
+        'livemode' // added in the expose function
+      ]
+    }
+
+    return accessFields[access]
+  }
+}
+
+module.exports = Promotion
@@ -19,6 +19,7 @@ class SavedSearch extends Base {
         'userId',
         'search',
         'active',
+        'lastAlertedDate',
         'metadata',
         'platformData',
 
@@ -42,7 +43,8 @@ class SavedSearch extends Base {
       data: {
         name: savedSearch.name,
         search: savedSearch.search,
-        active: savedSearch.active
+        active: savedSearch.active,
+        lastAlertedDate: savedSearch.lastAlertedDate
       },
       metadata: savedSearch.metadata,
       platformData: savedSearch.platformData
@@ -66,6 +68,7 @@ class SavedSearch extends Base {
       userId: setNullIfUndefined(doc.authorId),
       search: doc.data.search,
       active: doc.data.active,
+      lastAlertedDate: setNullIfUndefined(doc.data.lastAlertedDate),
       metadata: doc.metadata,
       platformData: doc.platformData
     }
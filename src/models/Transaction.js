@@ -109,6 +109,38 @@ class Transaction extends Base {
           type: ['number', 'null'],
           default: null
         },
+        promotionId: {
+          type: ['string', 'null'],
+          default: null
+        },
+        promotionSnapshot: {
+          type: ['object', 'null'],
+          default: null
+        },
+        discountAmount: {
+          type: ['number', 'null'],
+          default: null
+        },
+        taxMode: {
+          type: ['string', 'null'],
+          default: null
+        },
+        takerTaxRate: {
+          type: ['number', 'null'],
+          default: null
+        },
+        takerTaxAmount: {
+          type: ['number', 'null'],
+          default: null
+        },
+        ownerTaxRate: {
+          type: ['number', 'null'],
+          default: null
+        },
+        ownerTaxAmount: {
+          type: ['number', 'null'],
+          default: null
+        },
         currency: {
           type: ['string', 'null'],
           default: null
@@ -127,6 +159,11 @@ class Transaction extends Base {
           type: ['string', 'null'],
           default: null
         },
+        holdEndDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
         metadata: {
           type: 'object',
           default: {}
@@ -163,10 +200,19 @@ class Transaction extends Base {
         'ownerAmount',
         'takerAmount',
         'platformAmount',
+        'priceBreakdown', // only computed in transaction preview
+        'promotionId',
+        'discountAmount',
+        'taxMode',
+        'takerTaxRate',
+        'takerTaxAmount',
+        'ownerTaxRate',
+        'ownerTaxAmount',
         'currency',
         'completedDate',
         'cancelledDate',
         'cancellationReason',
+        'holdEndDate',
         'metadata',
         'platformData',
 
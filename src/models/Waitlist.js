@@ -0,0 +1,105 @@
+const Base = require('./Base')
+
+class Waitlist extends Base {
+  static get tableName () {
+    return 'waitlist'
+  }
+
+  static get idPrefix () {
+    return 'wait'
+  }
+
+  static get jsonSchema () {
+    return {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string'
+        },
+        createdDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        updatedDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        assetId: {
+          type: 'string'
+        },
+        userId: {
+          type: 'string'
+        },
+        startDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        endDate: {
+          type: 'string',
+          maxLength: 24
+        },
+        quantity: {
+          type: 'integer',
+          default: 1
+        },
+        status: {
+          type: 'string',
+          default: 'waiting'
+        },
+        offeredDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        holdEndDate: {
+          type: ['string', 'null'],
+          maxLength: 24,
+          default: null
+        },
+        transactionId: {
+          type: ['string', 'null'],
+          default: null
+        },
+        metadata: {
+          type: 'object',
+          default: {}
+        },
+        platformData: {
+          type: 'object',
+          default: {}
+        }
+      }
+    }
+  }
+
+  static getAccessFields (access) {
+    const accessFields = {
+      api: [
+        'id',
+        'createdDate',
+        'updatedDate',
+        'assetId',
+        'userId',
+        'startDate',
+        'endDate',
+        'quantity',
+        'status',
+        'offeredDate',
+        'holdEndDate',
+        'transactionId',
+        'metadata',
+        'platformData',
+
+        'livemode' // added in the expose function
+      ]
+    }
+
+    return accessFields[access]
+  }
+
+  static isSelf (waitlist, userId) {
+    return waitlist.userId === userId
+  }
+}
+
+module.exports = Waitlist
@@ -32,7 +32,16 @@ class Webhook extends Base {
           type: 'string'
         },
         event: {
-          type: 'string'
+          type: ['string', 'null']
+        },
+        events: {
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        },
+        filter: {
+          type: ['string', 'null']
         },
         apiVersion: {
           type: 'string'
@@ -41,6 +50,15 @@ class Webhook extends Base {
           type: 'boolean',
           default: true
         },
+        secret: {
+          type: 'string'
+        },
+        stats: {
+          type: 'object',
+          default: {
+            nbConsecutiveFailures: 0
+          }
+        },
         metadata: {
           type: 'object',
           default: {}
@@ -62,8 +80,12 @@ class Webhook extends Base {
         'name',
         'targetUrl',
         'event',
+        'events',
+        'filter',
         'apiVersion',
         'active',
+        'secret',
+        'stats',
         'logs', // not in model, populated on the fly from WebhookLog Model
         'metadata',
         'platformData',
@@ -74,6 +96,17 @@ class Webhook extends Base {
 
     return accessFields[access]
   }
+
+  static exposeTransform (element, field, { options }) {
+    switch (field) {
+      case 'secret':
+        // signing secret is only revealed when it is generated (creation or rotation)
+        if (!options || !options.revealSecret) {
+          delete element.secret
+        }
+        break
+    }
+  }
 }
 
 module.exports = Webhook
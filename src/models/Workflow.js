@@ -40,7 +40,15 @@ class Workflow extends Base {
           maxLength: 255
         },
         event: {
-          type: 'string'
+          type: ['string', 'null']
+        },
+        recurringPattern: {
+          type: ['string', 'null'],
+          default: null
+        },
+        recurringTimezone: {
+          type: ['string', 'null'],
+          default: null
         },
         run: {
           type: ['array', 'null'],
@@ -86,6 +94,8 @@ class Workflow extends Base {
         'context',
         'notifyUrl',
         'event',
+        'recurringPattern',
+        'recurringTimezone',
         'run',
         'computed',
         'active',
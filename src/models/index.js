@@ -16,6 +16,7 @@ const models = {
   AuthMean: require('./AuthMean'),
   AuthToken: require('./AuthToken'),
   Availability: require('./Availability'),
+  CalendarFeed: require('./CalendarFeed'),
   Category: require('./Category'),
   Config: require('./Config'),
   CustomAttribute: require('./CustomAttribute'),
@@ -24,11 +25,13 @@ const models = {
   Event: require('./Event'),
   Message: require('./Message'),
   Order: require('./Order'),
+  Promotion: require('./Promotion'),
   Role: require('./Role'),
   SavedSearch: require('./SavedSearch'),
   Task: require('./Task'),
   Transaction: require('./Transaction'),
   User: require('./User'),
+  Waitlist: require('./Waitlist'),
   Webhook: require('./Webhook'),
   WebhookLog: require('./WebhookLog'),
   Workflow: require('./Workflow'),
@@ -49,9 +52,11 @@ const mapIdPrefixToModelNames = {
   [models.Entry.idPrefix]: 'Entry',
   [models.Message.idPrefix]: 'Message',
   [models.Order.idPrefix]: 'Order',
+  [models.Promotion.idPrefix]: 'Promotion',
   [models.Transaction.idPrefix]: 'Transaction',
   [models.User.idPrefix]: 'User',
-  [models.User.organizationIdPrefix]: 'User'
+  [models.User.organizationIdPrefix]: 'User',
+  [models.Waitlist.idPrefix]: 'Waitlist'
 }
 
 const getObjectTypeFromModelName = (modelName) => {
@@ -210,6 +210,16 @@ const coreListObjectPermissions = [
       'reset'
     ]
   },
+  {
+    object: 'promotion',
+    actions: [
+      'list:all',
+      'read:all',
+      'create:all',
+      'edit:all',
+      'remove:all'
+    ]
+  },
   {
     object: 'role',
     actions: [
@@ -283,6 +293,19 @@ const coreListObjectPermissions = [
       'configOrganization:all'
     ]
   },
+  {
+    object: 'waitlist',
+    actions: [
+      'list',
+      'list:all',
+      'read',
+      'read:all',
+      'create',
+      'create:all',
+      'remove',
+      'remove:all'
+    ]
+  },
   {
     object: 'webhook',
     actions: [
@@ -290,7 +313,8 @@ const coreListObjectPermissions = [
       'read:all',
       'create:all',
       'edit:all',
-      'remove:all'
+      'remove:all',
+      'replay:all'
     ]
   },
   {
@@ -307,7 +331,8 @@ const coreListObjectPermissions = [
       'read:all',
       'create:all',
       'edit:all',
-      'remove:all'
+      'remove:all',
+      'test:all'
     ]
   },
   {
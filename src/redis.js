@@ -1,6 +1,8 @@
 const redis = require('redis')
 const _ = require('lodash')
 const bluebird = require('bluebird')
+const createError = require('http-errors')
+const Redlock = require('redlock')
 
 bluebird.promisifyAll(redis)
 
@@ -10,6 +12,17 @@ const { isValidEnvironment } = require('./util/environment')
 const isTestEnv = process.env.NODE_ENV === 'test'
 
 let client
+let redlock
+
+// hash keys of jobs scheduled with `setDueJob`
+const dueJobsKeys = {
+  delayedWorkflowRuns: 'stelace_workflow_delayed_runs',
+  transactionHolds: 'stelace_transaction_holds',
+  transactionTimers: 'stelace_transaction_timers',
+  waitlistHolds: 'stelace_waitlist_holds',
+  webhookDeliveries: 'stelace_webhook_deliveries'
+}
+
 const dataKeys = [
   'auth',
   'elasticsearch',
@@ -414,15 +427,351 @@ async function removeStelaceTaskExecutionDates ({ taskId }) {
   if (keys.length) await client.delAsync(keys)
 }
 
+/**
+ * Schedule a job to process once its execution date is passed, replacing any job with the same ID.
+ * Jobs are stored in the `key` hash while the `${key}_dates` sorted set indexes them by execution timestamp.
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} jobId - unique for the key
+ * @param {Object} job - passed to the process function of the cron
+ * @param {String} job.executionDate
+ */
+async function setDueJob ({ platformId, env, key, jobId, job }) {
+  if (!key) throw new Error('Expected due jobs key')
+  if (!jobId) throw new Error('Expected job ID')
+  if (!job.executionDate) throw new Error('Expected job execution date')
+
+  const client = _getClient({ platformId, env })
+
+  const payload = {
+    platformId,
+    env,
+    jobId,
+    job
+  }
+
+  const timestamp = new Date(job.executionDate).getTime()
+
+  await client.hsetAsync(key, jobId, JSON.stringify(payload))
+  await client.zaddAsync(`${key}_dates`, [timestamp, jobId])
+}
+
+/**
+ * Returns jobs whose execution date is passed
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} date
+ * @param {Number} [limit = 100]
+ * @return {Object[]} jobs with `platformId`, `env`, `jobId` and `job` properties,
+ *   and `nbFailures` for jobs scheduled again with `retryDueJob`
+ */
+async function getDueJobs ({ key, date, limit = 100 }) {
+  const client = getRedisClient()
+
+  const timestamp = new Date(date).getTime()
+
+  const jobIds = await client.zrangebyscoreAsync(
+    `${key}_dates`,
+    0,
+    timestamp,
+    'LIMIT',
+    0,
+    limit
+  )
+  if (!jobIds.length) return []
+
+  const jobs = await client.hmgetAsync(key, jobIds)
+
+  return jobs.filter(Boolean).map(JSON.parse)
+}
+
+/**
+ * Removes a scheduled job.
+ * Return value can be used to claim a job, only one caller can successfully remove it.
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} jobId
+ * @return {Boolean} true if the job was removed by this call
+ */
+async function removeDueJob ({ key, jobId }) {
+  if (!key) throw new Error('Expected due jobs key')
+  if (!jobId) throw new Error('Expected job ID')
+
+  const client = getRedisClient()
+
+  const nbRemoved = await client.zremAsync(`${key}_dates`, jobId)
+  await client.hdelAsync(key, jobId)
+
+  return nbRemoved > 0
+}
+
+/**
+ * Schedule again a job that failed to process, unless a job with the same ID
+ * has been scheduled in the meantime, like the next timed transition of a transaction.
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} key - from `dueJobsKeys`
+ * @param {String} jobId
+ * @param {Object} job - unchanged so the process function gets the same job
+ * @param {Number} nbFailures
+ * @param {String} executionDate - retry date
+ * @return {Boolean} true if the job was scheduled again
+ */
+async function retryDueJob ({ platformId, env, key, jobId, job, nbFailures, executionDate }) {
+  if (!key) throw new Error('Expected due jobs key')
+  if (!jobId) throw new Error('Expected job ID')
+  if (!executionDate) throw new Error('Expected job execution date')
+
+  const client = _getClient({ platformId, env })
+
+  const payload = {
+    platformId,
+    env,
+    jobId,
+    job,
+    nbFailures
+  }
+
+  const timestamp = new Date(executionDate).getTime()
+
+  const added = await client.hsetnxAsync(key, jobId, JSON.stringify(payload))
+  if (!added) return false
+
+  await client.zaddAsync(`${key}_dates`, [timestamp, jobId])
+  return true
+}
+
+/**
+ * Remove all jobs of the platform environment scheduled with `setDueJob`
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} key - from `dueJobsKeys`
+ * @returns {Array} jobIds removed
+ */
+async function removePlatformDueJobs ({ platformId, env, key }) {
+  if (!key) throw new Error('Expected due jobs key')
+
+  const client = _getClient({ platformId, env })
+
+  const platformRegex = new RegExp(`"platformId":"${platformId}"`)
+  const envRegex = new RegExp(`"env":"${env}"`)
+  const jobIds = await _scanAndFilterTasks({
+    client,
+    hashKey: key,
+    filterFn: r => platformRegex.test(r) && envRegex.test(r),
+    mapFn: j => j.jobId
+  })
+
+  if (jobIds.length) {
+    await client.zremAsync(`${key}_dates`, ...jobIds)
+    await client.hdelAsync(key, ...jobIds)
+  }
+  return jobIds
+}
+
+/**
+ * Record an asset change so that saved searches can be evaluated against it later.
+ * Changes are stored in a sorted set indexed by processing timestamp, initially the change timestamp,
+ * each change is a distinct member so it can be removed once processed.
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String} assetId
+ * @param {Object} [asset] - asset fields after change, like `assetTypeId`
+ * @param {String} date - change date
+ */
+async function addSavedSearchChangedAsset ({ platformId, env, assetId, asset, date }) {
+  if (!assetId) throw new Error('Expected Asset ID')
+  if (!date) throw new Error('Expected change date')
+
+  const client = _getClient({ platformId, env })
+
+  const member = JSON.stringify({ platformId, env, assetId, asset, date })
+  const timestamp = new Date(date).getTime()
+
+  await client.zaddAsync('stelace_saved_search_changed_assets', [timestamp, member])
+}
+
+/**
+ * Returns asset changes to process before the provided date, oldest first
+ * @param {String} date
+ * @param {Number} [limit = 1000]
+ * @return {Object[]} changes with `id`, `platformId`, `env`, `assetId`, `asset` and `date` properties
+ */
+async function getSavedSearchChangedAssets ({ date, limit = 1000 }) {
+  const client = getRedisClient()
+
+  const timestamp = new Date(date).getTime()
+
+  const members = await client.zrangebyscoreAsync(
+    'stelace_saved_search_changed_assets',
+    0,
+    timestamp,
+    'LIMIT',
+    0,
+    limit
+  )
+
+  return members.map(member => Object.assign(JSON.parse(member), { id: member }))
+}
+
+/**
+ * Removes processed asset changes, changes recorded in the meantime are kept
+ * even if they happened before processed ones.
+ * @param {String[]} ids - changes IDs
+ */
+async function removeSavedSearchChangedAssets ({ ids }) {
+  if (!ids || !ids.length) return
+
+  const client = getRedisClient()
+
+  await client.zremAsync('stelace_saved_search_changed_assets', ids)
+}
+
+/**
+ * Postpones the processing of asset changes that failed to be processed,
+ * so they don't prevent next changes from being processed meanwhile.
+ * Change dates are unchanged.
+ * @param {String[]} ids - changes IDs
+ * @param {String} date - new processing date
+ */
+async function postponeSavedSearchChangedAssets ({ ids, date }) {
+  if (!ids || !ids.length) return
+
+  const client = getRedisClient()
+
+  const timestamp = new Date(date).getTime()
+
+  // XX: only update changes that still exist
+  await client.zaddAsync(
+    'stelace_saved_search_changed_assets',
+    ['XX', ..._.flatten(ids.map(id => [timestamp, id]))]
+  )
+}
+
+/**
+ * Returns all workflows triggered by the minute cron based on their schedule config
+ * @param {String} [platformId] - optional filter
+ * @param {String} [env] - optional filter
+ */
+async function getAllScheduledWorkflows ({ platformId, env } = {}) {
+  const platformRegex = new RegExp(`"platformId":"${platformId}"`)
+  const envRegex = new RegExp(`"env":"${env}"`)
+  return _scanAndFilterTasks({
+    hashKey: 'stelace_scheduled_workflows',
+    idPrefix: 'wfw',
+    filterFn: r =>
+      (!platformId || platformRegex.test(r)) && (!env || envRegex.test(r))
+  })
+}
+
+/**
+ * Add/Replace scheduled workflow by ID
+ * @param {String} platformId
+ * @param {String} env
+ * @param {Object} workflow - only `id`, `recurringPattern` and `recurringTimezone` are needed
+ */
+async function setScheduledWorkflow ({ platformId, env, workflow }) {
+  if (!workflow.id) {
+    throw new Error('Expected Workflow ID')
+  }
+
+  const client = _getClient({ platformId, env })
+
+  const payload = {
+    platformId,
+    env,
+    workflow
+  }
+
+  await client.hsetAsync('stelace_scheduled_workflows', workflow.id, JSON.stringify(payload))
+}
+
+/**
+ * Remove scheduled workflow(s) and their saved run dates
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String|String[]} workflowId - Can be wildcard '*' string to remove all scheduled workflows
+ *   of the platform environment
+ * @returns {Array} workflowIds removed
+ */
+async function removeScheduledWorkflow ({ platformId, env, workflowId }) {
+  if (!workflowId) throw new Error('Expected Workflow ID or wildcard "*"')
+
+  const client = _getClient({ platformId, env })
+  let workflowIds = _.flatten([workflowId])
+
+  if (workflowId === '*') {
+    const platformRegex = new RegExp(`"platformId":"${platformId}"`)
+    const envRegex = new RegExp(`"env":"${env}"`)
+    workflowIds = await _scanAndFilterTasks({
+      client,
+      hashKey: 'stelace_scheduled_workflows',
+      idPrefix: 'wfw',
+      filterFn: r => platformRegex.test(r) && envRegex.test(r),
+      mapFn: w => w.workflow.id
+    })
+  }
+
+  if (workflowIds.length) {
+    await client.hdelAsync('stelace_scheduled_workflows', ...workflowIds)
+    await client.delAsync(workflowIds.map(id => `stelace_scheduled_workflows_run_date:${id}`))
+  }
+  return workflowIds
+}
+
+/**
+ * Checks if a scheduled workflow has been run at provided date
+ * @param {String} workflowId
+ * @param {String} scheduleDate
+ */
+async function didScheduledWorkflowRun ({ workflowId, scheduleDate }) {
+  if (!workflowId) {
+    throw new Error('Expected Workflow ID')
+  }
+
+  const client = getRedisClient()
+
+  const res = await client.zrankAsync(`stelace_scheduled_workflows_run_date:${workflowId}`, scheduleDate)
+  return res !== null
+}
+
+/**
+ * Add a new run date for scheduled workflow
+ * @param {String} workflowId
+ * @param {String} scheduleDate
+ * @param {String} [nbSavedDates = 5] - only keep this number of dates to save space
+ */
+async function addScheduledWorkflowRunDate ({ workflowId, scheduleDate, nbSavedDates = 5 }) {
+  if (!workflowId) {
+    throw new Error('Expected Workflow ID')
+  }
+
+  const client = getRedisClient()
+
+  const timestamp = new Date(scheduleDate).getTime()
+
+  const key = `stelace_scheduled_workflows_run_date:${workflowId}`
+
+  await client.zaddAsync(key, [timestamp, scheduleDate])
+  await client.zremrangebyrankAsync(key, 0, -nbSavedDates - 1)
+}
+
 /**
  * Use HSCAN to retrieve redis `stelace_tasks` hash values matching `filterFn`.
  * @param {Function} [filterFn] - Invoked over all tasks of __all__ platforms,
  *   so that you have to pay attention to performance.
  * @param {Function} [mapFn] - Optional transformation of task objects
  * @param {Object} [redisClient] - redis client
+ * @param {String} [hashKey = 'stelace_tasks'] - also used for scheduled workflows and due jobs
+ * @param {String} [idPrefix = 'task'] - prefix of hash fields to ignore
  * @private
  */
-async function _scanAndFilterTasks ({ filterFn = _ => _, mapFn = _ => _, client }) {
+async function _scanAndFilterTasks ({
+  filterFn = _ => _,
+  mapFn = _ => _,
+  client,
+  hashKey = 'stelace_tasks',
+  idPrefix = 'task'
+}) {
   let tasks = []
   const cl = client || getRedisClient()
 
@@ -431,12 +780,12 @@ async function _scanAndFilterTasks ({ filterFn = _ => _, mapFn = _ => _, client
     // and we avoid loading all tasks of all platforms in memory (COUNT).
     // https://redis.io/commands/scan
     // Unfortunately can’t use MATCH pattern option for hash values so we filter manually
-    const res = await cl.hscanAsync('stelace_tasks', start, 'COUNT', 100)
+    const res = await cl.hscanAsync(hashKey, start, 'COUNT', 100)
     let [cursor, results] = res
     // probably faster than using JSON.parse
     const platformTasks = results
       // TODO: use idPrefix of task model when migrating task related redis functions to Task plugin.
-      .filter(r => !r.startsWith('task_') && filterFn(r))
+      .filter(r => !r.startsWith(`${idPrefix}_`) && filterFn(r))
       .map(JSON.parse)
 
     cursor = parseInt(cursor, 10)
@@ -448,6 +797,43 @@ async function _scanAndFilterTasks ({ filterFn = _ => _, mapFn = _ => _, client
   return tasks
 }
 
+/**
+ * Runs the function while holding locks on the resources, so concurrent requests checking then
+ * consuming the same resource (like promotion uses) are processed one at a time, even across servers.
+ * Requests wait for the locks up to a few seconds.
+ * @param {String} platformId
+ * @param {String} env
+ * @param {String[]} resources - lock keys like 'locks:asset_availability:ast_xxx'
+ * @param {Function} fn - async function run with locks
+ * @return {*} result of the function
+ */
+async function runWithLocks ({ platformId, env, resources, fn }) {
+  if (!resources.length) return fn()
+
+  const client = _getClient({ platformId, env })
+
+  if (!redlock) {
+    redlock = new Redlock([client], { retryCount: 100, retryDelay: 100, retryJitter: 50 })
+  }
+
+  // long enough for the function to finish, but released if the server crashes
+  const lockTtl = 10000
+
+  let lock
+  try {
+    lock = await redlock.lock(resources, lockTtl)
+  } catch (err) {
+    if (err.name === 'LockError') throw createError(409, 'Concurrent request in progress, please retry')
+    throw err
+  }
+
+  try {
+    return await fn()
+  } finally {
+    await lock.unlock().catch(() => {})
+  }
+}
+
 module.exports = {
   getRedisConnection,
   isCompleteRedisConnection,
@@ -474,5 +860,25 @@ module.exports = {
 
   didStelaceTaskExecute,
   addStelaceTaskExecutionDate,
-  removeStelaceTaskExecutionDates
+  removeStelaceTaskExecutionDates,
+
+  dueJobsKeys,
+  setDueJob,
+  getDueJobs,
+  removeDueJob,
+  retryDueJob,
+  removePlatformDueJobs,
+
+  getAllScheduledWorkflows,
+  setScheduledWorkflow,
+  removeScheduledWorkflow,
+  didScheduledWorkflowRun,
+  addScheduledWorkflowRunDate,
+
+  addSavedSearchChangedAsset,
+  getSavedSearchChangedAssets,
+  removeSavedSearchChangedAssets,
+  postponeSavedSearchChangedAssets,
+
+  runWithLocks
 }
@@ -110,6 +110,11 @@ function getUserPermissions () {
       'savedSearch:edit',
       'savedSearch:remove',
 
+      'waitlist:list',
+      'waitlist:read',
+      'waitlist:create',
+      'waitlist:remove',
+
       'user:read',
       'user:edit',
       'user:remove',
@@ -292,6 +297,12 @@ function getPublicPermissions () {
     // 'orderMove:edit',
     // 'orderMove:edit:all',
 
+    // 'promotion:list:all',
+    // 'promotion:read:all',
+    // 'promotion:create:all',
+    // 'promotion:edit:all',
+    // 'promotion:remove:all',
+
     // 'user:list',
     'user:list:all',
     // 'user:read',
@@ -312,16 +323,27 @@ function getPublicPermissions () {
     // 'task:edit:all',
     // 'task:remove:all',
 
+    // 'waitlist:list',
+    // 'waitlist:list:all',
+    // 'waitlist:read',
+    // 'waitlist:read:all',
+    // 'waitlist:create',
+    // 'waitlist:create:all',
+    // 'waitlist:remove',
+    // 'waitlist:remove:all',
+
     // 'webhook:list:all',
     // 'webhook:read:all',
     // 'webhook:create:all',
     // 'webhook:edit:all',
     // 'webhook:remove:all',
+    // 'webhook:replay:all',
 
     // 'workflow:list:all',
     // 'workflow:read:all',
     // 'workflow:create:all',
     // 'workflow:edit:all',
-    // 'workflow:remove:all'
+    // 'workflow:remove:all',
+    // 'workflow:test:all'
   ]
 }
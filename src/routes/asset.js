@@ -90,6 +90,7 @@ function init (server, { middlewares, helpers } = {}) {
       'assetTypeId',
       'quantity',
       'price',
+      'pricingRules',
       'currency',
       'customAttributes',
       'metadata',
@@ -126,6 +127,7 @@ function init (server, { middlewares, helpers } = {}) {
       'assetTypeId',
       'quantity',
       'price',
+      'pricingRules',
       'currency',
       'customAttributes',
       'metadata',
@@ -34,6 +34,33 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.get({
+    name: 'availability.getCalendar',
+    path: '/availabilities/calendar'
+  }, checkPermissions([
+    'availability:list',
+    'availability:list:all'
+  ]), wrapAction(async (req, res) => {
+    const fields = [
+      'assetId',
+      'ownerId',
+      'startDate',
+      'endDate',
+      'timeUnit'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'getCalendar'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
   server.get({
     name: 'availability.list',
     path: '/availabilities'
@@ -149,6 +176,64 @@ function init (server, { middlewares, helpers } = {}) {
     const result = await requester.send(params)
     return result
   }))
+
+  server.get({
+    name: 'availability.exportCalendar',
+    path: '/assets/:id/calendar.ics',
+    manualAuth: true // calendar apps only have the secret token in URL
+  }, wrapAction(async (req, res) => {
+    const { id } = req.params
+    const { token } = req.query
+
+    const params = populateRequesterParams(req)({
+      type: 'exportCalendar',
+      assetId: id,
+      token
+    })
+
+    return requester.send(params)
+  }))
+
+  server.post({
+    name: 'availability.createCalendarToken',
+    path: '/assets/:id/calendar/token'
+  }, checkPermissions([
+    'availability:edit',
+    'availability:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'createCalendarToken',
+      assetId: id
+    })
+
+    return requester.send(params)
+  }))
+
+  server.post({
+    name: 'availability.importCalendar',
+    path: '/availabilities/import'
+  }, checkPermissions([
+    'availability:create',
+    'availability:create:all'
+  ]), wrapAction(async (req, res) => {
+    const fields = [
+      'assetId',
+      'ics'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'importCalendar'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
 }
 
 function start ({ communication }) {
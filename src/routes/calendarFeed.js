@@ -0,0 +1,124 @@
+const _ = require('lodash')
+
+let requester
+
+function init (server, { middlewares, helpers } = {}) {
+  const {
+    checkPermissions
+  } = middlewares
+  const {
+    wrapAction,
+    populateRequesterParams
+  } = helpers
+
+  // calendar feeds import availabilities so they share availability permissions
+
+  server.get({
+    name: 'calendarFeed.list',
+    path: '/calendar-feeds'
+  }, checkPermissions([
+    'availability:list',
+    'availability:list:all'
+  ]), wrapAction(async (req, res) => {
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+
+      'assetId'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'list'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.post({
+    name: 'calendarFeed.create',
+    path: '/calendar-feeds'
+  }, checkPermissions([
+    'availability:create',
+    'availability:create:all'
+  ], { checkData: true }), wrapAction(async (req, res) => {
+    const fields = [
+      'assetId',
+      'url',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'create'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.post({
+    name: 'calendarFeed.sync',
+    path: '/calendar-feeds/:id/sync'
+  }, checkPermissions([
+    'availability:create',
+    'availability:create:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'sync',
+      calendarFeedId: id
+    })
+
+    return requester.send(params)
+  }))
+
+  server.del({
+    name: 'calendarFeed.remove',
+    path: '/calendar-feeds/:id'
+  }, checkPermissions([
+    'availability:remove',
+    'availability:remove:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'remove',
+      calendarFeedId: id
+    })
+
+    return requester.send(params)
+  }))
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  requester = getRequester({
+    name: 'Calendar feed route > Calendar feed Requester',
+    key: 'calendar-feed'
+  })
+}
+
+function stop () {
+  requester.close()
+  requester = null
+}
+
+module.exports = {
+  init,
+  start,
+  stop
+}
@@ -9,6 +9,7 @@ const coreRoutes = {
   authentication: require('./authentication'),
   authorization: require('./authorization'),
   availability: require('./availability'),
+  calendarFeed: require('./calendarFeed'),
   category: require('./category'),
   config: require('./config'),
   customAttribute: require('./customAttribute'),
@@ -17,12 +18,14 @@ const coreRoutes = {
   event: require('./event'),
   message: require('./message'),
   order: require('./order'),
+  promotion: require('./promotion'),
   role: require('./role'),
   search: require('./search'),
   signal: require('./signal'),
   task: require('./task'),
   transaction: require('./transaction'),
   user: require('./user'),
+  waitlist: require('./waitlist'),
   webhook: require('./webhook'),
   workflow: require('./workflow')
 }
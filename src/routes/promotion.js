@@ -0,0 +1,170 @@
+const _ = require('lodash')
+
+let requester
+
+function init (server, { middlewares, helpers } = {}) {
+  const {
+    cache,
+    checkPermissions
+  } = middlewares
+  const {
+    wrapAction,
+    populateRequesterParams
+  } = helpers
+
+  server.get({
+    name: 'promotion.list',
+    path: '/promotions'
+  }, checkPermissions([
+    'promotion:list:all'
+  ]), cache(), wrapAction(async (req, res) => {
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+
+      'id',
+      'createdDate',
+      'updatedDate',
+      'code',
+      'active',
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'list'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.get({
+    name: 'promotion.read',
+    path: '/promotions/:id'
+  }, checkPermissions([
+    'promotion:read:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'read',
+      promotionId: id
+    })
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.post({
+    name: 'promotion.create',
+    path: '/promotions'
+  }, checkPermissions([
+    'promotion:create:all'
+  ], { checkData: true }), wrapAction(async (req, res) => {
+    const fields = [
+      'name',
+      'code',
+      'active',
+      'discountPercent',
+      'discountValue',
+      'currency',
+      'startDate',
+      'endDate',
+      'maxUses',
+      'maxUsesPerUser',
+      'assetTypesIds',
+      'categoriesIds',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'create'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.patch({
+    name: 'promotion.update',
+    path: '/promotions/:id'
+  }, checkPermissions([
+    'promotion:edit:all'
+  ], { checkData: true }), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const fields = [
+      'name',
+      'active',
+      'startDate',
+      'endDate',
+      'maxUses',
+      'maxUsesPerUser',
+      'assetTypesIds',
+      'categoriesIds',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'update',
+      promotionId: id
+    })
+
+    params = Object.assign({}, params, payload)
+
+    const result = await requester.send(params)
+    return result
+  }))
+
+  server.del({
+    name: 'promotion.remove',
+    path: '/promotions/:id'
+  }, checkPermissions([
+    'promotion:remove:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'remove',
+      promotionId: id
+    })
+
+    const result = await requester.send(params)
+    return result
+  }))
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  requester = getRequester({
+    name: 'Promotion route > Promotion Requester',
+    key: 'promotion'
+  })
+}
+
+function stop () {
+  requester.close()
+  requester = null
+}
+
+module.exports = {
+  init,
+  start,
+  stop
+}
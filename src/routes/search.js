@@ -1,3 +1,5 @@
+const _ = require('lodash')
+
 let requester
 
 function init (server, { middlewares, helpers } = {}) {
@@ -29,12 +31,35 @@ function init (server, { middlewares, helpers } = {}) {
       searchQuery: req.body,
       parsedFilter: req._stlParsedSearchFilter, // can be added by Stelace filter DSL parser plugin
       _size: req.query && req.query._size,
-      _validateOnly: req.query && req.query._validateOnly
+      _validateOnly: req.query && req.query._validateOnly,
+      _assetsIds: req.query && req.query._assetsIds
     })
 
     const result = await requester.send(params)
     return result
   }))
+
+  server.get({
+    name: 'search.suggest',
+    path: '/search/suggest'
+  }, checkPermissions([
+    'search:list:all'
+  ]), wrapAction(async (req, res) => {
+    const fields = [
+      'q',
+      'nbResultsPerType'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'suggest'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
 }
 
 function start ({ communication }) {
@@ -1,5 +1,7 @@
 const _ = require('lodash')
 
+const { getListPermissions } = require('../permissions')
+
 let requester
 
 function init (server, { middlewares, helpers } = {}) {
@@ -91,6 +93,7 @@ function init (server, { middlewares, helpers } = {}) {
       'value',
       'ownerAmount',
       'takerAmount',
+      'promotionCode',
       'metadata',
       'platformData'
     ]
@@ -128,6 +131,8 @@ function init (server, { middlewares, helpers } = {}) {
       'ownerAmount',
       'takerAmount',
       'takerId',
+      'promotionCode',
+      'hold',
       'metadata',
       'platformData'
     ]
@@ -143,6 +148,37 @@ function init (server, { middlewares, helpers } = {}) {
     return requester.send(params)
   }))
 
+  server.post({
+    name: 'transaction.checkout',
+    path: '/transactions/checkout'
+  }, checkPermissions([
+    'transaction:create',
+    'transaction:create:all'
+  ], {
+    checkData: true,
+    optionalPermissions: [
+      'order:create',
+      'order:create:all'
+    ]
+  }), wrapAction(async (req, res) => {
+    const fields = [
+      'lines',
+      'takerId',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'checkout'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
   server.patch({
     name: 'transaction.update',
     path: '/transactions/:id'
@@ -188,7 +224,10 @@ function init (server, { middlewares, helpers } = {}) {
   }, checkPermissions([
     'transaction:transition',
     'transaction:transition:all'
-  ]), wrapAction(async (req, res) => {
+  ], {
+    // matched permissions are needed to check transition permissions guards
+    optionalPermissions: getListPermissions()
+  }), wrapAction(async (req, res) => {
     const transactionId = req.params.id
 
     const fields = [
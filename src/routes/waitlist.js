@@ -0,0 +1,130 @@
+const _ = require('lodash')
+
+let requester
+
+function init (server, { middlewares, helpers } = {}) {
+  const {
+    checkPermissions
+  } = middlewares
+  const {
+    wrapAction,
+    populateRequesterParams
+  } = helpers
+
+  server.get({
+    name: 'waitlist.list',
+    path: '/waitlists'
+  }, checkPermissions([
+    'waitlist:list',
+    'waitlist:list:all'
+  ]), wrapAction(async (req, res) => {
+    const fields = [
+      'orderBy',
+      'order',
+      'nbResultsPerPage',
+
+      // cursor pagination
+      'startingAfter',
+      'endingBefore',
+
+      'id',
+      'createdDate',
+      'updatedDate',
+      'assetId',
+      'userId',
+      'status'
+    ]
+
+    const payload = _.pick(req.query, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'list'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.get({
+    name: 'waitlist.read',
+    path: '/waitlists/:id'
+  }, checkPermissions([
+    'waitlist:read',
+    'waitlist:read:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'read',
+      waitlistId: id
+    })
+
+    return requester.send(params)
+  }))
+
+  server.post({
+    name: 'waitlist.create',
+    path: '/waitlists'
+  }, checkPermissions([
+    'waitlist:create',
+    'waitlist:create:all'
+  ], { checkData: true }), wrapAction(async (req, res) => {
+    const fields = [
+      'assetId',
+      'userId',
+      'startDate',
+      'endDate',
+      'quantity',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'create'
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
+  server.del({
+    name: 'waitlist.remove',
+    path: '/waitlists/:id'
+  }, checkPermissions([
+    'waitlist:remove',
+    'waitlist:remove:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'remove',
+      waitlistId: id
+    })
+
+    return requester.send(params)
+  }))
+}
+
+function start ({ communication }) {
+  const { getRequester } = communication
+
+  requester = getRequester({
+    name: 'Waitlist route > Waitlist Requester',
+    key: 'waitlist'
+  })
+}
+
+function stop () {
+  requester.close()
+  requester = null
+}
+
+module.exports = {
+  init,
+  start,
+  stop
+}
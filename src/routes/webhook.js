@@ -77,6 +77,8 @@ function init (server, { middlewares, helpers } = {}) {
       'name',
       'targetUrl',
       'event',
+      'events',
+      'filter',
       'apiVersion',
       'active',
       'metadata',
@@ -106,6 +108,8 @@ function init (server, { middlewares, helpers } = {}) {
       'name',
       'targetUrl',
       'event',
+      'events',
+      'filter',
       'active',
       'metadata',
       'platformData'
@@ -124,6 +128,22 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.post({
+    name: 'webhook.rotateSecret',
+    path: '/webhooks/:id/rotate-secret'
+  }, checkPermissions([
+    'webhook:edit:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'rotateSecret',
+      webhookId: id
+    })
+
+    return requester.send(params)
+  }))
+
   server.del({
     name: 'webhook.remove',
     path: '/webhooks/:id'
@@ -141,6 +161,30 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.post({
+    name: 'webhook.replay',
+    path: '/webhooks/:id/replay'
+  }, checkPermissions([
+    'webhook:replay:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+    const fields = [
+      'eventId',
+      'createdDate'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'replay',
+      webhookId: id
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
   // /////////// //
   // WEBHOOK LOG //
   // /////////// //
@@ -193,6 +237,22 @@ function init (server, { middlewares, helpers } = {}) {
 
     return requester.send(params)
   }))
+
+  server.post({
+    name: 'webhook.replayLog',
+    path: '/webhook-logs/:id/replay'
+  }, checkPermissions([
+    'webhook:replay:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+
+    const params = populateRequesterParams(req)({
+      type: 'replayLog',
+      webhookLogId: id
+    })
+
+    return requester.send(params)
+  }))
 }
 
 function start ({ communication }) {
@@ -80,6 +80,8 @@ function init (server, { middlewares, helpers } = {}) {
       'notifyUrl',
       'context',
       'event',
+      'recurringPattern',
+      'recurringTimezone',
       'run',
       'computed',
       'apiVersion',
@@ -113,6 +115,8 @@ function init (server, { middlewares, helpers } = {}) {
       'notifyUrl',
       'context',
       'event',
+      'recurringPattern',
+      'recurringTimezone',
       'run',
       'computed',
       'apiVersion',
@@ -151,6 +155,31 @@ function init (server, { middlewares, helpers } = {}) {
     return result
   }))
 
+  server.post({
+    name: 'workflow.test',
+    path: '/workflows/:id/test'
+  }, checkPermissions([
+    'workflow:test:all'
+  ]), wrapAction(async (req, res) => {
+    const { id } = req.params
+    const fields = [
+      'eventId',
+      'event',
+      'live'
+    ]
+
+    const payload = _.pick(req.body, fields)
+
+    let params = populateRequesterParams(req)({
+      type: 'test',
+      workflowId: id
+    })
+
+    params = Object.assign({}, params, payload)
+
+    return requester.send(params)
+  }))
+
   // //////////// //
   // WORKFLOW LOG //
   // //////////// //
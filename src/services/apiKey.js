@@ -255,7 +255,8 @@ function start ({ communication, isSystem }) {
       apiKey,
       eventDate: apiKey.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     const exposedApiKey = ApiKey.expose(apiKey, { req })
@@ -343,7 +344,8 @@ function start ({ communication, isSystem }) {
       updateAttrs: updateAttrsBeforeFullDataMerge,
       eventDate: newApiKey.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return ApiKey.expose(newApiKey, { req })
@@ -375,7 +377,8 @@ function start ({ communication, isSystem }) {
       apiKey, // … this can be undefined
       eventDate: new Date().toISOString(),
       platformId,
-      env
+      env,
+      req
     })
 
     return { id: apiKeyId }
@@ -383,7 +386,7 @@ function start ({ communication, isSystem }) {
 
   // EVENTS
 
-  subscriber.on('apiKeyCreated', async ({ apiKey, eventDate, platformId, env } = {}) => {
+  subscriber.on('apiKeyCreated', async ({ apiKey, eventDate, platformId, env, req } = {}) => {
     try {
       const { ApiKey, Event } = await getModels({ platformId, env })
 
@@ -392,7 +395,7 @@ function start ({ communication, isSystem }) {
         type: 'api_key__created',
         objectId: apiKey.id,
         object: ApiKey.expose(apiKey, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -409,7 +412,8 @@ function start ({ communication, isSystem }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { ApiKey, Event } = await getModels({ platformId, env })
@@ -421,7 +425,7 @@ function start ({ communication, isSystem }) {
         objectId: newApiKey.id,
         object: ApiKey.expose(newApiKey, { namespaces: ['*'] }),
         changesRequested: ApiKey.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -437,7 +441,8 @@ function start ({ communication, isSystem }) {
     apiKey,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { ApiKey, Event } = await getModels({ platformId, env })
@@ -447,7 +452,7 @@ function start ({ communication, isSystem }) {
         type: 'api_key__deleted',
         objectId: apiKeyId,
         object: ApiKey.expose(apiKey, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -280,7 +280,8 @@ function start ({ communication }) {
       assessment,
       eventDate: assessment.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return Assessment.expose(assessment, { req })
@@ -439,7 +440,8 @@ function start ({ communication }) {
       updateAttrs: updateAttrsBeforeFullDataMerge,
       eventDate: newAssessment.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     const exposedSignCodes = getExposedSignCodes({
@@ -540,7 +542,8 @@ function start ({ communication }) {
       updateAttrs,
       eventDate: now,
       platformId,
-      env
+      env,
+      req
     })
 
     const exposedSignCodes = getExposedSignCodes({
@@ -583,7 +586,8 @@ function start ({ communication }) {
       assessment,
       eventDate: new Date().toISOString(),
       platformId,
-      env
+      env,
+      req
     })
 
     return { id: assessmentId }
@@ -591,7 +595,7 @@ function start ({ communication }) {
 
   // EVENTS
 
-  subscriber.on('assessmentCreated', async ({ assessment, eventDate, platformId, env } = {}) => {
+  subscriber.on('assessmentCreated', async ({ assessment, eventDate, platformId, env, req } = {}) => {
     try {
       const { Assessment, Event } = await getModels({ platformId, env })
 
@@ -600,7 +604,7 @@ function start ({ communication }) {
         type: 'assessment__created',
         objectId: assessment.id,
         object: Assessment.expose(assessment, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -618,7 +622,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Assessment, Event } = await getModels({ platformId, env })
@@ -629,7 +634,7 @@ function start ({ communication }) {
         objectId: assessmentId,
         object: Assessment.expose(newAssessment, { namespaces: ['*'] }),
         changesRequested: Assessment.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -640,7 +645,7 @@ function start ({ communication }) {
     }
   })
 
-  subscriber.on('assessmentSigned', async ({ assessmentId, assessment, updateAttrs, eventDate, platformId, env } = {}) => {
+  subscriber.on('assessmentSigned', async ({ assessmentId, assessment, updateAttrs, eventDate, platformId, env, req } = {}) => {
     let eventType
 
     try {
@@ -653,7 +658,7 @@ function start ({ communication }) {
         type: eventType,
         objectId: assessmentId,
         object: Assessment.expose(assessment, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -669,7 +674,8 @@ function start ({ communication }) {
     assessment,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event, Assessment } = await getModels({ platformId, env })
@@ -679,7 +685,7 @@ function start ({ communication }) {
         type: 'assessment__deleted',
         objectId: assessmentId,
         object: Assessment.expose(assessment, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -9,6 +9,7 @@ const { logError } = require('../../server/logger')
 const { getModels } = require('../models')
 
 const { isValidCurrency } = require('../util/currency')
+const { getInvalidPricingRulesMessage } = require('../util/pricing')
 const { performListQuery } = require('../util/listQueryBuilder')
 
 const {
@@ -273,6 +274,7 @@ function start ({ communication }) {
       'assetTypeId',
       'quantity',
       'price',
+      'pricingRules',
       'currency',
       'customAttributes',
       'metadata',
@@ -338,6 +340,11 @@ function start ({ communication }) {
       throw createError(400, 'Invalid currency')
     }
 
+    const invalidPricingRulesMessage = getInvalidPricingRulesMessage(payload.pricingRules)
+    if (invalidPricingRulesMessage) {
+      throw createError(422, invalidPricingRulesMessage)
+    }
+
     let assetType
 
     if (assetTypeId) {
@@ -454,6 +461,7 @@ function start ({ communication }) {
       'assetTypeId',
       'quantity',
       'price',
+      'pricingRules',
       'currency',
       'customAttributes',
       'metadata',
@@ -476,6 +484,11 @@ function start ({ communication }) {
       throw createError(400, 'Invalid currency')
     }
 
+    const invalidPricingRulesMessage = getInvalidPricingRulesMessage(payload.pricingRules)
+    if (invalidPricingRulesMessage) {
+      throw createError(422, invalidPricingRulesMessage)
+    }
+
     const asset = await Asset.query().findById(assetId)
     if (!asset) {
       throw createError(404)
@@ -702,7 +715,7 @@ function start ({ communication }) {
         type: 'asset__created',
         objectId: asset.id,
         object: Asset.expose(asset, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -760,7 +773,7 @@ function start ({ communication }) {
             // populate relatedObjectsIds
             _tmpObject: exposedNewAsset,
             metadata: eventMetadata
-          }, { platformId, env, queryContext: trx })
+          }, { platformId, env, queryContext: trx, req })
         })
 
         const changes = updateAttrsBeforeFullDataMerge || updateAttrs
@@ -772,7 +785,7 @@ function start ({ communication }) {
           object: exposedNewAsset,
           changesRequested: Asset.expose(changes, { req, namespaces: ['*'] }),
           metadata: eventMetadata
-        }, { platformId, env, queryContext: trx })
+        }, { platformId, env, queryContext: trx, req })
       })
     } catch (err) {
       logError(err, {
@@ -800,7 +813,7 @@ function start ({ communication }) {
         type: 'asset__deleted',
         objectId: assetId,
         object: Asset.expose(asset, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
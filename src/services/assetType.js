@@ -11,18 +11,22 @@ const { performListQuery } = require('../util/listQueryBuilder')
 const { mergeOrOverwrite } = require('../util/merging')
 
 const {
-  computeTransitionsMeta
+  computeTransitionsMeta,
+  getInvalidTransitionGuardsMessage
 } = require('../util/transition')
+const { getInvalidPricingRulesMessage } = require('../util/pricing')
 
 let responder
 let subscriber
 let publisher
+let availabilityRequester
 
 function start ({ communication }) {
   const {
     getResponder,
     getSubscriber,
     getPublisher,
+    getRequester,
     COMMUNICATION_ID
   } = communication
 
@@ -48,6 +52,11 @@ function start ({ communication }) {
     namespace: COMMUNICATION_ID
   })
 
+  availabilityRequester = getRequester({
+    name: 'Asset type service > Availability Requester',
+    key: 'availability'
+  })
+
   responder.on('list', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -164,6 +173,9 @@ function start ({ communication }) {
     if (createAttrs.transactionProcess) {
       checkTransactionProcess(createAttrs.transactionProcess)
     }
+    if (createAttrs.pricing) {
+      checkPricingRules(createAttrs.pricing.rules)
+    }
 
     // if `isDefault` isn't provided, the first asset type is the default
     if (_.isUndefined(createAttrs.isDefault)) {
@@ -199,7 +211,7 @@ function start ({ communication }) {
   responder.on('update', async (req) => {
     const platformId = req.platformId
     const env = req.env
-    const { AssetType } = await getModels({ platformId, env })
+    const { Asset, AssetType } = await getModels({ platformId, env })
 
     const assetTypeId = req.assetTypeId
 
@@ -241,6 +253,7 @@ function start ({ communication }) {
     const updateAttrsBeforeFullDataMerge = Object.assign({}, payload)
 
     if (pricing) {
+      checkPricingRules(pricing.rules)
       updateAttrs.pricing = AssetType.rawJsonbMerge('pricing', pricing)
     }
     if (timing) {
@@ -287,6 +300,35 @@ function start ({ communication }) {
       req
     })
 
+    // buffer times are included in internal availability of asset type assets
+    const bufferFields = ['bufferBefore', 'bufferAfter']
+    const bufferChanged = !_.isEqual(
+      _.pick(assetType.timing, bufferFields),
+      _.pick(newAssetType.timing, bufferFields)
+    )
+
+    if (bufferChanged) {
+      try {
+        const assets = await Asset.query().select('id').where({ assetTypeId })
+
+        if (assets.length) {
+          await availabilityRequester.send({
+            type: '_syncInternalAvailability',
+            assetsIds: assets.map(asset => asset.id),
+            platformId,
+            env
+          })
+        }
+      } catch (err) {
+        logError(err, {
+          platformId,
+          env,
+          custom: { assetTypeId },
+          message: 'Fail to sync internal availability'
+        })
+      }
+    }
+
     return AssetType.expose(newAssetType, { req })
   })
 
@@ -337,7 +379,7 @@ function start ({ communication }) {
         type: 'asset_type__created',
         objectId: assetType.id,
         object: AssetType.expose(assetType, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -366,7 +408,7 @@ function start ({ communication }) {
         objectId: assetTypeId,
         object: AssetType.expose(newAssetType, { req, namespaces: ['*'] }),
         changesRequested: AssetType.expose(updateAttrs, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -386,7 +428,7 @@ function start ({ communication }) {
         type: 'asset_type__deleted',
         objectId: assetTypeId,
         object: AssetType.expose(assetType, { req, namespaces: ['*'] }),
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -409,6 +451,13 @@ function start ({ communication }) {
   })
 }
 
+function checkPricingRules (pricingRules) {
+  const invalidPricingRulesMessage = getInvalidPricingRulesMessage(pricingRules)
+  if (invalidPricingRulesMessage) {
+    throw createError(422, invalidPricingRulesMessage)
+  }
+}
+
 function checkTransactionProcess (transactionProcess) {
   const meta = computeTransitionsMeta(transactionProcess)
 
@@ -418,6 +467,13 @@ function checkTransactionProcess (transactionProcess) {
   if (!meta.allStates.includes(transactionProcess.cancelStatus)) {
     throw createError(422, 'The provided cancel status does not appear in transitions')
   }
+
+  transactionProcess.transitions.forEach(transition => {
+    const invalidGuardsMessage = getInvalidTransitionGuardsMessage(transition)
+    if (invalidGuardsMessage) {
+      throw createError(422, invalidGuardsMessage)
+    }
+  })
 }
 
 async function updateDefaultAssetType ({
@@ -476,6 +532,9 @@ function stop () {
 
   publisher.close()
   publisher = null
+
+  availabilityRequester.close()
+  availabilityRequester = null
 }
 
 module.exports = {
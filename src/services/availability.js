@@ -5,13 +5,26 @@ const { logError } = require('../../server/logger')
 const { getModels } = require('../models')
 
 const {
-  getAvailabilityPeriodGraph
+  getAvailabilityPeriodGraph,
+  getUnavailablePeriods,
+  getTimeSlots,
+  getBufferedPeriod,
+  getBookingWindow
 } = require('../util/availability')
+const {
+  parseICalendar,
+  getICalendar,
+  getCalendarChanges
+} = require('../util/calendar')
 const {
   shouldAffectAvailability
 } = require('../util/transaction')
 
-const { getObjectId } = require('stelace-util-keys')
+const {
+  getObjectId,
+  getRandomString,
+  extractDataFromObjectId
+} = require('stelace-util-keys')
 
 const { performListQuery } = require('../util/listQueryBuilder')
 
@@ -19,13 +32,18 @@ const {
   isValidCronPattern,
   isValidTimezone,
   computeRecurringPeriods,
-  computeDate
+  computeDate,
+  diffDates
 } = require('../util/time')
 
 const {
   getCurrentUserId
 } = require('../util/user')
 
+// limits for the multi-asset calendar to keep the query fast
+const CALENDAR_MAX_NB_ASSETS = 100
+const CALENDAR_MAX_NB_SLOTS = 366
+
 let responder
 let subscriber
 let publisher
@@ -70,11 +88,7 @@ function start ({ communication }) {
   responder.on('getGraph', async (req) => {
     const platformId = req.platformId
     const env = req.env
-    const {
-      Asset,
-      AssetType,
-      Availability
-    } = await getModels({ platformId, env })
+    const { Asset } = await getModels({ platformId, env })
 
     const {
       assetId
@@ -94,33 +108,7 @@ function start ({ communication }) {
       }
     }
 
-    const [
-      assetType,
-      availabilities,
-      indexedTransactions
-    ] = await Promise.all([
-      AssetType.query().findById(asset.assetTypeId),
-      Availability.query().where('assetId', assetId),
-      transactionRequester.send({
-        type: '_filter',
-        assetsIds: [assetId],
-        platformId,
-        env
-      })
-    ])
-
-    if (!assetType) {
-      throw createError(422, 'Asset type not found')
-    }
-
-    const transactions = indexedTransactions[assetId]
-    const filteredTransactions = transactions.filter(shouldAffectAvailability)
-
-    const graph = getAvailabilityPeriodGraph({
-      transactions: filteredTransactions,
-      availabilities,
-      defaultQuantity: asset.quantity
-    })
+    const graph = await getAssetAvailabilityGraph({ asset, platformId, env })
 
     // explicitly expose properties to not "leak" properties
     // just in case the function returns more properties in the future
@@ -131,6 +119,91 @@ function start ({ communication }) {
     }
   })
 
+  responder.on('getCalendar', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Asset } = await getModels({ platformId, env })
+
+    const {
+      assetId,
+      ownerId,
+      startDate,
+      endDate,
+      timeUnit
+    } = req
+
+    if (endDate <= startDate) {
+      throw createError(422, 'Start date must be before end date')
+    }
+    if (Math.ceil(diffDates(endDate, startDate, timeUnit)) > CALENDAR_MAX_NB_SLOTS) {
+      throw createError(422, `Cannot exceed ${CALENDAR_MAX_NB_SLOTS} time slots, please use a smaller period or a bigger time unit`)
+    }
+
+    const currentUserId = getCurrentUserId(req)
+    const canListAll = req._matchedPermissions['availability:list:all']
+
+    let assets
+    if (assetId) {
+      const assetsIds = _.uniq(assetId)
+      if (assetsIds.length > CALENDAR_MAX_NB_ASSETS) {
+        throw createError(422, `Cannot exceed ${CALENDAR_MAX_NB_ASSETS} assets`)
+      }
+
+      assets = await Asset.query().whereIn('id', assetsIds)
+
+      const indexedAssets = _.keyBy(assets, 'id')
+      const missingAssetsIds = assetsIds.filter(id => !indexedAssets[id])
+      if (missingAssetsIds.length) {
+        throw createError(422, 'Assets not found', {
+          public: { assetsIds: missingAssetsIds }
+        })
+      }
+
+      // keep the requested order for calendar grids
+      assets = assetsIds.map(id => indexedAssets[id])
+    } else {
+      assets = await Asset.query()
+        .where({ ownerId })
+        .orderBy('createdDate', 'asc')
+        .limit(CALENDAR_MAX_NB_ASSETS + 1)
+
+      if (assets.length > CALENDAR_MAX_NB_ASSETS) {
+        throw createError(422, `Cannot exceed ${CALENDAR_MAX_NB_ASSETS} assets, please provide asset IDs`)
+      }
+    }
+
+    if (!canListAll && !assets.every(asset => Asset.isSelf(asset, currentUserId))) {
+      throw createError(403)
+    }
+
+    const slots = getTimeSlots({ startDate, endDate, timeUnit })
+
+    const indexedQuantities = await getAssetsSlotQuantities({
+      assetsIds: assets.map(asset => asset.id),
+      slots,
+      platformId,
+      env
+    })
+
+    return {
+      startDate: slots[0].startDate,
+      endDate: _.last(slots).endDate,
+      timeUnit,
+      assets: assets.map(asset => ({
+        assetId: asset.id,
+        slots: slots.map(slot => {
+          const availableQuantity = _.get(indexedQuantities, [asset.id, slot.startDate])
+
+          return {
+            startDate: slot.startDate,
+            endDate: slot.endDate,
+            availableQuantity: _.isFinite(availableQuantity) ? availableQuantity : asset.quantity
+          }
+        })
+      }))
+    }
+  })
+
   responder.on('list', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -332,7 +405,8 @@ function start ({ communication }) {
       availability,
       eventDate: availability.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return Availability.expose(availability, { req })
@@ -498,7 +572,8 @@ function start ({ communication }) {
       eventDate: newAvailability.updatedDate,
       updateAttrs: updateAttrsBeforeFullDataMerge,
       platformId,
-      env
+      env,
+      req
     })
 
     return Availability.expose(newAvailability, { req })
@@ -552,15 +627,142 @@ function start ({ communication }) {
       availability, // … this can be undefined
       eventDate: new Date().toISOString(),
       platformId,
-      env
+      env,
+      req
     })
 
     return { id: availabilityId }
   })
 
+  responder.on('createCalendarToken', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Asset, AuthToken } = await getModels({ platformId, env })
+
+    const {
+      assetId
+    } = req
+
+    const asset = await Asset.query().findById(assetId)
+    if (!asset) {
+      throw createError(422, 'Asset not found')
+    }
+
+    const currentUserId = getCurrentUserId(req)
+
+    const isSelf = Asset.isSelf(asset, currentUserId)
+    if (!req._matchedPermissions['availability:edit:all'] && !isSelf) {
+      throw createError(403)
+    }
+
+    // previous calendar URL is revoked
+    await AuthToken.query()
+      .where({ type: 'calendarExport' })
+      .whereJsonSupersetOf('reference', { assetId })
+      .delete()
+
+    const authToken = await AuthToken.query().insert({
+      id: await getObjectId({ prefix: AuthToken.idPrefix, platformId, env }),
+      type: 'calendarExport',
+      value: await getRandomString(40),
+      reference: { assetId }
+    })
+
+    return {
+      assetId,
+      token: authToken.value
+    }
+  })
+
+  responder.on('exportCalendar', async (req) => {
+    const {
+      assetId,
+      token
+    } = req
+
+    let {
+      platformId,
+      env
+    } = req
+
+    // calendar apps cannot provide API keys, platform information is encoded in asset ID
+    if (!platformId) {
+      try {
+        const encodedData = extractDataFromObjectId(assetId)
+        platformId = encodedData.platformId
+        env = encodedData.isLive ? 'live' : 'test'
+      } catch (err) {
+        throw createError(404)
+      }
+    }
+
+    const { Asset, AuthToken } = await getModels({ platformId, env })
+
+    const authToken = token && await AuthToken.query().findOne({ type: 'calendarExport', value: token })
+    if (!authToken || authToken.reference.assetId !== assetId) {
+      throw createError(404)
+    }
+
+    const asset = await Asset.query().findById(assetId)
+    if (!asset) {
+      throw createError(404)
+    }
+
+    const graph = await getAssetAvailabilityGraph({ asset, platformId, env })
+
+    const events = getUnavailablePeriods(graph).map(period => ({
+      // stable UID so calendar apps can update the period if its end date changes
+      uid: `${asset.id}-${period.startDate}@stelace`,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      summary: 'Unavailable'
+    }))
+
+    return {
+      _rawResponse: {
+        content: getICalendar({ name: asset.name, events }),
+        headers: {
+          'content-type': 'text/calendar; charset=utf-8'
+        }
+      }
+    }
+  })
+
+  responder.on('importCalendar', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Asset } = await getModels({ platformId, env })
+
+    const {
+      assetId,
+      ics
+    } = req
+
+    const asset = await Asset.query().findById(assetId)
+    if (!asset) {
+      throw createError(422, 'Asset not found')
+    }
+
+    const currentUserId = getCurrentUserId(req)
+
+    const isSelf = Asset.isSelf(asset, currentUserId)
+    if (!req._matchedPermissions['availability:create:all'] && !isSelf) {
+      throw createError(403)
+    }
+
+    return syncCalendar({
+      asset,
+      externalSource: 'upload',
+      ics,
+      platformId,
+      env,
+      req
+    })
+  })
+
   // EVENTS
 
-  subscriber.on('availabilityCreated', async ({ availability, eventDate, platformId, env } = {}) => {
+  subscriber.on('availabilityCreated', async ({ availability, eventDate, platformId, env, req } = {}) => {
     try {
       const { Event, Availability } = await getModels({ platformId, env })
 
@@ -569,7 +771,7 @@ function start ({ communication }) {
         type: 'availability__created',
         objectId: availability.id,
         object: Availability.expose(availability, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -585,7 +787,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event, Availability } = await getModels({ platformId, env })
@@ -596,7 +799,7 @@ function start ({ communication }) {
         objectId: newAvailability.id,
         object: Availability.expose(newAvailability, { namespaces: ['*'] }),
         changesRequested: Availability.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -612,7 +815,8 @@ function start ({ communication }) {
     availability,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event, Availability } = await getModels({ platformId, env })
@@ -622,7 +826,7 @@ function start ({ communication }) {
         type: 'availability__deleted',
         objectId: availabilityId,
         object: Availability.expose(availability, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -635,6 +839,40 @@ function start ({ communication }) {
 
   // INTERNAL
 
+  /**
+   * Replace availabilities imported from a calendar feed, permissions must be checked by requester
+   * @param {String} assetId
+   * @param {String} externalSource - calendar feed ID
+   * @param {String|null} ics - iCalendar content, null to remove all imported availabilities
+   * @param {String} platformId
+   * @param {String} env
+   */
+  responder.on('_syncCalendar', async (req) => {
+    const {
+      assetId,
+      externalSource,
+      ics,
+      platformId,
+      env
+    } = req
+
+    const { Asset } = await getModels({ platformId, env })
+
+    const asset = await Asset.query().findById(assetId)
+    if (!asset) {
+      throw createError(422, 'Asset not found')
+    }
+
+    return syncCalendar({
+      asset,
+      externalSource,
+      ics,
+      platformId,
+      env,
+      req
+    })
+  })
+
   /**
    * check assets availability based on period, quantity and transaction status
    * @param {String[]} assetsIds - only compute the availability on those assets IDs
@@ -643,17 +881,22 @@ function start ({ communication }) {
    * @param {Number}   [quantity = 1] - the searched quantity
    * @param {Boolean}  [fullPeriod = true] - if true and startDate, endDate are provided, the asset must be available during the full searched period
    * @param {String|String[]} [unavailableWhen = ['validated', 'completed']] - only transactions with the provided status block availability
+   * @param {Boolean}  [checkBookingWindow = false] - if true, assets whose asset type lead-time rules
+   *   do not allow to book at `startDate` are unavailable
    * @param {String}   platformId
    * @param {String}   env
    */
   responder.on('_isAvailable', async (req) => {
+    const now = new Date().toISOString()
+
     const {
       assetsIds,
-      startDate = new Date().toISOString(),
+      startDate = now,
       endDate,
       quantity = 1,
       fullPeriod = true,
       unavailableWhen,
+      checkBookingWindow = false,
       platformId,
       env
     } = req
@@ -676,7 +919,8 @@ function start ({ communication }) {
     let hashAssets = {}
 
     const searchAvUnlimitedAssetsIds = []
-    const searchAvAssetsIds = []
+    // grouped by asset type as the searched period is extended with its buffer times
+    const searchAvAssetsIdsByAssetType = {}
 
     assets.forEach(asset => {
       const assetType = indexedAssetTypes[asset.assetTypeId]
@@ -686,6 +930,15 @@ function start ({ communication }) {
 
       const { timeBased, infiniteStock } = assetType
 
+      if (timeBased && checkBookingWindow) {
+        const { minStartDate, maxStartDate } = getBookingWindow(assetType.timing, now)
+
+        if ((minStartDate && startDate < minStartDate) || (maxStartDate && maxStartDate < startDate)) {
+          hashAssets[asset.id] = false
+          return
+        }
+      }
+
       // separate assets based on their asset type
 
       // if this is timeless, only compute with the asset quantity
@@ -695,26 +948,33 @@ function start ({ communication }) {
       } else if (infiniteStock) {
         searchAvUnlimitedAssetsIds.push(asset.id)
       } else {
-        searchAvAssetsIds.push(asset.id)
+        searchAvAssetsIdsByAssetType[assetType.id] = searchAvAssetsIdsByAssetType[assetType.id] || []
+        searchAvAssetsIdsByAssetType[assetType.id].push(asset.id)
       }
     })
 
     const [
-      avResult,
+      avResults,
       unlimitedAvResult
     ] = await Promise.all([
-      searchAvAssetsIds.length ? getAvailableAssets({
-        assetsIds: searchAvAssetsIds,
-        startDate,
-        endDate,
-        quantity,
-        unavailableWhen,
-        assetTypes,
-        isUnlimitedQuantity: false,
-        fullPeriod,
-        platformId,
-        env
-      }) : {},
+      Promise.all(_.map(searchAvAssetsIdsByAssetType, (searchAvAssetsIds, assetTypeId) => {
+        // buffer times of existing transactions are already included in internal availability
+        // but the searched period needs its own buffer times too
+        const bufferedPeriod = getBufferedPeriod({ startDate, endDate }, indexedAssetTypes[assetTypeId].timing)
+
+        return getAvailableAssets({
+          assetsIds: searchAvAssetsIds,
+          startDate: bufferedPeriod.startDate,
+          endDate: bufferedPeriod.endDate,
+          quantity,
+          unavailableWhen,
+          assetTypes,
+          isUnlimitedQuantity: false,
+          fullPeriod,
+          platformId,
+          env
+        })
+      })),
       searchAvUnlimitedAssetsIds.length ? getAvailableAssets({
         assetsIds: searchAvUnlimitedAssetsIds,
         startDate,
@@ -729,7 +989,7 @@ function start ({ communication }) {
       }) : {}
     ])
 
-    hashAssets = Object.assign({}, hashAssets, unlimitedAvResult, avResult)
+    hashAssets = Object.assign({}, hashAssets, unlimitedAvResult, ...avResults)
 
     return hashAssets
   })
@@ -777,6 +1037,161 @@ function start ({ communication }) {
   })
 }
 
+async function getAssetAvailabilityGraph ({ asset, platformId, env }) {
+  const { AssetType, Availability } = await getModels({ platformId, env })
+
+  const [
+    assetType,
+    availabilities,
+    indexedTransactions
+  ] = await Promise.all([
+    AssetType.query().findById(asset.assetTypeId),
+    Availability.query().where('assetId', asset.id),
+    transactionRequester.send({
+      type: '_filter',
+      assetsIds: [asset.id],
+      platformId,
+      env
+    })
+  ])
+
+  if (!assetType) {
+    throw createError(422, 'Asset type not found')
+  }
+
+  const transactions = indexedTransactions[asset.id]
+  const filteredTransactions = transactions
+    .filter(shouldAffectAvailability)
+    .map(transaction => getBufferedPeriod(transaction, assetType.timing))
+
+  return getAvailabilityPeriodGraph({
+    transactions: filteredTransactions,
+    availabilities,
+    defaultQuantity: asset.quantity
+  })
+}
+
+/**
+ * Calendar events are imported as availabilities with zero quantity,
+ * reconciled by event UID with the ones previously imported from the same source.
+ * Past events are ignored.
+ */
+async function syncCalendar ({ asset, externalSource, ics, platformId, env, req }) {
+  const {
+    InternalAvailability,
+    Availability,
+    AssetType
+  } = await getModels({ platformId, env })
+
+  const assetType = await AssetType.query().findById(asset.assetTypeId)
+  if (!assetType) {
+    throw createError(422, 'No asset type is associated to the asset')
+  }
+  if (!assetType.timeBased || assetType.infiniteStock) {
+    throw createError(422, 'Calendars can only be imported for time-based assets without infinite stock')
+  }
+
+  const now = new Date().toISOString()
+
+  let events = []
+  if (ics) {
+    try {
+      events = parseICalendar(ics)
+    } catch (err) {
+      throw createError(422, 'Invalid iCalendar content')
+    }
+  }
+  events = events.filter(event => now < event.endDate)
+
+  const importedAvailabilities = await Availability.query().where({
+    assetId: asset.id,
+    externalSource
+  })
+
+  const {
+    eventsToCreate,
+    availabilitiesToUpdate,
+    availabilitiesToRemove
+  } = getCalendarChanges(events, importedAvailabilities)
+
+  const createdAvailabilities = []
+  const updatedAvailabilities = []
+
+  for (const event of eventsToCreate) {
+    const availability = await Availability.query().insert({
+      id: await getObjectId({ prefix: Availability.idPrefix, platformId, env }),
+      assetId: asset.id,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      quantity: '0',
+      externalId: event.uid,
+      externalSource
+    })
+    createdAvailabilities.push(availability)
+  }
+
+  for (const { id, startDate, endDate } of availabilitiesToUpdate) {
+    const availability = await Availability.query().patchAndFetchById(id, { startDate, endDate })
+    updatedAvailabilities.push(availability)
+  }
+
+  if (availabilitiesToRemove.length) {
+    await Availability.query().whereIn('id', _.map(availabilitiesToRemove, 'id')).delete()
+  }
+
+  const hasChanges = createdAvailabilities.length || updatedAvailabilities.length || availabilitiesToRemove.length
+  if (hasChanges) {
+    try {
+      await InternalAvailability.syncInternalAvailability({ assetsIds: [asset.id], platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { assetId: asset.id },
+        message: 'Fail to sync internal availability'
+      })
+    }
+  }
+
+  createdAvailabilities.forEach(availability => {
+    publisher.publish('availabilityCreated', {
+      availability,
+      eventDate: availability.createdDate,
+      platformId,
+      env,
+      req
+    })
+  })
+  updatedAvailabilities.forEach(newAvailability => {
+    publisher.publish('availabilityUpdated', {
+      newAvailability,
+      eventDate: newAvailability.updatedDate,
+      updateAttrs: _.pick(newAvailability, ['startDate', 'endDate']),
+      platformId,
+      env,
+      req
+    })
+  })
+  availabilitiesToRemove.forEach(availability => {
+    publisher.publish('availabilityDeleted', {
+      availabilityId: availability.id,
+      availability,
+      eventDate: now,
+      platformId,
+      env,
+      req
+    })
+  })
+
+  return {
+    assetId: asset.id,
+    externalSource,
+    nbCreated: createdAvailabilities.length,
+    nbUpdated: updatedAvailabilities.length,
+    nbRemoved: availabilitiesToRemove.length
+  }
+}
+
 function getAvailabilityMaxEndDate (startDate) {
   const maxEndDate = computeDate(startDate, { y: 1 })
   return maxEndDate
@@ -897,6 +1312,59 @@ async function getAvailableAssets ({
   }, {})
 }
 
+/**
+ * Get the minimum available quantity for each asset and time slot in a single query
+ * Only transactions with a status blocking availability are taken into account.
+ * @param {String[]} assetsIds
+ * @param {Object[]} slots - consecutive time slots from `getTimeSlots`
+ * @return {Object} indexedQuantities[assetId][slotStartDate] - available quantity
+ */
+async function getAssetsSlotQuantities ({ assetsIds, slots, platformId, env }) {
+  const { InternalAvailability } = await getModels({ platformId, env })
+
+  if (!assetsIds.length || !slots.length) return {}
+
+  const knex = InternalAvailability.knex()
+
+  // Specifying the schema as we build the SQL query manually
+  const schema = InternalAvailability.defaultSchema
+
+  const startDate = slots[0].startDate
+  const endDate = _.last(slots).endDate
+
+  const lines = await knex
+    .with('slots', knex.raw('SELECT * FROM unnest(?::timestamptz[], ?::timestamptz[]) AS slots("startDate", "endDate")', [
+      slots.map(slot => slot.startDate),
+      slots.map(slot => slot.endDate)
+    ]))
+    .with('periods', qb => {
+      // by asset and dates range, get the quantity sum
+      qb.select('assetId', 'datesRange', knex.raw('GREATEST(sum(quantity), 0) as "sumQuantity"'))
+        .from(`${schema}.internalAvailability`)
+        .whereIn('assetId', assetsIds)
+        .where(knex.raw('"datesRange" && tstzrange(?, ?)', [startDate, endDate]))
+        .where(builder => {
+          return builder.whereNull('transactionId')
+            .orWhere('unavailable', true)
+        })
+        .groupBy('assetId', 'datesRange')
+    })
+    .select('periods.assetId', 'slots.startDate', knex.raw('min("sumQuantity") as "availableQuantity"'))
+    .from('slots')
+    .join('periods', function () {
+      this.on(knex.raw('"periods"."datesRange" && tstzrange("slots"."startDate", "slots"."endDate")'))
+    })
+    .groupBy('periods.assetId', 'slots.startDate')
+
+  return lines.reduce((memo, line) => {
+    const slotStartDate = new Date(line.startDate).toISOString()
+
+    memo[line.assetId] = memo[line.assetId] || {}
+    memo[line.assetId][slotStartDate] = parseInt(line.availableQuantity, 10)
+    return memo
+  }, {})
+}
+
 function stop () {
   responder.close()
   responder = null
@@ -48,6 +48,7 @@ function start ({ communication, serverPort }) {
       // internal
       'x-stelace-system-key',
       'x-stelace-workflow-key',
+      'x-stelace-workflows',
 
       // used for test
       'x-platform-id',
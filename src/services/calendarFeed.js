@@ -0,0 +1,327 @@
+const createError = require('http-errors')
+const _ = require('lodash')
+const request = require('superagent')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const { URL } = require('url')
+
+const { getModels } = require('../models')
+
+const { getObjectId } = require('stelace-util-keys')
+
+const { performListQuery } = require('../util/listQueryBuilder')
+
+const {
+  getCurrentUserId
+} = require('../util/user')
+
+const { isPrivateIpAddress } = require('../util/url')
+
+let responder
+let availabilityRequester
+
+function start ({ communication }) {
+  const {
+    getResponder,
+    getRequester
+  } = communication
+
+  responder = getResponder({
+    name: 'Calendar feed Responder',
+    key: 'calendar-feed'
+  })
+
+  availabilityRequester = getRequester({
+    name: 'Calendar feed service > Availability Requester',
+    key: 'availability'
+  })
+
+  responder.on('list', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { CalendarFeed } = await getModels({ platformId, env })
+
+    const {
+      orderBy,
+      order,
+
+      nbResultsPerPage,
+
+      // cursor pagination
+      startingAfter,
+      endingBefore,
+
+      assetId
+    } = req
+
+    await getAsset({ assetId, permission: 'availability:list:all', platformId, env, req })
+
+    const queryBuilder = CalendarFeed.query()
+
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        assetId: {
+          dbField: 'assetId',
+          value: assetId
+        }
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
+
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
+      },
+      useOffsetPagination: false,
+    })
+
+    paginationMeta.results = CalendarFeed.exposeAll(paginationMeta.results, { req })
+    return paginationMeta
+  })
+
+  responder.on('create', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { CalendarFeed } = await getModels({ platformId, env })
+
+    const fields = [
+      'assetId',
+      'url',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req, fields)
+
+    const asset = await getAsset({
+      assetId: payload.assetId,
+      permission: 'availability:create:all',
+      platformId,
+      env,
+      req
+    })
+
+    const existingCalendarFeed = await CalendarFeed.query().findOne({ assetId: asset.id, url: payload.url })
+    if (existingCalendarFeed) {
+      throw createError(422, 'This calendar feed is already registered for this asset', {
+        public: { calendarFeedId: existingCalendarFeed.id }
+      })
+    }
+
+    // fetch before saving the feed to reject invalid URLs
+    const ics = await fetchCalendarFeed(payload.url)
+
+    let calendarFeed = await CalendarFeed.query().insert(Object.assign({
+      id: await getObjectId({ prefix: CalendarFeed.idPrefix, platformId, env })
+    }, payload))
+
+    calendarFeed = await syncCalendarFeed({ calendarFeed, ics, platformId, env, req })
+
+    return CalendarFeed.expose(calendarFeed, { req })
+  })
+
+  responder.on('sync', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { CalendarFeed } = await getModels({ platformId, env })
+
+    const {
+      calendarFeedId
+    } = req
+
+    const calendarFeed = await CalendarFeed.query().findById(calendarFeedId)
+    if (!calendarFeed) {
+      throw createError(404)
+    }
+
+    await getAsset({
+      assetId: calendarFeed.assetId,
+      permission: 'availability:create:all',
+      platformId,
+      env,
+      req
+    })
+
+    const ics = await fetchCalendarFeed(calendarFeed.url)
+
+    const newCalendarFeed = await syncCalendarFeed({ calendarFeed, ics, platformId, env, req })
+
+    return CalendarFeed.expose(newCalendarFeed, { req })
+  })
+
+  responder.on('remove', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { CalendarFeed } = await getModels({ platformId, env })
+
+    const {
+      calendarFeedId
+    } = req
+
+    const calendarFeed = await CalendarFeed.query().findById(calendarFeedId)
+    if (!calendarFeed) {
+      return { id: calendarFeedId }
+    }
+
+    await getAsset({
+      assetId: calendarFeed.assetId,
+      permission: 'availability:remove:all',
+      platformId,
+      env,
+      req
+    })
+
+    // remove availabilities imported from this feed
+    await syncCalendarFeed({ calendarFeed, ics: null, platformId, env, req })
+
+    await CalendarFeed.query().deleteById(calendarFeedId)
+
+    return { id: calendarFeedId }
+  })
+}
+
+async function getAsset ({ assetId, permission, platformId, env, req }) {
+  const { Asset } = await getModels({ platformId, env })
+
+  const asset = await Asset.query().findById(assetId)
+  if (!asset) {
+    throw createError(422, 'Asset not found')
+  }
+
+  const currentUserId = getCurrentUserId(req)
+
+  const isSelf = Asset.isSelf(asset, currentUserId)
+  if (!req._matchedPermissions[permission] && !isSelf) {
+    throw createError(403)
+  }
+
+  return asset
+}
+
+// calendar feeds are small text files, larger responses are rejected to preserve memory
+const maxCalendarFeedSize = 5 * 1024 * 1024 // 5MB
+const maxCalendarFeedRedirects = 3
+
+// Resolved addresses are checked at connection time rather than before the request
+// so that DNS rebinding cannot be used to reach internal services.
+function lookupPublicAddress (hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err)
+
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address]
+    if (addresses.some(isPrivateIpAddress)) {
+      return callback(createError(422, 'Calendar feed URL must not target a private network address'))
+    }
+
+    callback(null, address, family)
+  })
+}
+
+const publicHttpAgent = new http.Agent({ lookup: lookupPublicAddress })
+const publicHttpsAgent = new https.Agent({ lookup: lookupPublicAddress })
+
+function getAllowedPrivateHosts () {
+  return (process.env.CALENDAR_FEED_ALLOWED_PRIVATE_HOSTS || '')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean)
+}
+
+function parseCalendarFeedUrl (url) {
+  let urlObject
+  try {
+    urlObject = new URL(url)
+  } catch (err) {
+    throw createError(422, 'Invalid calendar feed URL')
+  }
+
+  if (!['http:', 'https:'].includes(urlObject.protocol)) {
+    throw createError(422, 'Invalid calendar feed URL')
+  }
+
+  return urlObject
+}
+
+async function fetchCalendarFeed (url) {
+  // 'webcal' is the usual scheme for calendar subscriptions
+  let httpUrl = url.replace(/^webcal:\/\//i, 'https://')
+
+  // redirections are followed manually so that each target host is checked
+  for (let nbRedirects = 0; nbRedirects <= maxCalendarFeedRedirects; nbRedirects++) {
+    const { protocol, hostname } = parseCalendarFeedUrl(httpUrl)
+
+    const isAllowedPrivateHost = getAllowedPrivateHosts().includes(hostname)
+    // IP addresses are not looked up when connecting, so they must be checked beforehand
+    if (!isAllowedPrivateHost && net.isIP(hostname.replace(/^\[(.*)\]$/, '$1')) && isPrivateIpAddress(hostname)) {
+      throw createError(422, 'Calendar feed URL must not target a private network address')
+    }
+
+    let agent
+    if (!isAllowedPrivateHost) agent = protocol === 'https:' ? publicHttpsAgent : publicHttpAgent
+
+    let res
+    try {
+      res = await request.get(httpUrl)
+        .agent(agent)
+        .redirects(0)
+        .ok(res => res.status < 400)
+        .timeout({
+          deadline: 10000 // ensures we’re not getting stuck here
+        })
+        .maxResponseSize(maxCalendarFeedSize)
+        .buffer(true)
+        .parse(request.parse.text)
+    } catch (err) {
+      if (err.status === 422 && err.expose) throw err // private network address
+      throw createError(422, 'Fail to fetch the calendar feed')
+    }
+
+    if (res.status < 300 || !res.headers.location) return res.text
+
+    httpUrl = new URL(res.headers.location, httpUrl).toString()
+  }
+
+  throw createError(422, 'Fail to fetch the calendar feed', {
+    public: { reason: 'Too many redirects' }
+  })
+}
+
+async function syncCalendarFeed ({ calendarFeed, ics, platformId, env, req }) {
+  const { CalendarFeed } = await getModels({ platformId, env })
+
+  await availabilityRequester.send({
+    type: '_syncCalendar',
+    assetId: calendarFeed.assetId,
+    externalSource: calendarFeed.id,
+    ics,
+    platformId,
+    env
+  })
+
+  if (!ics) return calendarFeed
+
+  return CalendarFeed.query().patchAndFetchById(calendarFeed.id, {
+    lastSyncDate: new Date().toISOString()
+  })
+}
+
+function stop () {
+  responder.close()
+  responder = null
+
+  availabilityRequester.close()
+  availabilityRequester = null
+}
+
+module.exports = {
+  start,
+  stop
+}
@@ -158,7 +158,8 @@ function start ({ communication }) {
       category,
       eventDate: category.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return Category.expose(category, { req })
@@ -232,7 +233,8 @@ function start ({ communication }) {
       updateAttrs: updateAttrsBeforeFullDataMerge,
       eventDate: category.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return Category.expose(category, { req })
@@ -287,7 +289,7 @@ function start ({ communication }) {
 
   // EVENTS
 
-  subscriber.on('categoryCreated', async ({ category, eventDate, platformId, env } = {}) => {
+  subscriber.on('categoryCreated', async ({ category, eventDate, platformId, env, req } = {}) => {
     try {
       const { Event, Category } = await getModels({ platformId, env })
 
@@ -296,7 +298,7 @@ function start ({ communication }) {
         type: 'category__created',
         objectId: category.id,
         object: Category.expose(category, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -312,7 +314,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event, Category } = await getModels({ platformId, env })
@@ -323,7 +326,7 @@ function start ({ communication }) {
         objectId: category.id,
         object: Category.expose(category, { namespaces: ['*'] }),
         changesRequested: Category.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -343,7 +346,7 @@ function start ({ communication }) {
         type: 'category__deleted',
         objectId: categoryId,
         object: Category.expose(category, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
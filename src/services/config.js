@@ -7,6 +7,7 @@ const { getObjectId } = require('stelace-util-keys')
 const { apiVersions } = require('../versions')
 const { setPlatformEnvData } = require('../redis')
 const { builtInSSOProviders } = require('../util/authentication')
+const { getInvalidRankingRuleMessage } = require('../util/search')
 
 let responder
 let roleRequester
@@ -127,7 +128,7 @@ async function readConfig ({ req, access }) {
 async function updateConfig ({ req, access }) {
   const platformId = req.platformId
   const env = req.env
-  const { Config } = await getModels({ platformId, env })
+  const { Config, CustomAttribute } = await getModels({ platformId, env })
   let apiVersion
 
   if (access === 'default') {
@@ -164,6 +165,17 @@ async function updateConfig ({ req, access }) {
           throw createError(422, `Invalid default roles: ${invalidRoles.join(', ')}`)
         }
       }
+
+      const rankingRules = _.get(req.stelace, 'search.rankingRules')
+      if (rankingRules && rankingRules.length) {
+        const customAttributes = await CustomAttribute.query()
+        const indexedCustomAttributes = _.keyBy(customAttributes, 'name')
+
+        rankingRules.forEach(rule => {
+          const invalidRuleMessage = getInvalidRankingRuleMessage({ rule, indexedCustomAttributes })
+          if (invalidRuleMessage) throw createError(422, invalidRuleMessage)
+        })
+      }
     }
   } else if (access === 'system') {
     if (req.stelace) {
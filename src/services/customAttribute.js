@@ -24,12 +24,14 @@ let responder
 let subscriber
 let publisher
 let assetPublisher
+let configRequester
 
 function start ({ communication }) {
   const {
     getResponder,
     getSubscriber,
     getPublisher,
+    getRequester,
     COMMUNICATION_ID
   } = communication
 
@@ -61,6 +63,11 @@ function start ({ communication }) {
     namespace: COMMUNICATION_ID
   })
 
+  configRequester = getRequester({
+    name: 'Custom attribute service > Config Requester',
+    key: 'config'
+  })
+
   responder.on('list', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -214,7 +221,8 @@ function start ({ communication }) {
       customAttribute,
       eventDate: customAttribute.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return CustomAttribute.expose(customAttribute, { req })
@@ -286,7 +294,8 @@ function start ({ communication }) {
       updateAttrs: updateAttrsBeforeFullDataMerge,
       eventDate: newCustomAttribute.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return CustomAttribute.expose(newCustomAttribute, { req })
@@ -314,6 +323,19 @@ function start ({ communication }) {
       return { id: customAttributeId }
     }
 
+    const config = await configRequester.send({
+      type: '_getConfig',
+      platformId,
+      env,
+      access: 'default'
+    })
+    const rankingRules = _.get(config, 'stelace.search.rankingRules') || []
+    const referencingRankingRule = rankingRules.find(rule => rule.field === customAttribute.name)
+    if (referencingRankingRule) {
+      throw createError(422, `Cannot remove the custom attribute ${customAttribute.name} ` +
+        `used in search ranking rule ${referencingRankingRule.name}`)
+    }
+
     const referencingAssetsQuery = Asset.query()
       .whereJsonHasAny('customAttributes', customAttribute.name)
     /*
@@ -394,7 +416,7 @@ function start ({ communication }) {
 
   // EVENTS
 
-  subscriber.on('customAttributeCreated', async ({ customAttribute, eventDate, platformId, env } = {}) => {
+  subscriber.on('customAttributeCreated', async ({ customAttribute, eventDate, platformId, env, req } = {}) => {
     try {
       const { CustomAttribute, Event } = await getModels({ platformId, env })
 
@@ -402,7 +424,7 @@ function start ({ communication }) {
         createdDate: eventDate,
         type: 'custom_attribute__created',
         object: CustomAttribute.expose(customAttribute, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -419,7 +441,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { CustomAttribute, Event } = await getModels({ platformId, env })
@@ -429,7 +452,7 @@ function start ({ communication }) {
         type: 'custom_attribute__updated',
         object: CustomAttribute.expose(newCustomAttribute, { namespaces: ['*'] }),
         changesRequested: CustomAttribute.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -456,7 +479,7 @@ function start ({ communication }) {
         type: 'custom_attribute__deleted',
         objectId: customAttributeId,
         object: CustomAttribute.expose(customAttribute, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -477,6 +500,9 @@ function stop () {
 
   assetPublisher.close()
   assetPublisher = null
+
+  configRequester.close()
+  configRequester = null
 }
 
 module.exports = {
@@ -297,7 +297,7 @@ function start ({ communication }) {
         type: 'entry__created',
         objectId: entry.id,
         object: Entry.expose(entry, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -326,7 +326,7 @@ function start ({ communication }) {
         objectId: entryId,
         object: Entry.expose(newEntry, { req, namespaces: ['*'] }),
         changesRequested: Entry.expose(updateAttrs, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -346,7 +346,7 @@ function start ({ communication }) {
         type: 'entry__deleted',
         objectId: entryId,
         object: Entry.expose(entry, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -381,7 +381,7 @@ function start ({ communication }) {
       metadata,
       emitterId,
       emitter: emitter || 'custom'
-    }, { platformId, env })
+    }, { platformId, env, req })
 
     return Event.expose(event, { req })
   })
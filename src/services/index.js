@@ -9,6 +9,7 @@ const services = {
   authentication: require('./authentication'),
   authorization: require('./authorization'),
   availability: require('./availability'),
+  calendarFeed: require('./calendarFeed'),
   category: require('./category'),
   config: require('./config'),
   customAttribute: require('./customAttribute'),
@@ -18,12 +19,14 @@ const services = {
   message: require('./message'),
   namespace: require('./namespace'),
   order: require('./order'),
+  promotion: require('./promotion'),
   role: require('./role'),
   search: require('./search'),
   signal: require('./signal'),
   task: require('./task'),
   transaction: require('./transaction'),
   user: require('./user'),
+  waitlist: require('./waitlist'),
   webhook: require('./webhook'),
   workflow: require('./workflow')
 }
@@ -346,7 +346,7 @@ function start ({ communication }) {
         type: 'message__created',
         objectId: message.id,
         object: Message.expose(message, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
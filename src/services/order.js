@@ -868,7 +868,7 @@ function start ({ communication }) {
         type: 'order__created',
         objectId: order.id,
         object: Order.expose(order, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -897,7 +897,7 @@ function start ({ communication }) {
         objectId: orderId,
         object: Order.expose(newOrder, { req, namespaces: ['*'] }),
         changesRequested: Order.expose(updateAttrs, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
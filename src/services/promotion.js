@@ -0,0 +1,432 @@
+const createError = require('http-errors')
+const _ = require('lodash')
+
+const { logError } = require('../../server/logger')
+const { getModels } = require('../models')
+
+const { isValidCurrency } = require('../util/currency')
+
+const { getObjectId } = require('stelace-util-keys')
+
+const { performListQuery } = require('../util/listQueryBuilder')
+
+let responder
+let subscriber
+let transactionSubscriber
+let publisher
+
+function start ({ communication }) {
+  const {
+    getResponder,
+    getSubscriber,
+    getPublisher,
+    COMMUNICATION_ID
+  } = communication
+
+  responder = getResponder({
+    name: 'Promotion Responder',
+    key: 'promotion'
+  })
+
+  subscriber = getSubscriber({
+    name: 'Promotion subscriber',
+    key: 'promotion',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'promotionCreated',
+      'promotionUpdated',
+      'promotionDeleted'
+    ]
+  })
+
+  transactionSubscriber = getSubscriber({
+    name: 'Promotion subscriber for transactions',
+    key: 'transaction',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'transactionCreated'
+    ]
+  })
+
+  publisher = getPublisher({
+    name: 'Promotion publisher',
+    key: 'promotion',
+    namespace: COMMUNICATION_ID
+  })
+
+  responder.on('list', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Promotion } = await getModels({ platformId, env })
+
+    const {
+      orderBy,
+      order,
+
+      nbResultsPerPage,
+
+      // cursor pagination
+      startingAfter,
+      endingBefore,
+
+      id,
+      createdDate,
+      updatedDate,
+      code,
+      active,
+    } = req
+
+    const queryBuilder = Promotion.query()
+
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        ids: {
+          dbField: 'id',
+          value: id,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        createdDate: {
+          dbField: 'createdDate',
+          value: createdDate,
+          query: 'range'
+        },
+        updatedDate: {
+          dbField: 'updatedDate',
+          value: updatedDate,
+          query: 'range'
+        },
+        codes: {
+          dbField: 'code',
+          value: code,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        active: {
+          dbField: 'active',
+          value: active
+        },
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
+
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
+      },
+      useOffsetPagination: false,
+    })
+
+    paginationMeta.results = Promotion.exposeAll(paginationMeta.results, { req })
+    return paginationMeta
+  })
+
+  responder.on('read', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Promotion } = await getModels({ platformId, env })
+
+    const promotionId = req.promotionId
+
+    const promotion = await Promotion.query().findById(promotionId)
+    if (!promotion) {
+      throw createError(404)
+    }
+
+    return Promotion.expose(promotion, { req })
+  })
+
+  responder.on('create', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Promotion } = await getModels({ platformId, env })
+
+    const fields = [
+      'name',
+      'code',
+      'active',
+      'discountPercent',
+      'discountValue',
+      'currency',
+      'startDate',
+      'endDate',
+      'maxUses',
+      'maxUsesPerUser',
+      'assetTypesIds',
+      'categoriesIds',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req, fields)
+
+    if (payload.currency && !isValidCurrency(payload.currency)) {
+      throw createError(422, 'Invalid currency')
+    }
+
+    const existingPromotion = await Promotion.query().findOne({ code: payload.code })
+    if (existingPromotion) {
+      throw createError(422, `Promotion code ${payload.code} already exists`)
+    }
+
+    await checkPromotionAttrs(payload, { platformId, env })
+
+    const promotion = await Promotion.query().insert(Object.assign({
+      id: await getObjectId({ prefix: Promotion.idPrefix, platformId, env })
+    }, payload))
+
+    publisher.publish('promotionCreated', {
+      promotion,
+      eventDate: promotion.createdDate,
+      platformId,
+      env,
+      req
+    })
+
+    return Promotion.expose(promotion, { req })
+  })
+
+  responder.on('update', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Promotion } = await getModels({ platformId, env })
+
+    const promotionId = req.promotionId
+
+    const fields = [
+      'name',
+      'active',
+      'startDate',
+      'endDate',
+      'maxUses',
+      'maxUsesPerUser',
+      'assetTypesIds',
+      'categoriesIds',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _.pick(req, fields)
+
+    const {
+      metadata,
+      platformData
+    } = payload
+
+    let promotion = await Promotion.query().findById(promotionId)
+    if (!promotion) {
+      throw createError(404)
+    }
+
+    await checkPromotionAttrs(Object.assign({}, promotion, payload), { platformId, env })
+
+    const updateAttrs = _.omit(payload, ['metadata', 'platformData'])
+    const updateAttrsBeforeFullDataMerge = Object.assign({}, payload)
+
+    if (metadata) {
+      updateAttrs.metadata = Promotion.rawJsonbMerge('metadata', metadata)
+    }
+    if (platformData) {
+      updateAttrs.platformData = Promotion.rawJsonbMerge('platformData', platformData)
+    }
+
+    promotion = await Promotion.query().patchAndFetchById(promotionId, updateAttrs)
+
+    publisher.publish('promotionUpdated', {
+      promotion,
+      updateAttrs: updateAttrsBeforeFullDataMerge,
+      eventDate: promotion.updatedDate,
+      platformId,
+      env,
+      req
+    })
+
+    return Promotion.expose(promotion, { req })
+  })
+
+  responder.on('remove', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Promotion } = await getModels({ platformId, env })
+
+    const {
+      promotionId
+    } = req
+
+    const promotion = await Promotion.query().findById(promotionId)
+    if (!promotion) {
+      return { id: promotionId }
+    }
+
+    // transactions keep a snapshot of the promotion so their discount remains unchanged
+    await Promotion.query().deleteById(promotionId)
+
+    publisher.publish('promotionDeleted', {
+      promotionId,
+      promotion,
+      eventDate: new Date().toISOString(),
+      platformId,
+      env,
+      req
+    })
+
+    return { id: promotionId }
+  })
+
+  // EVENTS
+
+  subscriber.on('promotionCreated', async ({ promotion, eventDate, platformId, env, req } = {}) => {
+    try {
+      const { Event, Promotion } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'promotion__created',
+        objectId: promotion.id,
+        object: Promotion.expose(promotion, { namespaces: ['*'] })
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { promotionId: promotion.id },
+        message: 'Fail to create event promotion__created'
+      })
+    }
+  })
+
+  subscriber.on('promotionUpdated', async ({
+    promotion,
+    updateAttrs,
+    eventDate,
+    platformId,
+    env,
+    req
+  } = {}) => {
+    try {
+      const { Event, Promotion } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'promotion__updated',
+        objectId: promotion.id,
+        object: Promotion.expose(promotion, { namespaces: ['*'] }),
+        changesRequested: Promotion.expose(updateAttrs, { namespaces: ['*'] })
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { promotionId: promotion.id },
+        message: 'Fail to create event promotion__updated'
+      })
+    }
+  })
+
+  subscriber.on('promotionDeleted', async ({ promotionId, promotion, eventDate, platformId, env, req } = {}) => {
+    try {
+      const { Event, Promotion } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'promotion__deleted',
+        objectId: promotionId,
+        object: Promotion.expose(promotion, { req, namespaces: ['*'] })
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { promotionId },
+        message: 'Fail to create event promotion__deleted'
+      })
+    }
+  })
+
+  transactionSubscriber.on('transactionCreated', async ({ transaction, eventDate, platformId, env, req } = {}) => {
+    if (!transaction.promotionId) return
+
+    try {
+      const { Event, Promotion } = await getModels({ platformId, env })
+
+      // fall back to the snapshot if the promotion has been removed in the meantime
+      const promotion = await Promotion.query().findById(transaction.promotionId) ||
+        transaction.promotionSnapshot
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'promotion__redeemed',
+        objectId: transaction.promotionId,
+        object: Promotion.expose(promotion, { namespaces: ['*'] }),
+        metadata: {
+          transactionId: transaction.id,
+          takerId: transaction.takerId,
+          discountAmount: transaction.discountAmount
+        }
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { promotionId: transaction.promotionId, transactionId: transaction.id },
+        message: 'Fail to create event promotion__redeemed'
+      })
+    }
+  })
+}
+
+async function checkPromotionAttrs ({
+  startDate,
+  endDate,
+  assetTypesIds,
+  categoriesIds
+}, { platformId, env }) {
+  const { AssetType, Category } = await getModels({ platformId, env })
+
+  if (startDate && endDate && endDate <= startDate) {
+    throw createError(422, 'Promotion end date must be after start date')
+  }
+
+  if (!_.isEmpty(assetTypesIds)) {
+    const assetTypes = await AssetType.query().whereIn('id', assetTypesIds)
+    const missingAssetTypesIds = _.difference(assetTypesIds, assetTypes.map(a => a.id))
+
+    if (missingAssetTypesIds.length) {
+      throw createError(422, `Asset types not found: ${missingAssetTypesIds.join(', ')}`)
+    }
+  }
+
+  if (!_.isEmpty(categoriesIds)) {
+    const categories = await Category.query().whereIn('id', categoriesIds)
+    const missingCategoriesIds = _.difference(categoriesIds, categories.map(c => c.id))
+
+    if (missingCategoriesIds.length) {
+      throw createError(422, `Categories not found: ${missingCategoriesIds.join(', ')}`)
+    }
+  }
+}
+
+function stop () {
+  responder.close()
+  responder = null
+
+  subscriber.close()
+  subscriber = null
+
+  transactionSubscriber.close()
+  transactionSubscriber = null
+
+  publisher.close()
+  publisher = null
+}
+
+module.exports = {
+  start,
+  stop
+}
@@ -10,7 +10,8 @@ const {
 } = require('../elasticsearch')
 
 const {
-  syncAssetsWithElasticsearch
+  syncAssetsWithElasticsearch,
+  getAssetsRatingsStats
 } = require('../elasticsearch-sync')
 
 const {
@@ -19,6 +20,15 @@ const {
 
 const { getModels } = require('../models')
 
+const { parseArrayValues } = require('../util/list')
+const { getDurationPrice } = require('../util/pricing')
+const {
+  getPrefixHighlights,
+  getCaseInsensitivePrefixRegex,
+  getInvalidRankingRuleMessage
+} = require('../util/search')
+const { diffDates } = require('../util/time')
+
 let responder
 let subscriber
 let assetSubscriber
@@ -33,6 +43,9 @@ const categoryIdInFilterRegex = builtInUsedInFilterRegex('_categoryId')
 const assetTypeIdInFilterRegex = builtInUsedInFilterRegex('_assetTypeId')
 const whitespaceInQueryRegex = /\s/
 
+// prefixed with '_' so it cannot conflict with facets aggregations named after custom attributes
+const geoClustersAggregationName = '_geoClusters'
+
 function start ({ communication, isSystem }) {
   const {
     getResponder,
@@ -87,9 +100,14 @@ function start ({ communication, isSystem }) {
     const platformId = req.platformId
     const env = req.env
 
-    const { searchQuery, _size, _validateOnly, parsedFilter } = req
+    const { searchQuery, _size, _validateOnly, _assetsIds, parsedFilter } = req
 
-    const { CustomAttribute, Asset } = await getModels({ platformId, env })
+    // used by system to evaluate a search query against specific assets only
+    const restrictedAssetsIds = isSystem(req._systemHash) && _assetsIds
+      ? parseArrayValues(_assetsIds)
+      : null
+
+    const { CustomAttribute, Asset, AssetType } = await getModels({ platformId, env })
 
     const config = await configRequester.send({
       type: '_getConfig',
@@ -110,8 +128,14 @@ function start ({ communication, isSystem }) {
       query,
       categoryId,
       assetTypeId,
+      ownerId,
+      currency,
+      price,
       location,
       maxDistance = defaultMaxDistance,
+      bounds,
+      polygon,
+      geoClusters,
       startDate,
       endDate,
       createdBefore,
@@ -126,22 +150,37 @@ function start ({ communication, isSystem }) {
       active = true,
       validated,
       sort,
-      availabilityFilter: userAvailabilityFilter
+      availabilityFilter: userAvailabilityFilter,
+      facets,
+      rankingRules: rankingRulesOverrides
     } = searchQuery
 
+    const rankingRules = getRankingRules({
+      rankingRules: searchConfig.rankingRules,
+      overrides: rankingRulesOverrides
+    })
+
     const availabilityFilter = Object.assign({}, defaultAvailabilityFilter, userAvailabilityFilter)
 
     if (startDate && endDate && endDate <= startDate) {
       throw createError(422, 'Start date must be before end date')
     }
 
+    // total price depends on the asset type time unit
+    let nbTimeUnitsByAssetType
+    if (startDate && endDate) {
+      const assetTypes = await AssetType.query()
+      nbTimeUnitsByAssetType = getNbTimeUnitsByAssetType({ assetTypes, startDate, endDate })
+    }
+
     debug('Preparing ElasticSearch request…')
 
     let customAttributes = req._customAttributes // can be populated by some middleware
     let indexedCustomAttributes = {}
 
     if (_.isEmpty(customAttributes) && (
-      !!customAttributesQuery || query || similarTo || (sort && sort.length))
+      !!customAttributesQuery || query || similarTo || (sort && sort.length) || (facets && facets.length) ||
+      rankingRules.length)
     ) {
       customAttributes = await CustomAttribute.query()
     }
@@ -220,6 +259,34 @@ function start ({ communication, isSystem }) {
       })
     }
 
+    if (ownerId && ownerId.length) {
+      bool.filter.push({
+        terms: { ownerId }
+      })
+    }
+
+    if (currency && currency.length) {
+      bool.filter.push({
+        terms: { currency }
+      })
+    }
+
+    if (_.isNumber(price)) {
+      bool.filter.push({
+        term: { price }
+      })
+    } else if (price) {
+      bool.filter.push({
+        range: { price }
+      })
+    }
+
+    if (restrictedAssetsIds) {
+      bool.filter.push({
+        terms: { _id: restrictedAssetsIds }
+      })
+    }
+
     if (without && without.length) {
       bool.filter.push({
         bool: {
@@ -244,6 +311,34 @@ function start ({ communication, isSystem }) {
       })
     }
 
+    if (bounds) {
+      bool.filter.push({
+        geo_bounding_box: {
+          locations: {
+            top_left: {
+              lat: bounds.topLeft.latitude,
+              lon: bounds.topLeft.longitude
+            },
+            bottom_right: {
+              lat: bounds.bottomRight.latitude,
+              lon: bounds.bottomRight.longitude
+            }
+          }
+        }
+      })
+    }
+
+    if (polygon) {
+      bool.filter.push({
+        geo_polygon: {
+          locations: {
+            // GeoJSON coordinates are [longitude, latitude]
+            points: polygon.coordinates[0].map(([lon, lat]) => ({ lat, lon }))
+          }
+        }
+      })
+    }
+
     if (createdBefore || createdAfter) {
       const createdDateQuery = {}
       if (createdBefore) createdDateQuery.lte = createdBefore
@@ -430,6 +525,7 @@ function start ({ communication, isSystem }) {
 
     if (sort) {
       const sortableAvailabilityAttribute = '_available'
+      const sortableTotalPriceAttribute = '_totalPrice'
       const sortableBuiltInAttributes = [
         '_createdDate',
         '_updatedDate',
@@ -471,6 +567,27 @@ function start ({ communication, isSystem }) {
           } else {
             throw createError(422, `${sortableAvailabilityAttribute} sorting should come as the first element of the sorting array`)
           }
+        } else if (name === sortableTotalPriceAttribute) {
+          if (!nbTimeUnitsByAssetType) {
+            throw createError(422, `${sortableTotalPriceAttribute} sorting requires startDate and endDate`)
+          }
+
+          // quantity is omitted as it doesn’t change the order
+          sortParams.push({
+            _script: {
+              type: 'number',
+              script: {
+                lang: 'painless',
+                source: `
+                  String assetTypeId = doc['assetTypeId'].value;
+                  double nbTimeUnits = params.nbTimeUnits.containsKey(assetTypeId) ? params.nbTimeUnits[assetTypeId] : 1;
+                  return doc['price'].value * nbTimeUnits;
+                `,
+                params: { nbTimeUnits: nbTimeUnitsByAssetType }
+              },
+              order: step[name]
+            }
+          })
         } else if (isSortableBuiltInAttributesKeyword) {
           // remove the built-in character indicator '_' if needed
           let realName
@@ -547,7 +664,28 @@ function start ({ communication, isSystem }) {
       queryBody.bool.filter = queryBody.bool.filter.concat(parsedFilter)
     }
 
-    body.query = queryBody
+    // config rules can reference custom attributes removed since then, so they're skipped
+    // instead of failing all searches, unlike rules from search query
+    const queryRulesNames = _.map(rankingRulesOverrides, 'name')
+    const rankingFunctions = getRankingFunctions({
+      rankingRules: rankingRules.filter(rule => {
+        return queryRulesNames.includes(rule.name) || !getInvalidRankingRuleMessage({ rule, indexedCustomAttributes })
+      }),
+      indexedCustomAttributes
+    })
+    if (rankingFunctions.length) {
+      body.query = {
+        function_score: {
+          query: queryBody,
+          // relevance score is multiplied by 1 plus the sum of matching weighted rules
+          functions: [{ weight: 1 }].concat(rankingFunctions),
+          score_mode: 'sum',
+          boost_mode: 'multiply'
+        }
+      }
+    } else {
+      body.query = queryBody
+    }
 
     if (sort) {
       body.sort = sortParams
@@ -559,6 +697,19 @@ function start ({ communication, isSystem }) {
       ]
     }
 
+    // aggregations use the same query as results so facets respect all filters
+    // availability filtering is performed afterwards, see below
+    if (facets && facets.length) {
+      body.aggs = getFacetsAggregations({ facets, indexedCustomAttributes })
+    }
+    if (geoClusters) {
+      body.aggs = Object.assign({}, body.aggs, {
+        [geoClustersAggregationName]: getGeoClustersAggregation(geoClusters)
+      })
+    }
+
+    const aggregationsBody = body.aggs
+
     debug('ElasticSearch Query Body %j', body)
 
     const client = await getClient({ platformId, env })
@@ -572,9 +723,11 @@ function start ({ communication, isSystem }) {
     let allResults = []
     let availableResults = []
     let unavailableResults = []
+    let unavailableAssetsIds = []
     let nbTotalResults
     let results
     let searchAfterParams
+    let aggregations
 
     // each run can only have `size` (defined above) number of assets
     // but some asset are filtered by availability so this isn't the real number
@@ -624,6 +777,12 @@ function start ({ communication, isSystem }) {
         nbTotalResults = getNbTotalResults(results)
       }
 
+      // aggregations are the same for all pages of results so they are computed only once
+      if (body.aggs) {
+        aggregations = results.aggregations
+        delete body.aggs
+      }
+
       debug(`${nbTotalResults} new ElasticSearch results`)
 
       results = formatElasticsearchResults(results)
@@ -673,6 +832,8 @@ function start ({ communication, isSystem }) {
         quantity,
         fullPeriod: availabilityFilter.fullPeriod,
         unavailableWhen: availabilityFilter.unavailableWhen,
+        // lead-time rules only apply to searched start dates
+        checkBookingWindow: !!startDate,
         platformId,
         env
       })
@@ -680,10 +841,13 @@ function start ({ communication, isSystem }) {
       // show only available assets
       // do not take into account availability sort as only available assets will be displayed
       if (availabilityFilter.enabled) {
-        results = results.filter(asset => {
-          const available = allAvailable[asset.id]
-          return available
-        })
+        const [
+          availableAssets,
+          unavailableAssets
+        ] = _.partition(results, asset => allAvailable[asset.id])
+
+        results = availableAssets
+        unavailableAssetsIds = unavailableAssetsIds.concat(_.map(unavailableAssets, 'id'))
 
         allResults = allResults.concat(results)
         currentNbResults += results.length
@@ -746,22 +910,54 @@ function start ({ communication, isSystem }) {
 
     debug('Availability filtering on search results done')
 
+    // aggregations are computed again without filtered unavailable assets
+    // but assets that haven't been fetched can't be checked, so facets may not be exhaustive
+    if (aggregationsBody && unavailableAssetsIds.length) {
+      const { body: aggregationsResults } = await client.search({
+        index,
+        body: {
+          size: 0,
+          query: {
+            bool: {
+              must: body.query,
+              must_not: { ids: { values: unavailableAssetsIds } }
+            }
+          },
+          aggs: aggregationsBody
+        }
+      })
+      aggregations = aggregationsResults.aggregations
+    }
+
     let exposedResults = getResultsByPagination(allResults, page, nbResultsPerPage)
     exposedResults = formatResults(exposedResults)
+
+    if (nbTimeUnitsByAssetType) {
+      exposedResults.forEach(asset => {
+        asset.totalPrice = getDurationPrice({
+          nbTimeUnits: nbTimeUnitsByAssetType[asset.assetTypeId] || 1,
+          timeUnitPrice: asset.price
+        }) * (quantity || 1)
+      })
+    }
     exposedResults = Asset.exposeAll(exposedResults, { req })
 
     const eventDate = new Date().toISOString()
 
-    publisher.publish('assetsSearched', {
-      firstResult: exposedResults[0],
-      resultsIds: _.map(exposedResults, 'id'),
-      searchQuery,
-      eventDate,
-      platformId,
-      env
-    })
+    // internal searches restricted to some assets aren't user searches
+    if (!restrictedAssetsIds) {
+      publisher.publish('assetsSearched', {
+        firstResult: exposedResults[0],
+        resultsIds: _.map(exposedResults, 'id'),
+        searchQuery,
+        eventDate,
+        platformId,
+        env,
+        req
+      })
+    }
 
-    return {
+    const searchResult = {
       page,
       nbResultsPerPage,
       nbResults: currentNbResults,
@@ -769,6 +965,122 @@ function start ({ communication, isSystem }) {
       exhaustiveNbResults: !hasAdditionalResults,
       results: exposedResults
     }
+
+    if (facets && facets.length) {
+      searchResult.facets = formatFacets({ facets, aggregations })
+      searchResult.exhaustiveFacets = !availabilityFilter.enabled || !hasAdditionalResults
+    }
+    if (geoClusters) {
+      searchResult.geoClusters = formatGeoClusters(_.get(aggregations, geoClustersAggregationName))
+    }
+
+    return searchResult
+  })
+
+  responder.on('suggest', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const { q: query, nbResultsPerType } = req
+
+    const { Category, CustomAttribute } = await getModels({ platformId, env })
+
+    const [
+      categories,
+      customAttributes
+    ] = await Promise.all([
+      Category.query().select('id', 'name'),
+      CustomAttribute.query().whereIn('type', ['select', 'tags']).select('name')
+    ])
+
+    // same visibility as search with default parameters: only active assets
+    const visibilityFilter = { term: { active: true } }
+
+    const customAttributesAggs = customAttributes.reduce((aggs, customAttribute) => {
+      aggs[customAttribute.name] = {
+        terms: {
+          field: `customAttributes.${customAttribute.name}`,
+          include: getCaseInsensitivePrefixRegex(query),
+          size: nbResultsPerType
+        }
+      }
+      return aggs
+    }, {})
+
+    const body = {
+      size: nbResultsPerType,
+      _source: ['name'],
+      query: {
+        bool: {
+          filter: [visibilityFilter],
+          must: {
+            match: {
+              'name.edge_ngrams': {
+                query,
+                operator: 'and'
+              }
+            }
+          }
+        }
+      },
+      // deduplicate asset names
+      collapse: {
+        field: 'name.keyword'
+      }
+    }
+
+    if (!_.isEmpty(customAttributesAggs)) {
+      // custom attribute values don’t depend on asset names matching the query
+      body.aggs = {
+        customAttributes: {
+          global: {},
+          aggs: {
+            visible: {
+              filter: visibilityFilter,
+              aggs: customAttributesAggs
+            }
+          }
+        }
+      }
+    }
+
+    const client = await getClient({ platformId, env })
+
+    const { body: searchResults } = await client.search({
+      index: getIndex({ platformId, env }),
+      body
+    })
+
+    const assetNames = _.uniqBy(searchResults.hits.hits.map(hit => hit._source.name), name => name.toLowerCase())
+      .map(name => ({ value: name, highlights: getPrefixHighlights({ text: name, query }) }))
+      .filter(suggestion => suggestion.highlights)
+
+    const categorySuggestions = categories
+      .map(category => ({
+        id: category.id,
+        value: category.name,
+        highlights: getPrefixHighlights({ text: category.name, query })
+      }))
+      .filter(suggestion => suggestion.highlights)
+      .slice(0, nbResultsPerType)
+
+    const visibleAggregations = _.get(searchResults, 'aggregations.customAttributes.visible', {})
+    const customAttributeValues = _.flatMap(customAttributes, customAttribute => {
+      const buckets = _.get(visibleAggregations, `${customAttribute.name}.buckets`, [])
+
+      return buckets.map(bucket => ({
+        customAttributeName: customAttribute.name,
+        value: bucket.key,
+        count: bucket.doc_count,
+        highlights: getPrefixHighlights({ text: bucket.key, query }) || [{ start: 0, end: query.length }]
+      }))
+    })
+
+    return {
+      assetNames,
+      categories: categorySuggestions,
+      customAttributeValues: _.orderBy(customAttributeValues, 'count', 'desc').slice(0, nbResultsPerType)
+    }
   })
 
   // EVENTS
@@ -779,7 +1091,8 @@ function start ({ communication, isSystem }) {
     searchQuery,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event } = await getModels({ platformId, env })
@@ -794,7 +1107,7 @@ function start ({ communication, isSystem }) {
           resultsIds,
           searchQuery
         }
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -805,6 +1118,28 @@ function start ({ communication, isSystem }) {
     }
   })
 
+  // ratings stats aren't stored with assets in database, only indexed for ranking
+  responder.on('_syncAssetRatingsStats', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const { assetId } = req
+
+    const { Document } = await getModels({ platformId, env })
+
+    const { [assetId]: ratingsStats } = await getAssetsRatingsStats({ Document, assetsIds: [assetId] })
+
+    syncAssetsWithElasticsearch({
+      assetId,
+      doc: { ratingsStats },
+      action: 'patch',
+      platformId,
+      env
+    })
+
+    return ratingsStats
+  })
+
   assetSubscriber.on('assetCreated', async ({ asset, eventDate, platformId, env } = {}) => {
     syncAssetsWithElasticsearch({
       assetId: asset.id,
@@ -1005,6 +1340,224 @@ function transformCustomAttributesQuery ({ customAttributesQuery, indexedCustomA
   }
 }
 
+/**
+ * Assets of time-based asset types are booked for a number of time units
+ * between start and end dates, like 3 days, that is rounded up
+ * @param {Object} params
+ * @param {Object[]} params.assetTypes
+ * @param {String} params.startDate
+ * @param {String} params.endDate
+ * @return {Object} number of time units indexed by asset type ID
+ */
+function getNbTimeUnitsByAssetType ({ assetTypes, startDate, endDate }) {
+  return assetTypes.reduce((memo, assetType) => {
+    if (!assetType.timeBased) {
+      memo[assetType.id] = 1
+    } else {
+      const timeUnit = _.get(assetType, 'timing.timeUnit') || 'd'
+      memo[assetType.id] = Math.max(Math.ceil(diffDates(endDate, startDate, timeUnit)), 1)
+    }
+
+    return memo
+  }, {})
+}
+
+/**
+ * Ranking rules from config can be overridden by name, or disabled with `weight: 0`.
+ * Passing `null` in search query disables all ranking rules.
+ * @param {Object} params
+ * @param {Object[]} [params.rankingRules] - from config
+ * @param {Object[]|null} [params.overrides] - from search query
+ * @return {Object[]} ranking rules with non-zero weight
+ */
+function getRankingRules ({ rankingRules, overrides }) {
+  if (overrides === null) return []
+
+  const indexedRules = _.keyBy(rankingRules || [], 'name')
+  const rulesOverrides = overrides || []
+
+  rulesOverrides.forEach(rule => {
+    indexedRules[rule.name] = Object.assign({}, indexedRules[rule.name], rule)
+  })
+
+  return _.values(indexedRules).filter(rule => rule.weight !== 0)
+}
+
+/**
+ * Turns ranking rules into Elasticsearch function score functions:
+ * - `_validated` and boolean custom attributes boost assets having a true value
+ * - `_createdDate` boosts recent assets with a decay over `scale` (30 days by default)
+ * - `_averageRating` and number custom attributes boost assets based on their positive value (logarithmic)
+ *   (ratings stats are only indexed, see `getAssetsRatingsStats`)
+ * @param {Object} params
+ * @param {Object[]} params.rankingRules
+ * @param {Object} params.indexedCustomAttributes
+ * @return {Object[]}
+ */
+function getRankingFunctions ({ rankingRules, indexedCustomAttributes }) {
+  return rankingRules.map(rule => {
+    const invalidRuleMessage = getInvalidRankingRuleMessage({ rule, indexedCustomAttributes })
+    if (invalidRuleMessage) throw createError(422, invalidRuleMessage)
+
+    const { field, weight, scale = '30d', factor = 1 } = rule
+
+    const getFieldValueFactorFunction = esField => ({
+      field_value_factor: {
+        field: esField,
+        factor,
+        modifier: 'log1p',
+        missing: 0
+      },
+      weight
+    })
+
+    if (field === '_validated') {
+      return { filter: { term: { validated: true } }, weight }
+    } else if (field === '_createdDate') {
+      return { gauss: { createdDate: { origin: 'now', scale, decay: 0.5 } }, weight }
+    } else if (field === '_averageRating') {
+      return getFieldValueFactorFunction('ratingsStats.avg')
+    } else if (indexedCustomAttributes[field].type === 'boolean') {
+      return { filter: { term: { [`customAttributes.${field}`]: true } }, weight }
+    } else {
+      return getFieldValueFactorFunction(`customAttributes.${field}`)
+    }
+  })
+}
+
+function normalizeFacet (facet) {
+  return typeof facet === 'string' ? { field: facet } : facet
+}
+
+/**
+ * Built-in fields `_categoryId` and `_assetTypeId`, and custom attributes of type
+ * select, tags or text are aggregated by terms.
+ * Built-in field `_price` and number custom attributes need `ranges` or `interval` (histogram).
+ * @param {Object} params
+ * @param {Array} params.facets
+ * @param {Object} params.indexedCustomAttributes
+ * @return {Object} Elasticsearch aggregations, indexed by facet field
+ */
+function getFacetsAggregations ({ facets, indexedCustomAttributes }) {
+  const builtInTermsFields = {
+    _categoryId: 'categoryId',
+    _assetTypeId: 'assetTypeId'
+  }
+  const builtInNumberFields = {
+    _price: 'price'
+  }
+
+  return facets.map(normalizeFacet).reduce((aggs, facet) => {
+    const { field, size, ranges, interval } = facet
+    const customAttribute = indexedCustomAttributes[field]
+
+    let termsKey
+    let numberKey
+
+    if (builtInTermsFields[field]) {
+      termsKey = builtInTermsFields[field]
+    } else if (builtInNumberFields[field]) {
+      numberKey = builtInNumberFields[field]
+    } else if (customAttribute && ['select', 'tags'].includes(customAttribute.type)) {
+      termsKey = `customAttributes.${field}`
+    } else if (customAttribute && customAttribute.type === 'text') {
+      termsKey = `customAttributes.${field}.keyword`
+    } else if (customAttribute && customAttribute.type === 'number') {
+      numberKey = `customAttributes.${field}`
+    } else {
+      throw createError(422, `Cannot compute facets on ${field}${
+        customAttribute ? ` of type ${customAttribute.type}` : ''
+      }`)
+    }
+
+    if (termsKey) {
+      if (ranges || interval) {
+        throw createError(422, `Ranges or interval cannot be used for facets on ${field}`)
+      }
+      aggs[field] = { terms: { field: termsKey, size: size || 10 } }
+    } else if (ranges) {
+      aggs[field] = { range: { field: numberKey, ranges } }
+    } else if (interval) {
+      aggs[field] = { histogram: { field: numberKey, interval, min_doc_count: 1 } }
+    } else {
+      throw createError(422, `Ranges or interval is required for facets on ${field}`)
+    }
+
+    return aggs
+  }, {})
+}
+
+/**
+ * Turns Elasticsearch aggregations into facets like
+ * `{ brand: [{ value: 'Toyota', count: 12 }], _price: [{ from: 0, to: 100, count: 5 }] }`
+ * @param {Object} params
+ * @param {Array} params.facets
+ * @param {Object} [params.aggregations] - Elasticsearch aggregations
+ * @return {Object}
+ */
+function formatFacets ({ facets, aggregations = {} }) {
+  return facets.map(normalizeFacet).reduce((memo, facet) => {
+    const buckets = _.get(aggregations, `${facet.field}.buckets`, [])
+
+    memo[facet.field] = buckets.map(bucket => {
+      if (facet.ranges) {
+        return {
+          from: _.isNumber(bucket.from) ? bucket.from : null,
+          to: _.isNumber(bucket.to) ? bucket.to : null,
+          count: bucket.doc_count
+        }
+      }
+
+      return {
+        value: bucket.key,
+        count: bucket.doc_count
+      }
+    })
+
+    return memo
+  }, {})
+}
+
+/**
+ * Assets locations are grouped into geohash grid cells, useful to display clusters of markers
+ * on maps at low zoom levels. Cells are sorted by count (descending).
+ * @param {Object} params
+ * @param {Number} [params.precision = 5] - geohash length between 1 and 12, ~5km wide cells by default
+ * @param {Number} [params.size = 1000] - max number of cells
+ * @return {Object} Elasticsearch aggregation
+ */
+function getGeoClustersAggregation ({ precision = 5, size = 1000 } = {}) {
+  return {
+    geohash_grid: {
+      field: 'locations',
+      precision,
+      size
+    },
+    aggs: {
+      centroid: {
+        geo_centroid: { field: 'locations' }
+      }
+    }
+  }
+}
+
+function formatGeoClusters (aggregation) {
+  const buckets = _.get(aggregation, 'buckets', [])
+
+  return buckets.map(bucket => {
+    const centroidLocation = _.get(bucket, 'centroid.location')
+
+    return {
+      geohash: bucket.key,
+      count: bucket.doc_count,
+      centroid: centroidLocation ? {
+        latitude: centroidLocation.lat,
+        longitude: centroidLocation.lon
+      } : null
+    }
+  })
+}
+
 function stop () {
   responder.close()
   responder = null
@@ -24,6 +24,13 @@ const {
   setStelaceTask,
   removeStelaceTask,
   removeStelaceTaskExecutionDates,
+
+  getAllScheduledWorkflows,
+  setScheduledWorkflow,
+  removeScheduledWorkflow,
+
+  dueJobsKeys,
+  removePlatformDueJobs
 } = require('../redis')
 
 const {
@@ -39,7 +46,8 @@ const {
 } = require('../elasticsearch')
 
 const {
-  syncAssetsWithElasticsearch
+  syncAssetsWithElasticsearch,
+  getAssetsRatingsStats
 } = require('../elasticsearch-sync')
 
 const {
@@ -299,13 +307,10 @@ function start ({ communication }) {
 
     for (const env of environments) {
       try {
-        const { Task } = await getModels({ platformId, env })
-
-        const cachedTasks = await getAllStelaceTasks({ platformId, env })
-        const tasks = await Task.query().where({ active: true })
+        const cacheState = await getCacheState({ platformId, env })
 
-        const { needSync } = computeCacheDifference({ tasks, cachedTasks: cachedTasks.map(t => t.task) })
-        result.cache.ok = !needSync
+        const { needSync } = computeCacheDifference(cacheState)
+        if (needSync) result.cache.ok = false
       } catch (err) {
         result.cache.ok = false
         result.cache.envErrors[env] = serializeError(err)
@@ -371,7 +376,7 @@ function start ({ communication }) {
     const exists = await hasPlatform(platformId)
     if (!exists) throw createError(404, 'Platform does not exist')
 
-    const { Asset } = await getModels({ platformId, env })
+    const { Asset, Document } = await getModels({ platformId, env })
 
     const [{ count: nbAssets }] = await Asset.query().count()
 
@@ -388,10 +393,16 @@ function start ({ communication }) {
         .offset((page - 1) * limit)
         .limit(limit)
 
+      const ratingsStats = await getAssetsRatingsStats({
+        Document,
+        assetsIds: assets.map(asset => asset.id)
+      })
+
       assets.forEach(asset => {
         syncAssetsWithElasticsearch({
           assetId: asset.id,
           asset,
+          doc: { ratingsStats: ratingsStats[asset.id] },
           action: 'update',
           platformId,
           env
@@ -443,12 +454,9 @@ function start ({ communication }) {
     const exists = await hasPlatform(platformId)
     if (!exists) throw createError(404, 'Platform does not exist')
 
-    const { Task } = await getModels({ platformId, env })
-
-    const cachedTasks = await getAllStelaceTasks({ platformId, env })
-    const tasks = await Task.query().where({ active: true })
+    const cacheState = await getCacheState({ platformId, env })
 
-    const cacheDifference = computeCacheDifference({ tasks, cachedTasks: cachedTasks.map(t => t.task) })
+    const cacheDifference = computeCacheDifference(cacheState)
     await syncCache(Object.assign({}, cacheDifference, { platformId, env }))
 
     return { success: true }
@@ -466,6 +474,12 @@ function start ({ communication }) {
     const removedTaskIds = await removeStelaceTask({ platformId, env, taskId: '*' })
     await removeStelaceTaskExecutionDates({ taskId: removedTaskIds })
 
+    await removeScheduledWorkflow({ platformId, env, workflowId: '*' })
+
+    for (const key of Object.values(dueJobsKeys)) {
+      await removePlatformDueJobs({ platformId, env, key })
+    }
+
     return { success: true }
   })
 }
@@ -530,49 +544,126 @@ function omitTaskMetadata (task) {
   return _.omit(task, ['metadata', 'platformData'])
 }
 
-function computeCacheDifference ({ tasks, cachedTasks }) {
-  const tasksById = _.keyBy(tasks, 'id')
-  const cachedTasksById = _.keyBy(cachedTasks, 'id')
+// only these properties are saved in cache for the cron, see `syncScheduledWorkflow` in workflow service
+function pickScheduledWorkflowConfig (workflow) {
+  return _.pick(workflow, ['id', 'recurringPattern', 'recurringTimezone'])
+}
 
-  const allIds = _.uniqBy(
-    tasks.map(t => t.id)
-      .concat(cachedTasks.map(t => t.id))
-  )
+/**
+ * Tasks and workflows with a recurring pattern are saved in cache so that the cron can trigger them
+ */
+async function getCacheState ({ platformId, env }) {
+  const { Task, Workflow } = await getModels({ platformId, env })
 
-  const tasksToAdd = []
-  const taskIdsToRemove = []
-  const tasksUpdated = []
+  const cachedTasks = await getAllStelaceTasks({ platformId, env })
+  const tasks = await Task.query().where({ active: true })
 
-  allIds.forEach(id => {
-    const task = tasksById[id]
-    const cachedTask = cachedTasksById[id]
-
-    if (task && !cachedTask) {
-      tasksToAdd.push(task)
-    } else if (!task && cachedTask) {
-      taskIdsToRemove.push(cachedTask.id)
-    } else if (!_.isEqual(omitTaskMetadata(task), omitTaskMetadata(cachedTask))) {
-      tasksUpdated.push(task)
-    }
-  })
+  const cachedScheduledWorkflows = await getAllScheduledWorkflows({ platformId, env })
+  const scheduledWorkflows = await Workflow.query()
+    .where({ active: true })
+    .whereNotNull('recurringPattern')
+
+  return {
+    tasks,
+    cachedTasks: cachedTasks.map(t => t.task),
+    scheduledWorkflows: scheduledWorkflows.map(pickScheduledWorkflowConfig),
+    cachedScheduledWorkflows: cachedScheduledWorkflows.map(w => w.workflow)
+  }
+}
+
+function computeCacheDifference ({
+  tasks,
+  cachedTasks,
+  scheduledWorkflows = [],
+  cachedScheduledWorkflows = []
+}) {
+  const {
+    objectsToAdd: tasksToAdd,
+    objectIdsToRemove: taskIdsToRemove,
+    objectsUpdated: tasksUpdated
+  } = computeObjectsDifference({ objects: tasks, cachedObjects: cachedTasks, omitFn: omitTaskMetadata })
 
-  const needSync = !!(tasksToAdd.length || taskIdsToRemove.length || tasksUpdated.length)
+  const {
+    objectsToAdd: scheduledWorkflowsToAdd,
+    objectIdsToRemove: scheduledWorkflowIdsToRemove,
+    objectsUpdated: scheduledWorkflowsUpdated
+  } = computeObjectsDifference({ objects: scheduledWorkflows, cachedObjects: cachedScheduledWorkflows })
+
+  const needSync = [
+    tasksToAdd,
+    taskIdsToRemove,
+    tasksUpdated,
+    scheduledWorkflowsToAdd,
+    scheduledWorkflowIdsToRemove,
+    scheduledWorkflowsUpdated
+  ].some(list => list.length > 0)
 
   return {
     tasksToAdd,
     taskIdsToRemove,
     tasksUpdated,
+    scheduledWorkflowsToAdd,
+    scheduledWorkflowIdsToRemove,
+    scheduledWorkflowsUpdated,
     needSync
   }
 }
 
-async function syncCache ({ platformId, env, tasksToAdd, taskIdsToRemove, tasksUpdated }) {
+function computeObjectsDifference ({ objects, cachedObjects, omitFn = _.identity }) {
+  const objectsById = _.keyBy(objects, 'id')
+  const cachedObjectsById = _.keyBy(cachedObjects, 'id')
+
+  const allIds = _.uniqBy(
+    objects.map(o => o.id)
+      .concat(cachedObjects.map(o => o.id))
+  )
+
+  const objectsToAdd = []
+  const objectIdsToRemove = []
+  const objectsUpdated = []
+
+  allIds.forEach(id => {
+    const object = objectsById[id]
+    const cachedObject = cachedObjectsById[id]
+
+    if (object && !cachedObject) {
+      objectsToAdd.push(object)
+    } else if (!object && cachedObject) {
+      objectIdsToRemove.push(cachedObject.id)
+    } else if (!_.isEqual(omitFn(object), omitFn(cachedObject))) {
+      objectsUpdated.push(object)
+    }
+  })
+
+  return {
+    objectsToAdd,
+    objectIdsToRemove,
+    objectsUpdated
+  }
+}
+
+async function syncCache ({
+  platformId,
+  env,
+  tasksToAdd,
+  taskIdsToRemove,
+  tasksUpdated,
+  scheduledWorkflowsToAdd = [],
+  scheduledWorkflowIdsToRemove = [],
+  scheduledWorkflowsUpdated = []
+}) {
   await removeStelaceTask({ platformId, env, taskId: taskIdsToRemove })
   await removeStelaceTaskExecutionDates({ taskId: taskIdsToRemove })
 
   await bluebird.map(tasksToAdd.concat(tasksUpdated), (task) => {
     return setStelaceTask({ platformId, env, task: omitTaskMetadata(task) })
   }, { concurrency: 10 })
+
+  await removeScheduledWorkflow({ platformId, env, workflowId: scheduledWorkflowIdsToRemove })
+
+  await bluebird.map(scheduledWorkflowsToAdd.concat(scheduledWorkflowsUpdated), (workflow) => {
+    return setScheduledWorkflow({ platformId, env, workflow })
+  }, { concurrency: 10 })
 }
 
 function stop () {
@@ -15,14 +15,38 @@ const {
   getDefaultTransactionProcess,
   getTransactionProcess,
   isStatusBlockingAvailability,
+  isActiveTransactionHold,
   getBlockingAvailabilityChange,
+  getNextTimedTransition,
   isValidDates,
   canComputePricing,
-  getTransactionPricing
+  getTransactionPricing,
+  getTransactionPriceBreakdown
 } = require('../util/transaction')
 
 const { getObjectId } = require('stelace-util-keys')
 
+const {
+  getLinesFromTransactions,
+  getInformationFromLines,
+  getInformationFromMoves,
+  getOrderMeta
+} = require('../util/order')
+
+const {
+  getInvalidPromotionMessage,
+  getPromotionSnapshot
+} = require('../util/promotion')
+
+const {
+  getTransactionTaxInformation
+} = require('../util/tax')
+
+const {
+  isActiveWaitlistHold,
+  getWaitlistHeldQuantity
+} = require('../util/waitlist')
+
 const { performListQuery } = require('../util/listQueryBuilder')
 
 const {
@@ -31,12 +55,21 @@ const {
 
 const {
   getTransition,
-  computeTransitionsMeta
+  computeTransitionsMeta,
+  getFailedTransitionGuard
 } = require('../util/transition')
 
+const {
+  dueJobsKeys,
+  setDueJob,
+  removeDueJob,
+  runWithLocks
+} = require('../redis')
+
 let responder
 let subscriber
 let publisher
+let orderPublisher
 let availabilityRequester
 let configRequester
 let assetRequester
@@ -63,7 +96,8 @@ function start ({ communication }) {
     subscribesTo: [
       'transactionCreated',
       'transactionUpdated',
-      'transactionStatusChanged'
+      'transactionStatusChanged',
+      'transactionHoldExpired'
     ]
   })
 
@@ -73,6 +107,13 @@ function start ({ communication }) {
     namespace: COMMUNICATION_ID
   })
 
+  // orders created at checkout
+  orderPublisher = getPublisher({
+    name: 'Transaction service > Order publisher',
+    key: 'order',
+    namespace: COMMUNICATION_ID
+  })
+
   availabilityRequester = getRequester({
     name: 'Transaction service > Availability Requester',
     key: 'availability'
@@ -267,6 +308,7 @@ function start ({ communication }) {
       'value',
       'ownerAmount',
       'takerAmount',
+      'promotionCode',
       'metadata',
       'platformData'
     ]
@@ -297,6 +339,10 @@ function start ({ communication }) {
       transactionAttrs.status = transactionProcess.initStatus
     }
 
+    if (canComputePricing(transactionAttrs)) {
+      transactionAttrs.priceBreakdown = getTransactionPriceBreakdown(transactionAttrs)
+    }
+
     return Transaction.expose(transactionAttrs, { req })
   })
 
@@ -311,6 +357,8 @@ function start ({ communication }) {
       'value',
       'ownerAmount',
       'takerAmount',
+      'promotionCode',
+      'hold',
       'metadata',
       'platformData'
     ]
@@ -320,9 +368,7 @@ function start ({ communication }) {
     const {
       value,
       ownerAmount,
-      takerAmount,
-      metadata,
-      platformData
+      takerAmount
     } = payload
 
     let {
@@ -359,10 +405,45 @@ function start ({ communication }) {
       throw createError(403)
     }
 
+    // promotion uses and asset availability are checked before the insertion of the new transaction
+    // so concurrent redemptions of the same code or holds of the same asset must be processed one at a time
+    const locksResources = []
+    if (payload.promotionCode) {
+      locksResources.push(`locks:promotion_uses:${platformId}_${env}:${payload.promotionCode}`)
+    }
+    if (payload.assetId) {
+      locksResources.push(`locks:asset_availability:${platformId}_${env}:${payload.assetId}`)
+    }
+
+    const transaction = await runWithLocks({
+      platformId,
+      env,
+      resources: locksResources,
+      fn: () => createTransaction({ req, payload, takerId })
+    })
+
+    publisher.publish('transactionCreated', {
+      transaction,
+      eventDate: transaction.createdDate,
+      platformId,
+      env,
+      req
+    })
+
+    return Transaction.expose(transaction, { req })
+  })
+
+  async function createTransaction ({ req, payload, takerId }) {
+    const platformId = req.platformId
+    const env = req.env
+    const { Transaction } = await getModels({ platformId, env })
+
+    const { hold, metadata, platformData } = payload
+
     const transactionAttrs = await computeTransactionInformation(
       Object.assign(
         { takerId, platformId, env, req },
-        _.omit(payload, ['metadata', 'platformData'])
+        _.omit(payload, ['hold', 'metadata', 'platformData'])
       )
     )
 
@@ -372,6 +453,20 @@ function start ({ communication }) {
 
     const now = new Date().toISOString()
 
+    if (hold) {
+      const { assetType } = transactionAttrs
+
+      // only internal availability of time-based assets with limited stock can be held
+      if (!assetType || !assetType.timeBased || assetType.infiniteStock) {
+        throw createError(422, 'Only transactions of time-based assets with limited stock can be held')
+      }
+      if (!transactionAttrs.startDate) {
+        throw createError(422, 'Cannot hold a transaction without dates')
+      }
+
+      transactionAttrs.holdEndDate = computeDate(now, hold.duration)
+    }
+
     if (transactionAttrs.assetType) {
       const transactionProcess = getTransactionProcess({ assetType: transactionAttrs.assetType })
       transactionAttrs.status = transactionProcess.initStatus
@@ -381,20 +476,192 @@ function start ({ communication }) {
     const transaction = await Transaction.query().insert(transactionAttrs)
 
     if (transaction.assetId) {
+      await bookWaitlistHolds({ platformId, env, transaction })
       await syncInternalAvailability({ platformId, env, transaction })
       await syncAssetQuantity({ platformId, env, transaction })
     }
+    if (transaction.status) {
+      await scheduleTimedTransition({ transaction, platformId, env })
+    }
+    if (transaction.holdEndDate) {
+      await scheduleHoldExpiration({ transaction, platformId, env })
+    }
 
-    publisher.publish('transactionCreated', {
-      transaction,
-      eventDate: transaction.createdDate,
+    return transaction
+  }
+
+  responder.on('checkout', async (req) => {
+    const {
+      lines,
+      metadata,
+      platformData
+    } = req
+
+    let {
+      takerId
+    } = req
+
+    const currentUserId = getCurrentUserId(req)
+
+    if (!req._matchedPermissions['order:create'] && !req._matchedPermissions['order:create:all']) {
+      throw createError(403)
+    }
+
+    // if the "all" permission is missing, the user cannot check out as another user
+    if (!req._matchedPermissions['transaction:create:all'] && takerId && takerId !== currentUserId) {
+      throw createError(403)
+    }
+
+    if (!takerId && currentUserId) {
+      takerId = currentUserId
+    }
+
+    if (!takerId) {
+      throw createError(422, 'Missing taker ID')
+    }
+
+    const isSelf = takerId === currentUserId
+    if (!isSelf && (!req._matchedPermissions['transaction:create:all'] || !req._matchedPermissions['order:create:all'])) {
+      throw createError(403)
+    }
+
+    const platformId = req.platformId
+    const env = req.env
+    const { Transaction, Order } = await getModels({ platformId, env })
+
+    // availability of every line is checked before the insertion of the transactions
+    // so concurrent checkouts or transactions of the same assets must be processed one at a time
+    const assetsIds = _.uniq(lines.map(line => line.assetId)).sort()
+
+    const { transactions, order } = await runWithLocks({
       platformId,
-      env
+      env,
+      resources: assetsIds.map(assetId => `locks:asset_availability:${platformId}_${env}:${assetId}`),
+      fn: () => checkoutTransactions({ req, lines, takerId, metadata, platformData })
     })
 
-    return Transaction.expose(transaction, { req })
+    for (const transaction of transactions) {
+      publisher.publish('transactionCreated', {
+        transaction,
+        eventDate: transaction.createdDate,
+        platformId,
+        env,
+        req
+      })
+    }
+
+    orderPublisher.publish('orderCreated', {
+      order,
+      eventDate: order.createdDate,
+      platformId,
+      env,
+      req
+    })
+
+    return {
+      order: Order.expose(order, { req }),
+      transactions: Transaction.exposeAll(transactions, { req })
+    }
   })
 
+  async function checkoutTransactions ({ req, lines, takerId, metadata, platformData }) {
+    const fields = [
+      'assetId',
+      'startDate',
+      'endDate',
+      'duration',
+      'quantity',
+      'metadata',
+      'platformData'
+    ]
+
+    const platformId = req.platformId
+    const env = req.env
+    const { Transaction, Order } = await getModels({ platformId, env })
+
+    const now = new Date().toISOString()
+
+    // check every line before creating anything, so no transaction is created
+    // if any asset is unavailable
+    const transactionsAttrs = []
+
+    for (const line of lines) {
+      const payload = _(line).pick(fields).defaults({ quantity: 1 }).value()
+
+      // only root platformData is checked by permissions middleware
+      if (payload.platformData && !req._matchedPermissions['platformData:edit:all']) {
+        throw createError(403, 'Forbidden platformData edition')
+      }
+
+      const transactionAttrs = await computeTransactionInformation(
+        Object.assign(
+          { takerId, platformId, env, req },
+          _.omit(payload, ['metadata', 'platformData'])
+        )
+      )
+
+      if (!transactionAttrs.ownerId) {
+        throw createError(422, `Missing owner for the asset with ID ${payload.assetId}`)
+      }
+      if (!canComputePricing(transactionAttrs)) {
+        throw createError(422, `Missing dates to compute the price of the asset with ID ${payload.assetId}`)
+      }
+
+      const transactionProcess = getTransactionProcess({ assetType: transactionAttrs.assetType })
+
+      transactionAttrs.id = await getObjectId({ prefix: Transaction.idPrefix, platformId, env })
+      transactionAttrs.status = transactionProcess.initStatus
+      transactionAttrs.statusHistory = [{ status: transactionAttrs.status, date: now }]
+      transactionAttrs.metadata = payload.metadata
+      transactionAttrs.platformData = payload.platformData
+
+      transactionsAttrs.push(transactionAttrs)
+    }
+
+    const currencies = _.uniq(transactionsAttrs.map(t => t.currency))
+    if (currencies.length > 1) {
+      throw createError(422, `Multiple currencies are not accepted: ${currencies.join(', ')}`)
+    }
+
+    const orderLines = getLinesFromTransactions(transactionsAttrs)
+    for (const orderLine of orderLines) {
+      orderLine.id = await getObjectId({ prefix: Order.lineIdPrefix, platformId, env })
+    }
+
+    const orderAttrs = Object.assign({
+      id: await getObjectId({ prefix: Order.idPrefix, platformId, env }),
+      lines: orderLines,
+      moves: [],
+      metadata,
+      platformData
+    }, getOrderMeta({}, {
+      moves: [],
+      linesInformation: getInformationFromLines(orderLines),
+      movesInformation: getInformationFromMoves([])
+    }))
+
+    let transactions
+    let order
+
+    const knex = Transaction.knex()
+
+    await knexTransaction(knex, async (trx) => {
+      transactions = await bluebird.mapSeries(transactionsAttrs, transactionAttrs => {
+        return Transaction.query(trx).insert(transactionAttrs)
+      })
+      order = await Order.query(trx).insert(orderAttrs)
+    })
+
+    for (const transaction of transactions) {
+      await bookWaitlistHolds({ platformId, env, transaction })
+      await syncInternalAvailability({ platformId, env, transaction })
+      await syncAssetQuantity({ platformId, env, transaction })
+      await scheduleTimedTransition({ transaction, platformId, env })
+    }
+
+    return { transactions, order }
+  }
+
   responder.on('update', async (req) => {
     const transactionId = req.transactionId
 
@@ -524,6 +791,10 @@ function start ({ communication }) {
     if (status) {
       await syncAssetQuantity({ platformId, env, transaction: newTransaction })
     }
+    // timed transitions can depend on status or transaction dates
+    if (rebuildTransactionInformation || status) {
+      await scheduleTimedTransition({ transaction: newTransaction, platformId, env })
+    }
 
     publisher.publish('transactionUpdated', {
       transaction,
@@ -531,7 +802,8 @@ function start ({ communication }) {
       eventDate: newTransaction.updatedDate,
       updateAttrs: updateAttrsBeforeFullDataMerge,
       platformId,
-      env
+      env,
+      req
     })
 
     return Transaction.expose(newTransaction, { req })
@@ -603,34 +875,115 @@ function start ({ communication }) {
         }
       }
 
-      const now = new Date().toISOString()
-
-      const newStatus = transition.to
-      const newStatusHistoryStep = { status: newStatus, date: now, data }
-
-      updateAttrs = {
-        status: newStatus,
-        statusHistory: raw('?::jsonb || "statusHistory"', [ // prepend a jsonb array using PostgreSQL `||` operator
-          JSON.stringify([newStatusHistoryStep])
-        ])
+      const failedGuard = getFailedTransitionGuard({
+        transition,
+        transaction,
+        data,
+        roles: req._roles,
+        matchedPermissions: req._matchedPermissions,
+        skipRoles: req._matchedPermissions['transaction:transition:all']
+      })
+      if (failedGuard) {
+        throw createError(422, `Transition guard "${failedGuard.guard}" failed`, { public: failedGuard })
       }
 
-      // custom transition update transaction logic
-      if (name === 'cancel') {
-        updateAttrs.cancellationReason = data.cancellationReason
-        updateAttrs.cancelledDate = now
-      }
+      updateAttrs = getTransitionUpdateAttrs({ transactionProcess, transition, data })
 
-      // detect if the new status is a process end state
-      // if so, update the transaction `completedDate`
-      const transitionsMeta = computeTransitionsMeta({ transitions: transactionProcess.transitions, initState: transactionProcess.initStatus })
-      if (transitionsMeta.endStates.includes(newStatus)) {
-        updateAttrs.completedDate = now
-      }
+      // the hold ends with the first transition, then only the status blocks availability
+      if (isActiveTransactionHold(transaction)) updateAttrs.holdEndDate = null
 
       updatedTransaction = await Transaction.query(trx).patchAndFetchById(transactionId, updateAttrs)
     })
 
+    await afterTransition({
+      transaction,
+      updatedTransaction,
+      updateAttrs,
+      platformId,
+      env,
+      req
+    })
+
+    return Transaction.expose(updatedTransaction, { req })
+  })
+
+  responder.on('_applyTimedTransition', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Transaction } = await getModels({ platformId, env })
+
+    const { timer } = req
+
+    let updateAttrs
+    let transaction
+    let updatedTransaction
+    let failedGuard
+
+    const knex = Transaction.knex()
+
+    await knexTransaction(knex, async (trx) => {
+      transaction = await Transaction.query(trx).forUpdate()
+        .findById(timer.transactionId)
+      if (!transaction) return
+
+      // transaction may have changed since the timer was scheduled
+      const nextTimedTransition = getNextTimedTransition(transaction)
+      const isStale = !nextTimedTransition ||
+        transaction.status !== timer.status ||
+        nextTimedTransition.transition.name !== timer.transitionName ||
+        nextTimedTransition.executionDate > new Date().toISOString()
+
+      if (isStale) return
+
+      const { transition } = nextTimedTransition
+      const data = { timedTransition: true }
+      if (transition.name === 'cancel') data.cancellationReason = 'timedTransition'
+
+      // there is no actor so only data schema and conditions guards apply
+      failedGuard = getFailedTransitionGuard({ transition, transaction, data, skipActorGuards: true })
+      if (failedGuard) return
+
+      updateAttrs = getTransitionUpdateAttrs({
+        transactionProcess: getTransactionProcess(transaction),
+        transition,
+        data
+      })
+
+      if (isActiveTransactionHold(transaction)) updateAttrs.holdEndDate = null
+
+      updatedTransaction = await Transaction.query(trx).patchAndFetchById(transaction.id, updateAttrs)
+    })
+
+    if (!transaction) return { success: false }
+
+    // not rescheduled, otherwise the timed transition would be due again right away
+    if (failedGuard) return { success: false, failedGuard }
+
+    if (!updatedTransaction) {
+      // the claimed timer may not be the latest one, so it is computed again
+      await scheduleTimedTransition({ transaction, platformId, env })
+      return { success: false }
+    }
+
+    await afterTransition({
+      transaction,
+      updatedTransaction,
+      updateAttrs,
+      platformId,
+      env
+    })
+
+    return { success: true }
+  })
+
+  async function afterTransition ({
+    transaction,
+    updatedTransaction,
+    updateAttrs,
+    platformId,
+    env,
+    req
+  }) {
     if (transaction.assetId) {
       await syncAssetQuantity({ platformId, env, transaction: updatedTransaction })
     }
@@ -651,21 +1004,26 @@ function start ({ communication }) {
       })
     }
 
+    await scheduleTimedTransition({ transaction: updatedTransaction, platformId, env })
+
+    if (_.has(updateAttrs, 'holdEndDate')) {
+      await scheduleHoldExpiration({ transaction: updatedTransaction, platformId, env })
+    }
+
     publisher.publish('transactionStatusChanged', {
-      transactionId,
+      transactionId: transaction.id,
       transaction: updatedTransaction,
       updateAttrs,
       eventDate: updatedTransaction.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
-
-    return Transaction.expose(updatedTransaction, { req })
-  })
+  }
 
   // EVENTS
 
-  subscriber.on('transactionCreated', async ({ transaction, eventDate, platformId, env } = {}) => {
+  subscriber.on('transactionCreated', async ({ transaction, eventDate, platformId, env, req } = {}) => {
     try {
       const { Transaction, Event } = await getModels({ platformId, env })
 
@@ -674,7 +1032,7 @@ function start ({ communication }) {
         type: 'transaction__created',
         objectId: transaction.id,
         object: Transaction.expose(transaction, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -691,7 +1049,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Transaction, Event } = await getModels({ platformId, env })
@@ -710,7 +1069,7 @@ function start ({ communication }) {
             objectId: newTransaction.id,
             object: newTransaction,
             parentId: parentEventId
-          }, { platformId, env, queryContext: trx })
+          }, { platformId, env, queryContext: trx, req })
         })
 
         await Event.createEvent({
@@ -720,7 +1079,7 @@ function start ({ communication }) {
           objectId: newTransaction.id,
           object: Transaction.expose(newTransaction, { namespaces: ['*'] }),
           changesRequested: Transaction.expose(updateAttrs, { namespaces: ['*'] })
-        }, { platformId, env, queryContext: trx })
+        }, { platformId, env, queryContext: trx, req })
       })
     } catch (err) {
       logError(err, {
@@ -732,7 +1091,7 @@ function start ({ communication }) {
     }
   })
 
-  subscriber.on('transactionStatusChanged', async ({ transactionId, transaction, updateAttrs, eventDate, platformId, env } = {}) => {
+  subscriber.on('transactionStatusChanged', async ({ transactionId, transaction, updateAttrs, eventDate, platformId, env, req } = {}) => {
     try {
       const { Transaction, Event } = await getModels({ platformId, env })
 
@@ -741,7 +1100,7 @@ function start ({ communication }) {
         type: 'transaction__status_changed',
         objectId: transactionId,
         object: Transaction.expose(transaction, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
 
       await onTransactionBlockAvailability({ transaction, platformId, env })
     } catch (err) {
@@ -754,6 +1113,26 @@ function start ({ communication }) {
     }
   })
 
+  subscriber.on('transactionHoldExpired', async ({ transactionId, transaction, eventDate, platformId, env } = {}) => {
+    try {
+      const { Transaction, Event } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'transaction__hold_expired',
+        objectId: transactionId,
+        object: Transaction.expose(transaction, { namespaces: ['*'] })
+      }, { platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { transactionId },
+        message: 'Fail to create event transaction__hold_expired'
+      })
+    }
+  })
+
   // INTERNAL
 
   // filter on transactions
@@ -834,6 +1213,10 @@ function start ({ communication }) {
 
     const updatedTransaction = await Transaction.query().patchAndFetchById(transactionId, updateAttrs)
 
+    if (isUpdatingStatus || updateAttrs.startDate || updateAttrs.endDate) {
+      await scheduleTimedTransition({ transaction: updatedTransaction, platformId, env })
+    }
+
     if (isUpdatingStatus) {
       try {
         await availabilityRequester.send({
@@ -869,6 +1252,45 @@ function start ({ communication }) {
     }
   })
 
+  /**
+   * Called by cron when the hold end date is passed, to release held quantity
+   * @param {Object} hold - scheduled with `setDueJob`
+   * @param {String} platformId
+   * @param {String} env
+   */
+  responder.on('_expireHold', async (req) => {
+    const {
+      hold,
+      platformId,
+      env
+    } = req
+
+    const { Transaction } = await getModels({ platformId, env })
+
+    const transaction = await Transaction.query().findById(hold.transactionId)
+
+    // hold is released by any transition before expiration
+    const isStale = !transaction ||
+      !transaction.holdEndDate ||
+      transaction.status !== hold.status ||
+      isActiveTransactionHold(transaction)
+
+    if (isStale) return { success: false }
+
+    // held quantity is released by computing internal availability again
+    await syncInternalAvailability({ platformId, env, transaction })
+
+    publisher.publish('transactionHoldExpired', {
+      transactionId: transaction.id,
+      transaction,
+      eventDate: new Date().toISOString(),
+      platformId,
+      env
+    })
+
+    return { success: true }
+  })
+
   responder.on('cancelTransactions', async (req) => {
     const {
       transactions,
@@ -907,6 +1329,7 @@ async function computeTransactionInformation ({
   value,
   ownerAmount,
   takerAmount,
+  promotionCode,
   transaction,
   platformId,
   env,
@@ -977,7 +1400,12 @@ async function computeTransactionInformation ({
         throw createError(422, `No currency for the asset with ID ${asset.id}`)
       }
 
-      transactionAttrs = Object.assign(transactionAttrs, assetInformation)
+      const taxInformation = getTransactionTaxInformation({
+        taxConfig: _.get(config, 'stelace.tax'),
+        transaction: assetInformation
+      })
+
+      transactionAttrs = Object.assign(transactionAttrs, assetInformation, taxInformation)
     } else {
       asset = transaction.assetSnapshot
       assetType = transaction.assetType
@@ -1028,7 +1456,14 @@ async function computeTransactionInformation ({
     transactionAttrs.quantity = quantity
   }
 
-  const changingPricing = [value, ownerAmount, takerAmount].some(v => !_.isUndefined(v))
+  if (promotionCode) {
+    const promotion = await checkPromotion()
+
+    transactionAttrs.promotionId = promotion.id
+    transactionAttrs.promotionSnapshot = getPromotionSnapshot(promotion)
+  }
+
+  const changingPricing = [value, ownerAmount, takerAmount, promotionCode].some(v => !_.isUndefined(v))
 
   // remove any undefined values from transactionAttrs
   const mergedTransaction = _.merge({}, transaction, transactionAttrs)
@@ -1044,6 +1479,9 @@ async function computeTransactionInformation ({
       transactionAttrs.platformAmount = priceResult.platformAmount
       transactionAttrs.ownerFees = priceResult.ownerFees
       transactionAttrs.takerFees = priceResult.takerFees
+      transactionAttrs.discountAmount = priceResult.discountAmount
+      transactionAttrs.takerTaxAmount = priceResult.takerTaxAmount
+      transactionAttrs.ownerTaxAmount = priceResult.ownerTaxAmount
     } else {
       transactionAttrs.value = value
       transactionAttrs.ownerAmount = ownerAmount
@@ -1165,19 +1603,23 @@ async function computeTransactionInformation ({
     if (infiniteStock) return
 
     if (timeBased) {
+      // quantity held for the taker from the waitlist is already removed from availability
+      const heldQuantity = await getHeldQuantity({ startDate, endDate })
+      if (quantity <= heldQuantity) return
+
       const allAvailable = await availabilityRequester.send({
         type: '_isAvailable',
         assetsIds: [asset.id],
         startDate,
         endDate,
-        quantity,
+        quantity: quantity - heldQuantity,
         platformId,
         env
       })
 
       const available = allAvailable[asset.id]
       if (!available) {
-        throw createError(422, 'Asset not available')
+        throw createError(422, 'Asset not available', { public: { assetId: asset.id } })
       }
     } else {
       if (asset.quantity < quantity) {
@@ -1190,6 +1632,63 @@ async function computeTransactionInformation ({
       }
     }
   }
+
+  async function getHeldQuantity ({ startDate, endDate }) {
+    const { Waitlist } = await getModels({ platformId, env })
+
+    // preview does not have any taker, the current user is the one who will book
+    const userId = takerId || getCurrentUserId(req)
+    if (!userId || !startDate || !endDate) return 0
+
+    const waitlists = await Waitlist.query().where({ assetId: asset.id, userId, status: 'offered' })
+
+    return getWaitlistHeldQuantity({ waitlists, startDate, endDate, date: now })
+  }
+
+  async function checkPromotion () {
+    const { Promotion, Transaction } = await getModels({ platformId, env })
+
+    if (!asset) {
+      throw createError(422, 'Cannot redeem a promotion code without asset', { public: { promotionCode } })
+    }
+
+    const promotion = await Promotion.query().findOne({ code: promotionCode })
+    if (!promotion) {
+      throw createError(422, 'Promotion code not found', { public: { promotionCode } })
+    }
+
+    // cancelled transactions give back their promotion use
+    const countUses = async (filters) => {
+      const [{ count }] = await Transaction.query()
+        .count()
+        .where(Object.assign({ promotionId: promotion.id }, filters))
+        .whereNull('cancelledDate')
+
+      return count
+    }
+
+    // preview does not have any taker, the current user is the one who will book
+    const userId = takerId || getCurrentUserId(req)
+
+    const [nbUses, nbUserUses] = await Promise.all([
+      countUses(),
+      userId ? countUses({ takerId: userId }) : 0
+    ])
+
+    const invalidMessage = getInvalidPromotionMessage({
+      promotion,
+      transaction: _.merge({}, transaction, transactionAttrs),
+      nbUses,
+      nbUserUses,
+      date: now
+    })
+
+    if (invalidMessage) {
+      throw createError(422, invalidMessage, { public: { promotionCode } })
+    }
+
+    return promotion
+  }
 }
 
 async function onTransactionBlockAvailability ({ transaction, platformId, env }) {
@@ -1291,6 +1790,9 @@ async function cancelTransactions ({ transactions, platformId, env, cancellation
         updateAttrs.completedDate = now
       }
 
+      // expiration cron ignores holds of transactions whose status has changed
+      if (isActiveTransactionHold(transaction, now)) updateAttrs.holdEndDate = null
+
       const updatedTransaction = await Transaction.query(trx).patchAndFetchById(transaction.id, updateAttrs)
 
       try {
@@ -1319,6 +1821,114 @@ async function cancelTransactions ({ transactions, platformId, env, cancellation
   })
 }
 
+/**
+ * @param {Object} params
+ * @param {Object} params.transactionProcess
+ * @param {Object} params.transition
+ * @param {Object} [params.data] - saved in status history step
+ * @return {Object} transaction update attributes
+ */
+function getTransitionUpdateAttrs ({ transactionProcess, transition, data = {} }) {
+  const now = new Date().toISOString()
+
+  const newStatus = transition.to
+  const newStatusHistoryStep = { status: newStatus, date: now, data }
+
+  const updateAttrs = {
+    status: newStatus,
+    statusHistory: raw('?::jsonb || "statusHistory"', [ // prepend a jsonb array using PostgreSQL `||` operator
+      JSON.stringify([newStatusHistoryStep])
+    ])
+  }
+
+  // custom transition update transaction logic
+  if (transition.name === 'cancel') {
+    updateAttrs.cancellationReason = data.cancellationReason
+    updateAttrs.cancelledDate = now
+  }
+
+  // detect if the new status is a process end state
+  // if so, update the transaction `completedDate`
+  const transitionsMeta = computeTransitionsMeta({ transitions: transactionProcess.transitions, initState: transactionProcess.initStatus })
+  if (transitionsMeta.endStates.includes(newStatus)) {
+    updateAttrs.completedDate = now
+  }
+
+  return updateAttrs
+}
+
+/**
+ * Saves the next timed transition of the transaction, if any, to be applied by the cron
+ * @param {Object} params
+ * @param {Object} params.transaction
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+async function scheduleTimedTransition ({ transaction, platformId, env }) {
+  try {
+    const nextTimedTransition = getNextTimedTransition(transaction)
+
+    if (nextTimedTransition) {
+      await setDueJob({
+        platformId,
+        env,
+        key: dueJobsKeys.transactionTimers,
+        jobId: transaction.id,
+        job: {
+          transactionId: transaction.id,
+          status: transaction.status,
+          transitionName: nextTimedTransition.transition.name,
+          executionDate: nextTimedTransition.executionDate
+        }
+      })
+    } else {
+      await removeDueJob({ key: dueJobsKeys.transactionTimers, jobId: transaction.id })
+    }
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: { transactionId: transaction.id },
+      message: 'Fail to schedule timed transition'
+    })
+  }
+}
+
+/**
+ * Saves the hold expiration of the transaction to be applied by the cron,
+ * or removes it if the hold has been released
+ * @param {Object} params
+ * @param {Object} params.transaction
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+async function scheduleHoldExpiration ({ transaction, platformId, env }) {
+  try {
+    if (transaction.holdEndDate) {
+      await setDueJob({
+        platformId,
+        env,
+        key: dueJobsKeys.transactionHolds,
+        jobId: transaction.id,
+        job: {
+          transactionId: transaction.id,
+          status: transaction.status,
+          executionDate: transaction.holdEndDate
+        }
+      })
+    } else {
+      await removeDueJob({ key: dueJobsKeys.transactionHolds, jobId: transaction.id })
+    }
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: { transactionId: transaction.id },
+      message: 'Fail to schedule hold expiration'
+    })
+  }
+}
+
 async function getPreviousTransaction ({ assetId, refDate, platformId, env }) {
   const { Transaction } = await getModels({ platformId, env })
 
@@ -1393,6 +2003,47 @@ async function syncInternalAvailability ({ platformId, env, transaction, oldAsse
   }
 }
 
+/**
+ * Waitlist holds of the taker covering the transaction period are booked by this transaction,
+ * so held quantity is released before syncing internal availability
+ * @param {Object} params
+ * @param {Object} params.transaction
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+async function bookWaitlistHolds ({ platformId, env, transaction }) {
+  const { Waitlist } = await getModels({ platformId, env })
+
+  const { assetId, takerId, startDate, endDate } = transaction
+  if (!assetId || !takerId || !startDate || !endDate) return
+
+  try {
+    const waitlists = await Waitlist.query()
+      .where({ assetId, userId: takerId, status: 'offered' })
+      .where('startDate', '<=', startDate)
+      .where('endDate', '>=', endDate)
+
+    const heldWaitlists = waitlists.filter(waitlist => isActiveWaitlistHold(waitlist))
+
+    for (const waitlist of heldWaitlists) {
+      await Waitlist.query().patch({
+        status: 'booked',
+        transactionId: transaction.id
+      }).where({ id: waitlist.id, status: 'offered' })
+
+      // expiration cron ignores booked entries anyway
+      await removeDueJob({ key: dueJobsKeys.waitlistHolds, jobId: waitlist.id })
+    }
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: { assetId, transactionId: transaction.id },
+      message: 'Fail to book waitlist holds'
+    })
+  }
+}
+
 async function syncAssetQuantity ({ platformId, env, transaction }) {
   if (!transaction.assetId) return
 
@@ -1433,6 +2084,9 @@ function stop () {
   publisher.close()
   publisher = null
 
+  orderPublisher.close()
+  orderPublisher = null
+
   availabilityRequester.close()
   availabilityRequester = null
 
@@ -400,7 +400,8 @@ function start ({ communication }) {
       user,
       eventDate: user.createdDate,
       platformId,
-      env
+      env,
+      req
     })
 
     if (updatedOrgOwnerUser) {
@@ -409,7 +410,8 @@ function start ({ communication }) {
         organizationId: user.id,
         eventDate: updatedOrgOwnerUser.updatedDate,
         platformId,
-        env
+        env,
+        req
       })
     }
 
@@ -569,7 +571,8 @@ function start ({ communication }) {
       updateAttrs: updateAttrsBeforeFullDataMerge,
       eventDate: newUser.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     if (newOrgOwnerUser) {
@@ -578,7 +581,8 @@ function start ({ communication }) {
         organizationId: userId,
         eventDate: newOrgOwnerUser.updatedDate,
         platformId,
-        env
+        env,
+        req
       }
       if (isNewOrgOwnerJoining) {
         publisher.publish('userOrganizationJoined', eventPayload)
@@ -695,7 +699,8 @@ function start ({ communication }) {
             eventDate: m.updatedDate,
             metadata: { stelaceComment: 'Organization deleted' },
             platformId,
-            env
+            env,
+            req
           })
         } catch (err) {
           logError(err, {
@@ -790,7 +795,8 @@ function start ({ communication }) {
       changesRequested: { roles },
       eventDate: newUser.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return User.expose(newUser, { req, namespaces: dynamicReadNamespaces })
@@ -846,7 +852,8 @@ function start ({ communication }) {
       organizationId,
       eventDate: newUser.updatedDate,
       platformId,
-      env
+      env,
+      req
     })
 
     return User.expose(newUser, { req, namespaces: dynamicReadNamespaces })
@@ -880,7 +887,7 @@ function start ({ communication }) {
 
   // EVENTS
 
-  subscriber.on('userCreated', async ({ user, eventDate, platformId, env } = {}) => {
+  subscriber.on('userCreated', async ({ user, eventDate, platformId, env, req } = {}) => {
     try {
       const { Event, User } = await getModels({ platformId, env })
 
@@ -889,7 +896,7 @@ function start ({ communication }) {
         type: 'user__created',
         objectId: user.id,
         object: User.expose(user, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -905,7 +912,8 @@ function start ({ communication }) {
     updateAttrs,
     eventDate,
     platformId,
-    env
+    env,
+    req
   } = {}) => {
     try {
       const { Event, User } = await getModels({ platformId, env })
@@ -916,7 +924,7 @@ function start ({ communication }) {
         objectId: newUser.id,
         object: User.expose(newUser, { namespaces: ['*'] }),
         changesRequested: User.expose(updateAttrs, { namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -943,7 +951,7 @@ function start ({ communication }) {
         type: 'user__deleted',
         objectId: userId,
         object: User.expose(user, { req, namespaces: ['*'] })
-      }, { platformId, env })
+      }, { platformId, env, req })
     } catch (err) {
       logError(err, {
         platformId,
@@ -966,7 +974,8 @@ function start ({ communication }) {
       metadata,
       eventDate,
       platformId,
-      env
+      env,
+      req
     } = {}) => {
       try {
         const { Event, User } = await getModels({ platformId, env })
@@ -980,7 +989,7 @@ function start ({ communication }) {
           metadata,
           // populate relatedObjectsIds
           _tmpObject: { organizationId }
-        }, { platformId, env })
+        }, { platformId, env, req })
       } catch (err) {
         logError(err, {
           platformId,
@@ -0,0 +1,657 @@
+const createError = require('http-errors')
+const _ = require('lodash')
+
+const { logError } = require('../../server/logger')
+const { getModels } = require('../models')
+
+const { getObjectId } = require('stelace-util-keys')
+
+const { performListQuery } = require('../util/listQueryBuilder')
+
+const {
+  getCurrentUserId
+} = require('../util/user')
+
+const { computeDate } = require('../util/time')
+const { getBlockingAvailabilityChange } = require('../util/transaction')
+const { isActiveWaitlistHold } = require('../util/waitlist')
+
+const {
+  dueJobsKeys,
+  setDueJob,
+  removeDueJob,
+  runWithLocks
+} = require('../redis')
+
+// can be overridden with `stelace.waitlist.holdDuration` config
+const DEFAULT_HOLD_DURATION = { h: 24 }
+
+let responder
+let subscriber
+let transactionSubscriber
+let availabilitySubscriber
+let publisher
+let availabilityRequester
+let configRequester
+
+function start ({ communication }) {
+  const {
+    getResponder,
+    getSubscriber,
+    getPublisher,
+    getRequester,
+    COMMUNICATION_ID
+  } = communication
+
+  responder = getResponder({
+    name: 'Waitlist Responder',
+    key: 'waitlist'
+  })
+
+  subscriber = getSubscriber({
+    name: 'Waitlist subscriber',
+    key: 'waitlist',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'waitlistCreated',
+      'waitlistDeleted',
+      'waitlistSlotOffered'
+    ]
+  })
+
+  transactionSubscriber = getSubscriber({
+    name: 'Waitlist subscriber for transactions',
+    key: 'transaction',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'transactionStatusChanged',
+      'transactionHoldExpired'
+    ]
+  })
+
+  availabilitySubscriber = getSubscriber({
+    name: 'Waitlist subscriber for availabilities',
+    key: 'availability',
+    namespace: COMMUNICATION_ID,
+    subscribesTo: [
+      'availabilityCreated',
+      'availabilityUpdated',
+      'availabilityDeleted'
+    ]
+  })
+
+  publisher = getPublisher({
+    name: 'Waitlist publisher',
+    key: 'waitlist',
+    namespace: COMMUNICATION_ID
+  })
+
+  availabilityRequester = getRequester({
+    name: 'Waitlist service > Availability Requester',
+    key: 'availability'
+  })
+
+  configRequester = getRequester({
+    name: 'Waitlist service > Config Requester',
+    key: 'config'
+  })
+
+  responder.on('list', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Waitlist } = await getModels({ platformId, env })
+
+    const {
+      orderBy,
+      order,
+
+      nbResultsPerPage,
+
+      // cursor pagination
+      startingAfter,
+      endingBefore,
+
+      id,
+      createdDate,
+      updatedDate,
+      assetId,
+      userId,
+      status
+    } = req
+
+    const queryBuilder = Waitlist.query()
+
+    const paginationMeta = await performListQuery({
+      queryBuilder,
+      filters: {
+        ids: {
+          dbField: 'id',
+          value: id,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        createdDate: {
+          dbField: 'createdDate',
+          value: createdDate,
+          query: 'range'
+        },
+        updatedDate: {
+          dbField: 'updatedDate',
+          value: updatedDate,
+          query: 'range'
+        },
+        assetsIds: {
+          dbField: 'assetId',
+          value: assetId,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        usersIds: {
+          dbField: 'userId',
+          value: userId,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        statuses: {
+          dbField: 'status',
+          value: status,
+          transformValue: 'array',
+          query: 'inList'
+        }
+      },
+      beforeQueryFn: async ({ values }) => {
+        const { usersIds } = values
+
+        const currentUserId = getCurrentUserId(req)
+
+        if (!req._matchedPermissions['waitlist:list:all']) {
+          const isAllowed = currentUserId &&
+            usersIds && usersIds.length === 1 && usersIds.includes(currentUserId)
+
+          if (!isAllowed) {
+            throw createError(403)
+          }
+        }
+      },
+      paginationActive: true,
+      paginationConfig: {
+        nbResultsPerPage,
+
+        // cursor pagination
+        startingAfter,
+        endingBefore,
+      },
+      orderConfig: {
+        orderBy,
+        order
+      },
+      useOffsetPagination: false,
+    })
+
+    paginationMeta.results = Waitlist.exposeAll(paginationMeta.results, { req })
+    return paginationMeta
+  })
+
+  responder.on('read', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Waitlist } = await getModels({ platformId, env })
+
+    const waitlistId = req.waitlistId
+
+    const waitlist = await Waitlist.query().findById(waitlistId)
+    if (!waitlist) {
+      throw createError(404)
+    }
+
+    const currentUserId = getCurrentUserId(req)
+
+    const isSelf = Waitlist.isSelf(waitlist, currentUserId)
+    if (!req._matchedPermissions['waitlist:read:all'] && !isSelf) {
+      throw createError(403)
+    }
+
+    return Waitlist.expose(waitlist, { req })
+  })
+
+  responder.on('create', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Waitlist, Asset, AssetType } = await getModels({ platformId, env })
+
+    const fields = [
+      'assetId',
+      'userId',
+      'startDate',
+      'endDate',
+      'quantity',
+      'metadata',
+      'platformData'
+    ]
+
+    const payload = _(req).pick(fields).defaults({ quantity: 1 }).value()
+
+    const currentUserId = getCurrentUserId(req)
+
+    // if the "all" permission is missing, the user cannot join a waitlist as another user
+    if (!req._matchedPermissions['waitlist:create:all'] && payload.userId && payload.userId !== currentUserId) {
+      throw createError(403)
+    }
+
+    if (!payload.userId && currentUserId) {
+      payload.userId = currentUserId
+    }
+
+    if (!payload.userId) {
+      throw createError(422, 'Missing user ID')
+    }
+
+    const now = new Date().toISOString()
+
+    if (payload.endDate <= payload.startDate) {
+      throw createError(422, 'End date must be after start date')
+    }
+    if (payload.endDate <= now) {
+      throw createError(422, 'End date must be in the future')
+    }
+
+    const asset = await Asset.query().findById(payload.assetId)
+    if (!asset) {
+      throw createError(422, 'Asset not found')
+    }
+
+    const assetType = await AssetType.query().findById(asset.assetTypeId)
+    if (!assetType) {
+      throw createError(422, 'Asset type not found')
+    }
+    if (!assetType.timeBased || assetType.infiniteStock) {
+      throw createError(422, 'Waitlists are only available for time-based assets with limited stock')
+    }
+
+    const existingWaitlist = await Waitlist.query()
+      .findOne({
+        assetId: payload.assetId,
+        userId: payload.userId,
+        startDate: payload.startDate,
+        endDate: payload.endDate
+      })
+      .whereIn('status', ['waiting', 'offered'])
+
+    if (existingWaitlist) {
+      throw createError(422, 'This user is already on the waitlist for this period', {
+        public: { waitlistId: existingWaitlist.id }
+      })
+    }
+
+    const allAvailable = await availabilityRequester.send({
+      type: '_isAvailable',
+      assetsIds: [asset.id],
+      startDate: payload.startDate,
+      endDate: payload.endDate,
+      quantity: payload.quantity,
+      platformId,
+      env
+    })
+
+    if (allAvailable[asset.id]) {
+      throw createError(422, 'Asset is available for this period, it can be booked directly', {
+        public: { assetId: asset.id }
+      })
+    }
+
+    const waitlist = await Waitlist.query().insert(Object.assign({
+      id: await getObjectId({ prefix: Waitlist.idPrefix, platformId, env }),
+      status: 'waiting'
+    }, payload))
+
+    publisher.publish('waitlistCreated', {
+      waitlist,
+      eventDate: waitlist.createdDate,
+      platformId,
+      env,
+      req
+    })
+
+    return Waitlist.expose(waitlist, { req })
+  })
+
+  responder.on('remove', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Waitlist } = await getModels({ platformId, env })
+
+    const {
+      waitlistId
+    } = req
+
+    const waitlist = await Waitlist.query().findById(waitlistId)
+    if (!waitlist) {
+      return { id: waitlistId }
+    }
+
+    const currentUserId = getCurrentUserId(req)
+
+    const isSelf = Waitlist.isSelf(waitlist, currentUserId)
+    if (!req._matchedPermissions['waitlist:remove:all'] && !isSelf) {
+      throw createError(403)
+    }
+
+    await Waitlist.query().deleteById(waitlistId)
+
+    // declining an offer releases the held quantity for the next users
+    if (isActiveWaitlistHold(waitlist)) {
+      await removeDueJob({ key: dueJobsKeys.waitlistHolds, jobId: waitlistId })
+      await releaseHold({ waitlist, platformId, env })
+    }
+
+    publisher.publish('waitlistDeleted', {
+      waitlistId,
+      waitlist,
+      eventDate: new Date().toISOString(),
+      platformId,
+      env,
+      req
+    })
+
+    return { id: waitlistId }
+  })
+
+  // EVENTS
+
+  subscriber.on('waitlistCreated', async ({ waitlist, eventDate, platformId, env, req } = {}) => {
+    try {
+      const { Event, Waitlist } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'waitlist__created',
+        objectId: waitlist.id,
+        object: Waitlist.expose(waitlist, { namespaces: ['*'] })
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { waitlistId: waitlist.id },
+        message: 'Fail to create event waitlist__created'
+      })
+    }
+  })
+
+  subscriber.on('waitlistDeleted', async ({ waitlistId, waitlist, eventDate, platformId, env, req } = {}) => {
+    try {
+      const { Event, Waitlist } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'waitlist__deleted',
+        objectId: waitlistId,
+        object: Waitlist.expose(waitlist, { req, namespaces: ['*'] })
+      }, { platformId, env, req })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { waitlistId },
+        message: 'Fail to create event waitlist__deleted'
+      })
+    }
+  })
+
+  subscriber.on('waitlistSlotOffered', async ({ waitlist, eventDate, platformId, env } = {}) => {
+    try {
+      const { Event, Waitlist } = await getModels({ platformId, env })
+
+      await Event.createEvent({
+        createdDate: eventDate,
+        type: 'waitlist__slot_offered',
+        objectId: waitlist.id,
+        object: Waitlist.expose(waitlist, { namespaces: ['*'] }),
+        metadata: {
+          assetId: waitlist.assetId,
+          userId: waitlist.userId,
+          holdEndDate: waitlist.holdEndDate
+        }
+      }, { platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { waitlistId: waitlist.id },
+        message: 'Fail to create event waitlist__slot_offered'
+      })
+    }
+  })
+
+  const onTransactionRelease = async ({ transaction, platformId, env }) => {
+    try {
+      await offerWaitlistSlots({ assetId: transaction.assetId, platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { assetId: transaction.assetId, transactionId: transaction.id },
+        message: 'Fail to offer waitlist slots after transaction change'
+      })
+    }
+  }
+
+  transactionSubscriber.on('transactionStatusChanged', async ({ transaction, updateAttrs, platformId, env } = {}) => {
+    if (!transaction.assetId) return
+
+    // only transactions that stop blocking availability (e.g. cancelled) release quantity,
+    // including transactions whose hold is released by the transition
+    const { previous, current } = getBlockingAvailabilityChange(transaction)
+    const holdReleased = _.has(updateAttrs, 'holdEndDate')
+    if ((!previous && !holdReleased) || current) return
+
+    await onTransactionRelease({ transaction, platformId, env })
+  })
+
+  transactionSubscriber.on('transactionHoldExpired', async ({ transaction, platformId, env } = {}) => {
+    await onTransactionRelease({ transaction, platformId, env })
+  })
+
+  const onAvailabilityChange = async ({ availability, platformId, env }) => {
+    try {
+      await offerWaitlistSlots({ assetId: availability.assetId, platformId, env })
+    } catch (err) {
+      logError(err, {
+        platformId,
+        env,
+        custom: { assetId: availability.assetId, availabilityId: availability.id },
+        message: 'Fail to offer waitlist slots after availability change'
+      })
+    }
+  }
+
+  availabilitySubscriber.on('availabilityCreated', async ({ availability, platformId, env } = {}) => {
+    await onAvailabilityChange({ availability, platformId, env })
+  })
+
+  availabilitySubscriber.on('availabilityUpdated', async ({ newAvailability, platformId, env } = {}) => {
+    await onAvailabilityChange({ availability: newAvailability, platformId, env })
+  })
+
+  availabilitySubscriber.on('availabilityDeleted', async ({ availability, platformId, env } = {}) => {
+    await onAvailabilityChange({ availability, platformId, env })
+  })
+
+  // INTERNAL
+
+  /**
+   * Called by cron when the hold end date is passed
+   * @param {Object} hold - scheduled with `setDueJob`
+   * @param {String} platformId
+   * @param {String} env
+   */
+  responder.on('_expireHold', async (req) => {
+    const {
+      hold,
+      platformId,
+      env
+    } = req
+
+    const { Waitlist } = await getModels({ platformId, env })
+
+    const waitlist = await Waitlist.query().findById(hold.waitlistId)
+
+    // the offer may have been booked or declined in the meantime
+    if (!waitlist || waitlist.status !== 'offered') return { success: true }
+
+    const expiredWaitlist = await Waitlist.query().patchAndFetchById(waitlist.id, {
+      status: 'expired'
+    })
+
+    await releaseHold({ waitlist: expiredWaitlist, platformId, env })
+
+    return { success: true }
+  })
+}
+
+/**
+ * Offer available slots to waiting users, the oldest entries being served first.
+ * Held quantity is removed from internal availability until the offer is booked or expires.
+ * @param {Object} params
+ * @param {String} params.assetId
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object[]} offered waitlist entries
+ */
+async function offerWaitlistSlots ({ assetId, platformId, env }) {
+  // availability is checked then held for each entry, so concurrent offers
+  // and holds on the same asset must be processed one at a time
+  return runWithLocks({
+    platformId,
+    env,
+    resources: [`locks:asset_availability:${platformId}_${env}:${assetId}`],
+    fn: () => _offerWaitlistSlots({ assetId, platformId, env })
+  })
+}
+
+async function _offerWaitlistSlots ({ assetId, platformId, env }) {
+  const { Waitlist, InternalAvailability } = await getModels({ platformId, env })
+
+  const now = new Date().toISOString()
+
+  const waitlists = await Waitlist.query()
+    .where({ assetId, status: 'waiting' })
+    .where('endDate', '>', now)
+    .orderBy('createdDate', 'asc')
+
+  if (!waitlists.length) return []
+
+  // released quantity may not be synced yet by the service emitting the change
+  await InternalAvailability.syncInternalAvailability({ assetsIds: [assetId], platformId, env })
+
+  const config = await configRequester.send({
+    type: '_getConfig',
+    platformId,
+    env,
+    access: 'default'
+  })
+
+  const holdDuration = _.get(config, 'stelace.waitlist.holdDuration') || DEFAULT_HOLD_DURATION
+
+  const offeredWaitlists = []
+
+  for (const waitlist of waitlists) {
+    const allAvailable = await availabilityRequester.send({
+      type: '_isAvailable',
+      assetsIds: [assetId],
+      startDate: waitlist.startDate,
+      endDate: waitlist.endDate,
+      quantity: waitlist.quantity,
+      platformId,
+      env
+    })
+
+    if (!allAvailable[assetId]) continue
+
+    const offeredDate = new Date().toISOString()
+
+    // conditional update so the same entry cannot be offered twice by concurrent changes
+    const nbUpdated = await Waitlist.query()
+      .patch({
+        status: 'offered',
+        offeredDate,
+        holdEndDate: computeDate(offeredDate, holdDuration)
+      })
+      .where({ id: waitlist.id, status: 'waiting' })
+
+    if (!nbUpdated) continue
+
+    const offeredWaitlist = await Waitlist.query().findById(waitlist.id)
+
+    // next entries must not be offered the same quantity
+    await InternalAvailability.syncInternalAvailability({ assetsIds: [assetId], platformId, env })
+
+    await setDueJob({
+      platformId,
+      env,
+      key: dueJobsKeys.waitlistHolds,
+      jobId: offeredWaitlist.id,
+      job: {
+        waitlistId: offeredWaitlist.id,
+        assetId,
+        executionDate: offeredWaitlist.holdEndDate
+      }
+    })
+
+    publisher.publish('waitlistSlotOffered', {
+      waitlist: offeredWaitlist,
+      eventDate: offeredDate,
+      platformId,
+      env
+    })
+
+    offeredWaitlists.push(offeredWaitlist)
+  }
+
+  return offeredWaitlists
+}
+
+async function releaseHold ({ waitlist, platformId, env }) {
+  const { InternalAvailability } = await getModels({ platformId, env })
+
+  await InternalAvailability.syncInternalAvailability({ assetsIds: [waitlist.assetId], platformId, env })
+
+  try {
+    await offerWaitlistSlots({ assetId: waitlist.assetId, platformId, env })
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: { assetId: waitlist.assetId, waitlistId: waitlist.id },
+      message: 'Fail to offer waitlist slots after hold release'
+    })
+  }
+}
+
+function stop () {
+  responder.close()
+  responder = null
+
+  subscriber.close()
+  subscriber = null
+
+  transactionSubscriber.close()
+  transactionSubscriber = null
+
+  availabilitySubscriber.close()
+  availabilitySubscriber = null
+
+  publisher.close()
+  publisher = null
+
+  availabilityRequester.close()
+  availabilityRequester = null
+
+  configRequester.close()
+  configRequester = null
+}
+
+module.exports = {
+  start,
+  stop
+}
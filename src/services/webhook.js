@@ -1,6 +1,7 @@
 const http = require('http')
 const createError = require('http-errors')
 const bluebird = require('bluebird')
+const _ = require('lodash')
 const request = require('superagent')
 
 const { logError } = require('../../server/logger')
@@ -10,16 +11,38 @@ const { getObjectId } = require('stelace-util-keys')
 
 const { apiVersions } = require('../versions')
 
+const { dueJobsKeys, setDueJob } = require('../redis')
+
 const { performListQuery } = require('../util/listQueryBuilder')
 const { getRetentionLimitDate } = require('../util/timeSeries')
+const {
+  maxDeliveryAttempts,
+  maxConsecutiveFailures,
+  signatureHeader,
+  wildcard,
+  generateWebhookSecret,
+  getWebhookSignatureHeaderValue,
+  getNextRetryDate,
+  getReplayBatch,
+  isWildcardPattern,
+  getWebhookEventPatterns,
+  isEventTypeMatching,
+  isValidFilterExpression,
+  isEventPassingFilter
+} = require('../util/webhook')
+
+// Replays are synchronous so the number of events redelivered at once is limited
+const maxNbReplayedEvents = 100
 
 let responder
 let eventSubscriber
+let configRequester
 
 function start ({ communication }) {
   const {
     getResponder,
     getSubscriber,
+    getRequester,
     COMMUNICATION_ID
   } = communication
 
@@ -28,6 +51,11 @@ function start ({ communication }) {
     key: 'webhook'
   })
 
+  configRequester = getRequester({
+    name: 'Webhook service > Config Requester',
+    key: 'config'
+  })
+
   eventSubscriber = getSubscriber({
     name: 'Webhook subscriber for events',
     key: 'event',
@@ -81,10 +109,15 @@ function start ({ communication }) {
           query: 'range'
         },
         events: {
-          dbField: 'event',
           value: event,
           transformValue: 'array',
-          query: 'inList',
+          query: (queryBuilder, events) => {
+            queryBuilder.where(builder => {
+              return builder
+                .whereIn('event', events)
+                .orWhereRaw('jsonb_exists_any(??, array[?])', ['events', events])
+            })
+          }
         },
         active: {
           dbField: 'active',
@@ -146,17 +179,17 @@ function start ({ communication }) {
       name,
       targetUrl,
       event,
+      events,
+      filter,
       apiVersion,
       active,
       metadata,
       platformData
     } = req
 
-    if (event) {
-      const isAllowedEvent = Event.isAllowedEvent(event)
+    checkEventPatterns({ Event, event, events })
+    checkFilter(filter)
 
-      if (!isAllowedEvent) throw createError(422, `Invalid ${event} event`)
-    }
     if (apiVersion && !apiVersions.includes(apiVersion)) {
       // Safeguard as it is already handled during Joi validation
       throw createError(400, 'Invalid API version', {
@@ -170,15 +203,17 @@ function start ({ communication }) {
       id: await getObjectId({ prefix: Webhook.idPrefix, platformId, env }),
       name,
       targetUrl,
-      event,
+      ...getEventAttributes({ event, events }),
+      filter,
       // Falling back to default platform version (req._platformVersion)
       apiVersion: apiVersion || req._platformVersion || latestApiVersion,
       active,
+      secret: generateWebhookSecret(),
       metadata,
       platformData
     })
 
-    return Webhook.expose(webhook, { req })
+    return Webhook.expose(webhook, { req, options: { revealSecret: true } })
   })
 
   responder.on('update', async (req) => {
@@ -193,6 +228,8 @@ function start ({ communication }) {
       webhookId,
       name,
       event,
+      events,
+      filter,
       apiVersion,
       active,
       metadata,
@@ -204,11 +241,9 @@ function start ({ communication }) {
       throw createError(404)
     }
 
-    if (event) {
-      const isAllowedEvent = Event.isAllowedEvent(event)
+    checkEventPatterns({ Event, event, events })
+    checkFilter(filter)
 
-      if (!isAllowedEvent) throw createError(422, `Invalid ${event} event`)
-    }
     if (apiVersion && !apiVersions.includes(apiVersion)) {
       throw createError(422, 'Invalid API version', {
         public: {
@@ -219,10 +254,19 @@ function start ({ communication }) {
 
     const updateAttrs = {
       name,
-      event,
+      filter,
       active
     }
 
+    if (event || events) {
+      Object.assign(updateAttrs, getEventAttributes({ event, events }))
+    }
+
+    // give a fresh start to webhooks reactivated after too many failed deliveries
+    if (active === true && !webhook.active) {
+      updateAttrs.stats = Webhook.rawJsonbMerge('stats', { nbConsecutiveFailures: 0 })
+    }
+
     if (metadata) {
       updateAttrs.metadata = Webhook.rawJsonbMerge('metadata', metadata)
     }
@@ -235,6 +279,27 @@ function start ({ communication }) {
     return Webhook.expose(webhook, { req })
   })
 
+  responder.on('rotateSecret', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Webhook } = await getModels({ platformId, env })
+
+    const {
+      webhookId
+    } = req
+
+    const webhook = await Webhook.query().findById(webhookId)
+    if (!webhook) {
+      throw createError(404)
+    }
+
+    const updatedWebhook = await Webhook.query().patchAndFetchById(webhookId, {
+      secret: generateWebhookSecret()
+    })
+
+    return Webhook.expose(updatedWebhook, { req, options: { revealSecret: true } })
+  })
+
   responder.on('remove', async (req) => {
     const platformId = req.platformId
     const env = req.env
@@ -359,17 +424,151 @@ function start ({ communication }) {
     return WebhookLog.expose(webhookLog, { req })
   })
 
+  responder.on('_retryDelivery', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Webhook } = await getModels({ platformId, env })
+
+    const {
+      webhookId,
+      eventId,
+      attempt
+    } = req
+
+    const webhook = await Webhook.query().findById(webhookId)
+    // webhook removed or deactivated since the previous attempt
+    if (!webhook || !webhook.active) return { success: false }
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const event = await Event.query()
+      .findById(eventId)
+      .where('createdTimestamp', '>=', minCreatedDate)
+    if (!event) return { success: false }
+
+    await callWebhook({ webhook, event, platformId, env, attempt })
+
+    return { success: true }
+  })
+
+  responder.on('replayLog', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Webhook, WebhookLog } = await getModels({ platformId, env })
+
+    const webhookLogId = req.webhookLogId
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const webhookLog = await WebhookLog.query()
+      .findById(webhookLogId)
+      .where('createdTimestamp', '>=', minCreatedDate)
+
+    if (!webhookLog) {
+      throw createError(404)
+    }
+
+    const webhook = await Webhook.query().findById(webhookLog.webhookId)
+    if (!webhook) {
+      throw createError(422, `Webhook ID ${webhookLog.webhookId} not found`)
+    }
+
+    const event = await Event.query()
+      .findById(webhookLog.eventId)
+      .where('createdTimestamp', '>=', minCreatedDate)
+    if (!event) {
+      throw createError(422, `Event ID ${webhookLog.eventId} not found`)
+    }
+
+    const newWebhookLog = await callWebhook({
+      webhook,
+      event,
+      platformId,
+      env,
+      replay: { webhookLogId: webhookLog.id }
+    })
+
+    return WebhookLog.expose(newWebhookLog, { req })
+  })
+
+  responder.on('replay', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Webhook, WebhookLog } = await getModels({ platformId, env })
+
+    const {
+      webhookId,
+      eventId,
+      createdDate
+    } = req
+
+    const webhook = await Webhook.query().findById(webhookId)
+    if (!webhook) {
+      throw createError(404)
+    }
+
+    const queryBuilder = Event.query()
+      .where(builder => whereEventTypeMatching(builder, getWebhookEventPatterns(webhook)))
+      // fetching an extra event to know if some events are left to replay
+      .limit(maxNbReplayedEvents + 1)
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const events = await performListQuery({
+      queryBuilder,
+      filters: {
+        ids: {
+          dbField: 'id',
+          value: eventId,
+          transformValue: 'array',
+          query: 'inList'
+        },
+        createdDate: {
+          dbField: 'createdTimestamp',
+          value: createdDate,
+          query: 'range',
+          defaultValue: { gte: minCreatedDate },
+          minValue: minCreatedDate
+        },
+      },
+      paginationActive: false,
+      orderConfig: {
+        orderBy: 'createdTimestamp',
+        order: 'asc'
+      }
+    })
+
+    const { replayedEvents, nextCreatedDate } = getReplayBatch({ events, limit: maxNbReplayedEvents })
+
+    const matchingEvents = await bluebird.filter(replayedEvents, event => {
+      return isWebhookFilterPassing({ webhook, event, platformId, env })
+    })
+
+    // replayed in chronological order, like they were initially delivered
+    const webhookLogs = await bluebird.mapSeries(matchingEvents, event => {
+      return callWebhook({ webhook, event, platformId, env, replay: {} })
+    })
+
+    return {
+      results: WebhookLog.exposeAll(webhookLogs, { req }),
+      // remaining events can be replayed with `createdDate: { gte: nextCreatedDate }`
+      hasMore: !!nextCreatedDate,
+      nextCreatedDate
+    }
+  })
+
   // EVENTS
 
   eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
     try {
       const { Webhook } = await getModels({ platformId, env })
 
-      const webhooks = await Webhook.query()
-        .where({
-          active: true,
-          event: event.type
-        })
+      const activeWebhooks = await Webhook.query().where({ active: true })
+
+      const webhooks = await bluebird.filter(activeWebhooks, webhook => {
+        return isEventTypeMatching(event.type, getWebhookEventPatterns(webhook)) &&
+          isWebhookFilterPassing({ webhook, event, platformId, env })
+      })
 
       await bluebird.map(webhooks, webhook => callWebhook({ webhook, platformId, env, event }))
     } catch (err) {
@@ -385,12 +584,18 @@ function start ({ communication }) {
 
 /**
  * Calls webhook remote address, handles errors.
+ * Failed deliveries are scheduled for another attempt with exponential backoff.
  * @param {Object} params
  * @param {Object} params.webhook
  * @param {Object} params.event
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @param {Number} [params.attempt = 1]
+ * @param {Object} [params.replay] - manual redelivery, neither retried nor counted in webhook stats
+ * @param {String} [params.replay.webhookLogId] - replayed webhook log
  * @return {Promise} webhook log
  */
-async function callWebhook ({ webhook, event, platformId, env }) {
+async function callWebhook ({ webhook, event, platformId, env, attempt = 1, replay }) {
   const {
     Event,
     WebhookLog
@@ -402,25 +607,45 @@ async function callWebhook ({ webhook, event, platformId, env }) {
   const payload = {
     event: exposedEvent
   }
+  // Signature is computed on the exact string we send
+  const rawPayload = JSON.stringify(payload)
+
   const log = {
     date: new Date().toISOString(),
     targetUrl: webhook.targetUrl,
-    eventObjectId: exposedEvent.objectId
+    eventObjectId: exposedEvent.objectId,
+    attempt
+  }
+
+  if (replay) {
+    log.replay = true
+    if (replay.webhookLogId) log.replayedWebhookLogId = replay.webhookLogId
   }
 
-  return request.post(webhook.targetUrl)
-    .send(payload)
+  const secret = await getWebhookSecret({ webhook, platformId, env })
+  let isError = false
+
+  await request.post(webhook.targetUrl)
+    .timeout({
+      deadline: 10000 // ensures we’re not getting stuck here
+    })
     .set({
-      'x-webhook-source': 'stelace'
+      'content-type': 'application/json',
+      'x-webhook-source': 'stelace',
+      [signatureHeader]: getWebhookSignatureHeaderValue({ secret, payload: rawPayload })
     })
+    .send(rawPayload)
     .catch(err => {
+      isError = true
+
       logError(err.response ? err.response.body : err, {
         platformId,
         env,
         custom: {
           webhookId: webhook.id,
           eventId: event.id,
-          objectId: event.objectId
+          objectId: event.objectId,
+          attempt
         },
         message: 'Fail to send webhook event'
       })
@@ -430,20 +655,233 @@ async function callWebhook ({ webhook, event, platformId, env }) {
         log.statusCode = statusCode
         log.statusCodeName = http.STATUS_CODES[statusCode]
       }
+    })
+
+  const deliveryConfig = isError && !replay ? await getDeliveryConfig({ platformId, env }) : {}
+
+  const nextRetryDate = isError && !replay
+    ? getNextRetryDate({ attempt, maxAttempts: deliveryConfig.maxAttempts })
+    : null
+  log.nextRetryDate = nextRetryDate
 
-      return log
+  if (!replay && (!isError || !nextRetryDate)) {
+    const { deactivated } = await updateDeliveryStats({
+      webhook,
+      success: !isError,
+      maxFailures: deliveryConfig.maxFailures,
+      platformId,
+      env
     })
-    .then(async () => {
-      const webhookLog = await WebhookLog.query().insert({
-        id: await getObjectId({ prefix: WebhookLog.idPrefix, platformId, env }),
+    if (deactivated) log.webhookDeactivated = true
+  }
+
+  const webhookLog = await WebhookLog.query().insert({
+    id: await getObjectId({ prefix: WebhookLog.idPrefix, platformId, env }),
+    webhookId: webhook.id,
+    eventId: exposedEvent.id,
+    status: isError ? 'error' : 'success',
+    metadata: log
+  })
+
+  if (nextRetryDate) {
+    await setDueJob({
+      platformId,
+      env,
+      key: dueJobsKeys.webhookDeliveries,
+      jobId: webhookLog.id, // unique for each attempt
+      job: {
+        id: webhookLog.id,
         webhookId: webhook.id,
-        eventId: exposedEvent.id,
-        status: log.statusCode ? 'error' : 'success',
-        metadata: log
-      })
+        eventId: event.id,
+        attempt: attempt + 1,
+        executionDate: nextRetryDate
+      }
+    })
+  }
+
+  return webhookLog
+}
+
+/**
+ * Throws if some event types are invalid, wildcard patterns are not checked.
+ * @private
+ */
+function checkEventPatterns ({ Event, event, events }) {
+  const patterns = events || (event ? [event] : [])
+
+  patterns.forEach(pattern => {
+    if (isWildcardPattern(pattern)) return
+    if (!Event.isAllowedEvent(pattern)) throw createError(422, `Invalid ${pattern} event`)
+  })
+}
+
+/**
+ * @private
+ */
+function checkFilter (filter) {
+  if (filter && !isValidFilterExpression(filter)) {
+    throw createError(422, 'Invalid filter expression')
+  }
+}
+
+/**
+ * `event` is kept for backward compatibility, only set when there is a single event type.
+ * @private
+ */
+function getEventAttributes ({ event, events }) {
+  if (!events) {
+    return {
+      event,
+      events: event ? [event] : []
+    }
+  }
+
+  const singleEventType = events.length === 1 && !isWildcardPattern(events[0])
 
-      return webhookLog
+  return {
+    event: singleEventType ? events[0] : null,
+    events
+  }
+}
+
+/**
+ * @private
+ * @param {Object} queryBuilder - Event query builder
+ * @param {String[]} patterns
+ */
+function whereEventTypeMatching (queryBuilder, patterns) {
+  if (patterns.includes(wildcard)) return queryBuilder
+
+  const eventTypes = patterns.filter(p => !isWildcardPattern(p))
+  const prefixes = patterns.filter(isWildcardPattern).map(p => p.slice(0, -wildcard.length))
+
+  queryBuilder.whereIn('type', eventTypes)
+  prefixes.forEach(prefix => {
+    // escape LIKE special characters, underscores being common in event types
+    const escapedPrefix = prefix.replace(/[\\%_]/g, char => `\\${char}`)
+    queryBuilder.orWhere('type', 'like', `${escapedPrefix}%`)
+  })
+
+  return queryBuilder
+}
+
+/**
+ * Filter expression is evaluated on the event exposed with webhook API version.
+ * Evaluation errors are logged and prevent the delivery.
+ * @private
+ * @return {Promise<Boolean>}
+ */
+async function isWebhookFilterPassing ({ webhook, event, platformId, env }) {
+  if (!webhook.filter) return true
+
+  const { Event } = await getModels({ platformId, env })
+
+  try {
+    const versionedEvent = await Event.getVersionedEvent(event, webhook.apiVersion)
+    return isEventPassingFilter({ filter: webhook.filter, event: versionedEvent })
+  } catch (err) {
+    logError(err, {
+      platformId,
+      env,
+      custom: {
+        webhookId: webhook.id,
+        eventId: event.id,
+        filter: webhook.filter
+      },
+      message: 'Fail to evaluate webhook filter'
     })
+
+    return false
+  }
+}
+
+/**
+ * Webhooks created before signing secrets were introduced get one on their next delivery.
+ * @private
+ */
+async function getWebhookSecret ({ webhook, platformId, env }) {
+  if (webhook.secret) return webhook.secret
+
+  const { Webhook } = await getModels({ platformId, env })
+
+  await Webhook.query()
+    .where({ id: webhook.id })
+    .whereNull('secret')
+    .patch({ secret: generateWebhookSecret() })
+
+  // another delivery may have set the secret concurrently
+  const { secret } = await Webhook.query().findById(webhook.id)
+  return secret
+}
+
+/**
+ * Delivery limits can be lowered or raised per platform with `stelace.webhook` config.
+ * @private
+ * @return {Object} config
+ * @return {Number} config.maxAttempts
+ * @return {Number} config.maxFailures
+ */
+async function getDeliveryConfig ({ platformId, env }) {
+  const config = await configRequester.send({
+    type: '_getConfig',
+    platformId,
+    env,
+    access: 'default'
+  })
+
+  const webhookConfig = _.get(config, 'stelace.webhook') || {}
+
+  return {
+    maxAttempts: webhookConfig.maxDeliveryAttempts || maxDeliveryAttempts,
+    maxFailures: webhookConfig.maxConsecutiveFailures || maxConsecutiveFailures
+  }
+}
+
+/**
+ * Resets consecutive failures counter after a successful delivery,
+ * or increments it after the last failed attempt and deactivates webhook if it keeps failing.
+ * @private
+ * @param {Object} params
+ * @param {Object} params.webhook
+ * @param {Boolean} params.success
+ * @param {Number} [params.maxFailures = maxConsecutiveFailures]
+ * @param {String} params.platformId
+ * @param {String} params.env
+ * @return {Object} result
+ * @return {Boolean} result.deactivated
+ */
+async function updateDeliveryStats ({ webhook, success, maxFailures = maxConsecutiveFailures, platformId, env }) {
+  const { Webhook } = await getModels({ platformId, env })
+
+  if (success) {
+    if (_.get(webhook, 'stats.nbConsecutiveFailures')) {
+      await Webhook.query().where('id', webhook.id).patch({
+        stats: Webhook.rawJsonbMerge('stats', { nbConsecutiveFailures: 0 })
+      })
+    }
+
+    return { deactivated: false }
+  }
+
+  const knex = Webhook.knex()
+  const updatedWebhook = await Webhook.query().patchAndFetchById(webhook.id, {
+    stats: knex.raw(
+      'jsonb_set(COALESCE(stats, \'{}\'::jsonb), \'{nbConsecutiveFailures}\', ' +
+        '(COALESCE(stats->>\'nbConsecutiveFailures\',\'0\')::int + 1)::text::jsonb)'
+    )
+  })
+
+  const nbConsecutiveFailures = _.get(updatedWebhook, 'stats.nbConsecutiveFailures', 0)
+  if (!updatedWebhook.active || nbConsecutiveFailures < maxFailures) {
+    return { deactivated: false }
+  }
+
+  await Webhook.query().patchAndFetchById(webhook.id, {
+    active: false,
+    stats: Webhook.rawJsonbMerge('stats', { deactivatedDate: new Date().toISOString() })
+  })
+
+  return { deactivated: true }
 }
 
 function stop () {
@@ -452,6 +890,9 @@ function stop () {
 
   eventSubscriber.close()
   eventSubscriber = null
+
+  configRequester.close()
+  configRequester = null
 }
 
 module.exports = {
@@ -11,6 +11,18 @@ const { logError } = require('../../server/logger')
 const { getModels, getModelInfo } = require('../models')
 
 const { isValidObjectId } = require('../util/validation')
+const {
+  computeDate,
+  isDateString,
+  isValidCronPattern,
+  isValidTimezone
+} = require('../util/time')
+const {
+  dueJobsKeys,
+  setDueJob,
+  setScheduledWorkflow,
+  removeScheduledWorkflow
+} = require('../redis')
 
 const { getObjectId } = require('stelace-util-keys')
 
@@ -27,6 +39,9 @@ let apiBase
 
 let localInstanceKey
 
+// Maximum number of workflows triggering each other through internal API calls
+const maxWorkflowDepth = parseInt(process.env.WORKFLOW_MAX_DEPTH, 10) || 5
+
 let responder
 let eventSubscriber
 let configRequester
@@ -167,7 +182,8 @@ function start ({ communication, serverPort }) {
                 .whereJsonSupersetOf('step', { handleErrors: true })
             })
         })
-      const startedACountQueryBuilder = queryBuilder.clone().whereNotIn('type', ['notification', 'preRunError'])
+      const startedACountQueryBuilder = queryBuilder.clone()
+        .whereNotIn('type', ['notification', 'preRunError', 'delayed', 'attemptError', 'runSkipped'])
       const notificationCountQueryBuilder = queryBuilder.clone().whereIn('type', ['notification'])
 
       const [
@@ -205,6 +221,8 @@ function start ({ communication, serverPort }) {
       context,
       notifyUrl,
       event,
+      recurringPattern,
+      recurringTimezone,
       run,
       computed,
       apiVersion,
@@ -213,6 +231,11 @@ function start ({ communication, serverPort }) {
       platformData
     } = req
 
+    if (event && recurringPattern) {
+      throw createError(400, 'Cannot provide both event and recurringPattern')
+    }
+    checkSchedule({ recurringPattern, recurringTimezone })
+
     if (event) {
       const isAllowedEvent = Event.isAllowedEvent(event)
 
@@ -234,6 +257,8 @@ function start ({ communication, serverPort }) {
       context,
       notifyUrl,
       event,
+      recurringPattern,
+      recurringTimezone,
       run,
       computed,
       // Falling back to current platform version (req._platformVersion)
@@ -243,6 +268,8 @@ function start ({ communication, serverPort }) {
       platformData
     })
 
+    await syncScheduledWorkflow({ workflow, platformId, env })
+
     return Workflow.expose(workflow, { req })
   })
 
@@ -261,6 +288,8 @@ function start ({ communication, serverPort }) {
       context,
       notifyUrl,
       event,
+      recurringPattern,
+      recurringTimezone,
       run,
       computed,
       apiVersion,
@@ -274,6 +303,14 @@ function start ({ communication, serverPort }) {
       throw createError(404)
     }
 
+    const newEvent = typeof event !== 'undefined' ? event : workflow.event
+    const newRecurringPattern = typeof recurringPattern !== 'undefined' ? recurringPattern : workflow.recurringPattern
+
+    if (newEvent && newRecurringPattern) {
+      throw createError(400, 'Cannot provide both event and recurringPattern')
+    }
+    checkSchedule({ recurringPattern, recurringTimezone })
+
     if (event) {
       const isAllowedEvent = Event.isAllowedEvent(event)
 
@@ -293,6 +330,8 @@ function start ({ communication, serverPort }) {
       context,
       notifyUrl,
       event,
+      recurringPattern,
+      recurringTimezone,
       run,
       computed,
       apiVersion,
@@ -308,6 +347,8 @@ function start ({ communication, serverPort }) {
 
     workflow = await Workflow.query().patchAndFetchById(workflowId, updateAttrs)
 
+    await syncScheduledWorkflow({ workflow, platformId, env })
+
     return Workflow.expose(workflow, { req })
   })
 
@@ -327,6 +368,10 @@ function start ({ communication, serverPort }) {
 
     await Workflow.query().deleteById(workflowId)
 
+    if (workflow.recurringPattern) {
+      await removeScheduledWorkflow({ platformId, env, workflowId })
+    }
+
     return { id: workflowId }
   })
 
@@ -531,9 +576,143 @@ function start ({ communication, serverPort }) {
     return WorkflowLog.expose(workflowLog, { req })
   })
 
+  responder.on('_resumeDelayedRun', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event } = await getModels({ platformId, env })
+
+    const { delayedRun } = req
+
+    // scheduled runs have no event
+    if (delayedRun.schedule) {
+      await runWorkflows({ platformId, env, delayedRun, schedule: delayedRun.schedule })
+      return { success: true }
+    }
+
+    const minCreatedDate = getRetentionLimitDate()
+
+    const event = await Event.query()
+      .findById(delayedRun.eventId)
+      .where('createdTimestamp', '>=', minCreatedDate)
+    if (!event) return { success: false }
+
+    // runs delayed before the chain was stored in events have it saved with them
+    const workflowChain = delayedRun.workflowChain || Event.getWorkflowChain(event)
+
+    await runWorkflows({ event, platformId, env, delayedRun, workflowChain })
+
+    return { success: true }
+  })
+
+  responder.on('_runScheduled', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+
+    const { workflowId, scheduleDate } = req
+
+    await runWorkflows({
+      platformId,
+      env,
+      schedule: { workflowId, date: scheduleDate }
+    })
+
+    return { success: true }
+  })
+
+  responder.on('test', async (req) => {
+    const platformId = req.platformId
+    const env = req.env
+    const { Event, Workflow, WorkflowLog } = await getModels({ platformId, env })
+
+    const {
+      workflowId,
+      eventId,
+      event: eventPayload,
+      live
+    } = req
+
+    const workflow = await Workflow.query().findById(workflowId)
+    if (!workflow) {
+      throw createError(404)
+    }
+
+    let event
+    if (eventId) {
+      const minCreatedDate = getRetentionLimitDate()
+
+      event = await Event.query()
+        .findById(eventId)
+        .where('createdTimestamp', '>=', minCreatedDate)
+      if (!event) {
+        throw createError(422, `Event ID ${eventId} not found`)
+      }
+    } else {
+      // sample event is not saved
+      event = Object.assign({
+        id: null,
+        createdDate: new Date().toISOString(),
+        type: workflow.event,
+        objectId: null,
+        object: null,
+        metadata: {},
+        apiVersion: workflow.apiVersion || apiVersions[0]
+      }, eventPayload)
+    }
+
+    const { runId, steps } = await runWorkflows({
+      event,
+      platformId,
+      env,
+      workflowChain: Event.getWorkflowChain(event),
+      testRun: { workflow, live }
+    })
+
+    const result = {
+      workflowId: workflow.id,
+      eventId: event.id,
+      live,
+      steps
+    }
+
+    if (live) {
+      const workflowLogs = await WorkflowLog.query()
+        .where({ workflowId: workflow.id, runId })
+        .where('createdTimestamp', '>=', getRetentionLimitDate())
+        .orderBy('createdDate', 'asc')
+
+      result.logs = WorkflowLog.exposeAll(workflowLogs, { req })
+    }
+
+    return result
+  })
+
   // EVENTS
 
   eventSubscriber.on('eventCreated', async ({ event, platformId, env } = {}) => {
+    const { Event } = await getModels({ platformId, env })
+
+    return runWorkflows({ event, platformId, env, workflowChain: Event.getWorkflowChain(event) })
+  })
+
+  /**
+   * Runs all workflows triggered by the event, or a single scheduled workflow,
+   * or resumes a single workflow run paused before a delayed step.
+   * @param {Object} params
+   * @param {Object} [params.event] - missing for scheduled runs
+   * @param {String} params.platformId
+   * @param {String} params.env
+   * @param {String[]} [params.workflowChain] - IDs of workflows whose API calls led to the event
+   * @param {Object} [params.schedule] - runs a workflow triggered by the cron, exposing schedule date
+   *   instead of event properties
+   * @param {String} params.schedule.workflowId
+   * @param {String} params.schedule.date
+   * @param {Object} [params.delayedRun] - saved when the run was paused
+   * @param {Object} [params.testRun] - runs a single workflow to debug it
+   * @param {Object} params.testRun.workflow
+   * @param {Boolean} [params.testRun.live = false] - if false, steps are prepared but not executed
+   * @return {Object|undefined} test run results, with `runId` and prepared `steps`
+   */
+  async function runWorkflows ({ event = {}, platformId, env, workflowChain = [], schedule, delayedRun, testRun }) {
     // APM transaction needs to be created for customRequester
     // Note: APM transactions cannot be nested
     const prepareWorkflowsTransaction = apm.startTransaction('Prepare Workflows', 'workflow')
@@ -547,6 +726,7 @@ function start ({ communication, serverPort }) {
     let runId
     let workflowsCtx = {} // shared and same for all current event’s workflows
     let vm
+    const testSteps = []
 
     try {
       const {
@@ -554,22 +734,46 @@ function start ({ communication, serverPort }) {
         Workflow,
         WorkflowLog
       } = await getModels({ platformId, env })
-      const exposedEvent = Event.expose(event, { namespaces: ['*'] })
+      const exposedEvent = schedule ? null : Event.expose(event, { namespaces: ['*'] })
       const envVariables = {}
 
       const latestVersion = apiVersions[0]
       const fromVersion = event.apiVersion
 
-      const workflows = await Workflow.query()
-        .where({
-          active: true,
-          event: event.type
-        })
+      let workflows
+      if (testRun) {
+        workflows = [testRun.workflow]
+      } else if (delayedRun) {
+        // workflow may have been deactivated or removed during the delay
+        workflows = await Workflow.query()
+          .where({
+            id: delayedRun.workflowId,
+            active: true
+          })
+      } else if (schedule) {
+        workflows = await Workflow.query()
+          .where({
+            id: schedule.workflowId,
+            active: true
+          })
+          .whereNotNull('recurringPattern')
+      } else {
+        workflows = await Workflow.query()
+          .where({
+            active: true,
+            event: event.type
+          })
+      }
 
       const workflowApiVersions = workflows.map(workflow => workflow.apiVersion || latestVersion)
 
       if (workflows.length) {
         workflowsCtx = await bluebird.reduce(workflowApiVersions, async (ctx, apiVersion) => {
+          if (schedule) {
+            ctx[apiVersion] = { scheduleDate: schedule.date }
+            return ctx
+          }
+
           const versionedEvent = await Event.getVersionedEvent(exposedEvent, apiVersion)
           ctx[apiVersion] = Object.assign({}, versionedEvent)
 
@@ -675,6 +879,30 @@ function start ({ communication, serverPort }) {
       await bluebird.mapSeries(workflows, async workflow => {
         if (_.isEmpty(workflow.run)) return
 
+        // resumed runs have already been checked
+        if (!delayedRun && !testRun) {
+          const skipReason = _getWorkflowChainSkipReason({ workflowId: workflow.id, workflowChain })
+
+          if (skipReason) {
+            await WorkflowLog.query().insert({
+              id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+              workflowId: workflow.id,
+              eventId: event.id,
+              runId: Uuid.v4(),
+              type: 'runSkipped',
+              metadata: {
+                reason: skipReason,
+                message: skipReason === 'workflowLoop'
+                  ? 'Workflow already triggered this event'
+                  : `Workflow chain cannot exceed ${maxWorkflowDepth} workflows`,
+                workflowChain,
+                eventObjectId: event.objectId
+              }
+            })
+            return
+          }
+        }
+
         const singleWorkflowTransaction = apm.startTransaction('Execute Workflow', 'workflow')
         singleWorkflowTransaction.action = workflow.name
         apm.setUserContext({ id: platformId })
@@ -683,20 +911,23 @@ function start ({ communication, serverPort }) {
 
         apmSpans.fetchStats = apm.startSpan('Update nbTimesRun')
 
-        runId = Uuid.v4()
+        runId = delayedRun ? delayedRun.runId : Uuid.v4()
         currentWorkflowId = workflow.id
 
         const initialComputedScript = _getComputedValuesScript(workflow.computed, { reset: true })
-        const lastResponses = [] // array of responses
-        const responses = {} // step name -> response
-
-        const knex = Workflow.knex()
-        await Workflow.query().where('id', currentWorkflowId).patch({
-          stats: knex.raw(
-            // Playground http://www.sqlfiddle.com/#!17/1f4566/8
-            'jsonb_set(stats, \'{nbTimesRun}\', (COALESCE(stats->>\'nbTimesRun\',\'0\')::int + 1)::text::jsonb)'
-          )
-        })
+        const lastResponses = delayedRun ? delayedRun.lastResponses : [] // array of responses
+        const responses = delayedRun ? delayedRun.responses : {} // step name -> response
+
+        // resumed runs have already been counted
+        if (!delayedRun && !testRun) {
+          const knex = Workflow.knex()
+          await Workflow.query().where('id', currentWorkflowId).patch({
+            stats: knex.raw(
+              // Playground http://www.sqlfiddle.com/#!17/1f4566/8
+              'jsonb_set(stats, \'{nbTimesRun}\', (COALESCE(stats->>\'nbTimesRun\',\'0\')::int + 1)::text::jsonb)'
+            )
+          })
+        }
 
         apmSpans.fetchStats && apmSpans.fetchStats.end()
 
@@ -705,28 +936,42 @@ function start ({ communication, serverPort }) {
         try {
           // Execute each workflow run step serially
           await bluebird.reduce(workflow.run, async (previousStepLog, workflowStep, i) => {
+            // steps before the delayed one have already run
+            if (delayedRun && i < delayedRun.stepIndex) return previousStepLog
+
             const runApmSpan = apm.startSpan(`Run step ${i}`)
 
             const handledErr = i > 0 && workflow.run[i - 1].handleErrors
 
             const isPreviousStepStopped = previousStepLog.type === 'stopped'
+            const isPreviousStepDelayed = previousStepLog.type === 'delayed'
             const hasPreviousStepError = ['preRunError', 'runError'].includes(previousStepLog.type)
 
-            if (isPreviousStepStopped) return previousStepLog
+            if (isPreviousStepStopped || isPreviousStepDelayed) return previousStepLog
             if (hasPreviousStepError && !handledErr) return previousStepLog
 
+            const isResumedStep = delayedRun && i === delayedRun.stepIndex
+
             // update computed object in each step
             const currentStepComputedScript = _getComputedValuesScript(workflowStep.computed)
-            const computedScript = `${i === 0 ? initialComputedScript : ''};${currentStepComputedScript}`
+            let previousComputedScript = i === 0 ? initialComputedScript : ''
+            if (isResumedStep) {
+              previousComputedScript = `computed = ${JSON.stringify(delayedRun.computed)};` +
+                'ctx[apiVersion].computed = computed;'
+            }
+            const computedScript = `${previousComputedScript};${currentStepComputedScript}`
 
             const prepareWorkflowSpan = apm.startSpan('Prepare workflow step')
 
             const {
               passFilter,
+              stopStep,
               skipStep,
               endpointUri,
               endpointPayload,
               endpointHeaders,
+              delayExecutionDate,
+              computed,
               prepareWorkflowError
             } = prepareWorkflowStep({
               workflow,
@@ -735,11 +980,39 @@ function start ({ communication, serverPort }) {
               envVariables,
               computedScript,
               lastResponses,
-              responses
+              responses,
+              // steps are not delayed in test runs
+              computeDelay: Boolean(workflowStep.delay) && !isResumedStep && !testRun
             })
 
             prepareWorkflowSpan && prepareWorkflowSpan.end()
 
+            if (testRun) {
+              testSteps.push({
+                name: workflowStep.name || null,
+                computed: JSON.parse(vm.run('JSON.stringify(computed)') || '{}'),
+                passFilter: Boolean(passFilter),
+                stop: Boolean(stopStep),
+                skip: Boolean(skipStep),
+                endpointMethod: workflowStep.endpointMethod,
+                endpointUri: endpointUri || null,
+                endpointHeaders: endpointHeaders || null,
+                endpointPayload: endpointPayload || null,
+                error: prepareWorkflowError
+                  ? _.pick(prepareWorkflowError, ['message', 'statusCode', 'script'])
+                  : null
+              })
+
+              // simulating step logs so that following steps are prepared as in real runs
+              if (!testRun.live) {
+                runApmSpan && runApmSpan.end()
+
+                if (prepareWorkflowError) return { type: 'preRunError', statusCode: prepareWorkflowError.statusCode }
+                if (!passFilter) return { type: 'stopped' }
+                return { type: skipStep ? 'skipped' : 'action' }
+              }
+            }
+
             try {
               if (prepareWorkflowError) {
                 return WorkflowLog.query().insert({
@@ -754,12 +1027,26 @@ function start ({ communication, serverPort }) {
                 })
               }
 
+              if (delayExecutionDate) {
+                return delayWorkflowStep({
+                  workflow,
+                  workflowStep,
+                  stepIndex: i,
+                  executionDate: delayExecutionDate,
+                  previousStepLog,
+                  computed,
+                  lastResponses,
+                  responses,
+                  WorkflowLog
+                })
+              }
+
               if (passFilter && !skipStep) {
                 debug(`endpointUri: ${endpointUri}\n`)
                 debug(`endpointPayload: ${JSON.stringify(endpointPayload, null, 2)}\n`)
                 debug(`endpointHeaders: ${JSON.stringify(endpointHeaders, null, 2)}\n`)
 
-                return executeWorkflowStep({
+                const stepLog = await executeWorkflowStep({
                   workflow,
                   workflowStep,
                   endpointUri,
@@ -769,6 +1056,18 @@ function start ({ communication, serverPort }) {
                   responses,
                   WorkflowLog
                 })
+
+                if (stepLog.type !== 'runError' || _.isEmpty(workflowStep.fallback)) return stepLog
+
+                return executeFallbackStep({
+                  workflow,
+                  workflowStep,
+                  failedStepLog: stepLog,
+                  envVariables,
+                  lastResponses,
+                  responses,
+                  WorkflowLog
+                })
               } else {
                 debug(`passFilter: ${passFilter}\nskipStep: ${skipStep}`)
               }
@@ -789,15 +1088,17 @@ function start ({ communication, serverPort }) {
             } finally {
               runApmSpan && runApmSpan.end()
             }
-          }, { // init reduce’s memo to some value to start running steps
+          }, delayedRun ? delayedRun.previousStepLog : { // init reduce’s memo to some value to start running steps
             type: 'success'
           }).then(lastLog => {
-            if (workflow.notifyUrl) {
+            // notification is sent once the resumed run is completed
+            if (workflow.notifyUrl && lastLog.type !== 'delayed' && !testRun) {
               return notifyAfterCompleted({
                 workflow,
                 lastLog,
                 event,
                 exposedEvent,
+                scheduleDate: schedule && schedule.date,
                 WorkflowLog,
                 runId,
                 platformId,
@@ -828,11 +1129,15 @@ function start ({ communication, serverPort }) {
       logError(err, {
         platformId,
         env,
-        custom: { eventId: event.id },
-        message: `Fail to handle ${event.type} event in workflow service`
+        custom: { eventId: event.id, workflowId: schedule && schedule.workflowId },
+        message: schedule
+          ? 'Fail to run scheduled workflow in workflow service'
+          : `Fail to handle ${event.type} event in workflow service`
       })
     }
 
+    if (testRun) return { runId, steps: testSteps }
+
     async function fetchRelatedObjects ({
       relatedObjectsObject = {},
       platformId,
@@ -916,6 +1221,8 @@ function start ({ communication, serverPort }) {
      * @param {Array} params.lastResponses
      * @param {Object} params.responses - keys are step names mapping to response objects,
      *   making use and maintenance much easier than with `lastResponses` array.
+     * @param {Boolean} [params.computeDelay = false] - only evaluates step delay and computed values,
+     *   other scripts are evaluated when the delayed step is resumed
      * @return {Object}
      */
     function prepareWorkflowStep ({
@@ -925,10 +1232,12 @@ function start ({ communication, serverPort }) {
       envVariables,
       computedScript,
       lastResponses,
-      responses
+      responses,
+      computeDelay = false
     }) {
       let error, prepareWorkflowError
-      let passFilter, skipStep
+      let passFilter, stopStep, skipStep
+      let delayExecutionDate, computed
 
       let endpointUri, endpointHeaders, endpointPayload
 
@@ -996,9 +1305,34 @@ function start ({ communication, serverPort }) {
           script: computedScript
         })
       }
+
+      if (computeDelay) {
+        if (!error) {
+          try {
+            let delay = workflowStep.delay
+            if (_.isString(delay)) {
+              // serializing to get a plain value out of the sandbox
+              const serializedDelay = vm.run(`JSON.stringify(${delay})`)
+              delay = _.isUndefined(serializedDelay) ? serializedDelay : JSON.parse(serializedDelay)
+            }
+            delayExecutionDate = _getDelayExecutionDate(delay)
+            // saved until the step is resumed, so it needs to be serializable
+            computed = JSON.parse(vm.run('JSON.stringify(computed)'))
+          } catch (err) {
+            error = _transformVmError({
+              err,
+              when: 'in delay',
+              script: workflowStep.delay
+            })
+          }
+        }
+
+        return errorOrResult()
+      }
+
       try {
-        const stop = workflowStep.stop && Boolean(vm.run(workflowStep.stop))
-        passFilter = !stop && (!workflowStep.filter || Boolean(vm.run(workflowStep.filter)))
+        stopStep = workflowStep.stop && Boolean(vm.run(workflowStep.stop))
+        passFilter = !stopStep && (!workflowStep.filter || Boolean(vm.run(workflowStep.filter)))
         skipStep = workflowStep.skip && Boolean(vm.run(workflowStep.skip))
       } catch (err) {
         error = _transformVmError({
@@ -1087,17 +1421,22 @@ function start ({ communication, serverPort }) {
 
         return {
           passFilter,
+          stopStep,
           skipStep,
           endpointUri,
           endpointPayload,
           endpointHeaders,
+          delayExecutionDate: prepareWorkflowError ? null : delayExecutionDate,
+          computed,
           prepareWorkflowError
         }
       }
     }
 
     /**
-     * Executes single workflow step, handles errors and logging
+     * Executes single workflow step, handles errors and logging.
+     * Failed requests are attempted again according to step `retry` settings,
+     * only the last attempt result is used in `responses` and `lastResponses`.
      * @param {Object} params
      * @param {Object} params.workflow
      * @param {Object} params.workflowStep
@@ -1106,6 +1445,7 @@ function start ({ communication, serverPort }) {
      * @param {Object} params.endpointHeaders
      * @param {Array} params.lastResponses
      * @param {Object} params.WorkflowLog - Model
+     * @param {Boolean} [params.isFallback = false]
      * @return {Promise} workflow log
      */
     async function executeWorkflowStep ({
@@ -1116,7 +1456,8 @@ function start ({ communication, serverPort }) {
       endpointHeaders,
       lastResponses,
       responses,
-      WorkflowLog
+      WorkflowLog,
+      isFallback = false
     }) {
       const method = workflowStep.endpointMethod.toLowerCase()
 
@@ -1126,80 +1467,270 @@ function start ({ communication, serverPort }) {
         'x-platform-id': platformId,
         'x-stelace-env': env,
         'x-stelace-workflow-key': localInstanceKey,
-        'x-stelace-version': workflow.apiVersion
-        // 'x-stelace-workflows': '' // TODO: sequence of workflows to avoid infinite loops
+        'x-stelace-version': workflow.apiVersion,
+        // sequence of workflows passed to triggered events to avoid infinite loops
+        'x-stelace-workflows': workflowChain.concat([workflow.id]).join(',')
       } : {
         'x-webhook-source': 'stelace'
       }
 
       const headers = Object.assign({}, endpointHeaders, stelaceHeaders)
 
-      const log = _getWorkflowLogMetadata({
-        workflowStep,
-        endpointUri,
-        endpointHeaders,
-        endpointPayload,
-        event
-      })
       const endpointUrl = isInternalApiEndpoint ? `${apiBase}${endpointUri}` : endpointUri
+      const maxAttempts = _.get(workflowStep, 'retry.maxAttempts', 1)
+
+      let log
       let isError
+      let res
 
-      return request[method](endpointUrl)
-        .send(endpointPayload) // superagent converts this to query string when using GET method
-        .set(headers)
-        .timeout({
-          // Should be enough for Stelace batch call endpoint with 100 objects (currently maximum)
-          response: 15000, // For concurrency of 4 in batch service it takes (100/4) * 400ms = 10000ms
-          deadline: 30000 // Twice as much in case of slow response download
-          // but we need reasonable value as well to prevent huge file download / infinite buffering
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        isError = false
+        log = _getWorkflowLogMetadata({
+          workflowStep,
+          endpointUri,
+          endpointHeaders,
+          endpointPayload,
+          event
         })
-        .catch(err => {
-          isError = true
-          _updatedLogWithErrorDetails({ log, err })
-
-          if (err.status) return err.response // let user handle HTTP error if they want to
+        if (workflowStep.retry) log.attempt = attempt
+        if (isFallback) log.fallback = true
+
+        res = await request[method](endpointUrl)
+          .send(endpointPayload) // superagent converts this to query string when using GET method
+          .set(headers)
+          .timeout({
+            // Should be enough for Stelace batch call endpoint with 100 objects (currently maximum)
+            response: 15000, // For concurrency of 4 in batch service it takes (100/4) * 400ms = 10000ms
+            deadline: 30000 // Twice as much in case of slow response download
+            // but we need reasonable value as well to prevent huge file download / infinite buffering
+          })
+          .catch(err => {
+            isError = true
+            _updatedLogWithErrorDetails({ log, err })
+
+            if (err.status) return err.response // let user handle HTTP error if they want to
+
+            // If there is no status it’s probably related to unhandled Workflow code error,
+            // or it’s a Stelace error.
+            logError(err.response ? err.response.body : err, {
+              platformId,
+              env,
+              custom: {
+                workflowId: workflow.id,
+                run: workflowStep,
+                runId,
+                eventId: event.id,
+                objectId: event.objectId,
+                attempt
+              },
+              message: 'Fail to execute Stelace Workflow'
+            })
 
-          // If there is no status it’s probably related to unhandled Workflow code error,
-          // or it’s a Stelace error.
-          logError(err.response ? err.response.body : err, {
-            platformId,
-            env,
-            custom: {
-              workflowId: workflow.id,
-              run: workflowStep,
-              runId,
-              eventId: event.id,
-              objectId: event.objectId
-            },
-            message: 'Fail to execute Stelace Workflow'
+            return {} // no response body to save below
           })
 
-          return {} // no response body to save below
+        const canRetry = isError &&
+          attempt < maxAttempts &&
+          _isRetriableStatusCode(log.statusCode, workflowStep.retry)
+        if (!canRetry) break
+
+        log.retryDelay = _getRetryDelay(attempt, workflowStep.retry)
+
+        // the step is logged as failed only once all attempts are used up
+        await WorkflowLog.query().insert({
+          id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+          workflowId: workflow.id,
+          eventId: event.id,
+          runId,
+          type: 'attemptError',
+          statusCode: log.statusCode || null,
+          step: _getWorkflowLogStep({ workflowStep }),
+          metadata: _.omit(log, 'statusCode')
         })
-        // ensuring length consistency when response is missing due to error
-        // but some steps can still be skipped and not included in responses/lastResponses
-        .then(async (res) => {
-          const body = res.body || null
-          lastResponses.unshift(body)
-
-          const stepName = workflowStep.name
-          if (stepName) responses[stepName] = body
-
-          const workflowLog = await WorkflowLog.query().insert({
-            id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
-            workflowId: workflow.id,
-            eventId: event.id,
-            runId,
-            type: isError ? 'runError' : 'action',
-            statusCode: log.statusCode || res.statusCode,
-            step: _getWorkflowLogStep({ workflowStep }),
-            metadata: _.omit(log, 'statusCode')
-          })
 
-          return workflowLog
+        await bluebird.delay(log.retryDelay)
+      }
+
+      // ensuring length consistency when response is missing due to error
+      // but some steps can still be skipped and not included in responses/lastResponses
+      const body = res.body || null
+      lastResponses.unshift(body)
+
+      const stepName = workflowStep.name
+      if (stepName) responses[stepName] = body
+
+      const workflowLog = await WorkflowLog.query().insert({
+        id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+        workflowId: workflow.id,
+        eventId: event.id,
+        runId,
+        type: isError ? 'runError' : 'action',
+        statusCode: log.statusCode || res.statusCode,
+        step: _getWorkflowLogStep({ workflowStep }),
+        metadata: _.omit(log, 'statusCode')
+      })
+
+      return workflowLog
+    }
+
+    /**
+     * Executes step fallback after all attempts failed.
+     * Fallback response replaces the failed one in `responses` and `lastResponses`.
+     * @param {Object} params
+     * @param {Object} params.workflow
+     * @param {Object} params.workflowStep - failed step having a `fallback` object
+     * @param {Object} params.failedStepLog - `statusCode` is available in fallback scripts
+     * @param {Object} params.envVariables
+     * @param {Array} params.lastResponses
+     * @param {Object} params.responses
+     * @param {Object} params.WorkflowLog - Model
+     * @return {Promise} workflow log
+     */
+    async function executeFallbackStep ({
+      workflow,
+      workflowStep,
+      failedStepLog,
+      envVariables,
+      lastResponses,
+      responses,
+      WorkflowLog
+    }) {
+      const fallbackStep = Object.assign(
+        _.pick(workflowStep, ['name', 'handleErrors']),
+        workflowStep.fallback
+      )
+
+      const {
+        endpointUri,
+        endpointPayload,
+        endpointHeaders,
+        prepareWorkflowError
+      } = prepareWorkflowStep({
+        workflow,
+        workflowStep: fallbackStep,
+        previousStepLog: failedStepLog,
+        envVariables,
+        computedScript: '', // computed values are already set by the failed step
+        lastResponses,
+        responses
+      })
+
+      if (prepareWorkflowError) {
+        return WorkflowLog.query().insert({
+          id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+          workflowId: workflow.id,
+          eventId: event.id,
+          runId,
+          type: 'preRunError',
+          statusCode: prepareWorkflowError.statusCode || null,
+          step: _getWorkflowLogStep({ error: true }),
+          metadata: Object.assign(_.omit(prepareWorkflowError, 'statusCode'), { fallback: true })
         })
+      }
+
+      lastResponses.shift()
+
+      return executeWorkflowStep({
+        workflow,
+        workflowStep: fallbackStep,
+        endpointUri,
+        endpointPayload,
+        endpointHeaders,
+        lastResponses,
+        responses,
+        WorkflowLog,
+        isFallback: true
+      })
     }
-  })
+
+    /**
+     * Pauses the workflow run until the step execution date.
+     * Run state is saved so that the step and the following ones
+     * can still use `computed`, `responses` and `lastResponses` when resumed.
+     * @param {Object} params
+     * @param {Object} params.workflow
+     * @param {Object} params.workflowStep
+     * @param {Number} params.stepIndex
+     * @param {String} params.executionDate
+     * @param {Object} params.previousStepLog
+     * @param {Object} params.computed
+     * @param {Array} params.lastResponses
+     * @param {Object} params.responses
+     * @param {Object} params.WorkflowLog - Model
+     * @return {Promise} workflow log
+     */
+    async function delayWorkflowStep ({
+      workflow,
+      workflowStep,
+      stepIndex,
+      executionDate,
+      previousStepLog,
+      computed,
+      lastResponses,
+      responses,
+      WorkflowLog
+    }) {
+      const delayedRunId = Uuid.v4()
+
+      await setDueJob({
+        platformId,
+        env,
+        key: dueJobsKeys.delayedWorkflowRuns,
+        jobId: delayedRunId,
+        job: {
+          id: delayedRunId,
+          workflowId: workflow.id,
+          eventId: event.id,
+          runId,
+          stepIndex,
+          executionDate,
+          previousStepLog: _.pick(previousStepLog, ['type', 'statusCode']),
+          computed,
+          lastResponses,
+          responses,
+          schedule
+        }
+      })
+
+      return WorkflowLog.query().insert({
+        id: await getObjectId({ prefix: WorkflowLog.idPrefix, platformId, env }),
+        workflowId: workflow.id,
+        eventId: event.id,
+        runId,
+        type: 'delayed',
+        step: _getWorkflowLogStep({ workflowStep }),
+        metadata: Object.assign(_getWorkflowLogMetadata({ workflowStep, event }), { executionDate })
+      })
+    }
+  }
+}
+
+function checkSchedule ({ recurringPattern, recurringTimezone }) {
+  if (recurringPattern && !isValidCronPattern(recurringPattern)) {
+    throw createError(400, 'Invalid recurring pattern')
+  }
+  if (recurringTimezone && !isValidTimezone(recurringTimezone)) {
+    throw createError(400, 'Invalid recurring timezone')
+  }
+}
+
+/**
+ * Active workflows with a recurring pattern are saved in Redis to be triggered by the cron.
+ * @param {Object} params
+ * @param {Object} params.workflow
+ * @param {String} params.platformId
+ * @param {String} params.env
+ */
+async function syncScheduledWorkflow ({ workflow, platformId, env }) {
+  if (workflow.active && workflow.recurringPattern) {
+    await setScheduledWorkflow({
+      platformId,
+      env,
+      workflow: _.pick(workflow, ['id', 'recurringPattern', 'recurringTimezone'])
+    })
+  } else {
+    await removeScheduledWorkflow({ platformId, env, workflowId: workflow.id })
+  }
 }
 
 /**
@@ -1210,6 +1741,7 @@ function start ({ communication, serverPort }) {
  * @param {Object} params.lastLog - last workflow step log
  * @param {Object} params.event
  * @param {Object} params.exposedEvent
+ * @param {String} [params.scheduleDate] - for scheduled workflows without event
  * @param {Object} params.WorkflowLog - Model
  * @param {String} params.runId
  * @param {String} params.platformId
@@ -1221,6 +1753,7 @@ async function notifyAfterCompleted ({
   lastLog,
   event,
   exposedEvent,
+  scheduleDate,
   WorkflowLog,
   runId,
   platformId,
@@ -1237,6 +1770,7 @@ async function notifyAfterCompleted ({
     workflowName: workflow.name,
     runId
   }
+  if (scheduleDate) payload.scheduleDate = scheduleDate
 
   const logDetails = _getWorkflowLogMetadata({
     event,
@@ -1354,6 +1888,57 @@ function _transformVmError ({ err, when, script }) {
   return newError
 }
 
+/**
+ * @param {Object|String} delay - duration object like { h: 24 },
+ *   duration string like "24h" or ISO date string
+ * @return {String} ISO execution date
+ */
+function _getDelayExecutionDate (delay) {
+  if (_.isPlainObject(delay) || (_.isString(delay) && !isDateString(delay))) {
+    return computeDate(new Date().toISOString(), delay)
+  } else if (isDateString(delay)) {
+    return delay
+  }
+
+  throw createError(422, 'Delay must be a duration or an ISO date string')
+}
+
+// network errors without status code are always retried
+const defaultRetriableStatusCodes = [408, 429, 500, 502, 503, 504]
+const defaultRetryBackoffDelay = 1000 // milliseconds
+const maxRetryBackoffDelay = 30000
+
+function _isRetriableStatusCode (statusCode, retry = {}) {
+  if (!statusCode) return true
+  return (retry.statusCodes || defaultRetriableStatusCodes).includes(statusCode)
+}
+
+/**
+ * @param {Number} attempt - attempt number that just failed, starting from 1
+ * @param {Object} [retry] - workflow step retry settings
+ * @return {Number} milliseconds to wait before next attempt
+ */
+function _getRetryDelay (attempt, retry = {}) {
+  const backoffDelay = _.isFinite(retry.backoffDelay) ? retry.backoffDelay : defaultRetryBackoffDelay
+  const delay = retry.backoff === 'fixed' ? backoffDelay : backoffDelay * Math.pow(2, attempt - 1)
+
+  return Math.min(delay, maxRetryBackoffDelay)
+}
+
+/**
+ * Workflows are skipped when they are already in the chain of workflows that led to the event,
+ * or when the chain is too long, since workflows could trigger each other endlessly.
+ * @param {Object} params
+ * @param {String} params.workflowId
+ * @param {String[]} params.workflowChain
+ * @return {String|null} 'workflowLoop', 'maxDepthExceeded' or null if the workflow can run
+ */
+function _getWorkflowChainSkipReason ({ workflowId, workflowChain = [] }) {
+  if (workflowChain.includes(workflowId)) return 'workflowLoop'
+  if (workflowChain.length >= maxWorkflowDepth) return 'maxDepthExceeded'
+  return null
+}
+
 function _getComputedValuesScript (computedObject, { reset } = {}) {
   const script = reset ? 'computed = {}; ctx[apiVersion].computed = computed;' : ''
 
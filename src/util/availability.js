@@ -1,6 +1,7 @@
 const _ = require('lodash')
 
 const {
+  computeDate,
   computeRecurringPeriods
 } = require('./time')
 
@@ -456,9 +457,123 @@ function getAvailabilityPeriods (availabilityGraph) {
   return periods
 }
 
+/**
+ * Based on the availability graph, compute the periods when no quantity is left
+ * because of availabilities or transactions
+ * Unavailable periods without end date are omitted.
+ * @param {Object} availabilityGraph
+ * @return {Object[]} periods
+ * @return {String} periods[i].startDate
+ * @return {String} periods[i].endDate
+ */
+function getUnavailablePeriods (availabilityGraph) {
+  const { graphDates } = availabilityGraph
+
+  const periods = []
+  let startDate = null
+
+  graphDates.forEach(graphDate => {
+    const { date, usedQuantity, availableQuantity } = graphDate
+    const unavailable = availableQuantity - usedQuantity <= 0
+
+    if (unavailable && !startDate) {
+      startDate = date
+    } else if (!unavailable && startDate) {
+      periods.push({ startDate, endDate: date })
+      startDate = null
+    }
+  })
+
+  return periods
+}
+
+/**
+ * Split the period into consecutive time slots of one time unit
+ * The last slot is shortened so that it ends at the period end date.
+ * @param {Object} params
+ * @param {String} params.startDate
+ * @param {String} params.endDate
+ * @param {String} [params.timeUnit = 'd']
+ * @return {Object[]} slots
+ * @return {String} slots[i].startDate
+ * @return {String} slots[i].endDate
+ */
+function getTimeSlots ({ startDate, endDate, timeUnit = 'd' }) {
+  const slots = []
+
+  const periodEndDate = new Date(endDate).toISOString()
+
+  let slotStartDate = new Date(startDate).toISOString()
+  let index = 0
+
+  while (slotStartDate < periodEndDate) {
+    index += 1
+
+    // always compute from start date to prevent days drifting with months
+    const slotEndDate = computeDate(startDate, { [timeUnit]: index })
+
+    slots.push({
+      startDate: slotStartDate,
+      endDate: slotEndDate < periodEndDate ? slotEndDate : periodEndDate
+    })
+
+    slotStartDate = slotEndDate
+  }
+
+  return slots
+}
+
+/**
+ * Extend the period with asset type buffer times, during which the asset is prepared or cleaned
+ * @param {Object} period - object with `startDate` and `endDate` (which can be `null`)
+ * @param {Object} [timing] - asset type timing
+ * @param {Object} [timing.bufferBefore] - duration before the period start date
+ * @param {Object} [timing.bufferAfter] - duration after the period end date
+ * @return {Object} period - copy that preserves other properties
+ */
+function getBufferedPeriod (period, timing) {
+  const bufferBefore = _.get(timing, 'bufferBefore')
+  const bufferAfter = _.get(timing, 'bufferAfter')
+
+  const bufferedPeriod = Object.assign({}, period)
+
+  if (!_.isEmpty(bufferBefore) && period.startDate) {
+    bufferedPeriod.startDate = computeDate(period.startDate, _.mapValues(bufferBefore, value => -value))
+  }
+  if (!_.isEmpty(bufferAfter) && period.endDate) {
+    bufferedPeriod.endDate = computeDate(period.endDate, bufferAfter)
+  }
+
+  return bufferedPeriod
+}
+
+/**
+ * Get the allowed start dates based on asset type lead-time rules
+ * @param {Object} [timing] - asset type timing
+ * @param {Object} [timing.minNotice] - minimum duration between booking and start date
+ * @param {Object} [timing.maxHorizon] - maximum duration between booking and start date
+ * @param {String} refDate - usually the current date
+ * @return {Object} window
+ * @return {String|null} window.minStartDate
+ * @return {String|null} window.maxStartDate
+ */
+function getBookingWindow (timing, refDate) {
+  const minNotice = _.get(timing, 'minNotice')
+  const maxHorizon = _.get(timing, 'maxHorizon')
+
+  return {
+    minStartDate: _.isEmpty(minNotice) ? null : computeDate(refDate, minNotice),
+    maxStartDate: _.isEmpty(maxHorizon) ? null : computeDate(refDate, maxHorizon)
+  }
+}
+
 module.exports = {
   getAvailabilityPeriodGraph,
   getAvailabilityPeriodInfo,
+  getUnavailablePeriods,
+  getTimeSlots,
+  getBufferedPeriod,
+  getBookingWindow,
 
   getInternalAvailabilityPeriods,
   getAvailabilityPeriods
@@ -0,0 +1,231 @@
+const _ = require('lodash')
+const moment = require('moment-timezone')
+
+const { isValidTimezone } = require('./time')
+
+const CRLF = '\r\n'
+const MAX_LINE_LENGTH = 75
+
+/**
+ * Parse iCalendar (RFC 5545) content into events
+ * Only properties needed for availability are kept. Recurrence rules are ignored
+ * so recurring events only block their first occurrence.
+ * @param {String} content
+ * @return {Object[]} events
+ * @return {String} events[i].uid
+ * @return {String} events[i].startDate - ISO date
+ * @return {String} events[i].endDate - ISO date
+ * @return {String|null} events[i].summary
+ */
+function parseICalendar (content) {
+  if (typeof content !== 'string' || !content.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Invalid iCalendar content')
+  }
+
+  const lines = unfoldLines(content)
+
+  const events = []
+  let event = null
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {}
+      return
+    }
+    if (line === 'END:VEVENT') {
+      if (event) events.push(event)
+      event = null
+      return
+    }
+    if (!event) return
+
+    const property = parseContentLine(line)
+    if (!property) return
+
+    // keep the first value in case of duplicated properties
+    if (!event[property.name]) event[property.name] = property
+  })
+
+  return events
+    .filter(event => _.get(event, 'STATUS.value') !== 'CANCELLED')
+    .map(event => {
+      const uid = _.get(event, 'UID.value')
+      const startDate = event.DTSTART && parseDateProperty(event.DTSTART)
+      if (!uid || !startDate) return null
+
+      let endDate = event.DTEND && parseDateProperty(event.DTEND)
+
+      // all-day events without end date last one day
+      if (!endDate && event.DTSTART.params.VALUE === 'DATE') {
+        endDate = moment.utc(startDate).add(1, 'd').toISOString()
+      }
+      if (!endDate || endDate <= startDate) return null
+
+      return {
+        uid,
+        startDate,
+        endDate,
+        summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : null
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * @param {Object} params
+ * @param {String} [params.name] - calendar name displayed by calendar apps
+ * @param {Object[]} params.events
+ * @param {String} params.events[i].uid
+ * @param {String} params.events[i].startDate
+ * @param {String} params.events[i].endDate
+ * @param {String} [params.events[i].summary]
+ * @param {String} [params.date] - generation date, defaults to now
+ * @return {String} iCalendar content
+ */
+function getICalendar ({ name, events = [], date = new Date().toISOString() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Stelace//Availability//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ]
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT')
+    lines.push(`UID:${event.uid}`)
+    lines.push(`DTSTAMP:${formatDate(date)}`)
+    lines.push(`DTSTART:${formatDate(event.startDate)}`)
+    lines.push(`DTEND:${formatDate(event.endDate)}`)
+    if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`)
+    lines.push('END:VEVENT')
+  })
+
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldLine).join(CRLF) + CRLF
+}
+
+/**
+ * Compare calendar events with availabilities previously imported from the same source
+ * @param {Object[]} events - from `parseICalendar`
+ * @param {Object[]} availabilities - with `externalId` set to event UID
+ * @return {Object} result
+ * @return {Object[]} result.eventsToCreate
+ * @return {Object[]} result.availabilitiesToUpdate - with new `startDate` and `endDate`
+ * @return {Object[]} result.availabilitiesToRemove
+ */
+function getCalendarChanges (events, availabilities) {
+  const indexedEvents = _.keyBy(events, 'uid')
+  const indexedAvailabilities = _.keyBy(availabilities, 'externalId')
+
+  const eventsToCreate = _.uniqBy(events, 'uid').filter(event => !indexedAvailabilities[event.uid])
+
+  const availabilitiesToUpdate = []
+  const availabilitiesToRemove = []
+
+  availabilities.forEach(availability => {
+    const event = indexedEvents[availability.externalId]
+
+    if (!event) {
+      availabilitiesToRemove.push(availability)
+    } else if (event.startDate !== availability.startDate || event.endDate !== availability.endDate) {
+      availabilitiesToUpdate.push(Object.assign({}, availability, {
+        startDate: event.startDate,
+        endDate: event.endDate
+      }))
+    }
+  })
+
+  return {
+    eventsToCreate,
+    availabilitiesToUpdate,
+    availabilitiesToRemove
+  }
+}
+
+// Long lines are split with a leading whitespace on continuation lines
+function unfoldLines (content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+}
+
+function foldLine (line) {
+  if (line.length <= MAX_LINE_LENGTH) return line
+
+  const chunks = [line.slice(0, MAX_LINE_LENGTH)]
+  for (let i = MAX_LINE_LENGTH; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    chunks.push(' ' + line.slice(i, i + MAX_LINE_LENGTH - 1))
+  }
+
+  return chunks.join(CRLF)
+}
+
+// e.g. 'DTSTART;TZID=Europe/Paris:20200101T100000'
+function parseContentLine (line) {
+  const separatorIndex = line.indexOf(':')
+  if (separatorIndex === -1) return null
+
+  const [name, ...rawParams] = line.slice(0, separatorIndex).split(';')
+
+  const params = rawParams.reduce((memo, rawParam) => {
+    const [key, value] = rawParam.split('=')
+    if (key && value) memo[key.toUpperCase()] = value.replace(/"/g, '')
+    return memo
+  }, {})
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(separatorIndex + 1)
+  }
+}
+
+function parseDateProperty ({ params, value }) {
+  // all-day date, e.g. '20200101'
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    const date = moment.utc(value, 'YYYYMMDD', true)
+    return date.isValid() ? date.toISOString() : null
+  }
+
+  // UTC date time, e.g. '20200101T100000Z'
+  if (value.endsWith('Z')) {
+    const date = moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true)
+    return date.isValid() ? date.toISOString() : null
+  }
+
+  // local date time, considered as UTC without valid timezone
+  const timezone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : 'UTC'
+  const date = moment.tz(value, 'YYYYMMDDTHHmmss', true, timezone)
+  return date.isValid() ? date.toISOString() : null
+}
+
+function formatDate (isoDate) {
+  return moment.utc(isoDate).format('YYYYMMDDTHHmmss[Z]')
+}
+
+function escapeText (text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+function unescapeText (text) {
+  return text
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([\\;,])/g, '$1')
+}
+
+module.exports = {
+  parseICalendar,
+  getICalendar,
+  getCalendarChanges
+}
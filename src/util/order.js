@@ -4,20 +4,37 @@ const {
   getTransactionPricing
 } = require('./transaction')
 
+const {
+  roundPriceWithCurrency
+} = require('./pricing')
+
 function getLinesFromTransactions (transactions) {
   const lines = []
 
   transactions.forEach(transaction => {
     const transactionPricing = getTransactionPricing(transaction)
 
+    const {
+      discountAmount,
+      takerTaxAmount,
+      ownerTaxAmount
+    } = transactionPricing
+
+    // taxes are collected by the platform and have their own lines,
+    // so they are removed from taker and owner lines if amounts include them
+    const isTaxInclusive = transaction.taxMode === 'inclusive'
+    const includedTakerTaxAmount = isTaxInclusive ? takerTaxAmount : 0
+    const includedOwnerTaxAmount = isTaxInclusive ? ownerTaxAmount : 0
+
+    // taker line shows the price before discount, the discount has its own line
     lines.push({
       transactionId: transaction.id,
       reversal: false,
       payerId: transaction.takerId,
-      payerAmount: transactionPricing.takerAmount,
+      payerAmount: roundPrice(transactionPricing.takerAmount + discountAmount - includedTakerTaxAmount),
       receiverId: null,
       receiverAmount: 0,
-      platformAmount: transactionPricing.takerFees || 0,
+      platformAmount: roundPrice((transactionPricing.takerFees || 0) + discountAmount - includedTakerTaxAmount),
       currency: transaction.currency,
       metadata: {
         duration: transaction.duration,
@@ -27,6 +44,24 @@ function getLinesFromTransactions (transactions) {
       platformData: {}
     })
 
+    if (discountAmount) {
+      lines.push({
+        transactionId: transaction.id,
+        reversal: false,
+        payerId: transaction.takerId,
+        payerAmount: -discountAmount,
+        receiverId: null,
+        receiverAmount: 0,
+        platformAmount: -discountAmount,
+        currency: transaction.currency,
+        metadata: {
+          promotionId: transaction.promotionId,
+          promotionCode: _.get(transaction, 'promotionSnapshot.code')
+        },
+        platformData: {}
+      })
+    }
+
     lines.push({
       transactionId: transaction.id,
       reversal: false,
@@ -34,11 +69,54 @@ function getLinesFromTransactions (transactions) {
       payerAmount: 0,
       receiverId: transaction.ownerId,
       receiverAmount: transactionPricing.ownerAmount,
-      platformAmount: transactionPricing.ownerFees || 0,
+      platformAmount: roundPrice((transactionPricing.ownerFees || 0) - includedOwnerTaxAmount),
       currency: transaction.currency,
       metadata: {},
       platformData: {}
     })
+
+    if (takerTaxAmount) {
+      lines.push({
+        transactionId: transaction.id,
+        reversal: false,
+        payerId: transaction.takerId,
+        payerAmount: takerTaxAmount,
+        receiverId: null,
+        receiverAmount: 0,
+        platformAmount: takerTaxAmount,
+        currency: transaction.currency,
+        metadata: {
+          tax: 'taker',
+          taxMode: transaction.taxMode,
+          taxRate: transaction.takerTaxRate
+        },
+        platformData: {}
+      })
+    }
+
+    // in 'exclusive' mode, owner tax on platform fees is deducted from owner payout
+    if (ownerTaxAmount) {
+      lines.push({
+        transactionId: transaction.id,
+        reversal: false,
+        payerId: null,
+        payerAmount: 0,
+        receiverId: transaction.ownerId,
+        receiverAmount: isTaxInclusive ? 0 : -ownerTaxAmount,
+        platformAmount: ownerTaxAmount,
+        currency: transaction.currency,
+        metadata: {
+          tax: 'owner',
+          taxMode: transaction.taxMode,
+          taxRate: transaction.ownerTaxRate
+        },
+        platformData: {}
+      })
+    }
+
+    function roundPrice (amount) {
+      return roundPriceWithCurrency(amount, transaction.currency, 2)
+    }
   })
 
   return lines
@@ -7,16 +7,28 @@ module.exports = {
   getPriceAfterFees,
   getDutyFreePrice,
 
-  isValidCustomDurationConfig
+  isValidCustomDurationConfig,
+
+  getInvalidPricingRulesMessage,
+  getPriceBreakdown
 
 }
 
 const _ = require('lodash')
+const createError = require('http-errors')
 
 const {
   roundDecimal
 } = require('./math')
 
+const {
+  computeDate,
+  computeRecurringPeriods,
+  diffDates,
+  isValidCronPattern,
+  isValidTimezone
+} = require('./time')
+
 const {
   getCurrencyDecimal,
   isValidCurrency
@@ -283,3 +295,178 @@ function isCustomConfigBreakpoint (breakpoint) {
     breakpoint.nbUnits > 0 &&
     breakpoint.price >= 0
 }
+
+/**
+ * Cron patterns and timezones cannot be validated by Joi schemas
+ * @param {Object[]} [pricingRules]
+ * @return {String|null} error message if any pricing rule is invalid
+ */
+function getInvalidPricingRulesMessage (pricingRules) {
+  let message = null
+
+  _.forEach(pricingRules || [], (rule, index) => {
+    if (rule.recurringPattern && !isValidCronPattern(rule.recurringPattern)) {
+      message = `Invalid recurring pattern in pricing rule ${index}`
+    } else if (rule.recurringTimezone && !isValidTimezone(rule.recurringTimezone)) {
+      message = `Invalid recurring timezone in pricing rule ${index}`
+    }
+
+    return !message
+  })
+
+  return message
+}
+
+// recurring periods are expanded over the whole transaction period
+const maxNbRecurringPeriods = 10000
+
+/**
+ * Get the price of time units after applying pricing rules.
+ * Pricing rules are evaluated in order and the first matching rule sets the time unit price,
+ * so more specific rules (e.g. holidays) should be listed before generic ones (e.g. weekends).
+ * A rule matches if all its conditions are met:
+ * - `startDate` and `endDate`: the time unit starts within this date range
+ * - `recurringPattern`: the time unit starts during a recurring period
+ *   (cron pattern in `recurringTimezone` lasting `recurringDuration`, one day by default)
+ * - `minLeadTime` and `maxLeadTime`: booking happens at least/at most this duration before start date
+ * and sets either a fixed `price` or a `priceChangePercent` relative to the base unit price.
+ * Consecutive time units with the same price are merged into a single range,
+ * and only time units starting at rule or recurring period boundaries are evaluated
+ * so long transactions with small time units (e.g. minutes) stay cheap to price.
+ * @param {Object} params
+ * @param {Number} params.unitPrice - base price per time unit
+ * @param {Object[]} [params.pricingRules]
+ * @param {String} [params.startDate] - if missing (non time-based assets), `refDate` is used
+ * @param {String} [params.timeUnit]
+ * @param {Number} [params.nbTimeUnits = 1] - the last time unit can be partial
+ * @param {String} [params.refDate] - booking date used to compute lead time, defaults to now
+ * @param {String} [params.currency]
+ * @return {Object[]} breakdown - one element per range of consecutive time units with the same price
+ * @return {String|null} breakdown[i].startDate
+ * @return {String|null} breakdown[i].endDate
+ * @return {Number} breakdown[i].unitPrice
+ * @return {Number} breakdown[i].nbTimeUnits - can be decimal if the last time unit is partial
+ * @return {String|null} breakdown[i].pricingRuleName - name or index of the applied rule
+ */
+function getPriceBreakdown ({
+  unitPrice,
+  pricingRules = [],
+  startDate,
+  timeUnit,
+  nbTimeUnits = 1,
+  refDate = new Date().toISOString(),
+  currency
+}) {
+  const timeBased = !!(startDate && timeUnit)
+  const nbUnits = timeBased ? Math.max(Math.ceil(nbTimeUnits), 1) : 1
+
+  const periodStartDate = timeBased ? startDate : refDate
+  const periodEndDate = timeBased ? computeDate(startDate, { [timeUnit]: nbUnits }) : refDate
+
+  const rules = (pricingRules || []).map((rule, index) => {
+    // recurring periods are computed once for the whole transaction period
+    let recurringPeriods
+    if (rule.recurringPattern) {
+      const recurringDuration = rule.recurringDuration || { d: 1 }
+
+      recurringPeriods = computeRecurringPeriods(rule.recurringPattern, {
+        startDate: computeDate(periodStartDate, _.mapValues(recurringDuration, value => -value)),
+        endDate: new Date(new Date(periodEndDate).getTime() + 1).toISOString(),
+        timezone: rule.recurringTimezone,
+        duration: recurringDuration,
+        limit: maxNbRecurringPeriods + 1
+      })
+
+      if (recurringPeriods.length > maxNbRecurringPeriods) {
+        throw createError(422, `Too many recurring periods in pricing rule ${index} for this duration`)
+      }
+    }
+
+    return Object.assign({}, rule, {
+      pricingRuleName: rule.name || String(index),
+      recurringPeriods
+    })
+  })
+
+  // lead time conditions only depend on the booking start date
+  const leadTimeRules = rules.filter(rule => {
+    if (rule.minLeadTime && periodStartDate < computeDate(refDate, rule.minLeadTime)) return false
+    if (rule.maxLeadTime && periodStartDate > computeDate(refDate, rule.maxLeadTime)) return false
+    return true
+  })
+
+  const getUnitPrice = (date) => {
+    const matchedRule = leadTimeRules.find(rule => {
+      if (rule.startDate && date < rule.startDate) return false
+      if (rule.endDate && rule.endDate <= date) return false
+      if (rule.recurringPeriods) {
+        return rule.recurringPeriods.some(period => period.startDate <= date && date < period.endDate)
+      }
+      return true
+    })
+
+    let price = unitPrice
+    if (matchedRule && _.isFinite(matchedRule.price)) {
+      price = matchedRule.price
+    } else if (matchedRule && _.isFinite(matchedRule.priceChangePercent)) {
+      price = Math.max(unitPrice * (1 + matchedRule.priceChangePercent / 100), 0)
+    }
+
+    return {
+      unitPrice: roundPriceWithCurrency(price, currency, 2),
+      pricingRuleName: matchedRule ? matchedRule.pricingRuleName : null
+    }
+  }
+
+  if (!timeBased) {
+    return [
+      Object.assign({ startDate: null, endDate: null }, getUnitPrice(refDate), { nbTimeUnits: 1 })
+    ]
+  }
+
+  const getUnitStartDate = index => computeDate(startDate, { [timeUnit]: index })
+
+  // index of the first time unit starting at or after `date`
+  const getUnitIndex = (date) => {
+    let index = Math.max(Math.floor(diffDates(date, startDate, timeUnit)), 0)
+
+    // months have variable lengths so the estimated index is adjusted
+    while (index > 0 && getUnitStartDate(index - 1) >= date) index--
+    while (getUnitStartDate(index) < date) index++
+
+    return index
+  }
+
+  // the matched rule can only change at rule dates and recurring period boundaries
+  const boundaryDates = _.flatMap(leadTimeRules, rule => {
+    return [rule.startDate, rule.endDate].concat(_.flatMap(rule.recurringPeriods || [], period => {
+      return [period.startDate, period.endDate]
+    }))
+  }).filter(date => date && periodStartDate < date && date < periodEndDate)
+
+  const rangeStartIndexes = _.sortBy(_.uniq([0].concat(boundaryDates.map(getUnitIndex))))
+    .filter(index => index < nbUnits)
+
+  return rangeStartIndexes.reduce((breakdown, index, i) => {
+    const endIndex = i < rangeStartIndexes.length - 1 ? rangeStartIndexes[i + 1] : nbUnits
+    const nbRangeTimeUnits = endIndex === nbUnits ? nbTimeUnits - index : endIndex - index
+    const endDate = getUnitStartDate(endIndex)
+    const price = getUnitPrice(getUnitStartDate(index))
+
+    const previousRange = _.last(breakdown)
+    if (previousRange && previousRange.unitPrice === price.unitPrice && previousRange.pricingRuleName === price.pricingRuleName) {
+      previousRange.endDate = endDate
+      previousRange.nbTimeUnits += nbRangeTimeUnits
+    } else {
+      breakdown.push({
+        startDate: getUnitStartDate(index),
+        endDate,
+        unitPrice: price.unitPrice,
+        nbTimeUnits: nbRangeTimeUnits,
+        pricingRuleName: price.pricingRuleName
+      })
+    }
+
+    return breakdown
+  }, [])
+}
@@ -0,0 +1,92 @@
+const _ = require('lodash')
+
+const { roundPriceWithCurrency } = require('./pricing')
+
+/**
+ * Checks if a promotion can be redeemed on a transaction
+ * @param {Object} params
+ * @param {Object} params.promotion
+ * @param {Object} params.transaction - with asset and asset type information
+ * @param {Number} [params.nbUses = 0] - number of transactions already using this promotion
+ * @param {Number} [params.nbUserUses = 0] - same as above but only for the transaction taker
+ * @param {String} [params.date] - redemption date, defaults to now
+ * @return {String|null} message explaining why the promotion cannot be redeemed, null if valid
+ */
+function getInvalidPromotionMessage ({
+  promotion,
+  transaction,
+  nbUses = 0,
+  nbUserUses = 0,
+  date = new Date().toISOString()
+}) {
+  if (!promotion.active) return 'Inactive promotion'
+
+  if (promotion.startDate && date < promotion.startDate) return 'Promotion has not started yet'
+  if (promotion.endDate && promotion.endDate <= date) return 'Promotion has expired'
+
+  if (_.isFinite(promotion.maxUses) && nbUses >= promotion.maxUses) {
+    return 'Promotion usage limit reached'
+  }
+  if (_.isFinite(promotion.maxUsesPerUser) && nbUserUses >= promotion.maxUsesPerUser) {
+    return 'Promotion usage limit per user reached'
+  }
+
+  if (!_.isEmpty(promotion.assetTypesIds) && !promotion.assetTypesIds.includes(transaction.assetTypeId)) {
+    return 'Promotion does not apply to this asset type'
+  }
+
+  const categoryId = _.get(transaction, 'assetSnapshot.categoryId')
+  if (!_.isEmpty(promotion.categoriesIds) && !promotion.categoriesIds.includes(categoryId)) {
+    return 'Promotion does not apply to this category'
+  }
+
+  // fixed discounts only make sense in the promotion currency
+  if (_.isFinite(promotion.discountValue) && promotion.currency !== transaction.currency) {
+    return 'Promotion does not apply to this currency'
+  }
+
+  return null
+}
+
+/**
+ * Only the attributes needed to compute discounts are copied into transactions
+ * so that later promotion changes do not affect existing transactions.
+ * @param {Object} promotion
+ * @return {Object}
+ */
+function getPromotionSnapshot (promotion) {
+  return _.pick(promotion, [
+    'id',
+    'code',
+    'discountPercent',
+    'discountValue',
+    'currency'
+  ])
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.promotion - promotion or promotion snapshot
+ * @param {Number} params.amount - price the discount applies to
+ * @param {String} [params.currency]
+ * @return {Number} discount amount, cannot exceed `amount`
+ */
+function getPromotionDiscount ({ promotion, amount, currency }) {
+  if (!promotion || !amount || amount < 0) return 0
+
+  let discount = 0
+
+  if (_.isFinite(promotion.discountPercent)) {
+    discount = amount * promotion.discountPercent / 100
+  } else if (_.isFinite(promotion.discountValue)) {
+    discount = promotion.discountValue
+  }
+
+  return roundPriceWithCurrency(Math.min(discount, amount), currency, 2)
+}
+
+module.exports = {
+  getInvalidPromotionMessage,
+  getPromotionSnapshot,
+  getPromotionDiscount
+}
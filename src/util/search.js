@@ -0,0 +1,106 @@
+const _ = require('lodash')
+
+const wordRegex = /[\p{L}\p{N}]+/gu
+
+const builtInRankingFields = ['_validated', '_createdDate', '_averageRating']
+
+/**
+ * Normalizes text for prefix matching, ignoring case and diacritics.
+ * @param {String} text
+ * @return {String}
+ */
+function normalizeForPrefixMatching (text) {
+  return _.deburr(text).toLowerCase()
+}
+
+/**
+ * Each word of the query must be the beginning of a word of the text,
+ * in any order, like search-as-you-type.
+ * @param {Object} params
+ * @param {String} params.text
+ * @param {String} params.query
+ * @return {Object[]|null} highlight offsets like `[{ start: 0, end: 3 }]`, null if text doesn’t match
+ */
+function getPrefixHighlights ({ text, query }) {
+  if (typeof text !== 'string') return null
+
+  const queryWords = normalizeForPrefixMatching(query).match(wordRegex) || []
+  if (!queryWords.length) return null
+
+  const words = []
+  let match
+  wordRegex.lastIndex = 0
+  while ((match = wordRegex.exec(text)) !== null) {
+    words.push({
+      value: normalizeForPrefixMatching(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    })
+  }
+
+  const highlights = []
+
+  const matchAllWords = queryWords.every(queryWord => {
+    const matchingWords = words.filter(word => word.value.startsWith(queryWord))
+    matchingWords.forEach(word => {
+      // deburring can expand some characters like 'æ' so offsets are capped by word end
+      highlights.push({ start: word.start, end: Math.min(word.start + queryWord.length, word.end) })
+    })
+    return matchingWords.length > 0
+  })
+  if (!matchAllWords) return null
+
+  // keep the longest highlight when several query words match the same word
+  return _.sortBy(highlights, ['start', h => -h.end])
+    .filter((highlight, index, sortedHighlights) => {
+      return index === 0 || sortedHighlights[index - 1].start !== highlight.start
+    })
+}
+
+/**
+ * Builds a case-insensitive Elasticsearch regular expression matching values
+ * starting with the prefix, since terms aggregations `include` doesn’t support flags.
+ * @param {String} prefix
+ * @return {String}
+ */
+function getCaseInsensitivePrefixRegex (prefix) {
+  const escapedChars = prefix.split('').map(char => {
+    const lower = char.toLowerCase()
+    const upper = char.toUpperCase()
+
+    if (lower !== upper) return `[${lower}${upper}]`
+    return _.escapeRegExp(char).replace(/[#@&<>~"]/g, c => `\\${c}`)
+  })
+
+  return `${escapedChars.join('')}.*`
+}
+
+/**
+ * Ranking rules can use built-in fields `_validated`, `_createdDate` and `_averageRating`,
+ * or custom attributes of type boolean or number.
+ * @param {Object} params
+ * @param {Object} params.rule
+ * @param {Object} params.indexedCustomAttributes
+ * @return {String|null} error message if the ranking rule is invalid
+ */
+function getInvalidRankingRuleMessage ({ rule, indexedCustomAttributes }) {
+  const { name, field } = rule
+
+  if (!field || !_.isNumber(rule.weight)) {
+    return `Missing field or weight for ranking rule ${name}`
+  }
+  if (builtInRankingFields.includes(field)) return null
+
+  const customAttribute = indexedCustomAttributes[field]
+  if (customAttribute && ['boolean', 'number'].includes(customAttribute.type)) return null
+
+  return `Cannot rank with ${field} in ranking rule ${name}${
+    customAttribute ? ` (type ${customAttribute.type})` : ''
+  }`
+}
+
+module.exports = {
+  getPrefixHighlights,
+  getCaseInsensitivePrefixRegex,
+  getInvalidRankingRuleMessage
+}
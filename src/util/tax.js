@@ -0,0 +1,102 @@
+const _ = require('lodash')
+
+const {
+  getDutyFreePrice,
+  roundPriceWithCurrency
+} = require('./pricing')
+
+const taxModes = [
+  'exclusive',
+  'inclusive'
+]
+
+/**
+ * Tax rates are configured in `stelace.tax.rates` platform config
+ * and the first rate matching the transaction applies.
+ * A rate without `assetTypesIds`, `categoriesIds` or `countries` matches any transaction.
+ * Countries are matched against `country` property of asset locations.
+ * @param {Object} params
+ * @param {Object[]} [params.rates]
+ * @param {Object} params.transaction - with asset and asset type information
+ * @return {Object|null} matching tax rate
+ */
+function getTransactionTaxRate ({ rates, transaction }) {
+  if (_.isEmpty(rates)) return null
+
+  const assetTypeId = transaction.assetTypeId
+  const categoryId = _.get(transaction, 'assetSnapshot.categoryId')
+  const countries = (_.get(transaction, 'assetSnapshot.locations') || [])
+    .map(location => location && location.country)
+    .filter(Boolean)
+
+  const rate = rates.find(rate => {
+    if (!_.isEmpty(rate.assetTypesIds) && !rate.assetTypesIds.includes(assetTypeId)) return false
+    if (!_.isEmpty(rate.categoriesIds) && !rate.categoriesIds.includes(categoryId)) return false
+    if (!_.isEmpty(rate.countries) && !_.intersection(rate.countries, countries).length) return false
+
+    return true
+  })
+
+  return rate || null
+}
+
+/**
+ * Tax information copied into transactions so that later config changes
+ * do not affect existing transactions
+ * @param {Object} params
+ * @param {Object} [params.taxConfig] - `stelace.tax` platform config
+ * @param {Object} params.transaction
+ * @return {Object} info
+ * @return {String|null} info.taxMode - 'exclusive' by default if a tax rate applies
+ * @return {Number|null} info.takerTaxRate
+ * @return {Number|null} info.ownerTaxRate
+ */
+function getTransactionTaxInformation ({ taxConfig, transaction }) {
+  const rate = getTransactionTaxRate({
+    rates: _.get(taxConfig, 'rates'),
+    transaction
+  })
+
+  if (!rate) {
+    return {
+      taxMode: null,
+      takerTaxRate: null,
+      ownerTaxRate: null
+    }
+  }
+
+  return {
+    taxMode: _.get(taxConfig, 'mode') || 'exclusive',
+    takerTaxRate: _.isFinite(rate.takerRate) ? rate.takerRate : null,
+    ownerTaxRate: _.isFinite(rate.ownerRate) ? rate.ownerRate : null
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {Number} params.amount - taxed amount in 'inclusive' mode, duty-free amount in 'exclusive' mode
+ * @param {Number} [params.taxRate] - percentage
+ * @param {String} [params.taxMode = 'exclusive']
+ * @param {String} [params.currency]
+ * @return {Number} tax amount
+ */
+function getTaxAmount ({ amount, taxRate, taxMode = 'exclusive', currency }) {
+  if (!taxRate || !amount || amount < 0) return 0
+
+  let taxAmount
+  if (taxMode === 'inclusive') {
+    taxAmount = getDutyFreePrice(amount, taxRate).taxValue
+  } else {
+    taxAmount = amount * taxRate / 100
+  }
+
+  return roundPriceWithCurrency(taxAmount, currency, 2)
+}
+
+module.exports = {
+  taxModes,
+
+  getTransactionTaxRate,
+  getTransactionTaxInformation,
+  getTaxAmount
+}
@@ -177,9 +177,10 @@ function isValidCronPattern (pattern, { allowSeconds = false } = {}) {
  * @param {String} attrs.endDate - exclusive
  * @param {String} [attrs.timezone='UTC'] - https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
  *                  if `null`, `timezone` will also be set to the default value ('UTC')
+ * @param {Number} [attrs.limit] - stop after this number of dates
  * @returns {String[]} ISO Dates
  */
-function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC' } = {}) {
+function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC', limit } = {}) {
   if (_.isNil(timezone)) timezone = 'UTC'
 
   if (!isDateString(startDate) || !isDateString(endDate)) {
@@ -205,6 +206,7 @@ function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC'
 
     if (continueLoop) {
       dates.push(cronISODate)
+      if (limit && dates.length >= limit) continueLoop = false
     }
   }
 
@@ -218,12 +220,13 @@ function computeRecurringDates (pattern, { startDate, endDate, timezone = 'UTC'
 * @param {String} options.endDate
 * @param {String|Object} options.duration
 * @param {String} [options.timezone='UTC'] - https://en.wikipedia.org/wiki/List_of_tz_database_time_zones
+* @param {Number} [options.limit] - stop after this number of periods
 * @return {Object[]} dates
 * @return {String}   dates[i].startDate
 * @return {String}   dates[i].endDate
 */
-function computeRecurringPeriods (pattern, { startDate, endDate, timezone = 'UTC', duration }) {
-  const startDates = computeRecurringDates(pattern, { startDate, endDate, timezone })
+function computeRecurringPeriods (pattern, { startDate, endDate, timezone = 'UTC', duration, limit }) {
+  const startDates = computeRecurringDates(pattern, { startDate, endDate, timezone, limit })
 
   return startDates.map(startDate => {
     return {
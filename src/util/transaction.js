@@ -9,9 +9,26 @@ const {
 
 const {
   getPriceAfterFees,
+  getPriceBreakdown,
   roundPriceWithCurrency
 } = require('./pricing')
 
+const {
+  getBookingWindow
+} = require('./availability')
+
+const {
+  getPromotionDiscount
+} = require('./promotion')
+
+const {
+  getTaxAmount
+} = require('./tax')
+
+const {
+  computeTransitionsMeta
+} = require('./transition')
+
 function getDefaultTransactionProcess () {
   return {
     initStatus: 'draft',
@@ -100,6 +117,44 @@ function getTransactionProcess (transaction) {
   return assetType.transactionProcess
 }
 
+/**
+ * Timed transitions have an `after` property and are applied automatically
+ * once the duration is elapsed since the current status was set (default),
+ * or since transaction `startDate` or `endDate`.
+ * @param {Object} transaction
+ * @return {Object|null} next timed transition with `transition` and `executionDate` properties
+ */
+function getNextTimedTransition (transaction) {
+  const { transitions = [], initStatus } = getTransactionProcess(transaction)
+  const { status } = transaction
+
+  const { endStates } = computeTransitionsMeta({ transitions, initState: initStatus })
+  if (endStates.includes(status)) return null
+
+  const timedTransitions = transitions
+    .filter(t => {
+      if (!t.after) return false
+      // prevent wildcard transitions from looping over the same status
+      return t.from === status || (t.from === '*' && t.to !== status)
+    })
+    .map(transition => {
+      const { duration, from = 'status' } = transition.after
+
+      let refDate
+      if (from === 'status') {
+        refDate = _.get(transaction, 'statusHistory[0].date') || transaction.createdDate
+      } else {
+        refDate = transaction[from]
+      }
+      if (!refDate) return null
+
+      return { transition, executionDate: computeDate(refDate, duration) }
+    })
+    .filter(Boolean)
+
+  return _.minBy(timedTransitions, 'executionDate') || null
+}
+
 function getUnavailableWhen (transaction) {
   return transaction.assetType.unavailableWhen || ['validated', 'completed']
 }
@@ -108,6 +163,17 @@ function isStatusBlockingAvailability (transaction, status) {
   return getUnavailableWhen(transaction).includes(status)
 }
 
+/**
+ * Transactions created with a hold block availability whatever their status,
+ * until a transition happens or the hold expires
+ * @param {Object} transaction
+ * @param {String} [date] - defaults to now
+ * @return {Boolean}
+ */
+function isActiveTransactionHold (transaction, date = new Date().toISOString()) {
+  return !!transaction.holdEndDate && date < transaction.holdEndDate
+}
+
 /**
  * Determines if the previous and current status blocks an availability
  * Can be useful to detect changes on blocking
@@ -138,6 +204,8 @@ function getBlockingAvailabilityChange (transaction) {
 * @param  {Object}  config.startDateMaxDelta
 * @param  {Number}  config.minDuration
 * @param  {Number}  config.maxDuration
+* @param  {Object}  [config.minNotice] - start date must be at least this duration after `refDate`
+* @param  {Object}  [config.maxHorizon] - start date must be at most this duration after `refDate`
 * @param  {Boolean} [checkDateDeltas = false] - if true, `startDateMinDelta` and `startDateMaxDelta` will be used
 * @return {Boolean}
 */
@@ -188,6 +256,15 @@ function isValidDates ({
     }
   }
 
+  const { minStartDate, maxStartDate } = getBookingWindow(config, refDate)
+
+  if (minStartDate) {
+    startDateMinLimit = startDateMinLimit ? pickHighestDate(startDateMinLimit, minStartDate) : minStartDate
+  }
+  if (maxStartDate) {
+    startDateMaxLimit = startDateMaxLimit && startDateMaxLimit < maxStartDate ? startDateMaxLimit : maxStartDate
+  }
+
   const refTimeUnit = 'd' // choose a default time unit as reference
 
   const nbTimeUnits = getDurationAs(duration, refTimeUnit)
@@ -324,13 +401,20 @@ function canComputePricing (transaction) {
  * @param {Number} [overrideParams.value] - computed based on transaction quantity and duration
  * @param {Number} [overrideParams.ownerAmount] - computed based on `assetType.pricing.ownerFeesPercent`
  * @param {Number} [overrideParams.takerAmount] - computed based on `assetType.pricing.takerFeesPercent`
+ *   and `promotionSnapshot` discount
  *
  * @return {Object} priceResult.value
  * @return {Number} priceResult.ownerAmount
  * @return {Number} priceResult.takerAmount
  * @return {Number} priceResult.platformAmount
  * @return {Number} priceResult.ownerFees
- * @return {Number} priceResult.takerFees
+ * @return {Number} priceResult.takerFees - can be negative if the discount exceeds taker fees
+ * @return {Number} priceResult.discountAmount - deducted from taker amount, funded by the platform
+ * @return {Number} priceResult.takerTaxAmount - applied to taker amount
+ * @return {Number} priceResult.ownerTaxAmount - applied to owner fees
+ *
+ * Tax amounts are included in taker amount and owner fees in 'inclusive' `taxMode`,
+ * and come on top of them in 'exclusive' mode (see order lines).
  */
 function getTransactionPricing (transaction, { value, ownerAmount, takerAmount } = {}) {
   const {
@@ -338,12 +422,17 @@ function getTransactionPricing (transaction, { value, ownerAmount, takerAmount }
     takerFeesPercent
   } = transaction.assetType.pricing
 
-  let nbTimeUnits = 1
-  if (transaction.startDate && transaction.duration) {
-    nbTimeUnits = getDurationAs(transaction.duration, transaction.timeUnit)
+  const nbTimeUnits = getTransactionNbTimeUnits(transaction)
+
+  let defaultValue
+  if (getTransactionPricingRules(transaction).length) {
+    const priceBreakdown = getTransactionPriceBreakdown(transaction)
+    const breakdownValue = _.sumBy(priceBreakdown, unit => unit.unitPrice * unit.nbTimeUnits)
+    defaultValue = roundPriceWithCurrency(breakdownValue * (transaction.quantity || 1), transaction.currency, 2)
+  } else {
+    defaultValue = transaction.unitPrice * nbTimeUnits * (transaction.quantity || 1)
   }
 
-  const defaultValue = transaction.unitPrice * nbTimeUnits * (transaction.quantity || 1)
   const finalValue = _.isFinite(value) ? value : defaultValue
 
   const defaultPriceResult = getPriceAfterFees({
@@ -353,15 +442,38 @@ function getTransactionPricing (transaction, { value, ownerAmount, takerAmount }
     takerFeesPercent
   })
 
+  // an explicit taker amount cannot be discounted
+  const discountAmount = _.isFinite(takerAmount) ? 0 : getPromotionDiscount({
+    promotion: transaction.promotionSnapshot,
+    amount: defaultPriceResult.takerPrice,
+    currency: transaction.currency
+  })
+
   const priceResult = {
     value: finalValue,
     ownerAmount: _.isFinite(ownerAmount) ? ownerAmount : defaultPriceResult.ownerNetIncome,
-    takerAmount: _.isFinite(takerAmount) ? takerAmount : defaultPriceResult.takerPrice,
+    takerAmount: _.isFinite(takerAmount)
+      ? takerAmount
+      : roundPriceWithCurrency(defaultPriceResult.takerPrice - discountAmount, transaction.currency, 2),
   }
 
   priceResult.takerFees = roundPrice(priceResult.takerAmount - priceResult.value)
   priceResult.ownerFees = roundPrice(priceResult.value - priceResult.ownerAmount)
   priceResult.platformAmount = roundPrice(priceResult.ownerFees + priceResult.takerFees)
+  priceResult.discountAmount = discountAmount
+
+  priceResult.takerTaxAmount = getTaxAmount({
+    amount: priceResult.takerAmount,
+    taxRate: transaction.takerTaxRate,
+    taxMode: transaction.taxMode || undefined,
+    currency: transaction.currency
+  })
+  priceResult.ownerTaxAmount = getTaxAmount({
+    amount: priceResult.ownerFees,
+    taxRate: transaction.ownerTaxRate,
+    taxMode: transaction.taxMode || undefined,
+    currency: transaction.currency
+  })
 
   return priceResult
 
@@ -370,18 +482,58 @@ function getTransactionPricing (transaction, { value, ownerAmount, takerAmount }
   }
 }
 
+function getTransactionNbTimeUnits (transaction) {
+  if (transaction.startDate && transaction.duration) {
+    return getDurationAs(transaction.duration, transaction.timeUnit)
+  }
+  return 1
+}
+
+/**
+ * Get the price of each time unit of the transaction, with pricing rules applied
+ * @param {Object} transaction
+ * @return {Object[]} breakdown, see `getPriceBreakdown` in pricing utils
+ */
+function getTransactionPriceBreakdown (transaction) {
+  return getPriceBreakdown({
+    unitPrice: transaction.unitPrice,
+    pricingRules: getTransactionPricingRules(transaction),
+    startDate: transaction.startDate,
+    timeUnit: transaction.timeUnit,
+    nbTimeUnits: getTransactionNbTimeUnits(transaction),
+    // lead time is relative to booking date
+    refDate: transaction.createdDate || undefined,
+    currency: transaction.currency
+  })
+}
+
+/**
+ * Asset pricing rules are evaluated before asset type ones
+ * @param {Object} transaction
+ * @return {Object[]} pricing rules from transaction asset and asset type snapshots
+ */
+function getTransactionPricingRules (transaction) {
+  const assetPricingRules = _.get(transaction, 'assetSnapshot.pricingRules') || []
+  const assetTypePricingRules = _.get(transaction, 'assetType.pricing.rules') || []
+
+  return assetPricingRules.concat(assetTypePricingRules)
+}
+
 module.exports = {
   getDefaultTransactionProcess,
   getNewStatus,
   getFutureStatuses,
   getTransactionProcess,
+  getNextTimedTransition,
   getUnavailableWhen,
   isStatusBlockingAvailability,
+  isActiveTransactionHold,
   getBlockingAvailabilityChange,
   isValidDates,
   getTransactionDurationData,
   shouldAffectAvailability,
 
   canComputePricing,
-  getTransactionPricing
+  getTransactionPricing,
+  getTransactionPriceBreakdown
 }
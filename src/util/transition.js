@@ -1,7 +1,13 @@
 const _ = require('lodash')
+const Ajv = require('ajv')
+const { VM, VMScript } = require('vm2')
+
+const { getListPermissions } = require('../permissions')
 
 const wildcardState = '*'
 
+const ajv = new Ajv({ allErrors: true })
+
 function computeTransitionsMeta ({ transitions, initState }) {
   let fromStates = []
   let toStates = []
@@ -76,8 +82,120 @@ function getTransition ({ name, transitions, from }) {
   })
 }
 
+/**
+ * Transitions can declare guards that must pass before being performed:
+ * - dataSchema: JSON schema of the transition `data`
+ * - conditions: JavaScript expressions evaluated with `transaction` and `data`,
+ *   like 'transaction.value > 0'
+ * - roles: at least one role is required
+ * - permissions: at least one permission is required
+ * Roles and permissions guards only apply to transitions triggered by users, not to timed transitions.
+ * @param {Object} transition
+ * @return {String|null} error message if guards are invalid
+ */
+function getInvalidTransitionGuardsMessage (transition) {
+  const { guards } = transition
+  if (!guards) return null
+
+  if (guards.dataSchema) {
+    try {
+      ajv.compile(guards.dataSchema)
+    } catch (err) {
+      return `Invalid data schema guard for transition "${transition.name}": ${err.message}`
+    }
+  }
+
+  const invalidCondition = (guards.conditions || []).find(condition => {
+    try {
+      new VMScript(condition).compile()
+      return false
+    } catch (err) {
+      return true
+    }
+  })
+  if (invalidCondition) {
+    return `Invalid condition guard for transition "${transition.name}": ${invalidCondition}`
+  }
+
+  const unknownPermissions = _.difference(guards.permissions || [], getListPermissions())
+  if (unknownPermissions.length) {
+    return `Invalid permissions guard for transition "${transition.name}": ${unknownPermissions.join(', ')}`
+  }
+
+  return null
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.transition
+ * @param {Object} params.transaction
+ * @param {Object} [params.data] - transition data
+ * @param {String[]} [params.roles] - roles of the current user
+ * @param {Object} [params.matchedPermissions] - permissions of the current user, as keys
+ * @param {Boolean} [params.skipRoles = false] - e.g. if the current user can perform any transition
+ * @param {Boolean} [params.skipActorGuards = false] - skips roles and permissions guards for timed transitions
+ * @return {Object|null} failed guard like `{ guard: 'conditions', condition: 'transaction.value > 0' }`
+ */
+function getFailedTransitionGuard ({
+  transition,
+  transaction,
+  data = {},
+  roles = [],
+  matchedPermissions = {},
+  skipRoles = false,
+  skipActorGuards = false
+}) {
+  const { guards } = transition
+  if (!guards) return null
+
+  if (guards.dataSchema) {
+    const validate = ajv.compile(guards.dataSchema)
+    if (!validate(data)) {
+      return { guard: 'dataSchema', errors: ajv.errorsText(validate.errors, { dataVar: 'data' }) }
+    }
+  }
+
+  const failedCondition = (guards.conditions || []).find(condition => {
+    return !isTransitionConditionPassing({ condition, transaction, data })
+  })
+  if (failedCondition) {
+    return { guard: 'conditions', condition: failedCondition }
+  }
+
+  if (skipActorGuards) return null
+
+  if (!skipRoles && !_.isEmpty(guards.roles) && !_.intersection(guards.roles, roles).length) {
+    return { guard: 'roles', roles: guards.roles }
+  }
+
+  if (!_.isEmpty(guards.permissions) && !guards.permissions.some(p => matchedPermissions[p])) {
+    return { guard: 'permissions', permissions: guards.permissions }
+  }
+
+  return null
+}
+
+function isTransitionConditionPassing ({ condition, transaction, data }) {
+  const vm = new VM({
+    timeout: 1000,
+    sandbox: {
+      transaction: _.cloneDeep(transaction),
+      data: _.cloneDeep(data)
+    }
+  })
+  vm.freeze(_, '_')
+
+  try {
+    return Boolean(vm.run(condition))
+  } catch (err) {
+    return false
+  }
+}
+
 module.exports = {
   computeTransitionsMeta,
   getFutureStates,
-  getTransition
+  getTransition,
+  getInvalidTransitionGuardsMessage,
+  getFailedTransitionGuard
 }
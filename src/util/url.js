@@ -1,3 +1,4 @@
+const net = require('net')
 const { URL } = require('url')
 
 function setSearchParams (url, newParams) {
@@ -15,6 +16,76 @@ function setSearchParams (url, newParams) {
   return urlObject.toString()
 }
 
+// [first octets, prefix length] of IPv4 ranges not reachable on the public Internet
+const nonPublicIPv4Ranges = [
+  [[0], 8], // current network
+  [[10], 8], // private
+  [[100, 64], 10], // carrier-grade NAT
+  [[127], 8], // loopback
+  [[169, 254], 16], // link-local, including cloud metadata endpoints
+  [[172, 16], 12], // private
+  [[192, 0, 0], 24], // IETF protocol assignments
+  [[192, 168], 16], // private
+  [[198, 18], 15], // benchmarking
+  [[224], 4], // multicast
+  [[240], 4] // reserved, including broadcast
+]
+
+function ipv4ToNumber (address) {
+  return address.split('.').reduce((number, octet) => number * 256 + parseInt(octet, 10), 0)
+}
+
+function isPrivateIPv4Address (address) {
+  const number = ipv4ToNumber(address)
+
+  return nonPublicIPv4Ranges.some(([octets, prefixLength]) => {
+    const rangeStart = ipv4ToNumber(octets.concat([0, 0, 0, 0]).slice(0, 4).join('.'))
+    const rangeSize = Math.pow(2, 32 - prefixLength)
+
+    return number >= rangeStart && number < rangeStart + rangeSize
+  })
+}
+
+function isPrivateIPv6Address (address) {
+  const lowerCaseAddress = address.toLowerCase()
+
+  // IPv4-mapped addresses like '::ffff:127.0.0.1'
+  const mappedIPv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lowerCaseAddress)
+  if (mappedIPv4) return isPrivateIPv4Address(mappedIPv4[1])
+
+  const hexMappedIPv4 = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lowerCaseAddress)
+  if (hexMappedIPv4) {
+    const number = parseInt(hexMappedIPv4[1], 16) * 65536 + parseInt(hexMappedIPv4[2], 16)
+    const octets = [24, 16, 8, 0].map(shift => Math.floor(number / Math.pow(2, shift)) % 256)
+    return isPrivateIPv4Address(octets.join('.'))
+  }
+
+  if (['::', '::1'].includes(lowerCaseAddress)) return true // unspecified and loopback
+
+  const firstHextet = parseInt(lowerCaseAddress.split(':')[0] || '0', 16)
+
+  return (firstHextet & 0xfe00) === 0xfc00 || // unique local fc00::/7
+    (firstHextet & 0xffc0) === 0xfe80 || // link-local fe80::/10
+    (firstHextet & 0xff00) === 0xff00 // multicast ff00::/8
+}
+
+/**
+ * Returns true if the IP address is loopback, private, link-local or otherwise not reachable
+ * on the public Internet, so that server-side requests to user-provided URLs can be restricted.
+ * @param {String} address - IPv4 or IPv6 address, IPv6 brackets are allowed
+ * @return {Boolean}
+ */
+function isPrivateIpAddress (address) {
+  const ip = address.replace(/^\[(.*)\]$/, '$1')
+  const version = net.isIP(ip)
+
+  if (version === 4) return isPrivateIPv4Address(ip)
+  if (version === 6) return isPrivateIPv6Address(ip)
+
+  throw new Error(`Invalid IP address: ${address}`)
+}
+
 module.exports = {
-  setSearchParams
+  setSearchParams,
+  isPrivateIpAddress
 }
@@ -10,6 +10,8 @@ const {
   platformZones
 } = require('stelace-util-keys')
 
+const { allowedTimeUnits } = require('./time')
+
 const UUID_V4_REGEX = /^[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/i
 
 function isUUIDV4 (value) {
@@ -119,6 +121,29 @@ const locationSchema = customJoi.object().unknown().keys({
   longitude: customJoi.number().min(-180).max(180).required()
 })
 
+const boundsSchema = customJoi.object().keys({
+  topLeft: locationSchema.required(),
+  bottomRight: locationSchema.required()
+})
+
+// GeoJSON polygon without holes, coordinates are expressed as [longitude, latitude]
+const polygonSchema = customJoi.object().keys({
+  type: customJoi.string().valid('Polygon').required(),
+  coordinates: customJoi.array().length(1).items(
+    customJoi.array().min(4).items(
+      customJoi.array().ordered(
+        customJoi.number().min(-180).max(180).required(),
+        customJoi.number().min(-90).max(90).required()
+      )
+    )
+  ).required()
+})
+
+const geoClustersSchema = customJoi.object().keys({
+  precision: customJoi.number().integer().min(1).max(12),
+  size: customJoi.number().integer().min(1).max(10000)
+})
+
 const sortSchema = customJoi.array().items(
   customJoi.object().length(1).pattern(/.*/, customJoi.string().allow('desc', 'asc'))
 ).single() // converts unique {sortStep} to [{sortStep}]
@@ -132,12 +157,71 @@ const availabilityFilterSchema = customJoi.object().keys({
   ],
 })
 
+// built-in fields are prefixed with '_' like `_categoryId`, other fields are custom attributes
+const facetSchema = customJoi.alternatives().try(
+  customJoi.string(),
+  customJoi.object().keys({
+    field: customJoi.string().required(),
+    size: customJoi.number().integer().min(1).max(100),
+    ranges: customJoi.array().items(
+      customJoi.object().keys({
+        from: customJoi.number(),
+        to: customJoi.number()
+      }).or('from', 'to')
+    ).min(1),
+    interval: customJoi.number().positive()
+  }).oxor('ranges', 'interval')
+)
+
+// Ranking rules boost the relevance score of assets, they can be set in config and overridden by name in search query.
+// Fields can be `_validated`, `_createdDate` (recent assets) or custom attributes of type boolean or number.
+const rankingRuleSchema = customJoi.object().keys({
+  name: customJoi.string().max(255).required(),
+  field: customJoi.string(),
+  weight: customJoi.number().min(0),
+  scale: customJoi.string().pattern(/^\d+[smhdw]$/), // decay scale for dates like '30d'
+  factor: customJoi.number().positive() // multiplies number values like average rating or number custom attributes
+})
+
+const durationSchema = customJoi.object().pattern(
+  customJoi.string().valid(...allowedTimeUnits),
+  customJoi.number().integer().min(1)
+).length(1)
+
+// Pricing rules adjust asset time unit prices, they can be set on assets and asset types.
+// Cron patterns and timezones are checked by `getInvalidPricingRulesMessage` in pricing utils.
+const pricingRuleSchema = customJoi.object().keys({
+  name: customJoi.string().max(255),
+
+  // conditions
+  startDate: customJoi.string().isoDate(),
+  endDate: customJoi.string().isoDate(),
+  recurringPattern: customJoi.string(),
+  recurringTimezone: customJoi.string(),
+  recurringDuration: durationSchema,
+  minLeadTime: durationSchema,
+  maxLeadTime: durationSchema,
+
+  // time unit price
+  price: customJoi.number().min(0),
+  priceChangePercent: customJoi.number().min(-100)
+})
+  .xor('price', 'priceChangePercent')
+  .with('recurringTimezone', 'recurringPattern')
+  .with('recurringDuration', 'recurringPattern')
+
 const searchSchema = customJoi.object().keys({
   query: customJoi.string().allow(''),
   categoryId: idsSchema,
   assetTypeId: idsSchema,
+  ownerId: idsSchema,
+  currency: idsSchema,
+  price: getRangeFilter(customJoi.number().min(0)),
   location: locationSchema,
   maxDistance: customJoi.number().integer().min(1),
+  bounds: boundsSchema,
+  polygon: polygonSchema,
+  geoClusters: geoClustersSchema,
   startDate: customJoi.string().isoDate(),
   endDate: customJoi.string().isoDate(),
   quantity: customJoi.number().integer().min(1),
@@ -153,6 +237,10 @@ const searchSchema = customJoi.object().keys({
   // Add sort array/object
   sort: sortSchema,
   availabilityFilter: availabilityFilterSchema,
+  facets: customJoi.array().items(facetSchema)
+    .unique((a, b) => (a.field || a) === (b.field || b))
+    .single(),
+  rankingRules: customJoi.array().items(rankingRuleSchema).unique('name').allow(null),
 
   createdBefore: customJoi.string().isoDate().allow(null),
   createdAfter: customJoi.string().isoDate().allow(null)
@@ -175,6 +263,8 @@ module.exports = {
 
   objectIdParamsSchema,
   searchSchema,
+  rankingRuleSchema,
+  pricingRuleSchema,
   getRangeFilter,
   replaceOffsetWithCursorPagination,
 }
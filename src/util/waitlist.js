@@ -0,0 +1,44 @@
+const _ = require('lodash')
+
+/**
+ * Offered waitlist entries hold asset quantity until their hold end date
+ * @param {Object} waitlist
+ * @param {String} [date] - defaults to now
+ * @return {Boolean}
+ */
+function isActiveWaitlistHold (waitlist, date = new Date().toISOString()) {
+  return waitlist.status === 'offered' &&
+    !!waitlist.holdEndDate &&
+    date < waitlist.holdEndDate
+}
+
+/**
+ * Get the quantity held for a user during the whole period,
+ * so this quantity doesn't need to be available when the user books it
+ * @param {Object} params
+ * @param {Object[]} params.waitlists - waitlist entries of the user for the asset
+ * @param {String} params.startDate
+ * @param {String} params.endDate
+ * @param {String} [params.date] - defaults to now
+ * @return {Number} quantity
+ */
+function getWaitlistHeldQuantity ({
+  waitlists,
+  startDate,
+  endDate,
+  date = new Date().toISOString()
+}) {
+  if (!startDate || !endDate) return 0
+
+  return _.sumBy(waitlists, waitlist => {
+    if (!isActiveWaitlistHold(waitlist, date)) return 0
+
+    const coversPeriod = waitlist.startDate <= startDate && endDate <= waitlist.endDate
+    return coversPeriod ? waitlist.quantity : 0
+  })
+}
+
+module.exports = {
+  isActiveWaitlistHold,
+  getWaitlistHeldQuantity
+}
@@ -0,0 +1,188 @@
+const crypto = require('crypto')
+const ms = require('ms')
+const _ = require('lodash')
+const { VM, VMScript } = require('vm2')
+
+// Delivery attempts are spread with exponential backoff:
+// 30s, 1m, 2m, 4m… so that the last attempt happens around 4 hours after the first one
+const maxDeliveryAttempts = 10
+const retryBaseDelay = '30s'
+
+// Webhook is deactivated after this number of deliveries that failed after all attempts
+// Any successful delivery resets the counter
+const maxConsecutiveFailures = 5
+
+const signatureHeader = 'x-stelace-signature'
+const signatureVersion = 'v1'
+
+const wildcard = '*'
+
+function generateWebhookSecret () {
+  return crypto.randomBytes(32).toString('hex')
+}
+
+/**
+ * Computes the HMAC SHA-256 signature of a webhook payload.
+ * Timestamp is signed along with the payload to prevent replay attacks.
+ * @param {Object} params
+ * @param {String} params.secret
+ * @param {Number} params.timestamp - in seconds
+ * @param {Object|String} params.payload - object is stringified as it will be sent
+ * @return {String} hex signature
+ */
+function computeWebhookSignature ({ secret, timestamp, payload }) {
+  const rawPayload = typeof payload === 'string' ? payload : JSON.stringify(payload)
+
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${rawPayload}`)
+    .digest('hex')
+}
+
+/**
+ * Returns the value of the signature header, like "t=1600000000,v1=5257a869…"
+ * @param {Object} params
+ * @param {String} params.secret
+ * @param {Object|String} params.payload
+ * @param {Number} [params.timestamp] - in seconds, defaults to current time
+ * @return {String}
+ */
+function getWebhookSignatureHeaderValue ({ secret, payload, timestamp }) {
+  const t = timestamp || Math.floor(Date.now() / 1000)
+  const signature = computeWebhookSignature({ secret, timestamp: t, payload })
+
+  return `t=${t},${signatureVersion}=${signature}`
+}
+
+/**
+ * @param {Number} attempt - attempt number that just failed, starting from 1
+ * @return {Number} delay in milliseconds before the next attempt
+ */
+function getRetryDelay (attempt) {
+  return ms(retryBaseDelay) * Math.pow(2, attempt - 1)
+}
+
+/**
+ * @param {Object} params
+ * @param {Number} params.attempt - attempt number that just failed, starting from 1
+ * @param {String} [params.date] - failure date, defaults to now
+ * @param {Number} [params.maxAttempts = maxDeliveryAttempts]
+ * @return {String|null} ISO date of the next attempt, or null if there are no attempts left
+ */
+function getNextRetryDate ({ attempt, date, maxAttempts = maxDeliveryAttempts }) {
+  if (attempt >= maxAttempts) return null
+
+  const failureDate = date ? new Date(date) : new Date()
+  return new Date(failureDate.getTime() + getRetryDelay(attempt)).toISOString()
+}
+
+/**
+ * Limits the number of replayed events. When some events are left,
+ * events sharing the creation date of the first remaining one are left too
+ * so that the next replay starting from this date doesn't deliver them twice.
+ * @param {Object} params
+ * @param {Object[]} params.events - sorted by creation date, fetched with one more event than the limit
+ * @param {Number} params.limit
+ * @return {Object} result
+ * @return {Object[]} result.replayedEvents
+ * @return {String|null} result.nextCreatedDate - creation date of the first event not replayed
+ */
+function getReplayBatch ({ events, limit }) {
+  if (events.length <= limit) {
+    return { replayedEvents: events, nextCreatedDate: null }
+  }
+
+  const nextCreatedDate = events[limit].createdDate
+  let replayedEvents = events.slice(0, limit)
+
+  const eventsBeforeNextDate = replayedEvents.filter(event => event.createdDate !== nextCreatedDate)
+  // keeping the whole batch if all events share the same date, so that replay can make progress
+  if (eventsBeforeNextDate.length) replayedEvents = eventsBeforeNextDate
+
+  return { replayedEvents, nextCreatedDate }
+}
+
+/**
+ * Event patterns can be event types, prefixes followed by a wildcard like 'asset__*'
+ * or a single wildcard '*' to match all events.
+ * @param {String} pattern
+ * @return {Boolean}
+ */
+function isWildcardPattern (pattern) {
+  return typeof pattern === 'string' && pattern.endsWith(wildcard)
+}
+
+/**
+ * Webhooks created before multiple events support only have the `event` attribute.
+ * @param {Object} webhook
+ * @return {String[]} event patterns
+ */
+function getWebhookEventPatterns (webhook) {
+  if (!_.isEmpty(webhook.events)) return webhook.events
+  return webhook.event ? [webhook.event] : []
+}
+
+/**
+ * @param {String} eventType
+ * @param {String[]} patterns
+ * @return {Boolean}
+ */
+function isEventTypeMatching (eventType, patterns = []) {
+  return patterns.some(pattern => {
+    if (isWildcardPattern(pattern)) return eventType.startsWith(pattern.slice(0, -wildcard.length))
+    return eventType === pattern
+  })
+}
+
+/**
+ * @param {String} filter - JavaScript expression
+ * @return {Boolean} false if the expression cannot be compiled
+ */
+function isValidFilterExpression (filter) {
+  try {
+    new VMScript(filter).compile()
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Evaluates webhook filter expression in a sandbox where `event` and lodash `_` are exposed,
+ * like `event.object.status === 'validated'`.
+ * Throws if the expression cannot be evaluated.
+ * @param {Object} params
+ * @param {String} [params.filter] - JavaScript expression, all events pass if empty
+ * @param {Object} params.event - exposed event
+ * @return {Boolean}
+ */
+function isEventPassingFilter ({ filter, event }) {
+  if (!filter) return true
+
+  const vm = new VM({
+    timeout: 1000,
+    sandbox: { event: _.cloneDeep(event) }
+  })
+  vm.freeze(_, '_')
+
+  return Boolean(vm.run(filter))
+}
+
+module.exports = {
+  maxDeliveryAttempts,
+  maxConsecutiveFailures,
+  signatureHeader,
+  wildcard,
+
+  generateWebhookSecret,
+  computeWebhookSignature,
+  getWebhookSignatureHeaderValue,
+  getRetryDelay,
+  getNextRetryDate,
+  getReplayBatch,
+
+  isWildcardPattern,
+  getWebhookEventPatterns,
+  isEventTypeMatching,
+  isValidFilterExpression,
+  isEventPassingFilter,
+}
@@ -3,6 +3,7 @@ const {
   objectIdParamsSchema,
   getRangeFilter,
   replaceOffsetWithCursorPagination,
+  pricingRuleSchema
 } = require('../../util/validation')
 const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
 
@@ -81,6 +82,7 @@ schemas['2019-05-20'].create = {
     assetTypeId: Joi.string(),
     quantity: Joi.number().integer().min(0),
     price: Joi.number().min(0),
+    pricingRules: Joi.array().items(pricingRuleSchema).max(50).allow(null),
     currency: Joi.string(),
     customAttributes: Joi.object().unknown(),
     metadata: Joi.object().unknown(),
@@ -1,4 +1,4 @@
-const { Joi, objectIdParamsSchema, getRangeFilter } = require('../../util/validation')
+const { Joi, objectIdParamsSchema, getRangeFilter, pricingRuleSchema } = require('../../util/validation')
 const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
 const { allowedTimeUnits } = require('../../util/time')
 
@@ -64,12 +64,17 @@ schemas['2019-05-20'].create = {
     infiniteStock: Joi.boolean(),
     pricing: Joi.object().keys({
       ownerFeesPercent: Joi.number().integer().min(0).max(100),
-      takerFeesPercent: Joi.number().integer().min(0).max(100)
+      takerFeesPercent: Joi.number().integer().min(0).max(100),
+      rules: Joi.array().items(pricingRuleSchema).max(50).allow(null)
     }),
     timing: Joi.object().keys({
       timeUnit: Joi.string().valid(...allowedTimeUnits),
       minDuration: durationSchema.allow(null),
-      maxDuration: durationSchema.allow(null)
+      maxDuration: durationSchema.allow(null),
+      bufferBefore: durationSchema.allow(null),
+      bufferAfter: durationSchema.allow(null),
+      minNotice: durationSchema.allow(null),
+      maxHorizon: durationSchema.allow(null)
     }),
     transactionProcess: Joi.object().keys({
       initStatus: Joi.string().required(),
@@ -79,7 +84,18 @@ schemas['2019-05-20'].create = {
           name: Joi.string().required(),
           from: Joi.string().required(),
           to: Joi.string().required(),
-          actors: Joi.array().unique().items(Joi.string())
+          actors: Joi.array().unique().items(Joi.string()),
+          // timed transition automatically applied after the duration
+          after: Joi.object().keys({
+            duration: durationSchema.required(),
+            from: Joi.string().valid('status', 'startDate', 'endDate')
+          }).allow(null),
+          guards: Joi.object().keys({
+            dataSchema: Joi.object().unknown().allow(null),
+            conditions: Joi.array().items(Joi.string()).allow(null),
+            roles: Joi.array().unique().items(Joi.string()).allow(null),
+            permissions: Joi.array().unique().items(Joi.string()).allow(null)
+          }).allow(null)
         })
       )
     }).allow(null),
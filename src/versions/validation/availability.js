@@ -31,6 +31,31 @@ schemas['2020-08-10'] = {}
 schemas['2020-08-10'].list = () => ({
   query: replaceOffsetWithCursorPagination(schemas['2019-05-20'].list.query)
 })
+schemas['2020-08-10'].getCalendar = {
+  query: Joi.object().keys({
+    assetId: Joi.array().unique().items(Joi.string()).single(),
+    ownerId: Joi.string(),
+    startDate: Joi.string().isoDate().required(),
+    endDate: Joi.string().isoDate().required(),
+    timeUnit: Joi.string().valid('m', 'h', 'd', 'w', 'M').default('d')
+  })
+    .xor('assetId', 'ownerId')
+}
+schemas['2020-08-10'].exportCalendar = {
+  params: objectIdParamsSchema,
+  query: Joi.object().keys({
+    token: Joi.string().required()
+  })
+}
+schemas['2020-08-10'].createCalendarToken = {
+  params: objectIdParamsSchema
+}
+schemas['2020-08-10'].importCalendar = {
+  body: Joi.object().keys({
+    assetId: Joi.string().required(),
+    ics: Joi.string().required()
+  }).required()
+}
 
 // ////////// //
 // 2019-05-20 //
@@ -84,6 +109,22 @@ const validationVersions = {
       target: 'availability.list',
       schema: schemas['2020-08-10'].list
     },
+    {
+      target: 'availability.getCalendar',
+      schema: schemas['2020-08-10'].getCalendar
+    },
+    {
+      target: 'availability.exportCalendar',
+      schema: schemas['2020-08-10'].exportCalendar
+    },
+    {
+      target: 'availability.createCalendarToken',
+      schema: schemas['2020-08-10'].createCalendarToken
+    },
+    {
+      target: 'availability.importCalendar',
+      schema: schemas['2020-08-10'].importCalendar
+    },
   ],
 
   '2019-05-20': [
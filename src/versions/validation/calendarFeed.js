@@ -0,0 +1,68 @@
+const { Joi, objectIdParamsSchema } = require('../../util/validation')
+const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
+
+const orderByFields = [
+  'createdDate',
+  'updatedDate',
+]
+
+const schemas = {}
+
+// ////////// //
+// 2020-08-10 //
+// ////////// //
+schemas['2020-08-10'] = {}
+schemas['2020-08-10'].list = {
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...orderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+
+      // filters
+      assetId: Joi.string().required(),
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].create = {
+  body: Joi.object().keys({
+    assetId: Joi.string().required(),
+    url: Joi.string().uri({ scheme: ['http', 'https', 'webcal'] }).required(),
+    metadata: Joi.object().unknown(),
+    platformData: Joi.object().unknown()
+  }).required()
+}
+schemas['2020-08-10'].sync = {
+  params: objectIdParamsSchema
+}
+schemas['2020-08-10'].remove = {
+  params: objectIdParamsSchema
+}
+
+const validationVersions = {
+  '2020-08-10': [
+    {
+      target: 'calendarFeed.list',
+      schema: schemas['2020-08-10'].list
+    },
+    {
+      target: 'calendarFeed.create',
+      schema: schemas['2020-08-10'].create
+    },
+    {
+      target: 'calendarFeed.sync',
+      schema: schemas['2020-08-10'].sync
+    },
+    {
+      target: 'calendarFeed.remove',
+      schema: schemas['2020-08-10'].remove
+    }
+  ]
+}
+
+module.exports = validationVersions
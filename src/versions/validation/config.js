@@ -1,10 +1,17 @@
-const { Joi } = require('../../util/validation')
+const { Joi, rankingRuleSchema } = require('../../util/validation')
+const { taxModes } = require('../../util/tax')
+const { maxDeliveryAttempts } = require('../../util/webhook')
 
 const refreshTokenExpirationSchema = Joi.object().pattern(
   Joi.string().valid('m', 'h', 'd'),
   Joi.number().integer().min(1)
 ).length(1)
 
+const waitlistHoldDurationSchema = Joi.object().pattern(
+  Joi.string().valid('m', 'h', 'd'),
+  Joi.number().integer().min(1)
+).length(1)
+
 const singleLvlObjectSchema = Joi.object().pattern(
   Joi.string(),
   Joi.alternatives().try(
@@ -51,6 +58,16 @@ const ssoConnectionSchema = Joi.object().keys({
   userInfoUrl: Joi.string().uri()
 })
 
+// the first rate matching transaction asset type, category and asset location country applies
+const taxRateSchema = Joi.object().keys({
+  name: Joi.string().max(255),
+  takerRate: Joi.number().min(0).max(100),
+  ownerRate: Joi.number().min(0).max(100),
+  assetTypesIds: Joi.array().unique().items(Joi.string()).allow(null),
+  categoriesIds: Joi.array().unique().items(Joi.string()).allow(null),
+  countries: Joi.array().unique().items(Joi.string()).allow(null)
+}).or('takerRate', 'ownerRate')
+
 const emailSchema = Joi.alternatives().try(
   Joi.string(),
   Joi.object().keys({
@@ -75,8 +92,23 @@ schemas['2019-05-20'].update = {
       }),
       tokenCheckRedirectUrl: Joi.string().uri().allow('', null),
       search: Joi.object().keys({
-        maxDistance: Joi.number().integer().positive().allow(null)
+        maxDistance: Joi.number().integer().positive().allow(null),
+        rankingRules: Joi.array()
+          .items(rankingRuleSchema.fork(['field', 'weight'], schema => schema.required()))
+          .unique('name')
+          .allow(null)
       }),
+      tax: Joi.object().keys({
+        mode: Joi.string().valid(...taxModes).allow(null),
+        rates: Joi.array().items(taxRateSchema).allow(null)
+      }).allow(null),
+      waitlist: Joi.object().keys({
+        holdDuration: waitlistHoldDurationSchema.allow(null)
+      }).allow(null),
+      webhook: Joi.object().keys({
+        maxDeliveryAttempts: Joi.number().integer().min(1).max(maxDeliveryAttempts).allow(null),
+        maxConsecutiveFailures: Joi.number().integer().min(1).allow(null)
+      }).allow(null),
 
       instant: Joi.object().keys({
         serviceName: Joi.string().allow('', null),
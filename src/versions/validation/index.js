@@ -14,6 +14,7 @@ const validationVersions = [
   require('./authorization'),
   require('./availability'),
   require('./batch'),
+  require('./calendarFeed'),
   require('./category'),
   require('./config'),
   require('./customAttribute'),
@@ -22,6 +23,7 @@ const validationVersions = [
   require('./event'),
   require('./message'),
   require('./order'),
+  require('./promotion'),
   require('./role'),
   require('./search'),
   require('./signal'),
@@ -29,6 +31,7 @@ const validationVersions = [
   require('./task'),
   require('./transaction'),
   require('./user'),
+  require('./waitlist'),
   require('./webhook'),
   require('./workflow')
 ]
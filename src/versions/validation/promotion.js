@@ -0,0 +1,104 @@
+const { Joi, objectIdParamsSchema, getRangeFilter } = require('../../util/validation')
+const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
+
+const orderByFields = [
+  'createdDate',
+  'updatedDate',
+]
+
+const schemas = {}
+
+// ////////// //
+// 2020-08-10 //
+// ////////// //
+schemas['2020-08-10'] = {}
+schemas['2020-08-10'].list = {
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...orderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+
+      // filters
+      id: Joi.array().unique().items(Joi.string()).single(),
+      createdDate: getRangeFilter(Joi.string().isoDate()),
+      updatedDate: getRangeFilter(Joi.string().isoDate()),
+      code: Joi.array().unique().items(Joi.string()).single(),
+      active: Joi.boolean(),
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].read = {
+  params: objectIdParamsSchema
+}
+schemas['2020-08-10'].create = {
+  body: Joi.object().keys({
+    name: Joi.string().max(255).allow('', null),
+    code: Joi.string().max(255).required(),
+    active: Joi.boolean(),
+    discountPercent: Joi.number().greater(0).max(100),
+    discountValue: Joi.number().greater(0),
+    currency: Joi.string(),
+    startDate: Joi.string().isoDate().allow(null),
+    endDate: Joi.string().isoDate().allow(null),
+    maxUses: Joi.number().integer().min(1).allow(null),
+    maxUsesPerUser: Joi.number().integer().min(1).allow(null),
+    assetTypesIds: Joi.array().unique().items(Joi.string()).allow(null),
+    categoriesIds: Joi.array().unique().items(Joi.string()).allow(null),
+    metadata: Joi.object().unknown(),
+    platformData: Joi.object().unknown()
+  })
+    .xor('discountPercent', 'discountValue')
+    .with('discountValue', 'currency')
+    .required()
+}
+schemas['2020-08-10'].update = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    name: Joi.string().max(255).allow('', null),
+    active: Joi.boolean(),
+    startDate: Joi.string().isoDate().allow(null),
+    endDate: Joi.string().isoDate().allow(null),
+    maxUses: Joi.number().integer().min(1).allow(null),
+    maxUsesPerUser: Joi.number().integer().min(1).allow(null),
+    assetTypesIds: Joi.array().unique().items(Joi.string()).allow(null),
+    categoriesIds: Joi.array().unique().items(Joi.string()).allow(null),
+    metadata: Joi.object().unknown(),
+    platformData: Joi.object().unknown()
+  }).required()
+}
+schemas['2020-08-10'].remove = {
+  params: objectIdParamsSchema
+}
+
+const validationVersions = {
+  '2020-08-10': [
+    {
+      target: 'promotion.list',
+      schema: schemas['2020-08-10'].list
+    },
+    {
+      target: 'promotion.read',
+      schema: schemas['2020-08-10'].read
+    },
+    {
+      target: 'promotion.create',
+      schema: schemas['2020-08-10'].create
+    },
+    {
+      target: 'promotion.update',
+      schema: schemas['2020-08-10'].update
+    },
+    {
+      target: 'promotion.remove',
+      schema: schemas['2020-08-10'].remove
+    }
+  ]
+}
+
+module.exports = validationVersions
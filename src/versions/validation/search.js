@@ -8,6 +8,17 @@ const ifSaving = (joiTypeIfTrue, joiTypeIfFalse) => Joi.when('save', {
 
 const schemas = {}
 
+// ////////// //
+// 2020-08-10 //
+// ////////// //
+schemas['2020-08-10'] = {}
+schemas['2020-08-10'].suggest = {
+  query: Joi.object().keys({
+    q: Joi.string().trim().min(1).max(100).required(),
+    nbResultsPerType: Joi.number().integer().min(1).max(20).default(5)
+  })
+}
+
 // ////////// //
 // 2019-05-20 //
 // ////////// //
@@ -15,7 +26,8 @@ schemas['2019-05-20'] = {}
 schemas['2019-05-20'].list = {
   query: Joi.object().keys({
     _size: Joi.number().integer().positive(), // only used in testing environment
-    _validateOnly: Joi.boolean() // only used by system, do not trigger search at all
+    _validateOnly: Joi.boolean(), // only used by system, do not trigger search at all
+    _assetsIds: [Joi.string(), Joi.array().unique().items(Joi.string())] // only used by system, restrict search to these assets
   }),
   body: searchSchema
     .keys({
@@ -38,6 +50,13 @@ schemas['2019-05-20'].list = {
 }
 
 const validationVersions = {
+  '2020-08-10': [
+    {
+      target: 'search.suggest',
+      schema: schemas['2020-08-10'].suggest
+    }
+  ],
+
   '2019-05-20': [
     {
       target: 'search.list',
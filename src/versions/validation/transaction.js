@@ -17,6 +17,13 @@ const durationSchema = Joi.object().pattern(
   Joi.number().integer().min(1)
 ).length(1)
 
+// holds are meant to last during checkout, the cap prevents takers
+// from keeping limited stock unavailable indefinitely
+const holdDurationSchema = Joi.object().keys({
+  m: Joi.number().integer().min(1).max(24 * 60),
+  h: Joi.number().integer().min(1).max(24)
+}).length(1)
+
 const schemas = {}
 
 // ////////// //
@@ -26,6 +33,29 @@ schemas['2020-08-10'] = {}
 schemas['2020-08-10'].list = () => ({
   query: replaceOffsetWithCursorPagination(schemas['2019-05-20'].list.query)
 })
+schemas['2020-08-10'].checkout = {
+  body: Joi.object().keys({
+    lines: Joi.array().items(
+      Joi.object().keys({
+        assetId: Joi.string().required(),
+        startDate: Joi.string().isoDate(),
+        endDate: Joi.string().isoDate(),
+        duration: durationSchema,
+        quantity: Joi.number().integer().min(1),
+        metadata: Joi.object().unknown(),
+        platformData: Joi.object().unknown()
+      })
+        .oxor('endDate', 'duration')
+    )
+      .min(1)
+      .max(20)
+      .unique('assetId') // use quantity to book several units of the same asset
+      .required(),
+    takerId: Joi.string(),
+    metadata: Joi.object().unknown(),
+    platformData: Joi.object().unknown()
+  }).required()
+}
 
 // ////////// //
 // 2019-05-20 //
@@ -41,6 +71,7 @@ schemas['2019-05-20'].preview = {
     value: Joi.number().min(0),
     ownerAmount: Joi.number().min(0),
     takerAmount: Joi.number().min(0),
+    promotionCode: Joi.string(),
     metadata: Joi.object().unknown(),
     platformData: Joi.object().unknown()
   })
@@ -85,6 +116,10 @@ schemas['2019-05-20'].create = {
     ownerAmount: Joi.number().min(0),
     takerAmount: Joi.number().min(0),
     takerId: Joi.string(),
+    promotionCode: Joi.string(),
+    hold: Joi.object().keys({
+      duration: holdDurationSchema.required()
+    }),
     metadata: Joi.object().unknown(),
     platformData: Joi.object().unknown()
   })
@@ -95,7 +130,9 @@ schemas['2019-05-20'].update = {
   params: objectIdParamsSchema,
   body: schemas['2019-05-20'].create.body
     .keys({
-      status: Joi.string()
+      status: Joi.string(),
+      promotionCode: Joi.forbidden(), // promotions can only be redeemed at creation
+      hold: Joi.forbidden()
     })
 }
 schemas['2019-05-20'].createTransition = {
@@ -112,6 +149,10 @@ const validationVersions = {
       target: 'transaction.list',
       schema: schemas['2020-08-10'].list
     },
+    {
+      target: 'transaction.checkout',
+      schema: schemas['2020-08-10'].checkout
+    },
   ],
 
   '2019-05-20': [
@@ -0,0 +1,83 @@
+const { Joi, objectIdParamsSchema, getRangeFilter } = require('../../util/validation')
+const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
+
+const orderByFields = [
+  'createdDate',
+  'updatedDate',
+]
+
+const statuses = [
+  'waiting',
+  'offered',
+  'booked',
+  'expired'
+]
+
+const schemas = {}
+
+// ////////// //
+// 2020-08-10 //
+// ////////// //
+schemas['2020-08-10'] = {}
+schemas['2020-08-10'].list = {
+  query: Joi.object()
+    .keys({
+      // order
+      orderBy: Joi.string().valid(...orderByFields).default('createdDate'),
+      order: Joi.string().valid('asc', 'desc').default('desc'),
+
+      // cursor pagination
+      nbResultsPerPage: Joi.number().integer().min(1).max(100).default(DEFAULT_NB_RESULTS_PER_PAGE),
+      startingAfter: Joi.string(),
+      endingBefore: Joi.string(),
+
+      // filters
+      id: Joi.array().unique().items(Joi.string()).single(),
+      createdDate: getRangeFilter(Joi.string().isoDate()),
+      updatedDate: getRangeFilter(Joi.string().isoDate()),
+      assetId: Joi.array().unique().items(Joi.string()).single(),
+      userId: Joi.array().unique().items(Joi.string()).single(),
+      status: Joi.array().unique().items(Joi.string().valid(...statuses)).single(),
+    })
+    .oxor('startingAfter', 'endingBefore')
+}
+schemas['2020-08-10'].read = {
+  params: objectIdParamsSchema
+}
+schemas['2020-08-10'].create = {
+  body: Joi.object().keys({
+    assetId: Joi.string().required(),
+    userId: Joi.string(),
+    startDate: Joi.string().isoDate().required(),
+    endDate: Joi.string().isoDate().required(),
+    quantity: Joi.number().integer().min(1),
+    metadata: Joi.object().unknown(),
+    platformData: Joi.object().unknown()
+  }).required()
+}
+schemas['2020-08-10'].remove = {
+  params: objectIdParamsSchema
+}
+
+const validationVersions = {
+  '2020-08-10': [
+    {
+      target: 'waitlist.list',
+      schema: schemas['2020-08-10'].list
+    },
+    {
+      target: 'waitlist.read',
+      schema: schemas['2020-08-10'].read
+    },
+    {
+      target: 'waitlist.create',
+      schema: schemas['2020-08-10'].create
+    },
+    {
+      target: 'waitlist.remove',
+      schema: schemas['2020-08-10'].remove
+    }
+  ]
+}
+
+module.exports = validationVersions
@@ -64,6 +64,21 @@ schemas['2020-08-10'].listLogs = {
 schemas['2020-08-10'].readLog = {
   params: objectIdParamsSchema
 }
+schemas['2020-08-10'].replay = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    eventId: Joi.array().unique().items(Joi.string()).single(),
+    createdDate: getRangeFilter(Joi.string().isoDate()),
+  })
+    .or('eventId', 'createdDate')
+    .required()
+}
+schemas['2020-08-10'].replayLog = {
+  params: objectIdParamsSchema
+}
+schemas['2020-08-10'].rotateSecret = {
+  params: objectIdParamsSchema
+}
 
 // ////////// //
 // 2019-05-20 //
@@ -78,11 +93,16 @@ schemas['2019-05-20'].create = {
     name: Joi.string().max(255).required(),
     targetUrl: Joi.string().uri(),
     event: Joi.string(),
+    // event types, or prefixes followed by a wildcard like 'asset__*', or '*' for all events
+    events: Joi.array().unique().items(Joi.string().pattern(/^[^*]*\*?$/, 'wildcard')),
+    filter: Joi.string().allow(null),
     apiVersion: Joi.string().valid(...apiVersions),
     active: Joi.boolean(),
     metadata: Joi.object().unknown(),
     platformData: Joi.object().unknown()
-  }).required()
+  })
+    .oxor('event', 'events')
+    .required()
 }
 schemas['2019-05-20'].update = {
   params: objectIdParamsSchema,
@@ -108,6 +128,18 @@ const validationVersions = {
       target: 'webhook.readLog',
       schema: schemas['2020-08-10'].readLog
     },
+    {
+      target: 'webhook.replay',
+      schema: schemas['2020-08-10'].replay
+    },
+    {
+      target: 'webhook.replayLog',
+      schema: schemas['2020-08-10'].replayLog
+    },
+    {
+      target: 'webhook.rotateSecret',
+      schema: schemas['2020-08-10'].rotateSecret
+    },
   ],
 
   '2019-05-20': [
@@ -1,12 +1,24 @@
 const { Joi, objectIdParamsSchema, getRangeFilter } = require('../../util/validation')
 const { apiVersions } = require('../util')
 const { DEFAULT_NB_RESULTS_PER_PAGE } = require('../../util/pagination')
+const { allowedTimeUnits } = require('../../util/time')
 
 const computedSchema = Joi.object().max(20)
 const contextSchema = Joi.array().unique().items(Joi.string()).single()
 const descriptionSchema = Joi.string().max(2048).allow('', null)
 const booleanExpressionSchema = Joi.string().max(1024).allow('', null)
 
+const durationSchema = Joi.object().pattern(
+  Joi.string().valid(...allowedTimeUnits),
+  Joi.number().integer().min(1)
+).length(1)
+
+// Duration object, or expression evaluated to a duration string like "24h" or an ISO date
+const delaySchema = Joi.alternatives().try(
+  durationSchema,
+  Joi.string().max(1024)
+).allow(null)
+
 const workflowOrderByFields = [
   'createdDate',
   'updatedDate',
@@ -16,6 +28,23 @@ const workflowLogOrderByFields = [
   'createdDate',
 ]
 
+const endpointKeys = {
+  endpointMethod: Joi.string().valid('GET', 'PATCH', 'POST', 'DELETE').required(),
+  endpointUri: Joi.string()
+    // allow leading $ for template strings in workflows (endpointUri: "${computed.url}")
+    .regex(/^(\/|http|\$)/, 'full external URL like "https://your.api.com" or Stelace endpoint path like "/assets"')
+    .required(),
+  endpointPayload: Joi.object(),
+  endpointHeaders: Joi.object().pattern(Joi.string(), Joi.string())
+}
+
+const retrySchema = Joi.object().keys({
+  maxAttempts: Joi.number().integer().min(1).max(5).required(),
+  backoff: Joi.string().valid('fixed', 'exponential'),
+  backoffDelay: Joi.number().integer().min(0).max(30000), // milliseconds
+  statusCodes: Joi.array().unique().items(Joi.number().integer().min(400).max(599)).single()
+}).allow(null)
+
 const runSchema = Joi.array().items(Joi.object({
   name: Joi.string().max(255),
   description: descriptionSchema,
@@ -24,13 +53,11 @@ const runSchema = Joi.array().items(Joi.object({
   stop: booleanExpressionSchema,
   skip: booleanExpressionSchema,
   handleErrors: Joi.boolean(),
-  endpointMethod: Joi.string().valid('GET', 'PATCH', 'POST', 'DELETE').required(),
-  endpointUri: Joi.string()
-    // allow leading $ for template strings in workflows (endpointUri: "${computed.url}")
-    .regex(/^(\/|http|\$)/, 'full external URL like "https://your.api.com" or Stelace endpoint path like "/assets"')
-    .required(),
-  endpointPayload: Joi.object(),
-  endpointHeaders: Joi.object().pattern(Joi.string(), Joi.string())
+  delay: delaySchema,
+  retry: retrySchema,
+  // step executed once all attempts failed
+  fallback: Joi.object().keys(endpointKeys).allow(null),
+  ...endpointKeys
 })).single().max(10)
 
 const schemas = {}
@@ -111,6 +138,27 @@ schemas['2020-08-10'].readLog = {
   params: objectIdParamsSchema
 }
 
+schemas['2020-08-10'].test = {
+  params: objectIdParamsSchema,
+  body: Joi.object().keys({
+    eventId: Joi.string(),
+    // sample event, defaulting to workflow event type
+    event: Joi.object().keys({
+      type: Joi.string(),
+      objectId: Joi.string().allow(null),
+      objectType: Joi.string().allow(null),
+      object: Joi.object().unknown().allow(null),
+      changesRequested: Joi.object().unknown().allow(null),
+      relatedObjectsIds: Joi.object().unknown().allow(null),
+      metadata: Joi.object().unknown(),
+      apiVersion: Joi.string().valid(...apiVersions)
+    }),
+    live: Joi.boolean().default(false)
+  })
+    .xor('eventId', 'event')
+    .required()
+}
+
 // ////////// //
 // 2019-05-20 //
 // ////////// //
@@ -125,7 +173,10 @@ schemas['2019-05-20'].create = {
     description: descriptionSchema,
     context: contextSchema,
     notifyUrl: Joi.string().uri(),
-    event: Joi.string(),
+    event: Joi.string().allow(null),
+    // scheduled workflows are triggered by the cron instead of an event
+    recurringPattern: Joi.string().allow(null),
+    recurringTimezone: Joi.string().allow(null),
     computed: computedSchema,
     run: runSchema,
     apiVersion: Joi.string().valid(...apiVersions),
@@ -161,6 +212,10 @@ const validationVersions = {
       target: 'workflow.readLog',
       schema: schemas['2020-08-10'].readLog
     },
+    {
+      target: 'workflow.test',
+      schema: schemas['2020-08-10'].test
+    },
   ],
 
   '2019-05-20': [
@@ -2145,6 +2145,68 @@ module.exports = {
     })
   ],
 
+  promotion: [
+    createModel({
+      id: 'prmo_a7kQps1I3a1gJYz2I3a',
+      createdDate: now,
+      updatedDate: now,
+      name: 'Summer sale',
+      code: 'SUMMER10',
+      active: true,
+      discountPercent: 10,
+      discountValue: null,
+      currency: null,
+      startDate: null,
+      endDate: null,
+      maxUses: null,
+      maxUsesPerUser: null,
+      assetTypesIds: null,
+      categoriesIds: null,
+      metadata: {},
+      platformData: {}
+    }),
+
+    createModel({
+      id: 'prmo_Ue3Qps1I3a1gJYz2I3a',
+      createdDate: now,
+      updatedDate: now,
+      name: 'Welcome offer',
+      code: 'WELCOME20',
+      active: true,
+      discountPercent: null,
+      discountValue: 20,
+      currency: 'USD',
+      startDate: null,
+      endDate: null,
+      maxUses: null,
+      maxUsesPerUser: 1,
+      assetTypesIds: ['typ_Vr001Be1JBF1hlzxYJBE'],
+      categoriesIds: null,
+      metadata: {},
+      platformData: {}
+    }),
+
+    createModel({
+      id: 'prmo_4xFQps1I3a1gJYz2I3a',
+      createdDate: computeDate(now, '-30d'),
+      updatedDate: computeDate(now, '-30d'),
+      name: 'Expired offer',
+      code: 'EXPIRED',
+      active: true,
+      discountPercent: 50,
+      discountValue: null,
+      currency: null,
+      startDate: computeDate(now, '-30d'),
+      endDate: computeDate(now, '-1d'),
+      maxUses: null,
+      maxUsesPerUser: null,
+      assetTypesIds: null,
+      categoriesIds: ['ctgy_ejQQps1I3a1gJYz2I3a'],
+      metadata: {},
+      platformData: {}
+    })
+  ],
+
   role: [
     createModel({
       id: 'role_C5ZIBs105v1gHK1i05v',
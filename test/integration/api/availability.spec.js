@@ -5,12 +5,15 @@ const request = require('supertest')
 
 const { before, beforeEach, after } = require('../../lifecycle')
 const { getAccessTokenHeaders } = require('../../auth')
+const { truncateDate } = require('../../../src/util/time')
 const {
   computeDate,
   getObjectEvent,
   testEventMetadata,
   checkOffsetPaginationScenario,
   checkCursorPaginationScenario,
+  toICalendarDate,
+  getICalendarContent,
 } = require('../../util')
 
 test.before(async t => {
@@ -41,6 +44,125 @@ test('get availabilities graph', async (t) => {
   })
 })
 
+test('gets the availability calendar of multiple assets', async (t) => {
+  const ownerId = 'usr_calendarOwner'
+
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create',
+      'availability:create',
+      'availability:list'
+    ],
+    userId: ownerId
+  })
+
+  const createAsset = async (name, quantity) => {
+    const { body: asset } = await request(t.context.serverUrl)
+      .post('/assets')
+      .set(authorizationHeaders)
+      .send({
+        name,
+        assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+        quantity,
+        price: 100,
+        currency: 'USD'
+      })
+      .expect(200)
+
+    return asset
+  }
+
+  // use dedicated assets so that the owner assets are known
+  const asset1 = await createAsset('Calendar asset 1', 2)
+  const asset2 = await createAsset('Calendar asset 2', 1)
+
+  const startDate = computeDate(truncateDate(new Date()), '10 days')
+
+  await request(t.context.serverUrl)
+    .post('/availabilities')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset1.id,
+      startDate: computeDate(startDate, '1 day'),
+      endDate: computeDate(startDate, '3 days'),
+      quantity: 0
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/availabilities')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset2.id,
+      startDate: computeDate(startDate, '2 days'),
+      endDate: computeDate(startDate, '3 days'),
+      quantity: '+2'
+    })
+    .expect(200)
+
+  const endDate = computeDate(startDate, '4 days')
+
+  const { body: calendar } = await request(t.context.serverUrl)
+    .get(`/availabilities/calendar?assetId=${asset2.id},${asset1.id}&startDate=${startDate}&endDate=${endDate}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(calendar.startDate, startDate)
+  t.is(calendar.endDate, endDate)
+  t.is(calendar.timeUnit, 'd')
+
+  // same order as requested
+  t.deepEqual(calendar.assets.map(a => a.assetId), [asset2.id, asset1.id])
+
+  const getQuantities = (calendar, assetId) => {
+    return calendar.assets.find(a => a.assetId === assetId).slots.map(slot => slot.availableQuantity)
+  }
+
+  t.is(calendar.assets[0].slots.length, 4)
+  t.is(calendar.assets[0].slots[0].startDate, startDate)
+  t.is(calendar.assets[0].slots[0].endDate, computeDate(startDate, '1 day'))
+
+  t.deepEqual(getQuantities(calendar, asset1.id), [2, 0, 0, 2])
+  t.deepEqual(getQuantities(calendar, asset2.id), [1, 1, 3, 1])
+
+  // time unit smaller than the availability period
+  const { body: hourlyCalendar } = await request(t.context.serverUrl)
+    .get(`/availabilities/calendar?ownerId=${ownerId}&startDate=${computeDate(startDate, '22 hours')}` +
+      `&endDate=${computeDate(startDate, '26 hours')}&timeUnit=h`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(hourlyCalendar.assets.map(a => a.assetId).sort(), [asset1.id, asset2.id].sort())
+  t.deepEqual(getQuantities(hourlyCalendar, asset1.id), [2, 2, 0, 0])
+  t.deepEqual(getQuantities(hourlyCalendar, asset2.id), [1, 1, 1, 1])
+
+  // cannot get the calendar of other users' assets without the `availability:list:all` permission
+  await request(t.context.serverUrl)
+    .get(`/availabilities/calendar?assetId=${asset1.id},ast_0TYM7rs1OwP1gQRuCOwP&startDate=${startDate}&endDate=${endDate}`)
+    .set(authorizationHeaders)
+    .expect(403)
+
+  await request(t.context.serverUrl)
+    .get(`/availabilities/calendar?ownerId=usr_WHlfQps1I3a1gJYz2I3a&startDate=${startDate}&endDate=${endDate}`)
+    .set(authorizationHeaders)
+    .expect(403)
+})
+
+test('fails to get an availability calendar with too many time slots', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['availability:list:all'] })
+
+  const startDate = new Date().toISOString()
+
+  const { body: error } = await request(t.context.serverUrl)
+    .get(`/availabilities/calendar?assetId=ast_0TYM7rs1OwP1gQRuCOwP&startDate=${startDate}` +
+      `&endDate=${computeDate(startDate, '30 days')}&timeUnit=h`)
+    .set(authorizationHeaders)
+    .expect(422)
+
+  t.regex(error.message, /time slots/)
+})
+
 // need serial to ensure there is no insertion/deletion during pagination scenario
 test.serial('list availabilities with pagination', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['availability:list:all'] })
@@ -490,6 +612,209 @@ test('removes an availability', async (t) => {
   t.falsy(availabilityAfterRemoval.find(av => av.id === availability.id))
 })
 
+test('imports availabilities from iCalendar content', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:list:all',
+      'availability:create:all'
+    ]
+  })
+
+  const now = new Date().toISOString()
+
+  // use a dedicated asset as imported availabilities would affect other tests
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with imported calendar',
+      assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const events = [
+    { uid: 'event-1@example.com', startDate: computeDate(now, '10 days'), endDate: computeDate(now, '12 days') },
+    { uid: 'event-2@example.com', startDate: computeDate(now, '20 days'), endDate: computeDate(now, '21 days') },
+    { uid: 'past-event@example.com', startDate: computeDate(now, '-10 days'), endDate: computeDate(now, '-8 days') }
+  ].map(event => Object.assign(event, {
+    // iCalendar dates have no milliseconds
+    startDate: event.startDate.replace(/\.\d{3}Z$/, '.000Z'),
+    endDate: event.endDate.replace(/\.\d{3}Z$/, '.000Z')
+  }))
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post('/availabilities/import')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      ics: getICalendarContent(events)
+    })
+    .expect(200)
+
+  t.deepEqual(result, {
+    assetId: asset.id,
+    externalSource: 'upload',
+    nbCreated: 2,
+    nbUpdated: 0,
+    nbRemoved: 0
+  })
+
+  const { body: { results: availabilities } } = await request(t.context.serverUrl)
+    .get(`/availabilities?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(availabilities.length, 2)
+
+  const availability1 = availabilities.find(a => a.externalId === 'event-1@example.com')
+  t.truthy(availability1)
+  t.is(availability1.externalSource, 'upload')
+  t.is(availability1.quantity, '0')
+  t.is(availability1.startDate, events[0].startDate)
+  t.is(availability1.endDate, events[0].endDate)
+
+  // event 1 is moved and event 2 is removed from the calendar
+  const newEvents = [
+    Object.assign({}, events[0], { endDate: computeDate(events[0].endDate, '1 day') })
+  ]
+
+  const { body: newResult } = await request(t.context.serverUrl)
+    .post('/availabilities/import')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      ics: getICalendarContent(newEvents)
+    })
+    .expect(200)
+
+  t.is(newResult.nbCreated, 0)
+  t.is(newResult.nbUpdated, 1)
+  t.is(newResult.nbRemoved, 1)
+
+  const { body: { results: newAvailabilities } } = await request(t.context.serverUrl)
+    .get(`/availabilities?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(newAvailabilities.length, 1)
+  t.is(newAvailabilities[0].id, availability1.id)
+  t.is(newAvailabilities[0].endDate, newEvents[0].endDate)
+})
+
+test('fails to import invalid iCalendar content', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['availability:create:all']
+  })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/availabilities/import')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0TYM7rs1OwP1gQRuCOwP',
+      ics: 'not a calendar'
+    })
+    .expect(422)
+
+  t.regex(error.message, /Invalid iCalendar content/)
+})
+
+test('exports asset availability as an iCalendar feed with a secret token', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:create:all',
+      'availability:edit:all'
+    ]
+  })
+
+  const now = new Date().toISOString()
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with exported calendar',
+      assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+      price: 100,
+      currency: 'USD',
+      quantity: 1
+    })
+    .expect(200)
+
+  const startDate = computeDate(now, '10 days')
+  const endDate = computeDate(now, '12 days')
+
+  await request(t.context.serverUrl)
+    .post('/availabilities')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      endDate,
+      quantity: 0
+    })
+    .expect(200)
+
+  const { body: { token } } = await request(t.context.serverUrl)
+    .post(`/assets/${asset.id}/calendar/token`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(typeof token, 'string')
+
+  // calendar apps cannot provide API keys
+  const platformHeaders = {
+    'x-platform-id': t.context.platformId,
+    'x-stelace-env': t.context.env
+  }
+
+  const { text: content, headers } = await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}/calendar.ics?token=${token}`)
+    .set(platformHeaders)
+    .expect(200)
+
+  t.regex(headers['content-type'], /^text\/calendar/)
+  t.true(content.startsWith('BEGIN:VCALENDAR'))
+  t.true(content.includes('BEGIN:VEVENT'))
+  t.true(content.includes(`DTSTART:${toICalendarDate(startDate)}`))
+  t.true(content.includes(`DTEND:${toICalendarDate(endDate)}`))
+
+  await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}/calendar.ics?token=invalidToken`)
+    .set(platformHeaders)
+    .expect(404)
+
+  // token is bound to the asset
+  await request(t.context.serverUrl)
+    .get(`/assets/ast_0TYM7rs1OwP1gQRuCOwP/calendar.ics?token=${token}`)
+    .set(platformHeaders)
+    .expect(404)
+
+  // previous token is revoked when generating a new one
+  const { body: { token: newToken } } = await request(t.context.serverUrl)
+    .post(`/assets/${asset.id}/calendar/token`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.not(newToken, token)
+
+  await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}/calendar.ics?token=${token}`)
+    .set(platformHeaders)
+    .expect(404)
+
+  await request(t.context.serverUrl)
+    .get(`/assets/${asset.id}/calendar.ics?token=${newToken}`)
+    .set(platformHeaders)
+    .expect(200)
+})
+
 // ////////// //
 // VALIDATION //
 // ////////// //
@@ -0,0 +1,317 @@
+require('dotenv').config()
+
+const test = require('ava')
+const request = require('supertest')
+const express = require('express')
+
+const { before, beforeEach, after } = require('../../lifecycle')
+const { getAccessTokenHeaders } = require('../../auth')
+const {
+  computeDate,
+  checkCursorPaginatedListObject,
+  getICalendarContent,
+} = require('../../util')
+
+const calendarServer = express()
+let calendarServerPort
+let calendarApp
+
+// iCalendar content served by calendar server, by path
+const calendars = {}
+
+const getCalendarUrl = (name) => `http://localhost:${calendarServerPort}/${name}.ics`
+
+const createAsset = async ({ t, authorizationHeaders, name }) => {
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name,
+      assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  return asset
+}
+
+test.before(async (t) => {
+  // the calendar server below is only reachable on private network addresses
+  process.env.CALENDAR_FEED_ALLOWED_PRIVATE_HOSTS = 'localhost'
+
+  await before({ name: 'calendarFeed' })(t)
+  await beforeEach()(t)
+
+  calendarServer.get('/redirect/:name.ics', function (req, res) {
+    res.redirect(`http://127.0.0.1:${calendarServerPort}/${req.params.name}.ics`)
+  })
+
+  calendarServer.get('/:name.ics', function (req, res) {
+    const content = calendars[req.params.name]
+    if (!content) return res.status(404).send('Not found')
+
+    res.set('content-type', 'text/calendar').send(content)
+  })
+
+  await new Promise((resolve, reject) => {
+    calendarApp = calendarServer.listen((err) => {
+      if (err) return reject(err)
+
+      // dynamically get a free port
+      calendarServerPort = calendarApp.address().port
+
+      resolve()
+    })
+  })
+})
+// test.beforeEach(beforeEach()) // concurrent tests are much faster
+test.after(async (t) => {
+  await after()(t)
+  await calendarApp.close()
+})
+
+test('creates, syncs and removes a calendar feed', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:list:all',
+      'availability:create:all',
+      'availability:remove:all'
+    ]
+  })
+
+  const now = new Date().toISOString()
+
+  const asset = await createAsset({ t, authorizationHeaders, name: 'Asset with calendar feed' })
+
+  const events = [
+    { uid: 'event-1@example.com', startDate: computeDate(now, '10 days'), endDate: computeDate(now, '12 days') },
+    { uid: 'event-2@example.com', startDate: computeDate(now, '20 days'), endDate: computeDate(now, '21 days') }
+  ]
+  calendars.sync = getICalendarContent(events)
+
+  const { body: calendarFeed } = await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      url: getCalendarUrl('sync'),
+      metadata: { provider: 'test' }
+    })
+    .expect(200)
+
+  t.is(calendarFeed.assetId, asset.id)
+  t.is(calendarFeed.url, getCalendarUrl('sync'))
+  t.truthy(calendarFeed.lastSyncDate)
+  t.is(calendarFeed.metadata.provider, 'test')
+
+  const { body: { results: availabilities } } = await request(t.context.serverUrl)
+    .get(`/availabilities?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(availabilities.length, 2)
+  t.true(availabilities.every(a => a.externalSource === calendarFeed.id && a.quantity === '0'))
+  t.deepEqual(availabilities.map(a => a.externalId).sort(), ['event-1@example.com', 'event-2@example.com'])
+
+  // the same feed cannot be registered twice for the asset
+  await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      url: getCalendarUrl('sync')
+    })
+    .expect(422)
+
+  // event 2 is cancelled and event 3 is added
+  calendars.sync = getICalendarContent([
+    events[0],
+    { uid: 'event-3@example.com', startDate: computeDate(now, '30 days'), endDate: computeDate(now, '31 days') }
+  ])
+
+  const { body: syncedCalendarFeed } = await request(t.context.serverUrl)
+    .post(`/calendar-feeds/${calendarFeed.id}/sync`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.true(syncedCalendarFeed.lastSyncDate >= calendarFeed.lastSyncDate)
+
+  const { body: { results: syncedAvailabilities } } = await request(t.context.serverUrl)
+    .get(`/availabilities?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(syncedAvailabilities.map(a => a.externalId).sort(), ['event-1@example.com', 'event-3@example.com'])
+  t.truthy(syncedAvailabilities.find(a => a.id === availabilities.find(a => a.externalId === 'event-1@example.com').id))
+
+  const { body: { results: calendarFeeds } } = await request(t.context.serverUrl)
+    .get(`/calendar-feeds?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(calendarFeeds.length, 1)
+  t.is(calendarFeeds[0].id, calendarFeed.id)
+
+  await request(t.context.serverUrl)
+    .delete(`/calendar-feeds/${calendarFeed.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: availabilitiesAfterRemoval } } = await request(t.context.serverUrl)
+    .get(`/availabilities?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(availabilitiesAfterRemoval.length, 0)
+})
+
+test('lists calendar feeds', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:list:all',
+      'availability:create:all'
+    ]
+  })
+
+  const asset = await createAsset({ t, authorizationHeaders, name: 'Asset with calendar feeds' })
+
+  calendars.empty = getICalendarContent([])
+
+  await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({ assetId: asset.id, url: getCalendarUrl('empty') })
+    .expect(200)
+
+  const { body: obj } = await request(t.context.serverUrl)
+    .get(`/calendar-feeds?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  checkCursorPaginatedListObject(t, obj)
+  t.is(obj.results.length, 1)
+})
+
+test('fails to create a calendar feed with an unreachable URL', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:list:all',
+      'availability:create:all'
+    ]
+  })
+
+  const asset = await createAsset({ t, authorizationHeaders, name: 'Asset with missing calendar feed' })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({ assetId: asset.id, url: getCalendarUrl('missing') })
+    .expect(422)
+
+  t.regex(error.message, /Fail to fetch the calendar feed/)
+
+  const { body: { results: calendarFeeds } } = await request(t.context.serverUrl)
+    .get(`/calendar-feeds?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(calendarFeeds.length, 0)
+})
+
+// ////////// //
+// VALIDATION //
+// ////////// //
+
+test('fails to create a calendar feed if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['availability:create:all']
+  })
+
+  let result
+  let error
+
+  // missing body
+  result = await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"body" is required'))
+
+  // missing required parameters
+  result = await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"assetId" is required'))
+  t.true(error.message.includes('"url" is required'))
+
+  // parameters with wrong type or format
+  result = await request(t.context.serverUrl)
+    .post('/calendar-feeds')
+    .set(authorizationHeaders)
+    .send({
+      assetId: true,
+      url: 'ftp://example.com/calendar.ics',
+      metadata: true,
+      platformData: true
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"assetId" must be a string'))
+  t.true(error.message.includes('"url" must be a valid uri'))
+  t.true(error.message.includes('"metadata" must be of type object'))
+  t.true(error.message.includes('"platformData" must be of type object'))
+})
+
+test('fails to create a calendar feed targeting a private network address', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'availability:list:all',
+      'availability:create:all'
+    ]
+  })
+
+  const asset = await createAsset({ t, authorizationHeaders, name: 'Asset with private calendar feed' })
+
+  calendars.private = getICalendarContent([])
+
+  const privateUrls = [
+    `http://127.0.0.1:${calendarServerPort}/private.ics`, // not allowed unlike 'localhost'
+    'http://169.254.169.254/latest/meta-data',
+    `http://[::1]:${calendarServerPort}/private.ics`,
+    getCalendarUrl('redirect/private') // allowed host redirecting to a private address
+  ]
+
+  for (const url of privateUrls) {
+    const { body: error } = await request(t.context.serverUrl)
+      .post('/calendar-feeds')
+      .set(authorizationHeaders)
+      .send({ assetId: asset.id, url })
+      .expect(422)
+
+    t.regex(error.message, /private network address/, url)
+  }
+
+  const { body: { results: calendarFeeds } } = await request(t.context.serverUrl)
+    .get(`/calendar-feeds?assetId=${asset.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(calendarFeeds.length, 0)
+})
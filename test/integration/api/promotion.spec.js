@@ -0,0 +1,370 @@
+require('dotenv').config()
+
+const test = require('ava')
+const request = require('supertest')
+
+const { before, beforeEach, after } = require('../../lifecycle')
+const { getAccessTokenHeaders } = require('../../auth')
+const {
+  getObjectEvent,
+  testEventMetadata,
+  checkCursorPaginationScenario,
+  checkCursorPaginatedListObject,
+} = require('../../util')
+const { computeDate } = require('../../../src/util/time')
+
+test.before(async (t) => {
+  await before({ name: 'promotion' })(t)
+  await beforeEach()(t)
+})
+// test.beforeEach(beforeEach())
+test.after(after())
+
+// need serial to ensure there is no insertion/deletion during pagination scenario
+test.serial('list promotions', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:list:all'] })
+
+  await checkCursorPaginationScenario({
+    t,
+    endpointUrl: '/promotions',
+    authorizationHeaders
+  })
+})
+
+test('list promotions with filters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:list:all'] })
+
+  const { body: obj } = await request(t.context.serverUrl)
+    .get('/promotions?code=SUMMER10,WELCOME20&active=true')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  checkCursorPaginatedListObject(t, obj)
+  t.is(obj.results.length, 2)
+  obj.results.forEach(promotion => {
+    t.true(['SUMMER10', 'WELCOME20'].includes(promotion.code))
+  })
+})
+
+test('finds a promotion', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:read:all'] })
+
+  const { body: promotion } = await request(t.context.serverUrl)
+    .get('/promotions/prmo_a7kQps1I3a1gJYz2I3a')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(promotion.id, 'prmo_a7kQps1I3a1gJYz2I3a')
+  t.is(promotion.code, 'SUMMER10')
+  t.is(promotion.discountPercent, 10)
+})
+
+test('creates a promotion', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:create:all'] })
+
+  const now = new Date().toISOString()
+
+  const { body: promotion } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Black Friday',
+      code: 'BLACKFRIDAY',
+      discountValue: 30,
+      currency: 'USD',
+      startDate: now,
+      endDate: computeDate(now, '3d'),
+      maxUses: 1000,
+      maxUsesPerUser: 2,
+      assetTypesIds: ['typ_Vr001Be1JBF1hlzxYJBE'],
+      categoriesIds: ['ctgy_N1FQps1I3a1gJYz2I3a'],
+      metadata: { dummy: true }
+    })
+    .expect(200)
+
+  t.is(promotion.code, 'BLACKFRIDAY')
+  t.true(promotion.active)
+  t.is(promotion.discountPercent, null)
+  t.is(promotion.discountValue, 30)
+  t.is(promotion.currency, 'USD')
+  t.is(promotion.maxUses, 1000)
+  t.is(promotion.maxUsesPerUser, 2)
+  t.deepEqual(promotion.assetTypesIds, ['typ_Vr001Be1JBF1hlzxYJBE'])
+  t.deepEqual(promotion.categoriesIds, ['ctgy_N1FQps1I3a1gJYz2I3a'])
+  t.is(promotion.metadata.dummy, true)
+})
+
+test('cannot create a promotion with an existing code or invalid restrictions', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:create:all'] })
+
+  const { body: existingCodeError } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'SUMMER10',
+      discountPercent: 20
+    })
+    .expect(422)
+
+  t.true(existingCodeError.message.includes('already exists'))
+
+  const { body: assetTypeError } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'UNKNOWN_ASSET_TYPE',
+      discountPercent: 20,
+      assetTypesIds: ['typ_unknown']
+    })
+    .expect(422)
+
+  t.true(assetTypeError.message.includes('Asset types not found'))
+
+  const now = new Date().toISOString()
+
+  const { body: datesError } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'INVALID_DATES',
+      discountPercent: 20,
+      startDate: now,
+      endDate: computeDate(now, '-1d')
+    })
+    .expect(422)
+
+  t.true(datesError.message.includes('end date'))
+})
+
+test('updates a promotion', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'promotion:create:all',
+      'promotion:edit:all'
+    ]
+  })
+
+  const { body: promotion } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'TO_UPDATE',
+      discountPercent: 20
+    })
+    .expect(200)
+
+  const { body: updatedPromotion } = await request(t.context.serverUrl)
+    .patch(`/promotions/${promotion.id}`)
+    .set(authorizationHeaders)
+    .send({
+      active: false,
+      maxUses: 10,
+      metadata: { dummy: true }
+    })
+    .expect(200)
+
+  t.is(updatedPromotion.id, promotion.id)
+  t.false(updatedPromotion.active)
+  t.is(updatedPromotion.maxUses, 10)
+  t.is(updatedPromotion.discountPercent, 20)
+  t.is(updatedPromotion.metadata.dummy, true)
+})
+
+test('removes a promotion', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'promotion:read:all',
+      'promotion:create:all',
+      'promotion:remove:all'
+    ]
+  })
+
+  const { body: promotion } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'TO_REMOVE',
+      discountPercent: 20
+    })
+    .expect(200)
+
+  const { body: payload } = await request(t.context.serverUrl)
+    .delete(`/promotions/${promotion.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(payload.id, promotion.id)
+
+  await request(t.context.serverUrl)
+    .get(`/promotions/${promotion.id}`)
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+test('fails to create a promotion if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['promotion:create:all'] })
+
+  let result
+  let error
+
+  // missing body
+  result = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"body" is required'))
+
+  // missing required parameters
+  result = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"code" is required'))
+
+  // both discount types
+  result = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'BOTH',
+      discountPercent: 10,
+      discountValue: 10,
+      currency: 'USD'
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('conflict between exclusive peers'))
+
+  // fixed discount without currency
+  result = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'NO_CURRENCY',
+      discountValue: 10
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('missing required peer "currency"'))
+
+  // parameters with wrong type
+  result = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      name: true,
+      code: true,
+      active: 'invalid',
+      discountPercent: 200,
+      startDate: 'invalid',
+      maxUses: 0,
+      assetTypesIds: true,
+      metadata: true,
+      platformData: true
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"name" must be a string'))
+  t.true(error.message.includes('"code" must be a string'))
+  t.true(error.message.includes('"active" must be a boolean'))
+  t.true(error.message.includes('"discountPercent" must be less than or equal to 100'))
+  t.true(error.message.includes('"startDate" must be a valid ISO 8601 date'))
+  t.true(error.message.includes('"maxUses" must be larger than or equal to 1'))
+  t.true(error.message.includes('"assetTypesIds" must be an array'))
+  t.true(error.message.includes('"metadata" must be of type object'))
+  t.true(error.message.includes('"platformData" must be of type object'))
+})
+
+// ////// //
+// EVENTS //
+// ////// //
+
+// Event tests must run serially before the other tests
+test.serial('generates promotion__* events', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'promotion:create:all',
+      'promotion:edit:all',
+      'promotion:remove:all',
+      'event:list:all'
+    ]
+  })
+
+  const { body: promotion } = await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      code: 'EVENTS',
+      discountPercent: 15
+    })
+    .expect(200)
+
+  const patchPayload = {
+    name: 'Updated promotion',
+    metadata: { test: true }
+  }
+
+  const { body: promotionUpdated } = await request(t.context.serverUrl)
+    .patch(`/promotions/${promotion.id}`)
+    .set(authorizationHeaders)
+    .send(patchPayload)
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, 300))
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get('/events')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const promotionCreatedEvent = getObjectEvent({
+    events,
+    eventType: 'promotion__created',
+    objectId: promotion.id
+  })
+  await testEventMetadata({ event: promotionCreatedEvent, object: promotion, t })
+  t.is(promotionCreatedEvent.object.code, promotion.code)
+
+  const promotionUpdatedEvent = getObjectEvent({
+    events,
+    eventType: 'promotion__updated',
+    objectId: promotionUpdated.id
+  })
+  await testEventMetadata({
+    event: promotionUpdatedEvent,
+    object: promotionUpdated,
+    t,
+    patchPayload
+  })
+  t.is(promotionUpdatedEvent.object.name, promotionUpdated.name)
+
+  await request(t.context.serverUrl)
+    .delete(`/promotions/${promotionUpdated.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, 300))
+
+  const { body: { results: eventsAfterDelete } } = await request(t.context.serverUrl)
+    .get('/events')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const promotionDeletedEvent = getObjectEvent({
+    events: eventsAfterDelete,
+    eventType: 'promotion__deleted',
+    objectId: promotionUpdated.id
+  })
+  await testEventMetadata({ event: promotionDeletedEvent, object: promotionUpdated, t })
+})
@@ -112,6 +112,94 @@ test('returns only assets within the search area', async (t) => {
   })
 })
 
+test('returns only assets within bounds or polygon', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const isWithinArea = ({ latitude, longitude }) => {
+    return latitude >= 0.5 && latitude <= 3 && longitude >= 0.5 && longitude <= 3
+  }
+
+  const { body: boundsSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      bounds: {
+        topLeft: { latitude: 3, longitude: 0.5 },
+        bottomRight: { latitude: 0.5, longitude: 3 }
+      }
+    })
+    .expect(200)
+
+  t.true(boundsSearchResult.results.length > 0)
+  t.truthy(boundsSearchResult.results.find(asset => assetsIds.asset2 === asset.id))
+  boundsSearchResult.results.forEach(asset => {
+    t.true(asset.locations.some(isWithinArea))
+  })
+
+  const { body: polygonSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      polygon: {
+        type: 'Polygon',
+        coordinates: [[[0.5, 0.5], [3, 0.5], [3, 3], [0.5, 3], [0.5, 0.5]]]
+      }
+    })
+    .expect(200)
+
+  t.deepEqual(
+    polygonSearchResult.results.map(asset => asset.id).sort(),
+    boundsSearchResult.results.map(asset => asset.id).sort()
+  )
+})
+
+test('returns geo clusters with counts and centroids', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: searchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      bounds: {
+        topLeft: { latitude: 3, longitude: 0.5 },
+        bottomRight: { latitude: 0.5, longitude: 3 }
+      },
+      geoClusters: { precision: 1 }
+    })
+    .expect(200)
+
+  t.true(Array.isArray(searchResult.geoClusters))
+  t.is(searchResult.geoClusters.length, 1)
+
+  const [cluster] = searchResult.geoClusters
+  t.is(cluster.geohash, 's') // covers latitudes and longitudes between 0 and 45 degrees
+  t.true(cluster.count >= searchResult.results.length)
+  t.true(cluster.centroid.latitude >= 0.5 && cluster.centroid.latitude <= 3)
+  t.true(cluster.centroid.longitude >= 0.5 && cluster.centroid.longitude <= 3)
+})
+
+test('cannot search with invalid geo parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      bounds: { topLeft: { latitude: 3, longitude: 0.5 } },
+      polygon: {
+        type: 'Point',
+        coordinates: [[[0.5, 0.5], [3, 0.5]]]
+      },
+      geoClusters: { precision: 20 }
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"bounds.bottomRight" is required'))
+  t.true(error.message.includes('"polygon.type" must be [Polygon]'))
+  t.true(error.message.includes('"polygon.coordinates[0]" must contain at least 4 items'))
+  t.true(error.message.includes('"geoClusters.precision" must be less than or equal to 12'))
+})
+
 test('returns assets filtered by created date', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
 
@@ -1062,6 +1150,129 @@ test('returns assets with queried custom attributes (match an exact text)', asyn
   t.truthy(searchResult1.results.find(asset => assetsIds.asset6 === asset.id))
 })
 
+test('returns facets respecting search filters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: searchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      customAttributes: {
+        make: ['Toyota', 'Chevrolet']
+      },
+      facets: [
+        'make',
+        { field: '_categoryId', size: 5 },
+        { field: '_price', ranges: [{ to: 100 }, { from: 100 }] },
+        { field: 'seatingCapacity', interval: 1 }
+      ]
+    })
+    .expect(200)
+
+  const { facets } = searchResult
+  t.is(typeof facets, 'object')
+
+  t.deepEqual(facets.make, [
+    { value: 'Toyota', count: 2 },
+    { value: 'Chevrolet', count: 1 }
+  ])
+
+  t.true(Array.isArray(facets._categoryId))
+  t.true(facets._categoryId.length <= 5)
+
+  t.is(facets._price.length, 2)
+  t.is(facets._price[0].from, null)
+  t.is(facets._price[0].to, 100)
+  t.is(facets._price[1].from, 100)
+  t.is(facets._price[1].to, null)
+  t.is(facets._price.reduce((count, bucket) => count + bucket.count, 0), 3)
+
+  t.true(facets.seatingCapacity.every(bucket => typeof bucket.value === 'number' && bucket.count > 0))
+  t.is(facets.seatingCapacity.reduce((count, bucket) => count + bucket.count, 0), 3)
+
+  const { body: searchResultWithoutFacets } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(200)
+
+  t.is(searchResultWithoutFacets.facets, undefined)
+})
+
+test('returns facets without unavailable assets', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const searchQuery = {
+    startDate: computeDate(initNow, '-2 days'),
+    endDate: computeDate(initNow, '2 days'),
+    location: {
+      latitude: 50,
+      longitude: 50
+    },
+    maxDistance,
+    facets: [
+      { field: '_price', ranges: [{ to: 100 }, { from: 100 }] }
+    ]
+  }
+  const getNbFacetsResults = facets => facets._price.reduce((count, bucket) => count + bucket.count, 0)
+
+  const { body: searchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send(searchQuery)
+    .expect(200)
+
+  t.is(searchResult.results.length, 1)
+  t.is(getNbFacetsResults(searchResult.facets), 1)
+  t.true(searchResult.exhaustiveFacets)
+
+  const { body: searchResultWithUnavailableAssets } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send(Object.assign({}, searchQuery, { availabilityFilter: { enabled: false } }))
+    .expect(200)
+
+  t.true(searchResultWithUnavailableAssets.results.length > 1)
+  t.is(getNbFacetsResults(searchResultWithUnavailableAssets.facets), searchResultWithUnavailableAssets.results.length)
+  t.true(searchResultWithUnavailableAssets.exhaustiveFacets)
+})
+
+test('cannot compute facets on invalid fields', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: unknownFieldError } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ facets: ['unknownAttribute'] })
+    .expect(422)
+
+  t.true(unknownFieldError.message.includes('Cannot compute facets on unknownAttribute'))
+
+  const { body: missingIntervalError } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ facets: ['_price'] })
+    .expect(422)
+
+  t.true(missingIntervalError.message.includes('Ranges or interval is required for facets on _price'))
+
+  const { body: invalidRangesError } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ facets: [{ field: 'make', interval: 10 }] })
+    .expect(422)
+
+  t.true(invalidRangesError.message.includes('Ranges or interval cannot be used for facets on make'))
+
+  await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ facets: ['make', { field: 'make', size: 5 }] })
+    .expect(400)
+
+  t.pass()
+})
+
 test('returns assets with full-text search in a custom attribute', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
 
@@ -1092,6 +1303,281 @@ test('returns assets with full-text search in a custom attribute', async (t) =>
   t.is(search.results[lastIndex].id, matchedAssetsIds[lastIndex])
 })
 
+test('returns assets filtered by price, currency and owner', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: ownerSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ ownerId: '3135511d-719e-41a6-8753-36f188029eb1' })
+    .expect(200)
+
+  t.true(ownerSearchResult.results.length > 0)
+  ownerSearchResult.results.forEach(asset => t.is(asset.ownerId, '3135511d-719e-41a6-8753-36f188029eb1'))
+
+  const { body: currencySearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ currency: 'EUR' })
+    .expect(200)
+
+  t.true(currencySearchResult.results.length > 0)
+  currencySearchResult.results.forEach(asset => t.is(asset.currency, 'EUR'))
+
+  const { body: priceSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      price: { gte: 25, lte: 31 },
+      currency: ['USD']
+    })
+    .expect(200)
+
+  t.true(priceSearchResult.results.length > 0)
+  priceSearchResult.results.forEach(asset => {
+    t.true(asset.price >= 25 && asset.price <= 31)
+    t.is(asset.currency, 'USD')
+  })
+})
+
+test('returns assets with total price and sorts by total price when dates are provided', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: searchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({
+      startDate: computeDate(initNow, '10 days'),
+      endDate: computeDate(initNow, '13 days'),
+      availabilityFilter: { enabled: false },
+      sort: [{ _totalPrice: 'desc' }]
+    })
+    .expect(200)
+
+  t.true(searchResult.results.length > 0)
+  searchResult.results.forEach((asset, index) => {
+    t.is(typeof asset.totalPrice, 'number')
+    t.true(asset.totalPrice >= Math.floor(asset.price))
+
+    if (index > 0) {
+      t.true(searchResult.results[index - 1].totalPrice >= asset.totalPrice)
+    }
+  })
+
+  const { body: searchResultWithoutDates } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(200)
+
+  searchResultWithoutDates.results.forEach(asset => t.is(asset.totalPrice, undefined))
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send({ sort: [{ _totalPrice: 'asc' }] })
+    .expect(422)
+
+  t.true(error.message.includes('_totalPrice sorting requires startDate and endDate'))
+})
+
+// serial to prevent config ranking rules from changing the order of other tests results
+test.serial('boosts assets with ranking rules from config, overridable in search query', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'search:list:all',
+      'config:edit:all'
+    ]
+  })
+
+  const searchPayload = {
+    customAttributes: {
+      make: ['Toyota', 'Chevrolet']
+    }
+  }
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: [
+            { name: 'automatic', field: 'automaticTransmission', weight: 100 },
+            { name: 'score', field: 'customScore', weight: 1 }
+          ]
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: configSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send(searchPayload)
+    .expect(200)
+
+  t.deepEqual(configSearchResult.results.map(asset => asset.id), [
+    assetsIds.asset6, // automatic transmission
+    assetsIds.asset7, // highest custom score
+    assetsIds.asset8
+  ])
+
+  const { body: overriddenSearchResult } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send(Object.assign({}, searchPayload, {
+      rankingRules: [
+        { name: 'automatic', weight: 0 }
+      ]
+    }))
+    .expect(200)
+
+  t.deepEqual(overriddenSearchResult.results.map(asset => asset.id), [
+    assetsIds.asset7,
+    assetsIds.asset6,
+    assetsIds.asset8
+  ])
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/search')
+    .set(authorizationHeaders)
+    .send(Object.assign({}, searchPayload, {
+      rankingRules: [
+        { name: 'make', field: 'make', weight: 1 }
+      ]
+    }))
+    .expect(422)
+
+  t.true(error.message.includes('Cannot rank with make in ranking rule make (type select)'))
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: null
+        }
+      }
+    })
+    .expect(200)
+})
+
+test('cannot set invalid ranking rules in config', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['config:edit:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: [
+            { name: 'recent', field: '_createdDate', scale: '1 month' },
+            { name: 'recent', field: '_validated', weight: -1 }
+          ]
+        }
+      }
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"stelace.search.rankingRules[0].weight" is required'))
+  t.true(error.message.includes('"stelace.search.rankingRules[0].scale" with value "1 month" fails to match the required pattern'))
+  t.true(error.message.includes('"stelace.search.rankingRules[1].weight" must be larger than or equal to 0'))
+  t.true(error.message.includes('"stelace.search.rankingRules[1]" contains a duplicate value'))
+})
+
+test('cannot set ranking rules in config with fields that cannot be ranked', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['config:edit:all'] })
+
+  const { body: unknownFieldError } = await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: [{ name: 'unknown', field: 'unknownAttribute', weight: 1 }]
+        }
+      }
+    })
+    .expect(422)
+
+  t.true(unknownFieldError.message.includes('Cannot rank with unknownAttribute in ranking rule unknown'))
+
+  const { body: invalidTypeError } = await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: [{ name: 'make', field: 'make', weight: 1 }]
+        }
+      }
+    })
+    .expect(422)
+
+  t.true(invalidTypeError.message.includes('Cannot rank with make in ranking rule make (type select)'))
+})
+
+// serial to prevent config ranking rules from changing the order of other tests results
+test.serial('cannot remove a custom attribute used in config ranking rules', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'config:edit:all',
+      'customAttribute:create:all',
+      'customAttribute:remove:all'
+    ]
+  })
+
+  const { body: customAttribute } = await request(t.context.serverUrl)
+    .post('/custom-attributes')
+    .set(authorizationHeaders)
+    .send({
+      name: 'rankingPriority',
+      type: 'number'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: [{ name: 'priority', field: 'rankingPriority', weight: 1 }]
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: error } = await request(t.context.serverUrl)
+    .delete(`/custom-attributes/${customAttribute.id}`)
+    .set(authorizationHeaders)
+    .expect(422)
+
+  t.true(error.message.includes('used in search ranking rule priority'))
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        search: {
+          rankingRules: null
+        }
+      }
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .delete(`/custom-attributes/${customAttribute.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+})
+
 test('sorts assets by price', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
 
@@ -1743,6 +2229,63 @@ test('should match asset name edge unigrams/bigrams when query is shorter than 3
 // ////// //
 
 // Event tests must run serially before the other tests
+test('suggests asset names, categories and custom attribute values', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: suggestions } = await request(t.context.serverUrl)
+    .get('/search/suggest?q=toy')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  // deduplicated names
+  t.is(suggestions.assetNames.filter(suggestion => suggestion.value === 'Toyota').length, 1)
+  t.deepEqual(suggestions.assetNames.find(suggestion => suggestion.value === 'Toyota'), {
+    value: 'Toyota',
+    highlights: [{ start: 0, end: 3 }]
+  })
+
+  const makeSuggestion = suggestions.customAttributeValues.find(suggestion => {
+    return suggestion.customAttributeName === 'make' && suggestion.value === 'Toyota'
+  })
+  t.truthy(makeSuggestion)
+  t.true(makeSuggestion.count > 0)
+  t.deepEqual(makeSuggestion.highlights, [{ start: 0, end: 3 }])
+
+  const { body: categorySuggestions } = await request(t.context.serverUrl)
+    .get('/search/suggest?q=car&nbResultsPerType=1')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.deepEqual(categorySuggestions.categories, [
+    {
+      id: 'ctgy_N1FQps1I3a1gJYz2I3a',
+      value: 'Compact car',
+      highlights: [{ start: 8, end: 11 }]
+    }
+  ])
+  t.true(categorySuggestions.assetNames.length <= 1)
+
+  // inactive assets are not suggested
+  const { body: inactiveSuggestions } = await request(t.context.serverUrl)
+    .get('/search/suggest?q=inactive')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.falsy(inactiveSuggestions.assetNames.find(suggestion => suggestion.value === 'Inactive Asset'))
+})
+
+test('fails to get suggestions if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['search:list:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .get('/search/suggest?nbResultsPerType=100')
+    .set(authorizationHeaders)
+    .expect(400)
+
+  t.true(error.message.includes('"q" is required'))
+  t.true(error.message.includes('"nbResultsPerType" must be less than or equal to 20'))
+})
+
 test.serial('generates asset__searched event', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -4,8 +4,17 @@ const test = require('ava')
 const request = require('supertest')
 
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getSystemKey } = require('../../auth')
+const { getAccessTokenHeaders, getSystemKey } = require('../../auth')
 const { getEnvironments } = require('../../../src/util/environment')
+const {
+  getAllScheduledWorkflows,
+  removeScheduledWorkflow,
+
+  dueJobsKeys,
+  setDueJob,
+  getDueJobs,
+  removeDueJob
+} = require('../../../src/redis')
 const {
   getPostgresqlConnection,
   getElasticsearchConnection,
@@ -184,6 +193,117 @@ test('sync elasticsearch', async (t) => {
   t.true(obj.success)
 })
 
+// Must run serially as it has impact on cache state checked in other tests
+test.serial('sync cache with scheduled workflows', async (t) => {
+  const systemKey = getSystemKey()
+
+  const { platformId, env } = t.context
+
+  const systemHeaders = {
+    'x-stelace-system-key': systemKey,
+    'x-stelace-env': env
+  }
+  // cache check covers all environments
+  const syncAllCaches = async () => {
+    for (const syncedEnv of ['test', 'live']) {
+      await request(t.context.serverUrl)
+        .post(`/store/platforms/${platformId}/cache/sync`)
+        .set({ 'x-stelace-system-key': systemKey, 'x-stelace-env': syncedEnv })
+        .expect(200)
+    }
+  }
+
+  const getCachedWorkflowIds = async () => {
+    const scheduledWorkflows = await getAllScheduledWorkflows({ platformId, env })
+    return scheduledWorkflows.map(w => w.workflow.id)
+  }
+  const checkCache = async () => {
+    const { body: { cache: { ok } } } = await request(t.context.serverUrl)
+      .get(`/store/platforms/${platformId}/check`)
+      .set(systemHeaders)
+      .expect(200)
+
+    return ok
+  }
+
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['workflow:create:all'] })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Scheduled workflow in cache',
+      recurringPattern: '0 1 * * *',
+      run: {
+        endpointMethod: 'POST',
+        endpointUri: '/events',
+        endpointPayload: { type: "'scheduled_event'" }
+      }
+    })
+    .expect(200)
+
+  await syncAllCaches()
+
+  t.true((await getCachedWorkflowIds()).includes(workflow.id))
+  t.true(await checkCache())
+
+  // simulates a cache loss
+  await removeScheduledWorkflow({ platformId, env, workflowId: workflow.id })
+
+  t.false(await checkCache())
+
+  await syncAllCaches()
+
+  t.true((await getCachedWorkflowIds()).includes(workflow.id))
+  t.true(await checkCache())
+
+  // leaves cache empty in all environments like it was before this test
+  for (const deletedEnv of ['test', 'live']) {
+    await request(t.context.serverUrl)
+      .delete(`/store/platforms/${platformId}/cache`)
+      .set({ 'x-stelace-system-key': systemKey, 'x-stelace-env': deletedEnv })
+      .expect(200)
+  }
+
+  t.deepEqual(await getCachedWorkflowIds(), [])
+  t.false(await checkCache())
+})
+
+// Must run serially as it has impact on cache state checked in other tests
+test.serial('removes scheduled jobs of the platform environment when deleting cache', async (t) => {
+  const systemKey = getSystemKey()
+
+  const { platformId, env } = t.context
+  const otherEnv = env === 'test' ? 'live' : 'test'
+
+  // far in the future so crons do not process these jobs
+  const executionDate = '2100-01-01T00:00:00.000Z'
+
+  const getJobIds = async (key) => {
+    const dueJobs = await getDueJobs({ key, date: executionDate, limit: 10000 })
+    return dueJobs.map(dueJob => dueJob.jobId)
+  }
+
+  for (const key of Object.values(dueJobsKeys)) {
+    await setDueJob({ platformId, env, key, jobId: `${key}_deleted`, job: { executionDate } })
+    await setDueJob({ platformId, env: otherEnv, key, jobId: `${key}_kept`, job: { executionDate } })
+  }
+
+  await request(t.context.serverUrl)
+    .delete(`/store/platforms/${platformId}/cache`)
+    .set({ 'x-stelace-system-key': systemKey, 'x-stelace-env': env })
+    .expect(200)
+
+  for (const key of Object.values(dueJobsKeys)) {
+    const jobIds = await getJobIds(key)
+
+    t.false(jobIds.includes(`${key}_deleted`))
+    t.true(jobIds.includes(`${key}_kept`))
+
+    await removeDueJob({ key, jobId: `${key}_kept` })
+  }
+})
+
 test('sync cache', async (t) => {
   const systemKey = getSystemKey()
 
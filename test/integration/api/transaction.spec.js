@@ -2,10 +2,11 @@ require('dotenv').config()
 
 const test = require('ava')
 const request = require('supertest')
+const ms = require('ms')
 const _ = require('lodash')
 
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getApiKey } = require('../../auth')
 
 const { getModels } = require('../../../src/models')
 const {
@@ -18,6 +19,7 @@ const {
   checkCursorPaginatedListObject,
 } = require('../../util')
 const { getObjectEvent, testEventMetadata } = require('../../util')
+const { encodeBase64 } = require('../../../src/util/encoding')
 
 test.before(async t => {
   await before({ name: 'transaction' })(t)
@@ -203,6 +205,417 @@ test('previews a transaction', async (t) => {
   t.is(transaction.metadata.dummy, true)
 })
 
+test('previews a transaction with pricing rules and price breakdown', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:preview:all',
+      'asset:create:all'
+    ],
+    userId: 'user-external-id'
+  })
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '10 days')
+
+  // use a dedicated asset as pricing rules would affect other tests
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with pricing rules',
+      assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+      price: 200,
+      currency: 'USD',
+      pricingRules: [
+        {
+          name: 'peak',
+          startDate,
+          endDate: computeDate(startDate, '1 day'),
+          price: 300
+        },
+        {
+          name: 'earlyBird',
+          minLeadTime: { d: 30 },
+          priceChangePercent: -10
+        }
+      ]
+    })
+    .expect(200)
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      duration: { d: 3 },
+      quantity: 1
+    })
+    .expect(200)
+
+  t.is(transaction.value, 700)
+  t.is(transaction.ownerAmount, 665)
+  t.is(transaction.takerAmount, 805)
+  t.is(transaction.platformAmount, 140)
+
+  t.deepEqual(transaction.priceBreakdown, [
+    {
+      startDate,
+      endDate: computeDate(startDate, '1 day'),
+      unitPrice: 300,
+      nbTimeUnits: 1,
+      pricingRuleName: 'peak'
+    },
+    {
+      startDate: computeDate(startDate, '1 day'),
+      endDate: computeDate(startDate, '3 days'),
+      unitPrice: 200,
+      nbTimeUnits: 2,
+      pricingRuleName: null
+    }
+  ])
+})
+
+test('cannot set pricing rules with invalid recurring pattern', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['asset:create:all']
+  })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset with invalid pricing rules',
+      assetTypeId: 'typ_Vr001Be1JBF1hlzxYJBE',
+      price: 200,
+      currency: 'USD',
+      pricingRules: [{ recurringPattern: 'invalid', price: 10 }]
+    })
+    .expect(422)
+
+  t.true(error.message.includes('Invalid recurring pattern'))
+})
+
+test('previews a transaction with a promotion code', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['transaction:preview:all']
+  })
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '10 days')
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      startDate,
+      duration: { d: 3 },
+      quantity: 1,
+      promotionCode: 'SUMMER10'
+    })
+    .expect(200)
+
+  // discount is deducted from taker amount and funded by the platform
+  t.is(transaction.promotionId, 'prmo_a7kQps1I3a1gJYz2I3a')
+  t.is(transaction.discountAmount, 69)
+  t.is(transaction.value, 600)
+  t.is(transaction.ownerAmount, 570)
+  t.is(transaction.takerAmount, 621)
+  t.is(transaction.platformAmount, 51)
+
+  const { body: expiredError } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      startDate,
+      duration: { d: 3 },
+      promotionCode: 'EXPIRED'
+    })
+    .expect(422)
+
+  t.is(expiredError.message, 'Promotion has expired')
+  t.is(expiredError.data.promotionCode, 'EXPIRED')
+
+  const { body: notFoundError } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      startDate,
+      duration: { d: 3 },
+      promotionCode: 'UNKNOWN'
+    })
+    .expect(422)
+
+  t.is(notFoundError.message, 'Promotion code not found')
+})
+
+test('redeems a promotion code at transaction creation with discount line in order', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:create:all',
+      'order:preview:all',
+      'event:list:all'
+    ]
+  })
+
+  const takerId = 'usr_promotion_taker'
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '100 days')
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      takerId,
+      startDate,
+      duration: { d: 3 },
+      quantity: 1,
+      promotionCode: 'WELCOME20'
+    })
+    .expect(200)
+
+  t.is(transaction.promotionId, 'prmo_Ue3Qps1I3a1gJYz2I3a')
+  t.is(transaction.discountAmount, 20)
+  t.is(transaction.takerAmount, 670)
+  t.is(transaction.ownerAmount, 570)
+
+  // only one use per user
+  const { body: limitError } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      takerId,
+      startDate: computeDate(startDate, '10 days'),
+      duration: { d: 3 },
+      quantity: 1,
+      promotionCode: 'WELCOME20'
+    })
+    .expect(422)
+
+  t.is(limitError.message, 'Promotion usage limit per user reached')
+
+  const { body: order } = await request(t.context.serverUrl)
+    .post('/orders/preview')
+    .set(authorizationHeaders)
+    .send({ transactionIds: [transaction.id] })
+    .expect(200)
+
+  t.is(order.amountDue, 670)
+  t.is(order.lines.length, 3)
+
+  const discountLine = order.lines.find(line => line.payerAmount < 0)
+  t.is(discountLine.transactionId, transaction.id)
+  t.is(discountLine.payerId, takerId)
+  t.is(discountLine.payerAmount, -20)
+  t.is(discountLine.platformAmount, -20)
+  t.is(discountLine.metadata.promotionId, 'prmo_Ue3Qps1I3a1gJYz2I3a')
+  t.is(discountLine.metadata.promotionCode, 'WELCOME20')
+
+  await new Promise(resolve => setTimeout(resolve, 300))
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get('/events?type=promotion__redeemed')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const redeemedEvent = events.find(event => event.metadata.transactionId === transaction.id)
+  t.truthy(redeemedEvent)
+  t.is(redeemedEvent.objectId, 'prmo_Ue3Qps1I3a1gJYz2I3a')
+  t.is(redeemedEvent.object.code, 'WELCOME20')
+  t.is(redeemedEvent.metadata.takerId, takerId)
+  t.is(redeemedEvent.metadata.discountAmount, 20)
+})
+
+test('does not exceed promotion usage limit with concurrent redemptions', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'promotion:create:all',
+      'transaction:create:all'
+    ]
+  })
+
+  await request(t.context.serverUrl)
+    .post('/promotions')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Single use offer',
+      code: 'SINGLEUSE',
+      discountPercent: 10,
+      maxUses: 1
+    })
+    .expect(200)
+
+  const now = new Date().toISOString()
+
+  const redeem = (takerId, startDate) => request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      takerId,
+      startDate,
+      duration: { d: 1 },
+      quantity: 1,
+      promotionCode: 'SINGLEUSE'
+    })
+
+  const responses = await Promise.all([
+    redeem('usr_single_use_taker1', computeDate(now, '200 days')),
+    redeem('usr_single_use_taker2', computeDate(now, '210 days'))
+  ])
+
+  const statusCodes = responses.map(res => res.statusCode).sort()
+  t.deepEqual(statusCodes, [200, 422])
+
+  const errorResponse = responses.find(res => res.statusCode === 422)
+  t.is(errorResponse.body.message, 'Promotion usage limit reached')
+})
+
+// serial to prevent config tax rates from changing other transactions pricing
+test.serial('computes transaction taxes from config and adds tax lines to order', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:preview:all',
+      'transaction:create:all',
+      'order:preview:all',
+      'config:edit:all'
+    ]
+  })
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        tax: {
+          mode: 'exclusive',
+          rates: [
+            { name: 'other category', takerRate: 5.5, categoriesIds: ['ctgy_ejQQps1I3a1gJYz2I3a'] },
+            { name: 'default', takerRate: 20, ownerRate: 10, assetTypesIds: ['typ_Vr001Be1JBF1hlzxYJBE'] }
+          ]
+        }
+      }
+    })
+    .expect(200)
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '200 days')
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      startDate,
+      duration: { d: 3 },
+      quantity: 1
+    })
+    .expect(200)
+
+  t.is(transaction.taxMode, 'exclusive')
+  t.is(transaction.takerTaxRate, 20)
+  t.is(transaction.ownerTaxRate, 10)
+  t.is(transaction.takerAmount, 690)
+  t.is(transaction.takerTaxAmount, 138)
+  t.is(transaction.ownerFees, 30)
+  t.is(transaction.ownerTaxAmount, 3)
+
+  const { body: order } = await request(t.context.serverUrl)
+    .post('/orders/preview')
+    .set(authorizationHeaders)
+    .send({ transactionIds: [transaction.id] })
+    .expect(200)
+
+  // taxes come on top of taker amount and are deducted from owner payout
+  t.is(order.amountDue, 828)
+  t.is(order.lines.length, 4)
+
+  const takerTaxLine = order.lines.find(line => line.metadata.tax === 'taker')
+  t.is(takerTaxLine.payerAmount, 138)
+  t.is(takerTaxLine.platformAmount, 138)
+  t.is(takerTaxLine.metadata.taxRate, 20)
+
+  const ownerTaxLine = order.lines.find(line => line.metadata.tax === 'owner')
+  t.is(ownerTaxLine.receiverId, transaction.ownerId)
+  t.is(ownerTaxLine.receiverAmount, -3)
+  t.is(ownerTaxLine.platformAmount, 3)
+  t.is(ownerTaxLine.metadata.taxRate, 10)
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        tax: {
+          mode: 'inclusive'
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: inclusiveTransaction } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+      startDate,
+      duration: { d: 3 },
+      quantity: 1
+    })
+    .expect(200)
+
+  t.is(inclusiveTransaction.taxMode, 'inclusive')
+  t.is(inclusiveTransaction.takerAmount, 690)
+  t.is(inclusiveTransaction.takerTaxAmount, 115)
+  t.is(inclusiveTransaction.ownerTaxAmount, 2.73)
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        tax: null
+      }
+    })
+    .expect(200)
+})
+
+test('cannot set invalid tax rates in config', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['config:edit:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        tax: {
+          mode: 'unknown',
+          rates: [
+            { name: 'no rate' },
+            { name: 'invalid rate', takerRate: 120 }
+          ]
+        }
+      }
+    })
+    .expect(400)
+
+  t.true(error.message.includes('"stelace.tax.mode" must be one of [exclusive, inclusive]'))
+  t.true(error.message.includes('"stelace.tax.rates[0]" must contain at least one of [takerRate, ownerRate]'))
+  t.true(error.message.includes('"stelace.tax.rates[1].takerRate" must be less than or equal to 100'))
+})
+
 test('creates a transaction', async (t) => {
   // use a different user because the owner cannot book her own asset
   const authorizationHeaders = await getAccessTokenHeaders({
@@ -354,18 +767,567 @@ test('fails to create a transaction due to asset unavailability', async (t) => {
   const startDate = computeDate(now, '2 days')
 
   await request(t.context.serverUrl)
-    .post('/transactions')
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: 'ast_0TYM7rs1OwP1gQRuCOwP',
+      startDate,
+      duration: { d: 4 },
+      quantity: 1,
+      metadata: { dummy: true }
+    })
+    .expect(422)
+
+  t.pass()
+})
+
+test('applies asset type buffer times and lead-time rules', async (t) => {
+  const ownerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'assetType:create:all',
+      'assetType:edit:all',
+      'asset:create:all',
+      'availability:list:all'
+    ],
+    userId: 'usr_bufferOwner'
+  })
+  const takerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:preview:all',
+      'transaction:create:all'
+    ],
+    userId: 'usr_bufferTaker'
+  })
+
+  // draft transactions block availability so that no payment is needed
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(ownerHeaders)
+    .send({
+      name: 'Rental with cleaning',
+      timeBased: true,
+      infiniteStock: false,
+      unavailableWhen: ['draft'],
+      timing: {
+        timeUnit: 'd',
+        bufferBefore: { h: 12 },
+        bufferAfter: { d: 1 },
+        minNotice: { d: 2 },
+        maxHorizon: { d: 60 }
+      }
+    })
+    .expect(200)
+
+  t.deepEqual(assetType.timing.bufferAfter, { d: 1 })
+  t.deepEqual(assetType.timing.minNotice, { d: 2 })
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(ownerHeaders)
+    .send({
+      name: 'Asset with cleaning',
+      assetTypeId: assetType.id,
+      quantity: 1,
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const now = new Date().toISOString()
+
+  const preview = (startDate) => request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(takerHeaders)
+    .send({ assetId: asset.id, startDate, duration: { d: 1 } })
+
+  const { body: noticeError } = await preview(computeDate(now, '1 day')).expect(422)
+  t.is(noticeError.message, 'Invalid dates')
+
+  const { body: horizonError } = await preview(computeDate(now, '90 days')).expect(422)
+  t.is(horizonError.message, 'Invalid dates')
+
+  const startDate = computeDate(now, '10 days')
+
+  await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(takerHeaders)
+    .send({ assetId: asset.id, startDate, duration: { d: 2 } })
+    .expect(200)
+
+  // transaction period with buffer times is unavailable
+  const { body: graph } = await request(t.context.serverUrl)
+    .get(`/availabilities/graph?assetId=${asset.id}`)
+    .set(ownerHeaders)
+    .expect(200)
+
+  t.deepEqual(graph.graphDates.map(graphDate => graphDate.date), [
+    computeDate(startDate, '-12 hours'),
+    computeDate(startDate, '3 days')
+  ])
+
+  // cleaning after the first transaction and preparation before the next one are both needed
+  const { body: unavailableError } = await preview(computeDate(startDate, '3 days')).expect(422)
+  t.is(unavailableError.message, 'Asset not available')
+
+  await preview(computeDate(startDate, '84 hours')).expect(200)
+
+  // internal availability is synchronized when buffer times are changed
+  await request(t.context.serverUrl)
+    .patch(`/asset-types/${assetType.id}`)
+    .set(ownerHeaders)
+    .send({ timing: { bufferAfter: null } })
+    .expect(200)
+
+  await preview(computeDate(startDate, '60 hours')).expect(200)
+})
+
+test('holds availability at transaction creation until a transition happens', async (t) => {
+  const ownerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'assetType:create:all',
+      'asset:create:all'
+    ],
+    userId: 'usr_holdOwner'
+  })
+  const takerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:preview:all',
+      'transaction:create:all',
+      'transaction:transition:all'
+    ],
+    userId: 'usr_holdTaker'
+  })
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(ownerHeaders)
+    .send({
+      name: 'Rental with checkout hold',
+      timeBased: true,
+      infiniteStock: false
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(ownerHeaders)
+    .send({
+      name: 'Asset with checkout hold',
+      assetTypeId: assetType.id,
+      quantity: 1,
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '10 days')
+
+  const preview = () => request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(takerHeaders)
+    .send({ assetId: asset.id, startDate, duration: { d: 2 } })
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(takerHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      duration: { d: 2 },
+      hold: { duration: { m: 15 } }
+    })
+    .expect(200)
+
+  t.is(transaction.status, 'draft')
+  t.true(transaction.holdEndDate > computeDate(now, '14 minutes'))
+  t.true(transaction.holdEndDate <= computeDate(new Date().toISOString(), '15 minutes'))
+
+  // draft transactions don't block availability unless they are held
+  const { body: unavailableError } = await preview().expect(422)
+  t.is(unavailableError.message, 'Asset not available')
+
+  const { body: acceptedTransaction } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(takerHeaders)
+    .send({ name: 'accept' })
+    .expect(200)
+
+  t.is(acceptedTransaction.holdEndDate, null)
+
+  await preview().expect(200)
+
+  // transactions without asset have no availability to hold
+  const { body: holdError } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(takerHeaders)
+    .send({ hold: { duration: { m: 15 } } })
+    .expect(422)
+
+  t.regex(holdError.message, /can be held/)
+})
+
+test('does not hold the same availability twice with concurrent holds', async (t) => {
+  const ownerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'assetType:create:all',
+      'asset:create:all'
+    ],
+    userId: 'usr_concurrentHoldOwner'
+  })
+  const takerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:create:all'
+    ],
+    userId: 'usr_concurrentHoldTaker'
+  })
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(ownerHeaders)
+    .send({
+      name: 'Rental with concurrent holds',
+      timeBased: true,
+      infiniteStock: false
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(ownerHeaders)
+    .send({
+      name: 'Asset with concurrent holds',
+      assetTypeId: assetType.id,
+      quantity: 1,
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const startDate = computeDate(new Date().toISOString(), '10 days')
+
+  const hold = () => request(t.context.serverUrl)
+    .post('/transactions')
+    .set(takerHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      duration: { d: 2 },
+      hold: { duration: { m: 15 } }
+    })
+
+  const responses = await Promise.all([hold(), hold()])
+
+  const statusCodes = responses.map(res => res.statusCode).sort()
+  t.deepEqual(statusCodes, [200, 422])
+
+  const errorResponse = responses.find(res => res.statusCode === 422)
+  t.is(errorResponse.body.message, 'Asset not available')
+})
+
+// Must run serially because the test manipulates time
+test.serial('releases held availability when the hold expires', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'asset:create:all',
+      'assetType:create:all',
+      'transaction:preview:all',
+      'transaction:create:all',
+      'transaction:read:all',
+      'event:list:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`,
+    'x-stelace-user-id': 'user2' // another user (otherwise owner cannot book the asset)
+  }
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset type with expiring hold',
+      timeBased: true,
+      infiniteStock: false
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(_.omit(authorizationHeaders, 'x-stelace-user-id'))
+    .send({
+      name: 'Asset with expiring hold',
+      assetTypeId: assetType.id,
+      ownerId: 'user1',
+      quantity: 1,
+      price: 1000,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const startDate = computeDate(new Date().toISOString(), '10 days')
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      duration: { d: 1 },
+      hold: { duration: { m: 10 } }
+    })
+    .expect(200)
+
+  t.truthy(transaction.holdEndDate)
+
+  t.context.server._clock.tick(ms('20m'))
+
+  // restore the clock so we can use `setTimeout` to wait for the hold expiration
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, 3000))
+
+  await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(authorizationHeaders)
+    .send({ assetId: asset.id, startDate, duration: { d: 1 } })
+    .expect(200)
+
+  const { body: expiredTransaction } = await request(t.context.serverUrl)
+    .get(`/transactions/${transaction.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  // the transaction is kept, only its hold is released
+  t.is(expiredTransaction.status, 'draft')
+  t.is(expiredTransaction.holdEndDate, transaction.holdEndDate)
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get('/events?type=transaction__hold_expired')
+    .set(_.omit(authorizationHeaders, 'x-stelace-user-id'))
+    .expect(200)
+
+  const holdExpiredEvent = getObjectEvent({
+    events,
+    eventType: 'transaction__hold_expired',
+    objectId: transaction.id
+  })
+  t.truthy(holdExpiredEvent)
+})
+
+test('checks out several assets creating transactions and order at once', async (t) => {
+  const takerId = '4d5a5ed4-67d0-4c5b-a8d7-3c4b7e4fd0a1'
+
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:create',
+      'order:create'
+    ],
+    userId: takerId
+  })
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '200 days')
+
+  const { body: { order, transactions } } = await request(t.context.serverUrl)
+    .post('/transactions/checkout')
+    .set(authorizationHeaders)
+    .send({
+      lines: [
+        {
+          assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+          startDate,
+          duration: { d: 3 },
+          quantity: 2,
+          metadata: { dummy: true }
+        },
+        {
+          assetId: 'ast_Ezn28as1k0M1glVvkk0M',
+          startDate,
+          duration: { d: 2 }
+        }
+      ],
+      metadata: { cart: true }
+    })
+    .expect(200)
+
+  t.is(transactions.length, 2)
+  t.deepEqual(transactions.map(transaction => transaction.assetId), [
+    'ast_0KAm3He1ze11iSSR4ze0',
+    'ast_Ezn28as1k0M1glVvkk0M'
+  ])
+  transactions.forEach(transaction => {
+    t.is(transaction.takerId, takerId)
+    t.is(transaction.startDate, startDate)
+    t.is(typeof transaction.takerAmount, 'number')
+  })
+  t.is(transactions[0].quantity, 2)
+  t.is(transactions[0].metadata.dummy, true)
+  t.is(transactions[1].quantity, 1)
+
+  t.truthy(order.id)
+  t.is(order.payerId, takerId)
+  t.is(order.currency, 'USD')
+  t.is(order.amountDue, _.sumBy(transactions, 'takerAmount'))
+  t.is(order.lines.length, 4) // payer and receiver lines for each transaction
+  t.deepEqual(_.uniq(order.lines.map(line => line.transactionId)), transactions.map(transaction => transaction.id))
+  t.is(order.metadata.cart, true)
+})
+
+test('does not check out the same availability twice with concurrent checkouts', async (t) => {
+  const ownerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'assetType:create:all',
+      'asset:create:all'
+    ],
+    userId: 'usr_concurrentCheckoutOwner'
+  })
+  const takerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:create',
+      'order:create'
+    ],
+    userId: 'usr_concurrentCheckoutTaker'
+  })
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(ownerHeaders)
+    .send({
+      name: 'Rental with concurrent checkouts',
+      timeBased: true,
+      infiniteStock: false,
+      unavailableWhen: ['draft'] // so that checked out transactions block availability at once
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(ownerHeaders)
+    .send({
+      name: 'Asset with concurrent checkouts',
+      assetTypeId: assetType.id,
+      quantity: 1,
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const startDate = computeDate(new Date().toISOString(), '10 days')
+
+  const checkout = () => request(t.context.serverUrl)
+    .post('/transactions/checkout')
+    .set(takerHeaders)
+    .send({
+      lines: [
+        { assetId: asset.id, startDate, duration: { d: 2 } }
+      ]
+    })
+
+  const responses = await Promise.all([checkout(), checkout()])
+
+  const statusCodes = responses.map(res => res.statusCode).sort()
+  t.deepEqual(statusCodes, [200, 422])
+
+  const errorResponse = responses.find(res => res.statusCode === 422)
+  t.is(errorResponse.body.message, 'Asset not available')
+})
+
+test('fails to check out if any asset is unavailable and does not create any transaction', async (t) => {
+  const takerId = 'bd9f1d57-0a57-4b8e-9a0e-74b4f66d0b2c'
+
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:create',
+      'transaction:list',
+      'order:create',
+      'order:list'
+    ],
+    userId: takerId
+  })
+
+  const now = new Date().toISOString()
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/transactions/checkout')
+    .set(authorizationHeaders)
+    .send({
+      lines: [
+        {
+          assetId: 'ast_0KAm3He1ze11iSSR4ze0',
+          startDate: computeDate(now, '210 days'),
+          duration: { d: 3 }
+        },
+        {
+          assetId: 'ast_0TYM7rs1OwP1gQRuCOwP',
+          startDate: computeDate(now, '2 days'),
+          duration: { d: 4 }
+        }
+      ]
+    })
+    .expect(422)
+
+  t.is(error.message, 'Asset not available')
+  t.is(error.data.assetId, 'ast_0TYM7rs1OwP1gQRuCOwP')
+
+  const { body: { results: transactions } } = await request(t.context.serverUrl)
+    .get(`/transactions?takerId=${takerId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(transactions.length, 0)
+
+  const { body: { results: orders } } = await request(t.context.serverUrl)
+    .get(`/orders?payerId=${takerId}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(orders.length, 0)
+
+  // the same asset cannot be included in several lines
+  await request(t.context.serverUrl)
+    .post('/transactions/checkout')
     .set(authorizationHeaders)
     .send({
-      assetId: 'ast_0TYM7rs1OwP1gQRuCOwP',
-      startDate,
-      duration: { d: 4 },
-      quantity: 1,
-      metadata: { dummy: true }
+      lines: [
+        { assetId: 'ast_0KAm3He1ze11iSSR4ze0', startDate: computeDate(now, '210 days'), duration: { d: 3 } },
+        { assetId: 'ast_0KAm3He1ze11iSSR4ze0', startDate: computeDate(now, '220 days'), duration: { d: 3 } }
+      ]
     })
-    .expect(422)
-
-  t.pass()
+    .expect(400)
 })
 
 test('creates a transaction without any information besides the taker', async (t) => {
@@ -1385,6 +2347,242 @@ test('cancels a transaction', async (t) => {
   t.true(updatedTransaction.cancelledDate === cancellationStep.date)
 })
 
+// Must run serially because the test manipulates time
+test.serial('applies a timed transition after the specified duration', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'asset:create:all',
+      'assetType:create:all',
+      'transaction:create:all',
+      'transaction:read:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`,
+    'x-stelace-user-id': 'user2' // another user (otherwise owner cannot book the asset)
+  }
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset type with timed transition',
+      timeBased: false,
+      infiniteStock: true,
+      transactionProcess: {
+        initStatus: 'draft',
+        cancelStatus: 'cancelled',
+        transitions: [
+          { name: 'accept', from: 'draft', to: 'accepted', actors: ['owner'] },
+          { name: 'cancel', from: 'draft', to: 'cancelled', actors: ['owner'], after: { duration: { h: 1 } } },
+          { name: 'cancel', from: 'accepted', to: 'cancelled', actors: ['owner'] }
+        ]
+      }
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(_.omit(authorizationHeaders, 'x-stelace-user-id'))
+    .send({
+      name: 'Asset with timed transition',
+      assetTypeId: assetType.id,
+      ownerId: 'user1',
+      price: 1000,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({
+      assetId: asset.id,
+      quantity: 1
+    })
+    .expect(200)
+
+  t.is(transaction.status, 'draft')
+
+  t.context.server._clock.tick(ms('2h'))
+
+  // restore the clock so we can use `setTimeout` to wait for the transition to be applied
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, 3000))
+
+  const { body: cancelledTransaction } = await request(t.context.serverUrl)
+    .get(`/transactions/${transaction.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(cancelledTransaction.status, 'cancelled')
+  t.truthy(cancelledTransaction.cancelledDate)
+  t.is(cancelledTransaction.cancellationReason, 'timedTransition')
+
+  const cancellationStep = cancelledTransaction.statusHistory.find(step => step.status === 'cancelled')
+  t.truthy(cancellationStep)
+  t.true(cancellationStep.data.timedTransition)
+})
+
+test.serial('checks data schema and conditions guards but not actor guards for timed transitions', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'asset:create:all',
+      'assetType:create:all',
+      'transaction:create:all',
+      'transaction:read:all'
+    ]
+  })
+
+  const authorizationHeaders = {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`,
+    'x-stelace-user-id': 'user2' // another user (otherwise owner cannot book the asset)
+  }
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Asset type with guarded timed transition',
+      timeBased: false,
+      infiniteStock: true,
+      transactionProcess: {
+        initStatus: 'draft',
+        cancelStatus: 'cancelled',
+        transitions: [
+          {
+            name: 'cancel',
+            from: 'draft',
+            to: 'cancelled',
+            actors: ['owner'],
+            after: { duration: { h: 1 } },
+            guards: {
+              conditions: ['transaction.quantity < 2'],
+              roles: ['provider'],
+              permissions: ['transaction:config:all']
+            }
+          }
+        ]
+      }
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(_.omit(authorizationHeaders, 'x-stelace-user-id'))
+    .send({
+      name: 'Asset with guarded timed transition',
+      assetTypeId: assetType.id,
+      ownerId: 'user1',
+      price: 1000,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({ assetId: asset.id, quantity: 1 })
+    .expect(200)
+
+  const { body: guardedTransaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(authorizationHeaders)
+    .send({ assetId: asset.id, quantity: 2 })
+    .expect(200)
+
+  t.context.server._clock.tick(ms('2h'))
+
+  // restore the clock so we can use `setTimeout` to wait for the transition to be applied
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, 3000))
+
+  const { body: cancelledTransaction } = await request(t.context.serverUrl)
+    .get(`/transactions/${transaction.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  // roles and permissions guards are skipped as there is no actor
+  t.is(cancelledTransaction.status, 'cancelled')
+
+  const { body: draftTransaction } = await request(t.context.serverUrl)
+    .get(`/transactions/${guardedTransaction.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(draftTransaction.status, 'draft')
+})
+
+test('cannot create an asset type with invalid timed transition', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['assetType:create:all'] })
+
+  const result = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Invalid timed transition',
+      timeBased: false,
+      infiniteStock: true,
+      transactionProcess: {
+        initStatus: 'draft',
+        cancelStatus: 'cancelled',
+        transitions: [
+          { name: 'cancel', from: 'draft', to: 'cancelled', after: { from: 'unknownDate' } }
+        ]
+      }
+    })
+    .expect(400)
+
+  const error = result.body
+  t.true(error.message.includes('"duration" is required'))
+  t.true(error.message.includes('"from" must be one of'))
+})
+
 test('cannot trigger a transaction transition if the current user is not included in the transition actors list', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -1405,6 +2603,191 @@ test('cannot trigger a transaction transition if the current user is not include
   t.pass()
 })
 
+test('cannot trigger a transaction transition if a guard fails', async (t) => {
+  const createAssetAuthorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'asset:create:all',
+      'assetType:create:all'
+    ],
+    userId: 'user1'
+  })
+  const takerAuthorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['transaction:create:all'],
+    userId: 'user2' // another user (otherwise owner cannot book the asset)
+  })
+  const ownerAuthorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['transaction:transition'],
+    userId: 'user1'
+  })
+
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(createAssetAuthorizationHeaders)
+    .send({
+      name: 'Asset type with transition guards',
+      timeBased: false,
+      infiniteStock: true,
+      transactionProcess: {
+        initStatus: 'draft',
+        cancelStatus: 'cancelled',
+        transitions: [
+          {
+            name: 'accept',
+            from: 'draft',
+            to: 'accepted',
+            actors: ['owner'],
+            guards: {
+              dataSchema: {
+                type: 'object',
+                properties: {
+                  reference: { type: 'string' }
+                },
+                required: ['reference']
+              },
+              conditions: ['transaction.quantity <= data.maxQuantity']
+            }
+          },
+          {
+            name: 'cancel',
+            from: 'draft',
+            to: 'cancelled',
+            actors: ['owner'],
+            guards: {
+              roles: ['provider']
+            }
+          },
+          { name: 'cancel', from: 'accepted', to: 'cancelled', actors: ['owner'] },
+          {
+            name: 'complete',
+            from: 'accepted',
+            to: 'completed',
+            actors: ['owner'],
+            guards: {
+              permissions: ['transaction:config:all']
+            }
+          }
+        ]
+      }
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(createAssetAuthorizationHeaders)
+    .send({
+      name: 'Asset with transition guards',
+      assetTypeId: assetType.id,
+      price: 1000,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(takerAuthorizationHeaders)
+    .send({
+      assetId: asset.id,
+      quantity: 2
+    })
+    .expect(200)
+
+  const { body: dataError } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerAuthorizationHeaders)
+    .send({
+      name: 'accept',
+      data: { maxQuantity: 5 }
+    })
+    .expect(422)
+
+  t.true(dataError.message.includes('Transition guard "dataSchema" failed'))
+  t.is(dataError.data.guard, 'dataSchema')
+
+  const { body: conditionError } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerAuthorizationHeaders)
+    .send({
+      name: 'accept',
+      data: { reference: 'ref', maxQuantity: 1 }
+    })
+    .expect(422)
+
+  t.true(conditionError.message.includes('Transition guard "conditions" failed'))
+  t.is(conditionError.data.condition, 'transaction.quantity <= data.maxQuantity')
+
+  const { body: rolesError } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerAuthorizationHeaders)
+    .send({
+      name: 'cancel',
+      data: { cancellationReason: 'declinedByOwner' }
+    })
+    .expect(422)
+
+  t.true(rolesError.message.includes('Transition guard "roles" failed'))
+  t.deepEqual(rolesError.data.roles, ['provider'])
+
+  const { body: acceptedTransaction } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerAuthorizationHeaders)
+    .send({
+      name: 'accept',
+      data: { reference: 'ref', maxQuantity: 5 }
+    })
+    .expect(200)
+
+  t.is(acceptedTransaction.status, 'accepted')
+
+  const { body: permissionsError } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerAuthorizationHeaders)
+    .send({ name: 'complete' })
+    .expect(422)
+
+  t.true(permissionsError.message.includes('Transition guard "permissions" failed'))
+  t.deepEqual(permissionsError.data.permissions, ['transaction:config:all'])
+
+  const ownerWithPermissionAuthorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['transaction:transition', 'transaction:config:all'],
+    userId: 'user1'
+  })
+
+  const { body: completedTransaction } = await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(ownerWithPermissionAuthorizationHeaders)
+    .send({ name: 'complete' })
+    .expect(200)
+
+  t.is(completedTransaction.status, 'completed')
+})
+
+test('cannot create an asset type with invalid transition guards', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['assetType:create:all'] })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Invalid transition guards',
+      timeBased: false,
+      infiniteStock: true,
+      transactionProcess: {
+        initStatus: 'draft',
+        cancelStatus: 'cancelled',
+        transitions: [
+          { name: 'cancel', from: 'draft', to: 'cancelled', guards: { conditions: ['transaction.value >'] } }
+        ]
+      }
+    })
+    .expect(422)
+
+  t.true(error.message.includes('Invalid condition guard'))
+})
+
 test('can process a transaction if the current user is not included in the transition actors list but has the all permission', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -1654,6 +3037,7 @@ test('fails to create a transaction if missing or invalid parameters', async (t)
       duration: true,
       quantity: 'invalid',
       takerId: true,
+      hold: true,
       metadata: true,
       platformData: true
     })
@@ -1666,8 +3050,53 @@ test('fails to create a transaction if missing or invalid parameters', async (t)
   t.true(error.message.includes('"duration" must be of type object'))
   t.true(error.message.includes('"quantity" must be a number'))
   t.true(error.message.includes('"takerId" must be a string'))
+  t.true(error.message.includes('"hold" must be of type object'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
+
+  // invalid hold duration
+  result = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      hold: { duration: { d: 1 } }
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"hold.duration.d" is not allowed'))
+
+  // hold durations are capped
+  result = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      hold: { duration: { h: 1000000 } }
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"hold.duration.h" must be less than or equal to 24'))
+
+  result = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      hold: { duration: { m: 1441 } }
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"hold.duration.m" must be less than or equal to 1440'))
 })
 
 test('fails to update a transaction if missing or invalid parameters', async (t) => {
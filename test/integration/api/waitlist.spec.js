@@ -0,0 +1,316 @@
+require('dotenv').config()
+
+const test = require('ava')
+const request = require('supertest')
+
+const { before, beforeEach, after } = require('../../lifecycle')
+const { getAccessTokenHeaders } = require('../../auth')
+const {
+  getObjectEvent,
+  checkCursorPaginatedListObject
+} = require('../../util')
+const { computeDate } = require('../../../src/util/time')
+
+const takerPermissions = [
+  'transaction:preview',
+  'transaction:create',
+  'waitlist:list',
+  'waitlist:read',
+  'waitlist:create',
+  'waitlist:remove'
+]
+
+const createFullyBookedAsset = async ({ t, startDate, endDate, name }) => {
+  const ownerHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'assetType:create:all',
+      'asset:create:all',
+      'transaction:create:all'
+    ]
+  })
+
+  // draft transactions block availability so that no payment is needed
+  const { body: assetType } = await request(t.context.serverUrl)
+    .post('/asset-types')
+    .set(ownerHeaders)
+    .send({
+      name,
+      timeBased: true,
+      infiniteStock: false,
+      unavailableWhen: ['draft']
+    })
+    .expect(200)
+
+  const { body: asset } = await request(t.context.serverUrl)
+    .post('/assets')
+    .set(ownerHeaders)
+    .send({
+      name,
+      assetTypeId: assetType.id,
+      quantity: 1,
+      price: 100,
+      currency: 'USD'
+    })
+    .expect(200)
+
+  const { body: transaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(ownerHeaders)
+    .send({
+      assetId: asset.id,
+      startDate,
+      endDate,
+      takerId: 'usr_waitlistBooker'
+    })
+    .expect(200)
+
+  return { asset, transaction }
+}
+
+test.before(async (t) => {
+  await before({ name: 'waitlist' })(t)
+  await beforeEach()(t)
+})
+// test.beforeEach(beforeEach())
+test.after(after())
+
+test('offers a held slot to the first waiting user when a transaction is cancelled', async (t) => {
+  const firstTakerId = 'usr_waitlistFirst'
+  const secondTakerId = 'usr_waitlistSecond'
+
+  const firstTakerHeaders = await getAccessTokenHeaders({ t, permissions: takerPermissions, userId: firstTakerId })
+  const secondTakerHeaders = await getAccessTokenHeaders({ t, permissions: takerPermissions, userId: secondTakerId })
+  const adminHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'transaction:transition:all',
+      'event:list:all'
+    ]
+  })
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '10 days')
+  const endDate = computeDate(now, '12 days')
+
+  const { asset, transaction } = await createFullyBookedAsset({ t, startDate, endDate, name: 'Fully booked asset' })
+
+  const { body: firstWaitlist } = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(firstTakerHeaders)
+    .send({ assetId: asset.id, startDate, endDate, metadata: { test: true } })
+    .expect(200)
+
+  t.is(firstWaitlist.userId, firstTakerId)
+  t.is(firstWaitlist.status, 'waiting')
+  t.is(firstWaitlist.quantity, 1)
+  t.is(firstWaitlist.holdEndDate, null)
+  t.true(firstWaitlist.metadata.test)
+
+  // cannot join twice for the same period
+  await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(firstTakerHeaders)
+    .send({ assetId: asset.id, startDate, endDate })
+    .expect(422)
+
+  const { body: secondWaitlist } = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(secondTakerHeaders)
+    .send({ assetId: asset.id, startDate, endDate })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post(`/transactions/${transaction.id}/transitions`)
+    .set(adminHeaders)
+    .send({ name: 'cancel' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, 1000))
+
+  const { body: offeredWaitlist } = await request(t.context.serverUrl)
+    .get(`/waitlists/${firstWaitlist.id}`)
+    .set(firstTakerHeaders)
+    .expect(200)
+
+  t.is(offeredWaitlist.status, 'offered')
+  t.truthy(offeredWaitlist.offeredDate)
+  t.is(offeredWaitlist.holdEndDate, computeDate(offeredWaitlist.offeredDate, '24 hours'))
+
+  const { body: stillWaitingWaitlist } = await request(t.context.serverUrl)
+    .get(`/waitlists/${secondWaitlist.id}`)
+    .set(secondTakerHeaders)
+    .expect(200)
+
+  t.is(stillWaitingWaitlist.status, 'waiting')
+
+  // the held slot cannot be booked by other users
+  const { body: unavailableError } = await request(t.context.serverUrl)
+    .post('/transactions/preview')
+    .set(secondTakerHeaders)
+    .send({ assetId: asset.id, startDate, endDate })
+    .expect(422)
+
+  t.is(unavailableError.message, 'Asset not available')
+
+  const { body: { results: events } } = await request(t.context.serverUrl)
+    .get('/events?type=waitlist__slot_offered')
+    .set(adminHeaders)
+    .expect(200)
+
+  const slotOfferedEvent = getObjectEvent({
+    events,
+    eventType: 'waitlist__slot_offered',
+    objectId: firstWaitlist.id
+  })
+  t.truthy(slotOfferedEvent)
+  t.is(slotOfferedEvent.metadata.userId, firstTakerId)
+  t.is(slotOfferedEvent.metadata.assetId, asset.id)
+  t.is(slotOfferedEvent.metadata.holdEndDate, offeredWaitlist.holdEndDate)
+
+  // declining the offer gives the slot to the next user
+  await request(t.context.serverUrl)
+    .delete(`/waitlists/${firstWaitlist.id}`)
+    .set(firstTakerHeaders)
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, 300))
+
+  const { body: nextOfferedWaitlist } = await request(t.context.serverUrl)
+    .get(`/waitlists/${secondWaitlist.id}`)
+    .set(secondTakerHeaders)
+    .expect(200)
+
+  t.is(nextOfferedWaitlist.status, 'offered')
+
+  // the user the slot is held for can book it
+  const { body: bookedTransaction } = await request(t.context.serverUrl)
+    .post('/transactions')
+    .set(secondTakerHeaders)
+    .send({ assetId: asset.id, startDate, endDate })
+    .expect(200)
+
+  const { body: bookedWaitlist } = await request(t.context.serverUrl)
+    .get(`/waitlists/${secondWaitlist.id}`)
+    .set(secondTakerHeaders)
+    .expect(200)
+
+  t.is(bookedWaitlist.status, 'booked')
+  t.is(bookedWaitlist.transactionId, bookedTransaction.id)
+})
+
+test('lists waitlists', async (t) => {
+  const takerId = 'usr_waitlistLister'
+  const takerHeaders = await getAccessTokenHeaders({ t, permissions: takerPermissions, userId: takerId })
+
+  const now = new Date().toISOString()
+  const startDate = computeDate(now, '20 days')
+  const endDate = computeDate(now, '21 days')
+
+  const { asset } = await createFullyBookedAsset({ t, startDate, endDate, name: 'Listed waitlist asset' })
+
+  await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(takerHeaders)
+    .send({ assetId: asset.id, startDate, endDate })
+    .expect(200)
+
+  const { body: obj } = await request(t.context.serverUrl)
+    .get(`/waitlists?userId=${takerId}`)
+    .set(takerHeaders)
+    .expect(200)
+
+  checkCursorPaginatedListObject(t, obj)
+  t.is(obj.results.length, 1)
+  t.is(obj.results[0].assetId, asset.id)
+
+  // other users waitlists are hidden without the "all" permission
+  await request(t.context.serverUrl)
+    .get('/waitlists')
+    .set(takerHeaders)
+    .expect(403)
+})
+
+test('cannot join a waitlist if the asset is available', async (t) => {
+  const takerHeaders = await getAccessTokenHeaders({ t, permissions: takerPermissions, userId: 'usr_waitlistEarly' })
+
+  const now = new Date().toISOString()
+
+  const { asset } = await createFullyBookedAsset({
+    t,
+    startDate: computeDate(now, '30 days'),
+    endDate: computeDate(now, '31 days'),
+    name: 'Partially booked asset'
+  })
+
+  const { body: error } = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(takerHeaders)
+    .send({
+      assetId: asset.id,
+      startDate: computeDate(now, '40 days'),
+      endDate: computeDate(now, '41 days')
+    })
+    .expect(422)
+
+  t.regex(error.message, /Asset is available/)
+})
+
+// ////////// //
+// VALIDATION //
+// ////////// //
+
+test('fails to create a waitlist if missing or invalid parameters', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: ['waitlist:create:all']
+  })
+
+  let result
+  let error
+
+  // missing body
+  result = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(authorizationHeaders)
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"body" is required'))
+
+  // missing required parameters
+  result = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(authorizationHeaders)
+    .send({})
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"assetId" is required'))
+  t.true(error.message.includes('"startDate" is required'))
+  t.true(error.message.includes('"endDate" is required'))
+
+  // parameters with wrong type or format
+  result = await request(t.context.serverUrl)
+    .post('/waitlists')
+    .set(authorizationHeaders)
+    .send({
+      assetId: true,
+      userId: true,
+      startDate: 'invalid',
+      endDate: true,
+      quantity: 0,
+      metadata: true,
+      platformData: true
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"assetId" must be a string'))
+  t.true(error.message.includes('"userId" must be a string'))
+  t.true(error.message.includes('"startDate" must be a valid ISO 8601 date'))
+  t.true(error.message.includes('"endDate" must be a string'))
+  t.true(error.message.includes('"quantity" must be greater than or equal to 1'))
+  t.true(error.message.includes('"metadata" must be of type object'))
+  t.true(error.message.includes('"platformData" must be of type object'))
+})
@@ -2,16 +2,22 @@ require('dotenv').config()
 
 const test = require('ava')
 const request = require('supertest')
+const crypto = require('crypto')
+const ms = require('ms')
 const express = require('express')
 const bodyParser = require('body-parser')
 
 const userServer = express()
 let userServerPort
 const userServerCalls = {}
+const userServerCallsHeaders = {}
 let userApp
 
+// number of failed calls before flaky endpoint succeeds
+let nbFlakyFailures = 1
+
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getApiKey } = require('../../auth')
 const {
   testEventDelay,
 
@@ -19,6 +25,7 @@ const {
   checkCursorPaginatedListObject,
 } = require('../../util')
 const { apiVersions } = require('../../../src/versions')
+const { encodeBase64 } = require('../../../src/util/encoding')
 
 let userWebhookUrl
 
@@ -34,12 +41,21 @@ test.before(async (t) => {
   userServer.post('/error', function (req, res) {
     res.status(500).json({ message: 'Webhook target server error' })
   })
+  userServer.post('/flaky', function (req, res, next) {
+    if (nbFlakyFailures <= 0) return next()
+
+    nbFlakyFailures -= 1
+    res.status(503).json({ message: 'Webhook target server temporarily unavailable' })
+  })
   userServer.post('*', function (req, res) {
     const webhookName = req.path.replace('/', '')
 
     if (!Array.isArray(userServerCalls[webhookName])) userServerCalls[webhookName] = []
     userServerCalls[webhookName].unshift(req.body)
 
+    if (!Array.isArray(userServerCallsHeaders[webhookName])) userServerCallsHeaders[webhookName] = []
+    userServerCallsHeaders[webhookName].unshift(req.headers)
+
     res.json({ ok: true })
   })
 
@@ -62,6 +78,45 @@ test.after(async (t) => {
   await userApp.close()
 })
 
+const getTimeManipulationHeaders = async (t) => {
+  // use an api key without roles instead of access token for authentication
+  // because roles checking doesn't work well with time manipulation
+  const apiKey = await getApiKey({
+    t,
+    type: 'custom',
+    permissions: [
+      'config:edit:all',
+      'event:create:all',
+      'webhook:create:all',
+      'webhook:read:all'
+    ]
+  })
+
+  return {
+    authorization: `Basic ${encodeBase64(apiKey.key + ':')}`
+  }
+}
+
+const tickAndRestoreClock = async (t, duration) => {
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  t.context.server._clock.tick(duration)
+
+  // restore the clock so we can use `setTimeout` to wait for the delivery attempt
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, 3000))
+}
+
 // need serial to ensure there is no insertion/deletion during pagination scenario
 test.serial('list webhooks', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:list:all'] })
@@ -309,6 +364,86 @@ test('creates a webhook with a custom event type', async (t) => {
   t.is(webhookAfterCall.logs[0].status, 'success')
 })
 
+test('creates a webhook with several events, wildcard patterns and filter', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:edit:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with several events',
+      targetUrl: userWebhookUrl + 'severalEvents',
+      events: ['first_multi_event', 'wildcard_multi_event*'],
+      filter: 'event.metadata.important === true'
+    })
+    .expect(200)
+
+  t.deepEqual(webhook.events, ['first_multi_event', 'wildcard_multi_event*'])
+  t.is(webhook.event, null)
+  t.is(webhook.filter, 'event.metadata.important === true')
+
+  const createEvent = (type, important) => request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type, metadata: { important } })
+    .expect(200)
+
+  const { body: event1 } = await createEvent('first_multi_event', true)
+  const { body: event2 } = await createEvent('wildcard_multi_event_matching', true)
+  await createEvent('first_multi_event', false) // filtered out
+  await createEvent('other_multi_event', true) // not matching any pattern
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.is(userServerCalls.severalEvents.length, 2)
+  t.deepEqual(
+    userServerCalls.severalEvents.map(call => call.event.id).sort(),
+    [event1.id, event2.id].sort()
+  )
+
+  const { body: updatedWebhook } = await request(t.context.serverUrl)
+    .patch(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .send({
+      events: ['*'],
+      filter: null
+    })
+    .expect(200)
+
+  t.deepEqual(updatedWebhook.events, ['*'])
+  t.is(updatedWebhook.filter, null)
+
+  await createEvent('other_multi_event', false)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.true(userServerCalls.severalEvents.some(call => call.event.type === 'other_multi_event'))
+})
+
+test('cannot create a webhook with an invalid filter expression', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({ t, permissions: ['webhook:create:all'] })
+
+  await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with invalid filter',
+      targetUrl: 'https://example.com',
+      events: ['asset__*'],
+      filter: 'event.object.name ==='
+    })
+    .expect(422)
+
+  t.pass()
+})
+
 test('creates a webhook with targetUrl server returning errors', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -355,6 +490,405 @@ test('creates a webhook with targetUrl server returning errors', async (t) => {
   t.is(webhookAfterCall.logs.length, 1)
   t.is(webhookAfterCall.logs[0].status, 'error')
   t.is(webhookAfterCall.logs[0].metadata.eventObjectId, category.id)
+
+  // next delivery attempt is scheduled
+  t.is(webhookAfterCall.logs[0].metadata.attempt, 1)
+  t.truthy(webhookAfterCall.logs[0].metadata.nextRetryDate)
+  t.true(webhookAfterCall.logs[0].metadata.nextRetryDate > webhookAfterCall.logs[0].createdDate)
+})
+
+// Must run serially because the test manipulates time
+test.serial('retries a failed webhook delivery', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const authorizationHeaders = await getTimeManipulationHeaders(t)
+
+  nbFlakyFailures = 1
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with flaky targetUrl',
+      targetUrl: userWebhookUrl + 'flaky',
+      event: 'flaky_event'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'flaky_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: webhookAfterFailure } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookAfterFailure.logs.length, 1)
+  t.is(webhookAfterFailure.logs[0].status, 'error')
+  t.is(webhookAfterFailure.logs[0].metadata.statusCode, 503)
+  t.truthy(webhookAfterFailure.logs[0].metadata.nextRetryDate)
+  t.is(userServerCalls.flaky, undefined)
+
+  // first retry is scheduled 30 seconds after the failure
+  await tickAndRestoreClock(t, ms('1m'))
+
+  const { body: webhookAfterRetry } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookAfterRetry.logs.length, 2)
+
+  const retryLog = webhookAfterRetry.logs.find(log => log.metadata.attempt === 2)
+  t.truthy(retryLog)
+  t.is(retryLog.status, 'success')
+  t.is(retryLog.eventId, webhookAfterFailure.logs[0].eventId)
+  t.is(retryLog.metadata.nextRetryDate, null)
+
+  t.is(userServerCalls.flaky.length, 1)
+  t.is(userServerCalls.flaky[0].event.type, 'flaky_event')
+
+  t.true(webhookAfterRetry.active)
+  t.is(webhookAfterRetry.stats.nbConsecutiveFailures, 0)
+})
+
+// Must run serially because the test manipulates time and changes delivery config
+test.serial('deactivates a webhook after too many failed deliveries', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const authorizationHeaders = await getTimeManipulationHeaders(t)
+
+  // lower limits so that the webhook is deactivated after the first retry
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        webhook: {
+          maxDeliveryAttempts: 2,
+          maxConsecutiveFailures: 1
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook deactivated after failures',
+      targetUrl: userWebhookUrl + 'error',
+      event: 'failing_event'
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'failing_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  const { body: webhookAfterFailure } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhookAfterFailure.logs.length, 1)
+  t.truthy(webhookAfterFailure.logs[0].metadata.nextRetryDate)
+  t.true(webhookAfterFailure.active)
+
+  await tickAndRestoreClock(t, ms('1m'))
+
+  const { body: deactivatedWebhook } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(deactivatedWebhook.logs.length, 2)
+
+  const lastAttemptLog = deactivatedWebhook.logs.find(log => log.metadata.attempt === 2)
+  t.truthy(lastAttemptLog)
+  t.is(lastAttemptLog.status, 'error')
+  t.is(lastAttemptLog.metadata.nextRetryDate, null)
+  t.true(lastAttemptLog.metadata.webhookDeactivated)
+
+  t.false(deactivatedWebhook.active)
+  t.is(deactivatedWebhook.stats.nbConsecutiveFailures, 1)
+  t.truthy(deactivatedWebhook.stats.deactivatedDate)
+
+  await request(t.context.serverUrl)
+    .patch('/config')
+    .set(authorizationHeaders)
+    .send({
+      stelace: {
+        webhook: null
+      }
+    })
+    .expect(200)
+})
+
+test('only reveals webhook secret on creation and rotation', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:list:all',
+      'webhook:create:all',
+      'webhook:read:all',
+      'webhook:edit:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with rotated secret',
+      targetUrl: userWebhookUrl + 'rotatedSecret',
+      event: 'asset__created'
+    })
+    .expect(200)
+
+  t.truthy(webhook.secret)
+
+  const { body: readWebhook } = await request(t.context.serverUrl)
+    .get(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(readWebhook.secret, undefined)
+
+  const { body: { results: webhooks } } = await request(t.context.serverUrl)
+    .get(`/webhooks?id=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(webhooks.length, 1)
+  t.is(webhooks[0].secret, undefined)
+
+  const { body: updatedWebhook } = await request(t.context.serverUrl)
+    .patch(`/webhooks/${webhook.id}`)
+    .set(authorizationHeaders)
+    .send({ name: 'Webhook with rotated secret updated' })
+    .expect(200)
+
+  t.is(updatedWebhook.secret, undefined)
+
+  const { body: rotatedWebhook } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/rotate-secret`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.truthy(rotatedWebhook.secret)
+  t.not(rotatedWebhook.secret, webhook.secret)
+})
+
+test('signs webhook payload with webhook secret', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:read:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Signed webhook',
+      targetUrl: userWebhookUrl + 'signedWebhook',
+      event: 'signed_event'
+    })
+    .expect(200)
+
+  t.is(typeof webhook.secret, 'string')
+  t.truthy(webhook.secret)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({
+      type: 'signed_event'
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.is(userServerCalls.signedWebhook.length, 1)
+
+  const signatureHeader = userServerCallsHeaders.signedWebhook[0]['x-stelace-signature']
+  t.truthy(signatureHeader)
+
+  const [timestampPart, signaturePart] = signatureHeader.split(',')
+  const timestamp = timestampPart.replace('t=', '')
+  const signature = signaturePart.replace('v1=', '')
+
+  const expectedSignature = crypto.createHmac('sha256', webhook.secret)
+    .update(`${timestamp}.${JSON.stringify(userServerCalls.signedWebhook[0])}`)
+    .digest('hex')
+
+  t.is(signature, expectedSignature)
+  t.true(Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) < 60)
+})
+
+test('replays a webhook log', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:replay:all',
+      'webhookLog:list:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Replayed webhook',
+      targetUrl: userWebhookUrl + 'replayedLog',
+      event: 'replayed_log_event'
+    })
+    .expect(200)
+
+  const { body: event } = await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({
+      type: 'replayed_log_event'
+    })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.is(userServerCalls.replayedLog.length, 1)
+
+  const { body: { results: [webhookLog] } } = await request(t.context.serverUrl)
+    .get(`/webhook-logs?webhookId=${webhook.id}`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.falsy(webhookLog.metadata.replay)
+
+  const { body: replayedWebhookLog } = await request(t.context.serverUrl)
+    .post(`/webhook-logs/${webhookLog.id}/replay`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.not(replayedWebhookLog.id, webhookLog.id)
+  t.is(replayedWebhookLog.webhookId, webhook.id)
+  t.is(replayedWebhookLog.eventId, event.id)
+  t.is(replayedWebhookLog.status, 'success')
+  t.true(replayedWebhookLog.metadata.replay)
+  t.is(replayedWebhookLog.metadata.replayedWebhookLogId, webhookLog.id)
+
+  t.is(userServerCalls.replayedLog.length, 2)
+  t.is(userServerCalls.replayedLog[0].event.id, event.id)
+
+  await request(t.context.serverUrl)
+    .post('/webhook-logs/whl_SEIxTFR4SHMx7koS0txovaA3HlHHMxJ/replay')
+    .set(authorizationHeaders)
+    .expect(404)
+})
+
+test('replays events matching a webhook', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'webhook:create:all',
+      'webhook:replay:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: webhook } = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Webhook with replayed events',
+      targetUrl: userWebhookUrl + 'replayedEvents',
+      event: 'replayed_event'
+    })
+    .expect(200)
+
+  const { body: event1 } = await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'replayed_event' })
+    .expect(200)
+
+  const { body: event2 } = await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'replayed_event' })
+    .expect(200)
+
+  // not matching webhook event type
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'other_replayed_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, testEventDelay))
+
+  t.is(userServerCalls.replayedEvents.length, 2)
+
+  const { body: { results: logsByEvent, hasMore, nextCreatedDate } } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/replay`)
+    .set(authorizationHeaders)
+    .send({ eventId: event2.id })
+    .expect(200)
+
+  t.false(hasMore)
+  t.is(nextCreatedDate, null)
+  t.is(logsByEvent.length, 1)
+  t.is(logsByEvent[0].eventId, event2.id)
+  t.true(logsByEvent[0].metadata.replay)
+  t.is(userServerCalls.replayedEvents.length, 3)
+  t.is(userServerCalls.replayedEvents[0].event.id, event2.id)
+
+  const { body: { results: logsByDate } } = await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/replay`)
+    .set(authorizationHeaders)
+    .send({ createdDate: { gte: event1.createdDate } })
+    .expect(200)
+
+  // replayed in chronological order
+  t.deepEqual(logsByDate.map(log => log.eventId), [event1.id, event2.id])
+  t.true(logsByDate.every(log => log.metadata.replay))
+  t.is(userServerCalls.replayedEvents.length, 5)
+
+  await request(t.context.serverUrl)
+    .post(`/webhooks/${webhook.id}/replay`)
+    .set(authorizationHeaders)
+    .send({})
+    .expect(400)
+
+  await request(t.context.serverUrl)
+    .post('/webhooks/webh_SEIxTFR4SHMx7koS0txovaA3HlHHMxJ/replay')
+    .set(authorizationHeaders)
+    .send({ eventId: event1.id })
+    .expect(404)
 })
 
 test('cannot create a webhook with a invalid event', async (t) => {
@@ -479,6 +1013,41 @@ test('fails to create a webhook if missing or invalid parameters', async (t) =>
   t.true(error.message.includes('"active" must be a boolean'))
   t.true(error.message.includes('"metadata" must be of type object'))
   t.true(error.message.includes('"platformData" must be of type object'))
+
+  result = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Webhook',
+      events: true,
+      filter: true
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('"events" must be an array'))
+  t.true(error.message.includes('"filter" must be a string'))
+
+  // invalid event pattern and both event and events
+  result = await request(t.context.serverUrl)
+    .post('/webhooks')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env
+    })
+    .send({
+      name: 'Webhook',
+      event: 'asset__created',
+      events: ['asset__*__created']
+    })
+    .expect(400)
+
+  error = result.body
+  t.true(error.message.includes('fails to match the wildcard pattern'))
+  t.true(error.message.includes('conflict between optional exclusive peers'))
 })
 
 test('fails to create a webhook with an invalid API version', async (t) => {
@@ -3,6 +3,7 @@ require('dotenv').config()
 const test = require('ava')
 const request = require('supertest')
 const _ = require('lodash')
+const ms = require('ms')
 const express = require('express')
 const bodyParser = require('body-parser')
 
@@ -14,7 +15,7 @@ let userApp
 
 const { apiVersions } = require('../../../src/versions')
 const { before, beforeEach, after } = require('../../lifecycle')
-const { getAccessTokenHeaders } = require('../../auth')
+const { getAccessTokenHeaders, getSystemKey } = require('../../auth')
 const {
   getObjectEvent,
   testEventMetadata,
@@ -38,6 +39,8 @@ const isActionLog = log => log.type === 'action'
 const isSkippedLog = log => log.type === 'skipped'
 const isStoppedLog = log => log.type === 'stopped'
 const isNotificationLog = log => log.type === 'notification'
+const isDelayedLog = log => log.type === 'delayed'
+const isAttemptErrorLog = log => log.type === 'attemptError'
 
 test.before(async (t) => {
   await before({ name: 'workflow' })(t)
@@ -1034,6 +1037,253 @@ test('creates multi-step workflow triggered by custom events and calling externa
   t.true(asset.metadata.stelaceGreeting.includes('/docs'))
 })
 
+// Must run serially because the test manipulates time
+test.serial('delays workflow step and resumes run with previous steps state', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Delayed workflow',
+      event: 'delayed_workflow_event',
+      notifyUrl: userWebhookUrl + 'delayedWorkflowNotification',
+      computed: {
+        reminder: '"Payment reminder"'
+      },
+      run: [
+        {
+          name: 'first',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'delayedWorkflowFirstStep'
+        },
+        {
+          name: 'second',
+          delay: { h: 1 },
+          computed: {
+            nbSteps: 'lastResponses.length + 1'
+          },
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'delayedWorkflowSecondStep',
+          endpointPayload: {
+            reminder: 'computed.reminder',
+            nbSteps: 'computed.nbSteps',
+            firstStepOk: 'responses.first.ok'
+          }
+        }
+      ]
+    })
+    .expect(200)
+
+  t.deepEqual(workflow.run[1].delay, { h: 1 })
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'delayed_workflow_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.delayedWorkflowFirstStep.length, 1)
+  t.is(userServerCalls.delayedWorkflowSecondStep, undefined)
+  t.is(userServerCalls.delayedWorkflowNotification, undefined)
+
+  const { body: workflowBeforeDelay } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const delayedLogs = workflowBeforeDelay.logs.filter(isDelayedLog)
+  t.is(delayedLogs.length, 1)
+  t.is(delayedLogs[0].step.name, 'second')
+  t.truthy(delayedLogs[0].metadata.executionDate)
+  t.is(workflowBeforeDelay.stats.nbActions, 1)
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date(),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  t.context.server._clock.tick(ms('2h'))
+
+  // restore the clock so we can use `setTimeout` to wait for the run to complete
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.delayedWorkflowFirstStep.length, 1)
+  t.is(userServerCalls.delayedWorkflowSecondStep.length, 1)
+  t.deepEqual(userServerCalls.delayedWorkflowSecondStep[0], {
+    reminder: 'Payment reminder',
+    nbSteps: 2,
+    firstStepOk: true
+  })
+  t.is(userServerCalls.delayedWorkflowNotification.length, 1)
+  t.is(userServerCalls.delayedWorkflowNotification[0].type, 'action')
+  t.is(userServerCalls.delayedWorkflowNotification[0].lastStep.name, 'second')
+
+  const { body: workflowAfterDelay } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(workflowAfterDelay.stats.nbTimesRun, 1)
+  t.is(workflowAfterDelay.stats.nbActions, 2)
+})
+
+test.serial('runs scheduled workflow with recurring pattern', async (t) => {
+  if (!t.context.server) {
+    // can happen if the server is run outside of AVA process (e.g. `npm run test:uniqueserver`)
+    console.log('Warning: This test cannot be running because instance server is not accessible to manipulate time')
+    t.pass()
+    return
+  }
+
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all'
+    ]
+  })
+
+  // mock timing functions and restart crons so the mock can work
+  t.context.server._stopCrons()
+  t.context.server._initClock({
+    now: new Date('2019-04-01T00:00:00.000Z'),
+    toFake: ['Date', 'setTimeout'],
+    shouldAdvanceTime: true
+  })
+  t.context.server._startCrons()
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Scheduled workflow',
+      // every day at 1am, 2am and 3am
+      recurringPattern: '0 1-3 * * *',
+      recurringTimezone: 'UTC',
+      run: {
+        endpointMethod: 'POST',
+        endpointUri: userWebhookUrl + 'scheduledWorkflow',
+        endpointPayload: {
+          scheduleDate: 'scheduleDate'
+        }
+      }
+    })
+    .expect(200)
+
+  t.is(workflow.event, null)
+  t.is(workflow.recurringPattern, '0 1-3 * * *')
+  t.is(workflow.recurringTimezone, 'UTC')
+
+  t.context.server._clock.tick(ms('5h'))
+
+  // restore the clock so we can use `setTimeout` to wait for the runs to complete
+  t.context.server._stopCrons()
+  t.context.server._clock.restore()
+  t.context.server._startCrons()
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.deepEqual(_.sortBy(_.map(userServerCalls.scheduledWorkflow, 'scheduleDate')), [
+    '2019-04-01T01:00:00.000Z',
+    '2019-04-01T02:00:00.000Z',
+    '2019-04-01T03:00:00.000Z'
+  ])
+
+  const { body: workflowAfterRuns } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(workflowAfterRuns.stats.nbTimesRun, 3)
+  t.true(workflowAfterRuns.logs.filter(isActionLog).every(log => log.eventId === null))
+})
+
+test('cannot create a workflow with both event and recurring pattern', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:edit:all'
+    ]
+  })
+
+  const run = {
+    endpointMethod: 'POST',
+    endpointUri: userWebhookUrl + 'invalidScheduledWorkflow'
+  }
+
+  await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Invalid scheduled workflow',
+      event: 'asset__created',
+      recurringPattern: '0 1 * * *',
+      run
+    })
+    .expect(400)
+
+  await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Invalid scheduled workflow',
+      recurringPattern: 'invalid',
+      run
+    })
+    .expect(400)
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Event workflow',
+      event: 'asset__created',
+      run
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ recurringPattern: '0 1 * * *' })
+    .expect(400)
+
+  const { body: scheduledWorkflow } = await request(t.context.serverUrl)
+    .patch(`/workflows/${workflow.id}`)
+    .set(authorizationHeaders)
+    .send({ event: null, recurringPattern: '0 1 * * *' })
+    .expect(200)
+
+  t.is(scheduledWorkflow.event, null)
+  t.is(scheduledWorkflow.recurringPattern, '0 1 * * *')
+})
+
 test('keeps filtered workflow running when handleErrors option is enabled in erroneous step', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -1240,6 +1490,403 @@ test('keeps filtered workflow running when handleErrors option is enabled in err
   t.is(lastAction.type, 'skipped')
 })
 
+test('retries failed workflow step and executes fallback once attempts are used up', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow with retries',
+      event: 'retried_workflow_event',
+      run: [
+        {
+          name: 'failing',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'error',
+          retry: {
+            maxAttempts: 3,
+            backoff: 'fixed',
+            backoffDelay: 100
+          },
+          fallback: {
+            endpointMethod: 'POST',
+            endpointUri: userWebhookUrl + 'retriedWorkflowFallback',
+            endpointPayload: {
+              failedStatusCode: 'statusCode'
+            }
+          }
+        },
+        {
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'retriedWorkflowNextStep',
+          endpointPayload: {
+            fallbackOk: 'responses.failing.ok',
+            nbResponses: 'lastResponses.length'
+          }
+        }
+      ]
+    })
+    .expect(200)
+
+  t.is(workflow.run[0].retry.maxAttempts, 3)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'retried_workflow_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  t.is(userServerCalls.retriedWorkflowFallback.length, 1)
+  t.deepEqual(userServerCalls.retriedWorkflowFallback[0], { failedStatusCode: 500 })
+
+  t.is(userServerCalls.retriedWorkflowNextStep.length, 1)
+  t.deepEqual(userServerCalls.retriedWorkflowNextStep[0], { fallbackOk: true, nbResponses: 1 })
+
+  const { body: workflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const attemptErrorLogs = _.sortBy(workflowAfterRun.logs.filter(isAttemptErrorLog), 'metadata.attempt')
+  t.deepEqual(attemptErrorLogs.map(log => log.metadata.attempt), [1, 2])
+  t.true(attemptErrorLogs.every(log => log.statusCode === 500 && log.metadata.retryDelay === 100))
+
+  const errorLogs = workflowAfterRun.logs.filter(isErrorLog)
+  t.is(errorLogs.length, 1)
+  t.is(errorLogs[0].metadata.attempt, 3)
+
+  const fallbackLog = workflowAfterRun.logs.find(log => log.metadata.fallback)
+  t.is(fallbackLog.type, 'action')
+  t.is(fallbackLog.step.name, 'failing')
+
+  // last failed attempt, fallback and next step, previous attempts excluded
+  t.is(workflowAfterRun.stats.nbActions, 3)
+})
+
+test('skips workflows already triggered in the chain of workflows to prevent infinite loops', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'event:create:all',
+      'event:list:all'
+    ]
+  })
+
+  const { body: pingWorkflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Ping workflow',
+      event: 'workflow_ping',
+      run: {
+        endpointMethod: 'POST',
+        endpointUri: '/events',
+        endpointPayload: {
+          type: "'workflow_pong'"
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: pongWorkflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Pong workflow',
+      event: 'workflow_pong',
+      run: {
+        endpointMethod: 'POST',
+        endpointUri: '/events',
+        endpointPayload: {
+          type: "'workflow_ping'"
+        }
+      }
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'workflow_ping' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: { results: pingEvents } } = await request(t.context.serverUrl)
+    .get('/events?type=workflow_ping')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  const { body: { results: pongEvents } } = await request(t.context.serverUrl)
+    .get('/events?type=workflow_pong')
+    .set(authorizationHeaders)
+    .expect(200)
+
+  // initial event and the one created by pong workflow
+  t.is(pingEvents.length, 2)
+  t.is(pongEvents.length, 1)
+
+  const { body: pingWorkflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${pingWorkflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(pingWorkflowAfterRun.logs.filter(isActionLog).length, 1)
+  t.is(pingWorkflowAfterRun.stats.nbTimesRun, 1)
+
+  const runSkippedLogs = pingWorkflowAfterRun.logs.filter(log => log.type === 'runSkipped')
+  t.is(runSkippedLogs.length, 1)
+  t.is(runSkippedLogs[0].metadata.reason, 'workflowLoop')
+  t.deepEqual(runSkippedLogs[0].metadata.workflowChain, [pingWorkflow.id, pongWorkflow.id])
+
+  // chain is stored in events but only exposed to system
+  t.true(pingEvents.every(event => _.isUndefined(_.get(event, 'metadata._system'))))
+
+  const { body: { results: systemPingEvents } } = await request(t.context.serverUrl)
+    .get('/events?type=workflow_ping')
+    .set({
+      'x-platform-id': t.context.platformId,
+      'x-stelace-env': t.context.env,
+      'x-stelace-system-key': getSystemKey()
+    })
+    .expect(200)
+
+  const workflowChains = systemPingEvents.map(event => _.get(event, 'metadata._system.workflowChain', []))
+  t.deepEqual(_.sortBy(workflowChains, 'length'), [[], [pingWorkflow.id, pongWorkflow.id]])
+
+  const { body: pongWorkflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${pongWorkflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(pongWorkflowAfterRun.logs.filter(isActionLog).length, 1)
+  t.is(pongWorkflowAfterRun.stats.nbTimesRun, 1)
+})
+
+test('does not retry workflow step if status code is not retriable', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:read:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Workflow with non-retriable error',
+      event: 'non_retried_workflow_event',
+      run: [
+        {
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'error',
+          retry: {
+            maxAttempts: 3,
+            backoffDelay: 100,
+            statusCodes: [503]
+          }
+        }
+      ]
+    })
+    .expect(200)
+
+  await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({ type: 'non_retried_workflow_event' })
+    .expect(200)
+
+  await new Promise(resolve => setTimeout(resolve, defaultTestDelay))
+
+  const { body: workflowAfterRun } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(workflowAfterRun.logs.filter(isAttemptErrorLog).length, 0)
+
+  const errorLogs = workflowAfterRun.logs.filter(isErrorLog)
+  t.is(errorLogs.length, 1)
+  t.is(errorLogs[0].metadata.attempt, 1)
+})
+
+test('tests a workflow with a sample event without executing steps', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:test:all',
+      'workflow:read:all'
+    ]
+  })
+
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Tested workflow',
+      event: 'tested_workflow_event',
+      computed: {
+        greeting: '"Hello " + metadata.name'
+      },
+      run: [
+        {
+          name: 'first',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'testedWorkflow/${metadata.name}',
+          endpointHeaders: {
+            'x-greeting': '${computed.greeting}'
+          },
+          endpointPayload: {
+            greeting: 'computed.greeting'
+          }
+        },
+        {
+          name: 'skipped',
+          skip: 'metadata.name === "Foo"',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'testedWorkflow'
+        },
+        {
+          name: 'stopping',
+          filter: 'metadata.name !== "Foo"',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'testedWorkflow'
+        },
+        {
+          name: 'notReached',
+          endpointMethod: 'POST',
+          endpointUri: userWebhookUrl + 'testedWorkflow'
+        }
+      ]
+    })
+    .expect(200)
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({
+      event: {
+        metadata: { name: 'Foo' }
+      }
+    })
+    .expect(200)
+
+  t.is(result.workflowId, workflow.id)
+  t.false(result.live)
+  t.is(result.logs, undefined)
+
+  t.deepEqual(result.steps.map(step => step.name), ['first', 'skipped', 'stopping'])
+
+  const [firstStep, skippedStep, stoppingStep] = result.steps
+  t.deepEqual(firstStep.computed, { greeting: 'Hello Foo' })
+  t.true(firstStep.passFilter)
+  t.false(firstStep.skip)
+  t.is(firstStep.endpointUri, userWebhookUrl + 'testedWorkflow/Foo')
+  t.is(firstStep.endpointHeaders['x-greeting'], 'Hello Foo')
+  t.deepEqual(firstStep.endpointPayload, { greeting: 'Hello Foo' })
+  t.is(firstStep.error, null)
+
+  t.true(skippedStep.skip)
+  t.false(stoppingStep.passFilter)
+
+  // no HTTP call and no logs
+  t.is(userServerCallsHeaders['testedWorkflow/Foo'], undefined)
+
+  const { body: workflowAfterTest } = await request(t.context.serverUrl)
+    .get(`/workflows/${workflow.id}?logs=`)
+    .set(authorizationHeaders)
+    .expect(200)
+
+  t.is(workflowAfterTest.logs.length, 0)
+  t.is(workflowAfterTest.stats.nbTimesRun, 0)
+})
+
+test('tests a workflow live with an existing event', async (t) => {
+  const authorizationHeaders = await getAccessTokenHeaders({
+    t,
+    permissions: [
+      'workflow:create:all',
+      'workflow:test:all',
+      'event:create:all'
+    ]
+  })
+
+  const { body: event } = await request(t.context.serverUrl)
+    .post('/events')
+    .set(authorizationHeaders)
+    .send({
+      type: 'live_tested_workflow_event',
+      metadata: { name: 'Bar' }
+    })
+    .expect(200)
+
+  // created after the event so it is not triggered by it
+  const { body: workflow } = await request(t.context.serverUrl)
+    .post('/workflows')
+    .set(authorizationHeaders)
+    .send({
+      name: 'Live tested workflow',
+      event: 'live_tested_workflow_event',
+      run: {
+        endpointMethod: 'POST',
+        endpointUri: userWebhookUrl + 'liveTestedWorkflow',
+        endpointPayload: {
+          name: 'metadata.name'
+        }
+      }
+    })
+    .expect(200)
+
+  const { body: result } = await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({
+      eventId: event.id,
+      live: true
+    })
+    .expect(200)
+
+  t.true(result.live)
+  t.is(result.eventId, event.id)
+  t.is(result.steps.length, 1)
+  t.deepEqual(result.steps[0].endpointPayload, { name: 'Bar' })
+
+  t.is(userServerCalls.liveTestedWorkflow.length, 1)
+  t.deepEqual(userServerCalls.liveTestedWorkflow[0], { name: 'Bar' })
+
+  t.is(result.logs.length, 1)
+  t.is(result.logs[0].type, 'action')
+  t.is(result.logs[0].eventId, event.id)
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({ eventId: 'evt_WWRfQps1I3a1gJYz2I3a' })
+    .expect(422)
+
+  await request(t.context.serverUrl)
+    .post(`/workflows/${workflow.id}/test`)
+    .set(authorizationHeaders)
+    .send({ live: true })
+    .expect(400)
+})
+
 test('creates workflow and uses related objects', async (t) => {
   const authorizationHeaders = await getAccessTokenHeaders({
     t,
@@ -5,6 +5,10 @@ const test = require('ava')
 const {
   getAvailabilityPeriodGraph,
   getAvailabilityPeriodInfo,
+  getUnavailablePeriods,
+  getTimeSlots,
+  getBufferedPeriod,
+  getBookingWindow,
 
   getInternalAvailabilityPeriods,
   getAvailabilityPeriods
@@ -532,6 +536,118 @@ test('is not available if the new transaction quantity exceeds remaining quantit
   t.is(info2.remainingQuantity, 0)
 })
 
+test('gets unavailable periods from the availability graph', (t) => {
+  const transactions = [
+    {
+      startDate: '2018-01-01T00:00:00.000Z',
+      endDate: '2018-01-10T00:00:00.000Z',
+      quantity: 1
+    },
+    {
+      startDate: '2018-01-05T00:00:00.000Z',
+      endDate: '2018-01-15T00:00:00.000Z',
+      quantity: 1
+    },
+    {
+      startDate: '2018-03-01T00:00:00.000Z',
+      endDate: null,
+      quantity: 2
+    }
+  ]
+  const availabilities = [
+    {
+      updatedDate: '2018-01-01T00:00:00.000Z',
+      startDate: '2018-02-01T00:00:00.000Z',
+      endDate: '2018-02-10T00:00:00.000Z',
+      quantity: '0'
+    }
+  ]
+  const defaultQuantity = 2
+
+  const availabilityGraph = getAvailabilityPeriodGraph({ transactions, availabilities, defaultQuantity })
+
+  t.deepEqual(getUnavailablePeriods(availabilityGraph), [
+    { startDate: '2018-01-05T00:00:00.000Z', endDate: '2018-01-10T00:00:00.000Z' },
+    { startDate: '2018-02-01T00:00:00.000Z', endDate: '2018-02-10T00:00:00.000Z' }
+  ])
+})
+
+test('splits a period into time slots', (t) => {
+  t.deepEqual(getTimeSlots({
+    startDate: '2018-01-01T00:00:00.000Z',
+    endDate: '2018-01-03T12:00:00.000Z'
+  }), [
+    { startDate: '2018-01-01T00:00:00.000Z', endDate: '2018-01-02T00:00:00.000Z' },
+    { startDate: '2018-01-02T00:00:00.000Z', endDate: '2018-01-03T00:00:00.000Z' },
+    { startDate: '2018-01-03T00:00:00.000Z', endDate: '2018-01-03T12:00:00.000Z' }
+  ])
+
+  t.deepEqual(getTimeSlots({
+    startDate: '2018-01-01T10:00:00.000Z',
+    endDate: '2018-01-01T12:00:00.000Z',
+    timeUnit: 'h'
+  }), [
+    { startDate: '2018-01-01T10:00:00.000Z', endDate: '2018-01-01T11:00:00.000Z' },
+    { startDate: '2018-01-01T11:00:00.000Z', endDate: '2018-01-01T12:00:00.000Z' }
+  ])
+
+  // months do not drift after a shorter month
+  t.deepEqual(getTimeSlots({
+    startDate: '2018-01-31T00:00:00.000Z',
+    endDate: '2018-04-30T00:00:00.000Z',
+    timeUnit: 'M'
+  }), [
+    { startDate: '2018-01-31T00:00:00.000Z', endDate: '2018-02-28T00:00:00.000Z' },
+    { startDate: '2018-02-28T00:00:00.000Z', endDate: '2018-03-31T00:00:00.000Z' },
+    { startDate: '2018-03-31T00:00:00.000Z', endDate: '2018-04-30T00:00:00.000Z' }
+  ])
+
+  t.deepEqual(getTimeSlots({
+    startDate: '2018-01-01T00:00:00.000Z',
+    endDate: '2018-01-01T00:00:00.000Z'
+  }), [])
+})
+
+test('extends a period with buffer times', (t) => {
+  const transaction = {
+    id: 'trn_1',
+    startDate: '2018-01-05T00:00:00.000Z',
+    endDate: '2018-01-10T00:00:00.000Z',
+    quantity: 1
+  }
+
+  t.deepEqual(getBufferedPeriod(transaction, { bufferBefore: { h: 2 }, bufferAfter: { d: 1 } }), {
+    id: 'trn_1',
+    startDate: '2018-01-04T22:00:00.000Z',
+    endDate: '2018-01-11T00:00:00.000Z',
+    quantity: 1
+  })
+
+  t.deepEqual(getBufferedPeriod(transaction, { bufferBefore: null }), transaction)
+  t.deepEqual(getBufferedPeriod(transaction), transaction)
+
+  // no end date
+  t.deepEqual(getBufferedPeriod(Object.assign({}, transaction, { endDate: null }), { bufferAfter: { d: 1 } }), {
+    id: 'trn_1',
+    startDate: '2018-01-05T00:00:00.000Z',
+    endDate: null,
+    quantity: 1
+  })
+})
+
+test('gets the booking window from lead-time rules', (t) => {
+  const refDate = '2018-01-01T00:00:00.000Z'
+
+  t.deepEqual(getBookingWindow({ minNotice: { h: 12 }, maxHorizon: { M: 6 } }, refDate), {
+    minStartDate: '2018-01-01T12:00:00.000Z',
+    maxStartDate: '2018-07-01T00:00:00.000Z'
+  })
+  t.deepEqual(getBookingWindow({ minNotice: null }, refDate), {
+    minStartDate: null,
+    maxStartDate: null
+  })
+})
+
 test('generate internal availability periods without transactions', (t) => {
   const defaultQuantity = 5
   const graphDates = [
@@ -0,0 +1,141 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  parseICalendar,
+  getICalendar,
+  getCalendarChanges
+} = require('../../../src/util/calendar')
+
+test('parses iCalendar events', (t) => {
+  const content = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//Calendar//EN',
+    'BEGIN:VEVENT',
+    'UID:event-1@example.com',
+    'DTSTART:20200101T100000Z',
+    'DTEND:20200101T120000Z',
+    'SUMMARY:Booked\\, see you soon',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:event-2@exam',
+    ' ple.com',
+    'DTSTART;VALUE=DATE:20200105',
+    'DTEND;VALUE=DATE:20200108',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:event-3@example.com',
+    'DTSTART;TZID=Europe/Paris:20200110T100000',
+    'DTEND;TZID=Europe/Paris:20200110T110000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:event-4@example.com',
+    'DTSTART;VALUE=DATE:20200115',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:event-5@example.com',
+    'STATUS:CANCELLED',
+    'DTSTART:20200120T100000Z',
+    'DTEND:20200120T120000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:event-6@example.com',
+    'DTSTART:20200125T100000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20200130T100000Z',
+    'DTEND:20200130T120000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n')
+
+  t.deepEqual(parseICalendar(content), [
+    {
+      uid: 'event-1@example.com',
+      startDate: '2020-01-01T10:00:00.000Z',
+      endDate: '2020-01-01T12:00:00.000Z',
+      summary: 'Booked, see you soon'
+    },
+    {
+      uid: 'event-2@example.com',
+      startDate: '2020-01-05T00:00:00.000Z',
+      endDate: '2020-01-08T00:00:00.000Z',
+      summary: null
+    },
+    {
+      uid: 'event-3@example.com',
+      startDate: '2020-01-10T09:00:00.000Z',
+      endDate: '2020-01-10T10:00:00.000Z',
+      summary: null
+    },
+    {
+      uid: 'event-4@example.com',
+      startDate: '2020-01-15T00:00:00.000Z',
+      endDate: '2020-01-16T00:00:00.000Z',
+      summary: null
+    }
+  ])
+
+  t.throws(() => parseICalendar('not a calendar'), { message: 'Invalid iCalendar content' })
+  t.throws(() => parseICalendar(null), { message: 'Invalid iCalendar content' })
+})
+
+test('generates iCalendar content', (t) => {
+  const events = [
+    {
+      uid: 'ast_1-2020-01-01T10:00:00.000Z@stelace',
+      startDate: '2020-01-01T10:00:00.000Z',
+      endDate: '2020-01-02T10:00:00.000Z',
+      summary: 'Unavailable; maintenance, cleaning'
+    }
+  ]
+
+  const content = getICalendar({
+    name: 'My asset',
+    events,
+    date: '2019-12-01T00:00:00.000Z'
+  })
+
+  t.true(content.startsWith('BEGIN:VCALENDAR\r\n'))
+  t.true(content.endsWith('END:VCALENDAR\r\n'))
+  t.true(content.includes('X-WR-CALNAME:My asset\r\n'))
+  t.true(content.includes('DTSTAMP:20191201T000000Z\r\n'))
+  t.true(content.includes('DTSTART:20200101T100000Z\r\n'))
+  t.true(content.includes('SUMMARY:Unavailable\\; maintenance\\, cleaning\r\n'))
+  t.true(content.split('\r\n').every(line => line.length <= 75))
+
+  t.deepEqual(parseICalendar(content), events)
+
+  const longName = 'Very long asset name '.repeat(10).trim()
+  const longContent = getICalendar({ name: longName, events: [] })
+  t.true(longContent.split('\r\n').every(line => line.length <= 75))
+  t.true(longContent.includes(' Very'))
+})
+
+test('gets changes between calendar events and imported availabilities', (t) => {
+  const events = [
+    { uid: 'event-1', startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-01-02T00:00:00.000Z' },
+    { uid: 'event-2', startDate: '2020-01-05T00:00:00.000Z', endDate: '2020-01-08T00:00:00.000Z' },
+    { uid: 'event-3', startDate: '2020-01-10T00:00:00.000Z', endDate: '2020-01-12T00:00:00.000Z' },
+    { uid: 'event-3', startDate: '2020-01-10T00:00:00.000Z', endDate: '2020-01-12T00:00:00.000Z' }
+  ]
+  const availabilities = [
+    { id: 'avl_1', externalId: 'event-1', startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-01-02T00:00:00.000Z' },
+    { id: 'avl_2', externalId: 'event-2', startDate: '2020-01-05T00:00:00.000Z', endDate: '2020-01-07T00:00:00.000Z' },
+    { id: 'avl_4', externalId: 'event-4', startDate: '2020-01-15T00:00:00.000Z', endDate: '2020-01-16T00:00:00.000Z' }
+  ]
+
+  const {
+    eventsToCreate,
+    availabilitiesToUpdate,
+    availabilitiesToRemove
+  } = getCalendarChanges(events, availabilities)
+
+  t.deepEqual(eventsToCreate.map(e => e.uid), ['event-3'])
+  t.deepEqual(availabilitiesToUpdate, [
+    { id: 'avl_2', externalId: 'event-2', startDate: '2020-01-05T00:00:00.000Z', endDate: '2020-01-08T00:00:00.000Z' }
+  ])
+  t.deepEqual(availabilitiesToRemove.map(a => a.id), ['avl_4'])
+})
@@ -1,12 +1,15 @@
 require('dotenv').config()
 
 const test = require('ava')
+const _ = require('lodash')
 
 const {
   roundPrice,
   isValidCustomDurationConfig,
   getDurationPrice,
-  getPriceAfterFees
+  getPriceAfterFees,
+  getInvalidPricingRulesMessage,
+  getPriceBreakdown
 } = require('../../../src/util/pricing')
 
 test('rounds price to cents', (t) => {
@@ -144,3 +147,183 @@ test('applies takerFeesPercent and ownerFeesPercent to ownerPrice', (t) => {
     t.deepEqual(getPriceAfterFees(input), expected)
   })
 })
+
+test('detects invalid pricing rules', (t) => {
+  t.is(getInvalidPricingRulesMessage(null), null)
+  t.is(getInvalidPricingRulesMessage([
+    { recurringPattern: '0 0 * * 6', recurringTimezone: 'Europe/Paris', price: 10 },
+    { startDate: '2020-01-01T00:00:00.000Z', priceChangePercent: 20 }
+  ]), null)
+
+  t.is(getInvalidPricingRulesMessage([
+    { startDate: '2020-01-01T00:00:00.000Z', priceChangePercent: 20 },
+    { recurringPattern: 'invalid', price: 10 }
+  ]), 'Invalid recurring pattern in pricing rule 1')
+
+  t.is(getInvalidPricingRulesMessage([
+    { recurringPattern: '0 0 * * 6', recurringTimezone: 'Unknown/Timezone', price: 10 }
+  ]), 'Invalid recurring timezone in pricing rule 0')
+})
+
+test('gets price breakdown without pricing rules', (t) => {
+  t.deepEqual(getPriceBreakdown({
+    unitPrice: 100,
+    startDate: '2020-01-01T00:00:00.000Z',
+    timeUnit: 'd',
+    nbTimeUnits: 2.5,
+    currency: 'USD'
+  }), [
+    { startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-01-04T00:00:00.000Z', unitPrice: 100, nbTimeUnits: 2.5, pricingRuleName: null }
+  ])
+})
+
+test('gets price breakdown with date range and recurring pricing rules', (t) => {
+  const pricingRules = [
+    {
+      name: 'newYear',
+      startDate: '2020-01-01T00:00:00.000Z',
+      endDate: '2020-01-02T00:00:00.000Z',
+      price: 150
+    },
+    {
+      name: 'weekend',
+      recurringPattern: '0 0 * * 6', // Saturday
+      recurringDuration: { d: 2 },
+      priceChangePercent: 20
+    }
+  ]
+
+  const breakdown = getPriceBreakdown({
+    unitPrice: 100,
+    pricingRules,
+    startDate: '2020-01-01T00:00:00.000Z', // Wednesday
+    timeUnit: 'd',
+    nbTimeUnits: 6,
+    currency: 'USD'
+  })
+
+  t.deepEqual(breakdown.map(range => [range.startDate, range.nbTimeUnits, range.unitPrice, range.pricingRuleName]), [
+    ['2020-01-01T00:00:00.000Z', 1, 150, 'newYear'],
+    ['2020-01-02T00:00:00.000Z', 2, 100, null],
+    ['2020-01-04T00:00:00.000Z', 2, 120, 'weekend'],
+    ['2020-01-06T00:00:00.000Z', 1, 100, null]
+  ])
+
+  // first matching rule wins
+  const sundayBreakdown = getPriceBreakdown({
+    unitPrice: 100,
+    pricingRules: [pricingRules[1], { startDate: '2020-01-05T00:00:00.000Z', price: 50 }],
+    startDate: '2020-01-05T00:00:00.000Z', // Sunday
+    timeUnit: 'd',
+    nbTimeUnits: 2,
+    currency: 'USD'
+  })
+
+  t.deepEqual(sundayBreakdown.map(range => [range.nbTimeUnits, range.unitPrice, range.pricingRuleName]), [
+    [1, 120, 'weekend'],
+    [1, 50, '1']
+  ])
+})
+
+test('gets price breakdown with lead time pricing rules', (t) => {
+  const pricingRules = [
+    { name: 'lastMinute', maxLeadTime: { d: 2 }, priceChangePercent: -25 },
+    { name: 'earlyBird', minLeadTime: { d: 30 }, priceChangePercent: -10 }
+  ]
+
+  const getUnitPrices = (refDate) => getPriceBreakdown({
+    unitPrice: 100,
+    pricingRules,
+    startDate: '2020-02-01T00:00:00.000Z',
+    timeUnit: 'd',
+    nbTimeUnits: 2,
+    refDate,
+    currency: 'USD'
+  }).map(range => [range.nbTimeUnits, range.unitPrice])
+
+  t.deepEqual(getUnitPrices('2020-01-31T00:00:00.000Z'), [[2, 75]])
+  t.deepEqual(getUnitPrices('2020-01-15T00:00:00.000Z'), [[2, 100]])
+  t.deepEqual(getUnitPrices('2020-01-01T00:00:00.000Z'), [[2, 90]])
+})
+
+test('gets price breakdown of long transactions by ranges', (t) => {
+  const pricingRules = [
+    {
+      name: 'happyHour',
+      recurringPattern: '0 18 * * *',
+      recurringDuration: { h: 2 },
+      priceChangePercent: -50
+    }
+  ]
+
+  const breakdown = getPriceBreakdown({
+    unitPrice: 1,
+    pricingRules,
+    startDate: '2020-01-01T00:00:00.000Z',
+    timeUnit: 'm',
+    nbTimeUnits: 366 * 24 * 60 + 0.5, // leap year
+    currency: 'USD'
+  })
+
+  t.is(breakdown.length, 366 * 2 + 1)
+  t.deepEqual(breakdown.slice(0, 3), [
+    { startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-01-01T18:00:00.000Z', unitPrice: 1, nbTimeUnits: 18 * 60, pricingRuleName: null },
+    { startDate: '2020-01-01T18:00:00.000Z', endDate: '2020-01-01T20:00:00.000Z', unitPrice: 0.5, nbTimeUnits: 2 * 60, pricingRuleName: 'happyHour' },
+    { startDate: '2020-01-01T20:00:00.000Z', endDate: '2020-01-02T18:00:00.000Z', unitPrice: 1, nbTimeUnits: 22 * 60, pricingRuleName: null }
+  ])
+  t.deepEqual(_.last(breakdown), {
+    startDate: '2020-12-31T20:00:00.000Z',
+    endDate: '2021-01-01T00:01:00.000Z',
+    unitPrice: 1,
+    nbTimeUnits: 4 * 60 + 0.5,
+    pricingRuleName: null
+  })
+  t.is(_.sumBy(breakdown, 'nbTimeUnits'), 366 * 24 * 60 + 0.5)
+
+  // monthly time units do not have a fixed duration
+  const monthlyBreakdown = getPriceBreakdown({
+    unitPrice: 1000,
+    pricingRules: [{ name: 'summer', startDate: '2020-07-01T00:00:00.000Z', endDate: '2020-09-01T00:00:00.000Z', price: 1500 }],
+    startDate: '2020-01-31T00:00:00.000Z',
+    timeUnit: 'M',
+    nbTimeUnits: 12,
+    currency: 'USD'
+  })
+
+  t.deepEqual(monthlyBreakdown.map(range => [range.startDate, range.nbTimeUnits, range.unitPrice]), [
+    ['2020-01-31T00:00:00.000Z', 6, 1000],
+    ['2020-07-31T00:00:00.000Z', 2, 1500],
+    ['2020-09-30T00:00:00.000Z', 4, 1000]
+  ])
+
+  t.throws(() => getPriceBreakdown({
+    unitPrice: 1,
+    pricingRules: [{ recurringPattern: '* * * * *', recurringDuration: { m: 1 }, price: 2 }],
+    startDate: '2020-01-01T00:00:00.000Z',
+    timeUnit: 'm',
+    nbTimeUnits: 366 * 24 * 60,
+    currency: 'USD'
+  }), { message: 'Too many recurring periods in pricing rule 0 for this duration' })
+})
+
+test('gets price breakdown for non time-based assets', (t) => {
+  const pricingRules = [
+    { startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-02-01T00:00:00.000Z', price: 80 }
+  ]
+
+  t.deepEqual(getPriceBreakdown({
+    unitPrice: 100,
+    pricingRules,
+    refDate: '2020-01-15T00:00:00.000Z',
+    currency: 'USD'
+  }), [
+    { startDate: null, endDate: null, unitPrice: 80, nbTimeUnits: 1, pricingRuleName: '0' }
+  ])
+
+  t.is(getPriceBreakdown({
+    unitPrice: 100,
+    pricingRules,
+    refDate: '2020-02-15T00:00:00.000Z',
+    currency: 'USD'
+  })[0].unitPrice, 100)
+})
@@ -0,0 +1,124 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  getInvalidPromotionMessage,
+  getPromotionSnapshot,
+  getPromotionDiscount
+} = require('../../../src/util/promotion')
+
+const transaction = {
+  assetTypeId: 'typ_1',
+  assetSnapshot: {
+    categoryId: 'ctgy_1'
+  },
+  currency: 'USD'
+}
+
+test('checks if a promotion can be redeemed on a transaction', (t) => {
+  const promotion = {
+    active: true,
+    discountPercent: 10
+  }
+  const date = '2020-01-15T00:00:00.000Z'
+
+  t.is(getInvalidPromotionMessage({ promotion, transaction, date }), null)
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { active: false }),
+    transaction,
+    date
+  }), 'Inactive promotion')
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { startDate: '2020-02-01T00:00:00.000Z' }),
+    transaction,
+    date
+  }), 'Promotion has not started yet')
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { endDate: '2020-01-15T00:00:00.000Z' }),
+    transaction,
+    date
+  }), 'Promotion has expired')
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { startDate: '2020-01-01T00:00:00.000Z', endDate: '2020-02-01T00:00:00.000Z' }),
+    transaction,
+    date
+  }), null)
+})
+
+test('checks promotion usage limits', (t) => {
+  const promotion = {
+    active: true,
+    discountPercent: 10,
+    maxUses: 100,
+    maxUsesPerUser: 1
+  }
+
+  t.is(getInvalidPromotionMessage({ promotion, transaction, nbUses: 99, nbUserUses: 0 }), null)
+  t.is(getInvalidPromotionMessage({ promotion, transaction, nbUses: 100, nbUserUses: 0 }), 'Promotion usage limit reached')
+  t.is(getInvalidPromotionMessage({ promotion, transaction, nbUses: 10, nbUserUses: 1 }), 'Promotion usage limit per user reached')
+})
+
+test('checks promotion restrictions', (t) => {
+  const promotion = {
+    active: true,
+    discountValue: 20,
+    currency: 'USD'
+  }
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { assetTypesIds: ['typ_1', 'typ_2'], categoriesIds: ['ctgy_1'] }),
+    transaction
+  }), null)
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { assetTypesIds: ['typ_2'] }),
+    transaction
+  }), 'Promotion does not apply to this asset type')
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { categoriesIds: ['ctgy_2'] }),
+    transaction
+  }), 'Promotion does not apply to this category')
+
+  t.is(getInvalidPromotionMessage({
+    promotion: Object.assign({}, promotion, { currency: 'EUR' }),
+    transaction
+  }), 'Promotion does not apply to this currency')
+})
+
+test('gets promotion snapshot', (t) => {
+  t.deepEqual(getPromotionSnapshot({
+    id: 'prmo_1',
+    name: 'Summer sale',
+    code: 'SUMMER10',
+    active: true,
+    discountPercent: 10,
+    discountValue: null,
+    currency: null,
+    maxUses: 100
+  }), {
+    id: 'prmo_1',
+    code: 'SUMMER10',
+    discountPercent: 10,
+    discountValue: null,
+    currency: null
+  })
+})
+
+test('computes promotion discount', (t) => {
+  t.is(getPromotionDiscount({ promotion: null, amount: 100, currency: 'USD' }), 0)
+  t.is(getPromotionDiscount({ promotion: { discountPercent: 10 }, amount: 0, currency: 'USD' }), 0)
+
+  t.is(getPromotionDiscount({ promotion: { discountPercent: 10 }, amount: 690, currency: 'USD' }), 69)
+  t.is(getPromotionDiscount({ promotion: { discountPercent: 15 }, amount: 99.99, currency: 'USD' }), 15)
+  t.is(getPromotionDiscount({ promotion: { discountPercent: 100 }, amount: 50, currency: 'USD' }), 50)
+
+  t.is(getPromotionDiscount({ promotion: { discountValue: 20 }, amount: 690, currency: 'USD' }), 20)
+  // discount cannot exceed the amount
+  t.is(getPromotionDiscount({ promotion: { discountValue: 20 }, amount: 15, currency: 'USD' }), 15)
+})
@@ -0,0 +1,59 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  getPrefixHighlights,
+  getCaseInsensitivePrefixRegex,
+  getInvalidRankingRuleMessage
+} = require('../../../src/util/search')
+
+test('gets prefix highlights', (t) => {
+  t.deepEqual(getPrefixHighlights({ text: 'Toyota Prius', query: 'toy' }), [{ start: 0, end: 3 }])
+  t.deepEqual(getPrefixHighlights({ text: 'Toyota Prius', query: 'pri toyo' }), [
+    { start: 0, end: 4 },
+    { start: 7, end: 10 }
+  ])
+  t.deepEqual(getPrefixHighlights({ text: 'Électrique, éco', query: 'ec' }), [
+    { start: 12, end: 14 }
+  ])
+  t.deepEqual(getPrefixHighlights({ text: 'Éco électrique', query: 'e' }), [
+    { start: 0, end: 1 },
+    { start: 4, end: 5 }
+  ])
+
+  // keep the longest highlight for the same word
+  t.deepEqual(getPrefixHighlights({ text: 'Toyota', query: 't toy' }), [{ start: 0, end: 3 }])
+
+  t.is(getPrefixHighlights({ text: 'Toyota Prius', query: 'yota' }), null)
+  t.is(getPrefixHighlights({ text: 'Toyota Prius', query: 'toy car' }), null)
+  t.is(getPrefixHighlights({ text: 'Toyota Prius', query: '  ' }), null)
+  t.is(getPrefixHighlights({ text: null, query: 'toy' }), null)
+})
+
+test('gets case insensitive prefix regex', (t) => {
+  t.is(getCaseInsensitivePrefixRegex('To'), '[tT][oO].*')
+  t.is(getCaseInsensitivePrefixRegex('4x4'), '4[xX]4.*')
+  t.is(getCaseInsensitivePrefixRegex('a.b'), '[aA]\\.[bB].*')
+  t.is(getCaseInsensitivePrefixRegex('a"'), '[aA]\\".*')
+})
+
+test('gets invalid ranking rule message', (t) => {
+  const indexedCustomAttributes = {
+    isFeatured: { name: 'isFeatured', type: 'boolean' },
+    customScore: { name: 'customScore', type: 'number' },
+    make: { name: 'make', type: 'select' }
+  }
+  const getMessage = rule => getInvalidRankingRuleMessage({ rule, indexedCustomAttributes })
+
+  t.is(getMessage({ name: 'validated', field: '_validated', weight: 1 }), null)
+  t.is(getMessage({ name: 'recent', field: '_createdDate', weight: 1 }), null)
+  t.is(getMessage({ name: 'rating', field: '_averageRating', weight: 1 }), null)
+  t.is(getMessage({ name: 'featured', field: 'isFeatured', weight: 1 }), null)
+  t.is(getMessage({ name: 'score', field: 'customScore', weight: 0 }), null)
+
+  t.is(getMessage({ name: 'score', weight: 1 }), 'Missing field or weight for ranking rule score')
+  t.is(getMessage({ name: 'score', field: 'customScore' }), 'Missing field or weight for ranking rule score')
+  t.is(getMessage({ name: 'make', field: 'make', weight: 1 }), 'Cannot rank with make in ranking rule make (type select)')
+  t.is(getMessage({ name: 'unknown', field: 'unknown', weight: 1 }), 'Cannot rank with unknown in ranking rule unknown')
+})
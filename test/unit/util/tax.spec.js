@@ -0,0 +1,91 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  getTransactionTaxRate,
+  getTransactionTaxInformation,
+  getTaxAmount
+} = require('../../../src/util/tax')
+
+const transaction = {
+  assetTypeId: 'typ_1',
+  assetSnapshot: {
+    categoryId: 'ctgy_1',
+    locations: [
+      { latitude: 48.8566, longitude: 2.3522, country: 'FR' }
+    ]
+  },
+  currency: 'EUR'
+}
+
+test('gets the first tax rate matching the transaction', (t) => {
+  const rates = [
+    { name: 'books', takerRate: 5.5, categoriesIds: ['ctgy_2'] },
+    { name: 'germany', takerRate: 19, countries: ['DE'] },
+    { name: 'france rentals', takerRate: 20, ownerRate: 20, assetTypesIds: ['typ_1'], countries: ['FR'] },
+    { name: 'default', takerRate: 10 }
+  ]
+
+  t.is(getTransactionTaxRate({ rates, transaction }).name, 'france rentals')
+
+  t.is(getTransactionTaxRate({
+    rates,
+    transaction: Object.assign({}, transaction, { assetTypeId: 'typ_2' })
+  }).name, 'default')
+
+  t.is(getTransactionTaxRate({
+    rates,
+    transaction: Object.assign({}, transaction, { assetSnapshot: { categoryId: 'ctgy_2' } })
+  }).name, 'books')
+
+  // no location
+  t.is(getTransactionTaxRate({
+    rates: rates.slice(0, 3),
+    transaction: Object.assign({}, transaction, { assetSnapshot: { categoryId: 'ctgy_1' } })
+  }), null)
+
+  t.is(getTransactionTaxRate({ rates: null, transaction }), null)
+})
+
+test('gets transaction tax information', (t) => {
+  t.deepEqual(getTransactionTaxInformation({ taxConfig: null, transaction }), {
+    taxMode: null,
+    takerTaxRate: null,
+    ownerTaxRate: null
+  })
+
+  t.deepEqual(getTransactionTaxInformation({
+    taxConfig: { rates: [{ takerRate: 20 }] },
+    transaction
+  }), {
+    taxMode: 'exclusive',
+    takerTaxRate: 20,
+    ownerTaxRate: null
+  })
+
+  t.deepEqual(getTransactionTaxInformation({
+    taxConfig: { mode: 'inclusive', rates: [{ takerRate: 20, ownerRate: 10 }] },
+    transaction
+  }), {
+    taxMode: 'inclusive',
+    takerTaxRate: 20,
+    ownerTaxRate: 10
+  })
+})
+
+test('computes tax amount', (t) => {
+  t.is(getTaxAmount({ amount: 100, taxRate: null, currency: 'EUR' }), 0)
+  t.is(getTaxAmount({ amount: 0, taxRate: 20, currency: 'EUR' }), 0)
+  t.is(getTaxAmount({ amount: -10, taxRate: 20, currency: 'EUR' }), 0)
+
+  t.is(getTaxAmount({ amount: 100, taxRate: 20, currency: 'EUR' }), 20)
+  t.is(getTaxAmount({ amount: 99.99, taxRate: 5.5, taxMode: 'exclusive', currency: 'EUR' }), 5.5)
+
+  t.is(getTaxAmount({ amount: 120, taxRate: 20, taxMode: 'inclusive', currency: 'EUR' }), 20)
+  t.is(getTaxAmount({ amount: 110, taxRate: 20, taxMode: 'inclusive', currency: 'EUR' }), 18.33)
+
+  // currency without decimals
+  t.is(getTaxAmount({ amount: 1050, taxRate: 10, currency: 'JPY' }), 105)
+  t.is(getTaxAmount({ amount: 1100, taxRate: 8, taxMode: 'inclusive', currency: 'JPY' }), 81)
+})
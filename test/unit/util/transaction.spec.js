@@ -7,9 +7,12 @@ const _ = require('lodash')
 const {
   getNewStatus,
   getFutureStatuses,
+  getNextTimedTransition,
   isValidDates,
+  isActiveTransactionHold,
 
-  getTransactionPricing
+  getTransactionPricing,
+  getTransactionPriceBreakdown
 } = require('../../../src/util/transaction')
 
 test('get the new status', (t) => {
@@ -25,6 +28,64 @@ test('get the future statuses', (t) => {
   t.true(hasSameItems(getFutureStatuses('confirmed'), ['pending-payment', 'pending-acceptance', 'validated', 'completed', 'cancelled']))
 })
 
+test('get the next timed transition', (t) => {
+  const transactionProcess = {
+    initStatus: 'draft',
+    cancelStatus: 'cancelled',
+    transitions: [
+      { name: 'pay', from: 'draft', to: 'pending-acceptance' },
+      { name: 'accept', from: 'pending-acceptance', to: 'validated' },
+      { name: 'expire', from: 'pending-acceptance', to: 'cancelled', after: { duration: { h: 48 } } },
+      { name: 'complete', from: 'validated', to: 'completed', after: { duration: { d: 1 }, from: 'endDate' } },
+      { name: 'cancel', from: '*', to: 'cancelled', after: { duration: { d: 30 }, from: 'startDate' } }
+    ]
+  }
+
+  const transaction = {
+    status: 'pending-acceptance',
+    createdDate: '2020-01-01T00:00:00.000Z',
+    startDate: '2020-02-01T00:00:00.000Z',
+    endDate: '2020-02-10T00:00:00.000Z',
+    statusHistory: [
+      { status: 'pending-acceptance', date: '2020-01-02T00:00:00.000Z' },
+      { status: 'draft', date: '2020-01-01T00:00:00.000Z' }
+    ],
+    assetType: { transactionProcess }
+  }
+
+  const expireTransition = getNextTimedTransition(transaction)
+  t.is(expireTransition.transition.name, 'expire')
+  t.is(expireTransition.executionDate, '2020-01-04T00:00:00.000Z')
+
+  const completeTransition = getNextTimedTransition(Object.assign({}, transaction, { status: 'validated' }))
+  t.is(completeTransition.transition.name, 'complete')
+  t.is(completeTransition.executionDate, '2020-02-11T00:00:00.000Z')
+
+  // wildcard transition
+  const cancelTransition = getNextTimedTransition(Object.assign({}, transaction, { status: 'draft' }))
+  t.is(cancelTransition.transition.name, 'cancel')
+  t.is(cancelTransition.executionDate, '2020-03-02T00:00:00.000Z')
+
+  // no reference date
+  t.is(getNextTimedTransition(Object.assign({}, transaction, { status: 'draft', startDate: null })), null)
+
+  // end state
+  t.is(getNextTimedTransition(Object.assign({}, transaction, { status: 'cancelled' })), null)
+
+  // default transaction process has no timed transitions
+  t.is(getNextTimedTransition(Object.assign({}, transaction, { assetType: {} })), null)
+})
+
+test('check if the transaction hold is active', (t) => {
+  const transaction = { holdEndDate: '2020-01-01T00:15:00.000Z' }
+
+  t.true(isActiveTransactionHold(transaction, '2020-01-01T00:00:00.000Z'))
+  t.false(isActiveTransactionHold(transaction, '2020-01-01T00:15:00.000Z'))
+  t.false(isActiveTransactionHold(transaction, '2020-01-01T01:00:00.000Z'))
+  t.false(isActiveTransactionHold({ holdEndDate: null }, '2020-01-01T00:00:00.000Z'))
+  t.false(isActiveTransactionHold({}, '2020-01-01T00:00:00.000Z'))
+})
+
 test('check if dates are valid', (t) => {
   let isValidDatesResult
 
@@ -173,6 +234,49 @@ test('check if dates are valid with start date max delta active', (t) => {
   t.false(isValidDatesResult.result)
 })
 
+test('check if dates are valid with lead-time rules', (t) => {
+  const config = {
+    minNotice: { h: 12 },
+    maxHorizon: { M: 1 }
+  }
+
+  let isValidDatesResult
+
+  isValidDatesResult = isValidDates({
+    startDate: '2018-01-01T12:00:00.000Z',
+    duration: { d: 1 },
+    refDate: '2018-01-01T00:00:00.000Z',
+    config
+  })
+  t.true(isValidDatesResult.result)
+
+  isValidDatesResult = isValidDates({
+    startDate: '2018-02-01T00:00:00.000Z',
+    duration: { d: 1 },
+    refDate: '2018-01-01T00:00:00.000Z',
+    config
+  })
+  t.true(isValidDatesResult.result)
+
+  isValidDatesResult = isValidDates({
+    startDate: '2018-01-01T11:59:59.999Z',
+    duration: { d: 1 },
+    refDate: '2018-01-01T00:00:00.000Z',
+    config
+  })
+  t.false(isValidDatesResult.result)
+  t.is(isValidDatesResult.errors[0].limit, '2018-01-01T12:00:00.000Z')
+
+  isValidDatesResult = isValidDates({
+    startDate: '2018-02-01T00:00:00.001Z',
+    duration: { d: 1 },
+    refDate: '2018-01-01T00:00:00.000Z',
+    config
+  })
+  t.false(isValidDatesResult.result)
+  t.is(isValidDatesResult.errors[0].limit, '2018-02-01T00:00:00.000Z')
+})
+
 test('check if dates are valid with start date min delta active and there is a last transaction whose end date is after ref date', (t) => {
   let isValidDatesResult
 
@@ -347,7 +451,10 @@ test('get pricing for transaction without prices override', (t) => {
     takerAmount: 110,
     ownerFees: 5,
     takerFees: 10,
-    platformAmount: 15
+    platformAmount: 15,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
   })
 
   const transaction2 = {
@@ -371,7 +478,10 @@ test('get pricing for transaction without prices override', (t) => {
     takerAmount: 440,
     ownerFees: 20,
     takerFees: 40,
-    platformAmount: 60
+    platformAmount: 60,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
   })
 
   const transaction3 = {
@@ -395,7 +505,143 @@ test('get pricing for transaction without prices override', (t) => {
     takerAmount: 0,
     ownerFees: 0,
     takerFees: 0,
-    platformAmount: 0
+    platformAmount: 0,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
+  })
+})
+
+test('get pricing for transaction with pricing rules', (t) => {
+  const transaction = {
+    quantity: 2,
+    startDate: '2020-01-03T00:00:00.000Z', // Friday
+    duration: { d: 3 },
+    timeUnit: 'd',
+    unitPrice: 100,
+    currency: 'USD',
+    createdDate: '2019-12-01T00:00:00.000Z',
+    assetSnapshot: {
+      pricingRules: [
+        { name: 'saturday', recurringPattern: '0 0 * * 6', price: 150 }
+      ]
+    },
+    assetType: {
+      pricing: {
+        ownerFeesPercent: 5,
+        takerFeesPercent: 10,
+        rules: [
+          { name: 'weekend', recurringPattern: '0 0 * * 6', recurringDuration: { d: 2 }, priceChangePercent: 20 }
+        ]
+      }
+    }
+  }
+
+  // asset pricing rules have priority over asset type ones
+  t.deepEqual(getTransactionPriceBreakdown(transaction).map(unit => [unit.unitPrice, unit.pricingRuleName]), [
+    [100, null],
+    [150, 'saturday'],
+    [120, 'weekend']
+  ])
+
+  t.deepEqual(getTransactionPricing(transaction), {
+    value: 740,
+    ownerAmount: 703,
+    takerAmount: 814,
+    ownerFees: 37,
+    takerFees: 74,
+    platformAmount: 111,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
+  })
+})
+
+test('get pricing for transaction with promotion', (t) => {
+  const transaction = {
+    quantity: 1,
+    unitPrice: 100,
+    currency: 'USD',
+    promotionSnapshot: {
+      id: 'prmo_1',
+      code: 'SUMMER10',
+      discountPercent: 10
+    },
+    assetType: {
+      pricing: {
+        ownerFeesPercent: 5,
+        takerFeesPercent: 10
+      }
+    }
+  }
+
+  // discount is funded by the platform so owner amount is unchanged
+  t.deepEqual(getTransactionPricing(transaction), {
+    value: 100,
+    ownerAmount: 95,
+    takerAmount: 99,
+    ownerFees: 5,
+    takerFees: -1,
+    platformAmount: 4,
+    discountAmount: 11,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
+  })
+
+  // explicit taker amount is not discounted
+  t.deepEqual(getTransactionPricing(transaction, { takerAmount: 120 }), {
+    value: 100,
+    ownerAmount: 95,
+    takerAmount: 120,
+    ownerFees: 5,
+    takerFees: 20,
+    platformAmount: 25,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
+  })
+})
+
+test('get pricing for transaction with taxes', (t) => {
+  const transaction = {
+    quantity: 1,
+    unitPrice: 100,
+    currency: 'USD',
+    taxMode: 'exclusive',
+    takerTaxRate: 20,
+    ownerTaxRate: 10,
+    assetType: {
+      pricing: {
+        ownerFeesPercent: 5,
+        takerFeesPercent: 10
+      }
+    }
+  }
+
+  // taxes come on top of taker amount and owner fees
+  t.deepEqual(getTransactionPricing(transaction), {
+    value: 100,
+    ownerAmount: 95,
+    takerAmount: 110,
+    ownerFees: 5,
+    takerFees: 10,
+    platformAmount: 15,
+    discountAmount: 0,
+    takerTaxAmount: 22,
+    ownerTaxAmount: 0.5
+  })
+
+  // taxes are included in taker amount and owner fees
+  t.deepEqual(getTransactionPricing(Object.assign({}, transaction, { taxMode: 'inclusive' })), {
+    value: 100,
+    ownerAmount: 95,
+    takerAmount: 110,
+    ownerFees: 5,
+    takerFees: 10,
+    platformAmount: 15,
+    discountAmount: 0,
+    takerTaxAmount: 18.33,
+    ownerTaxAmount: 0.45
   })
 })
 
@@ -418,7 +664,10 @@ test('get pricing for transaction with prices override', (t) => {
     takerAmount: 220,
     ownerFees: 10,
     takerFees: 20,
-    platformAmount: 30
+    platformAmount: 30,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
   })
 
   t.deepEqual(getTransactionPricing(transaction1, { value: 200, takerAmount: 210 }), {
@@ -427,7 +676,10 @@ test('get pricing for transaction with prices override', (t) => {
     takerAmount: 210,
     ownerFees: 10,
     takerFees: 10,
-    platformAmount: 20
+    platformAmount: 20,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
   })
 
   const transaction2 = {
@@ -451,6 +703,9 @@ test('get pricing for transaction with prices override', (t) => {
     takerAmount: 0,
     ownerFees: 0,
     takerFees: 0,
-    platformAmount: 0
+    platformAmount: 0,
+    discountAmount: 0,
+    takerTaxAmount: 0,
+    ownerTaxAmount: 0
   })
 })
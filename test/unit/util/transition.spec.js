@@ -0,0 +1,105 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  getInvalidTransitionGuardsMessage,
+  getFailedTransitionGuard
+} = require('../../../src/util/transition')
+
+const transition = {
+  name: 'accept',
+  from: 'draft',
+  to: 'accepted',
+  guards: {
+    dataSchema: {
+      type: 'object',
+      properties: {
+        reference: { type: 'string' }
+      },
+      required: ['reference']
+    },
+    conditions: ['transaction.value > 0'],
+    roles: ['provider']
+  }
+}
+
+test('checks transition guards', (t) => {
+  t.is(getInvalidTransitionGuardsMessage({ name: 'accept', from: 'draft', to: 'accepted' }), null)
+  t.is(getInvalidTransitionGuardsMessage(transition), null)
+
+  t.true(getInvalidTransitionGuardsMessage({
+    name: 'accept',
+    guards: { dataSchema: { type: 'unknownType' } }
+  }).includes('Invalid data schema guard'))
+
+  t.true(getInvalidTransitionGuardsMessage({
+    name: 'accept',
+    guards: { conditions: ['transaction.value >'] }
+  }).includes('Invalid condition guard'))
+
+  t.is(getInvalidTransitionGuardsMessage({
+    name: 'accept',
+    guards: { permissions: ['transaction:transition:all'] }
+  }), null)
+  t.true(getInvalidTransitionGuardsMessage({
+    name: 'accept',
+    guards: { permissions: ['unknown:permission'] }
+  }).includes('Invalid permissions guard'))
+})
+
+test('gets the failed transition guard', (t) => {
+  const transaction = { value: 100 }
+  const data = { reference: 'ref' }
+
+  t.is(getFailedTransitionGuard({ transition: { name: 'accept' }, transaction }), null)
+  t.is(getFailedTransitionGuard({ transition, transaction, data, roles: ['user', 'provider'] }), null)
+  t.is(getFailedTransitionGuard({ transition, transaction, data, skipRoles: true }), null)
+
+  const dataGuard = getFailedTransitionGuard({ transition, transaction, data: {}, roles: ['provider'] })
+  t.is(dataGuard.guard, 'dataSchema')
+  t.true(dataGuard.errors.includes('reference'))
+
+  t.deepEqual(getFailedTransitionGuard({ transition, transaction: { value: 0 }, data, roles: ['provider'] }), {
+    guard: 'conditions',
+    condition: 'transaction.value > 0'
+  })
+
+  t.deepEqual(getFailedTransitionGuard({ transition, transaction, data, roles: ['user'] }), {
+    guard: 'roles',
+    roles: ['provider']
+  })
+
+  const permissionsTransition = { name: 'accept', guards: { permissions: ['transaction:config:all', 'asset:edit:all'] } }
+  t.is(getFailedTransitionGuard({
+    transition: permissionsTransition,
+    transaction,
+    matchedPermissions: { 'asset:edit:all': true }
+  }), null)
+  t.deepEqual(getFailedTransitionGuard({
+    transition: permissionsTransition,
+    transaction,
+    matchedPermissions: { 'transaction:transition:all': true },
+    skipRoles: true
+  }), {
+    guard: 'permissions',
+    permissions: ['transaction:config:all', 'asset:edit:all']
+  })
+
+  // timed transitions have no actor
+  t.is(getFailedTransitionGuard({ transition, transaction, data, skipActorGuards: true }), null)
+  t.is(getFailedTransitionGuard({ transition: permissionsTransition, transaction, skipActorGuards: true }), null)
+  t.is(getFailedTransitionGuard({
+    transition,
+    transaction: { value: 0 },
+    data,
+    skipActorGuards: true
+  }).guard, 'conditions')
+
+  // conditions throwing errors are considered as failed
+  const failedGuard = getFailedTransitionGuard({
+    transition: { name: 'accept', guards: { conditions: ['transaction.unknown.value > 0'] } },
+    transaction
+  })
+  t.is(failedGuard.guard, 'conditions')
+})
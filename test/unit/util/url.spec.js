@@ -0,0 +1,49 @@
+const test = require('ava')
+
+const {
+  setSearchParams,
+  isPrivateIpAddress
+} = require('../../../src/util/url')
+
+test('sets search params', (t) => {
+  t.is(setSearchParams('https://example.com/path?a=1', { a: 2, b: 'c' }), 'https://example.com/path?a=2&b=c')
+})
+
+test('detects private IP addresses', (t) => {
+  const privateAddresses = [
+    '0.0.0.0',
+    '10.1.2.3',
+    '100.64.0.1',
+    '127.0.0.1',
+    '169.254.169.254',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '224.0.0.1',
+    '255.255.255.255',
+    '::',
+    '::1',
+    '[::1]',
+    'fc00::1',
+    'fd12:3456::1',
+    'fe80::1',
+    'ff02::1',
+    '::ffff:127.0.0.1',
+    '::ffff:7f00:1',
+    '::FFFF:A9FE:A9FE'
+  ]
+  const publicAddresses = [
+    '1.1.1.1',
+    '8.8.8.8',
+    '100.128.0.1',
+    '172.32.0.1',
+    '192.169.0.1',
+    '2001:4860:4860::8888',
+    '::ffff:8.8.8.8'
+  ]
+
+  privateAddresses.forEach(address => t.true(isPrivateIpAddress(address), address))
+  publicAddresses.forEach(address => t.false(isPrivateIpAddress(address), address))
+
+  t.throws(() => isPrivateIpAddress('localhost'))
+})
@@ -0,0 +1,54 @@
+require('dotenv').config()
+
+const test = require('ava')
+
+const {
+  isActiveWaitlistHold,
+  getWaitlistHeldQuantity
+} = require('../../../src/util/waitlist')
+
+test('checks if a waitlist entry holds quantity', (t) => {
+  const date = '2020-01-01T00:00:00.000Z'
+
+  t.true(isActiveWaitlistHold({ status: 'offered', holdEndDate: '2020-01-02T00:00:00.000Z' }, date))
+  t.false(isActiveWaitlistHold({ status: 'offered', holdEndDate: '2019-12-31T00:00:00.000Z' }, date))
+  t.false(isActiveWaitlistHold({ status: 'offered', holdEndDate: null }, date))
+  t.false(isActiveWaitlistHold({ status: 'waiting', holdEndDate: null }, date))
+  t.false(isActiveWaitlistHold({ status: 'booked', holdEndDate: '2020-01-02T00:00:00.000Z' }, date))
+})
+
+test('gets the quantity held from waitlist for a period', (t) => {
+  const date = '2020-01-01T00:00:00.000Z'
+  const holdEndDate = '2020-01-02T00:00:00.000Z'
+
+  const waitlists = [
+    { status: 'offered', holdEndDate, quantity: 1, startDate: '2020-02-01T00:00:00.000Z', endDate: '2020-02-10T00:00:00.000Z' },
+    { status: 'offered', holdEndDate, quantity: 2, startDate: '2020-02-03T00:00:00.000Z', endDate: '2020-02-05T00:00:00.000Z' },
+    { status: 'offered', holdEndDate: '2019-12-31T00:00:00.000Z', quantity: 4, startDate: '2020-02-01T00:00:00.000Z', endDate: '2020-02-10T00:00:00.000Z' },
+    { status: 'waiting', holdEndDate: null, quantity: 8, startDate: '2020-02-01T00:00:00.000Z', endDate: '2020-02-10T00:00:00.000Z' }
+  ]
+
+  t.is(getWaitlistHeldQuantity({
+    waitlists,
+    startDate: '2020-02-03T00:00:00.000Z',
+    endDate: '2020-02-05T00:00:00.000Z',
+    date
+  }), 3)
+
+  // holds must cover the whole period
+  t.is(getWaitlistHeldQuantity({
+    waitlists,
+    startDate: '2020-02-02T00:00:00.000Z',
+    endDate: '2020-02-05T00:00:00.000Z',
+    date
+  }), 1)
+
+  t.is(getWaitlistHeldQuantity({
+    waitlists,
+    startDate: '2020-02-09T00:00:00.000Z',
+    endDate: '2020-02-11T00:00:00.000Z',
+    date
+  }), 0)
+
+  t.is(getWaitlistHeldQuantity({ waitlists, startDate: '2020-02-03T00:00:00.000Z', endDate: null, date }), 0)
+})
@@ -0,0 +1,141 @@
+require('dotenv').config()
+
+const test = require('ava')
+const crypto = require('crypto')
+
+const {
+  maxDeliveryAttempts,
+  generateWebhookSecret,
+  computeWebhookSignature,
+  getWebhookSignatureHeaderValue,
+  getRetryDelay,
+  getNextRetryDate,
+  getReplayBatch,
+  getWebhookEventPatterns,
+  isEventTypeMatching,
+  isValidFilterExpression,
+  isEventPassingFilter
+} = require('../../../src/util/webhook')
+
+test('generates distinct webhook secrets', (t) => {
+  const secret1 = generateWebhookSecret()
+  const secret2 = generateWebhookSecret()
+
+  t.is(secret1.length, 64)
+  t.not(secret1, secret2)
+})
+
+test('computes webhook signature from timestamp and payload', (t) => {
+  const secret = 'secret'
+  const timestamp = 1600000000
+  const payload = { event: { id: 'evt_1' } }
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${JSON.stringify(payload)}`)
+    .digest('hex')
+
+  t.is(computeWebhookSignature({ secret, timestamp, payload }), expected)
+  t.is(computeWebhookSignature({ secret, timestamp, payload: JSON.stringify(payload) }), expected)
+  t.not(computeWebhookSignature({ secret, timestamp: timestamp + 1, payload }), expected)
+  t.not(computeWebhookSignature({ secret: 'other', timestamp, payload }), expected)
+})
+
+test('gets webhook signature header value', (t) => {
+  const secret = 'secret'
+  const payload = { event: { id: 'evt_1' } }
+
+  const value = getWebhookSignatureHeaderValue({ secret, payload, timestamp: 1600000000 })
+  const signature = computeWebhookSignature({ secret, payload, timestamp: 1600000000 })
+  t.is(value, `t=1600000000,v1=${signature}`)
+
+  const now = Math.floor(Date.now() / 1000)
+  const [timestampPart] = getWebhookSignatureHeaderValue({ secret, payload }).split(',')
+  t.true(Math.abs(parseInt(timestampPart.replace('t=', ''), 10) - now) <= 1)
+})
+
+test('computes retry delay with exponential backoff', (t) => {
+  t.is(getRetryDelay(1), 30 * 1000)
+  t.is(getRetryDelay(2), 60 * 1000)
+  t.is(getRetryDelay(3), 120 * 1000)
+  t.is(getRetryDelay(5), 480 * 1000)
+})
+
+test('computes next retry date until max attempts', (t) => {
+  const date = '2020-01-01T00:00:00.000Z'
+
+  t.is(getNextRetryDate({ attempt: 1, date }), '2020-01-01T00:00:30.000Z')
+  t.is(getNextRetryDate({ attempt: 3, date }), '2020-01-01T00:02:00.000Z')
+  t.is(getNextRetryDate({ attempt: maxDeliveryAttempts, date }), null)
+  t.is(getNextRetryDate({ attempt: 2, date, maxAttempts: 2 }), null)
+})
+
+test('gets the batch of replayed events', (t) => {
+  const events = [
+    { id: 'evt_1', createdDate: '2020-01-01T00:00:00.000Z' },
+    { id: 'evt_2', createdDate: '2020-01-01T00:00:01.000Z' },
+    { id: 'evt_3', createdDate: '2020-01-01T00:00:02.000Z' },
+    { id: 'evt_4', createdDate: '2020-01-01T00:00:02.000Z' }
+  ]
+  const getIds = ({ replayedEvents }) => replayedEvents.map(e => e.id)
+
+  const allReplayed = getReplayBatch({ events, limit: 4 })
+  t.deepEqual(getIds(allReplayed), ['evt_1', 'evt_2', 'evt_3', 'evt_4'])
+  t.is(allReplayed.nextCreatedDate, null)
+
+  const truncated = getReplayBatch({ events: events.slice(0, 3), limit: 2 })
+  t.deepEqual(getIds(truncated), ['evt_1', 'evt_2'])
+  t.is(truncated.nextCreatedDate, '2020-01-01T00:00:02.000Z')
+
+  // events sharing the date of the first event left are replayed with it in the next batch
+  const sameDateTruncated = getReplayBatch({ events, limit: 3 })
+  t.deepEqual(getIds(sameDateTruncated), ['evt_1', 'evt_2'])
+  t.is(sameDateTruncated.nextCreatedDate, '2020-01-01T00:00:02.000Z')
+
+  const sameDateEvents = getReplayBatch({ events: events.slice(2), limit: 1 })
+  t.deepEqual(getIds(sameDateEvents), ['evt_3'])
+  t.is(sameDateEvents.nextCreatedDate, '2020-01-01T00:00:02.000Z')
+})
+
+test('gets webhook event patterns', (t) => {
+  t.deepEqual(getWebhookEventPatterns({ events: ['asset__*', 'user__created'] }), ['asset__*', 'user__created'])
+  t.deepEqual(getWebhookEventPatterns({ event: 'asset__created', events: [] }), ['asset__created'])
+  t.deepEqual(getWebhookEventPatterns({ event: 'asset__created', events: null }), ['asset__created'])
+  t.deepEqual(getWebhookEventPatterns({ event: null, events: null }), [])
+})
+
+test('matches event types with exact types and wildcard patterns', (t) => {
+  t.true(isEventTypeMatching('asset__created', ['asset__created']))
+  t.true(isEventTypeMatching('asset__created', ['user__created', 'asset__*']))
+  t.true(isEventTypeMatching('custom_event', ['*']))
+  t.true(isEventTypeMatching('transaction__status_changed', ['transaction__*']))
+
+  t.false(isEventTypeMatching('asset__created', []))
+  t.false(isEventTypeMatching('asset__created', ['asset__updated']))
+  t.false(isEventTypeMatching('assetType__created', ['asset__*']))
+  t.false(isEventTypeMatching('user__created', ['asset__*', 'asset__created']))
+})
+
+test('checks filter expression syntax', (t) => {
+  t.true(isValidFilterExpression('event.object.status === "validated"'))
+  t.true(isValidFilterExpression('_.get(event, "metadata.important", false)'))
+  t.false(isValidFilterExpression('event.object.status ==='))
+})
+
+test('evaluates filter expression against event', (t) => {
+  const event = {
+    type: 'transaction__status_changed',
+    object: { status: 'validated', value: 100 },
+    metadata: {}
+  }
+
+  t.true(isEventPassingFilter({ filter: undefined, event }))
+  t.true(isEventPassingFilter({ filter: 'event.object.status === "validated"', event }))
+  t.true(isEventPassingFilter({ filter: 'event.object.value > 50 && _.isEmpty(event.metadata)', event }))
+  t.false(isEventPassingFilter({ filter: 'event.object.status === "cancelled"', event }))
+
+  // event cannot be altered by filter expression
+  t.false(isEventPassingFilter({ filter: 'event.object.status = "cancelled", false', event }))
+  t.is(event.object.status, 'validated')
+
+  t.throws(() => isEventPassingFilter({ filter: 'event.unknown.status', event }))
+})
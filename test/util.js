@@ -30,6 +30,9 @@ module.exports = {
   checkOffsetPaginationScenario,
   checkOffsetPaginatedListObject,
   checkOffsetPaginatedStatsObject,
+
+  toICalendarDate,
+  getICalendarContent,
 }
 
 /**
@@ -513,3 +516,36 @@ function checkCursorPaginatedHistoryObject ({
     }
   })
 }
+
+/**
+ * Formats ISO date into iCalendar UTC date-time like '20200101T000000Z'
+ * @param {String} isoDate
+ * @return {String}
+ */
+function toICalendarDate (isoDate) {
+  return isoDate.replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Builds iCalendar content to be served to imports and calendar feeds
+ * @param {Object[]} events
+ * @param {String} events[i].uid
+ * @param {String} events[i].startDate
+ * @param {String} events[i].endDate
+ * @return {String}
+ */
+function getICalendarContent (events) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//Calendar//EN',
+    ...events.map(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTART:${toICalendarDate(event.startDate)}`,
+      `DTEND:${toICalendarDate(event.endDate)}`,
+      'END:VEVENT'
+    ].join('\r\n')),
+    'END:VCALENDAR'
+  ].join('\r\n')
+}